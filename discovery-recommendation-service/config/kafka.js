@@ -26,6 +26,17 @@ async function updateUserProfile(userId, field, value, action = "$push") {
   );
 }
 
+// The host's latest rating totals, as copied onto their other events by event_rated.
+async function hostRating(hostId) {
+  const rated = await EventFeature.findOne({
+    host_id: hostId,
+    host_rating: { $ne: null },
+  }).select("host_rating host_rating_count");
+  return rated
+    ? { host_rating: rated.host_rating, host_rating_count: rated.host_rating_count }
+    : {};
+}
+
 /**
  * Processes messages consumed from Kafka topics and updates internal data stores.
  */
@@ -41,13 +52,38 @@ async function processEvent(event) {
           event_id: data.event_id,
           title: data.title,
           host_id: data.host_id,
-          category: "Unknown",
+          category: data.category || "uncategorized",
+          tags: data.tags || [],
+          visibility: data.visibility || "public",
+          // A new event inherits its host's reputation from their other events
+          ...(await hostRating(data.host_id)),
         });
         console.log(
           `[DRS Ingest] Created new event feature record: ${data.event_id}`
         );
         break;
 
+      case "event_updated": {
+        // Action: Keep the content features in sync with the event
+        // changes is a list of { field, old, new } for the fields that actually changed
+        const changed = new Map((data.changes || []).map((c) => [c.field, c.new]));
+        const featureUpdates = {};
+        if (changed.has("title")) featureUpdates.title = changed.get("title");
+        if (changed.has("category")) featureUpdates.category = changed.get("category") || "uncategorized";
+        if (changed.has("tags")) featureUpdates.tags = changed.get("tags");
+        if (changed.has("visibility")) featureUpdates.visibility = changed.get("visibility");
+
+        if (Object.keys(featureUpdates).length > 0) {
+          await EventFeature.updateOne(
+            { event_id: data.event_id },
+            { $set: featureUpdates }
+          );
+          console.log(`[DRS Update] Refreshed features for event: ${data.event_id}`);
+        }
+        break;
+      }
+
+      case "event_cancelled": // Cancelled events must no longer be recommended
       case "event_deleted":
         // Action: Remove event from MongoDB
         console.log("Consuming event deleted..");
@@ -56,6 +92,7 @@ async function processEvent(event) {
         break;
 
       case "rsvp_added":
+      case "rsvp_promoted": // A promoted waitlist entry is a confirmed RSVP
         // Action: Update aggregate count in MongoDB (for trending)
         await EventFeature.updateOne(
           { event_id: data.event_id },
@@ -74,6 +111,94 @@ async function processEvent(event) {
         );
         break;
 
+      case "rsvp_status_changed":
+        // Action: Going counts like a new RSVP; maybe/interested is a softer signal
+        if (data.previous_status === "going" && data.status !== "going") {
+          // Leaving going takes the RSVP back out of the counts and history
+          await EventFeature.updateOne(
+            { event_id: data.event_id, recent_rsvps: { $gt: 0 } },
+            { $inc: { recent_rsvps: -1 } }
+          );
+          await updateUserProfile(
+            data.user_id,
+            "rsvp_history",
+            data.event_id,
+            "$pull"
+          );
+        }
+        if (data.status === "going") {
+          if (data.previous_status !== "going") {
+            await EventFeature.updateOne(
+              { event_id: data.event_id },
+              { $inc: { recent_rsvps: 1 } }
+            );
+          }
+          await updateUserProfile(
+            data.user_id,
+            "rsvp_history",
+            data.event_id,
+            "$addToSet"
+          );
+        } else if (data.status === "maybe" || data.status === "interested") {
+          // Moving between maybe and interested is the same signal, counted once
+          if (data.previous_status !== "maybe" && data.previous_status !== "interested") {
+            await EventFeature.updateOne(
+              { event_id: data.event_id },
+              { $inc: { recent_interest: 1 } }
+            );
+          }
+          await updateUserProfile(
+            data.user_id,
+            "interested_history",
+            data.event_id,
+            "$addToSet"
+          );
+        } else if (data.status === "declined") {
+          await updateUserProfile(
+            data.user_id,
+            "interested_history",
+            data.event_id,
+            "$pull"
+          );
+        }
+        console.log(
+          `[DRS Update] User ${data.user_id} RSVP for event ${data.event_id}: ${data.previous_status} -> ${data.status}`
+        );
+        break;
+
+      case "attendee_checked_in":
+        // Action: Real attendance counts towards trending and the user's interests
+        await EventFeature.updateOne(
+          { event_id: data.event_id },
+          { $inc: { check_ins: 1 } }
+        );
+        await updateUserProfile(
+          data.user_id,
+          "attended_history",
+          data.event_id,
+          "$addToSet"
+        );
+        console.log(
+          `[DRS Update] User ${data.user_id} checked in to event: ${data.event_id}`
+        );
+        break;
+
+      case "event_rated":
+        // Action: EMS sends the host's recomputed totals, so replays are harmless
+        await EventFeature.updateMany(
+          { host_id: data.host_id },
+          {
+            $set: {
+              host_rating: data.host_rating_average,
+              host_rating_count: data.host_rating_count,
+            },
+          }
+        );
+        console.log(
+          `[DRS Update] Host ${data.host_id} rated ${data.host_rating_average} over ${data.host_rating_count} rating(s).`
+        );
+        break;
+
       case "user_followed":
         // Action (NEW): Update UserProfile with the new followed organization
         // Note: Assumes the followed entity (followingId) is an organization
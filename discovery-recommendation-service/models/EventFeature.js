@@ -7,10 +7,22 @@ const EventFeatureSchema = new mongoose.Schema(
     title: String,
     host_id: String,
     category: { type: String, index: true },
+    // Free-form tags from EMS (lowercase kebab-case), used for content-based matching
+    tags: { type: [String], index: true, default: [] },
     // Example field for Content-Based Filtering
     description_keywords: [String],
     // Example field for trending calculation
     recent_rsvps: { type: Number, default: 0 },
+    // Verified attendance (QR check-ins), a stronger signal than RSVPs
+    check_ins: { type: Number, default: 0 },
+    // "maybe" and "interested" RSVPs, a weaker signal than going
+    recent_interest: { type: Number, default: 0 },
+    // The host's average post-event rating (from EMS event_rated), copied onto each of
+    // their events so ranking needs no join; null until the host is rated
+    host_rating: { type: Number, default: null },
+    host_rating_count: { type: Number, default: 0 },
+    // EMS visibility; only public events are ever recommended (missing = public)
+    visibility: { type: String, default: "public" },
   },
   { timestamps: true }
 );
@@ -12,6 +12,12 @@ const UserProfileSchema = new mongoose.Schema(
     // Array of event IDs the user has RSVP'd to (for collaborative filtering)
     rsvp_history: [{ type: String }],
 
+    // Array of event IDs the user actually checked in to (weighted above RSVPs)
+    attended_history: [{ type: String }],
+
+    // Array of event IDs the user marked "maybe" or "interested" (weighted below RSVPs)
+    interested_history: [{ type: String }],
+
     // Array of organization IDs the user follows (for content-based filtering)
     followed_orgs: [{ type: String }],
 
@@ -4,38 +4,105 @@ const { redisClient, mongoose } = require("../config/db");
 const EventFeature = require("../models/EventFeature");
 const UserProfile = mongoose.model("UserProfile");
 const CACHE_KEY_TRENDING = "drs:trending_events";
+// A verified check-in is worth this many RSVPs when ranking events
+const CHECK_IN_WEIGHT = 3;
+// A "maybe" or "interested" RSVP is worth this fraction of a going RSVP
+const INTEREST_WEIGHT = 0.5;
+// Host quality scales popularity by up to +/- this much (5 stars vs 1 star), once the
+// host has MIN_HOST_RATINGS ratings
+const HOST_RATING_BOOST = 0.5;
+const MIN_HOST_RATINGS = 5;
+// Followers-only and invite-only events are never recommended; older records have no visibility
+const PUBLIC_VISIBILITY = { $in: ["public", null] };
 const { Op } = require("sequelize");
 
+// Popularity (check-ins weigh more than RSVPs, maybe/interested less), scaled by
+// the host's average rating: 3 stars is neutral.
+const SCORE_FIELD = {
+  $addFields: {
+    score: {
+      $multiply: [
+        {
+          $add: [
+            { $ifNull: ["$recent_rsvps", 0] },
+            { $multiply: [CHECK_IN_WEIGHT, { $ifNull: ["$check_ins", 0] }] },
+            { $multiply: [INTEREST_WEIGHT, { $ifNull: ["$recent_interest", 0] }] },
+          ],
+        },
+        {
+          $cond: [
+            { $gte: [{ $ifNull: ["$host_rating_count", 0] }, MIN_HOST_RATINGS] },
+            { $add: [1, { $multiply: [HOST_RATING_BOOST / 2, { $subtract: ["$host_rating", 3] }] }] },
+            1,
+          ],
+        },
+      ],
+    },
+  },
+};
+
 async function calculatePersonalizedRecommendations(userId) {
   // 1. Fetch User Behavior
   const userProfile = await UserProfile.findOne({ user_id: userId });
 
-  if (!userProfile || userProfile.rsvp_history.length === 0) {
+  const engagedEventIds = [
+    ...new Set([
+      ...(userProfile ? userProfile.rsvp_history : []),
+      ...(userProfile ? userProfile.attended_history : []),
+      ...(userProfile ? userProfile.interested_history : []),
+    ]),
+  ];
+
+  if (engagedEventIds.length === 0) {
     // Cold Start: If no history exists, fall back to trending.
-    const trending = await redisClient.get(REDIS_KEY_TRENDING);
+    const trending = await redisClient.get(CACHE_KEY_TRENDING);
     return trending ? JSON.parse(trending).results : [];
   }
 
-  // 2. Identify Interested Categories (Simple Content-Based Filtering)
-  // Find the categories of the events the user has RSVP'd to
+  // 2. Identify Interested Categories and Tags (Simple Content-Based Filtering)
+  // Find the categories and tags of the events the user has RSVP'd to, attended or
+  // shown interest in; attended events count CHECK_IN_WEIGHT times, interest INTEREST_WEIGHT
   const recentEvents = await EventFeature.find({
-    event_id: { $in: userProfile.rsvp_history },
-  }).select("category");
+    event_id: { $in: engagedEventIds },
+  }).select("event_id category tags");
+  const weightOf = (e) => {
+    if (userProfile.attended_history.includes(e.event_id)) return CHECK_IN_WEIGHT;
+    return userProfile.rsvp_history.includes(e.event_id) ? 1 : INTEREST_WEIGHT;
+  };
 
-  // Create a set of unique interested categories (e.g., ['Tech', 'Sports'])
-  const interestedCategories = [
-    ...new Set(recentEvents.map((e) => e.category)),
-  ];
+  // Rank interests by weighted frequency (e.g., ['technology', 'sports'] and ['ai', 'hackathon'])
+  const categoryScores = new Map();
+  const tagScores = new Map();
+  for (const e of recentEvents) {
+    if (e.category && e.category !== "uncategorized") {
+      categoryScores.set(e.category, (categoryScores.get(e.category) || 0) + weightOf(e));
+    }
+    for (const tag of e.tags || []) {
+      tagScores.set(tag, (tagScores.get(tag) || 0) + weightOf(e));
+    }
+  }
+  const byScore = (scores) =>
+    [...scores.entries()].sort((a, b) => b[1] - a[1]).map(([key]) => key);
+  const interestedCategories = byScore(categoryScores).slice(0, 5);
+  const interestedTags = byScore(tagScores).slice(0, 10);
 
-  // 3. Query for New, Unseen Events in Those Categories
-  const recommendedEvents = await EventFeature.find({
-    // Find events in the interested categories that the user hasn't RSVP'd to yet
-    category: { $in: interestedCategories },
-    event_id: { $nin: userProfile.rsvp_history }, // Exclude already attended events
-  })
-    .sort({ recent_rsvps: -1 }) // Prioritize popular events within the interest
-    .limit(10)
-    .select("event_id title host_id");
+  // 3. Query for New, Unseen Events sharing a category or a tag
+  const recommendedEvents = await EventFeature.aggregate([
+    {
+      $match: {
+        $or: [
+          { category: { $in: interestedCategories } },
+          { tags: { $in: interestedTags } },
+        ],
+        event_id: { $nin: engagedEventIds }, // Exclude already attended events
+        visibility: PUBLIC_VISIBILITY,
+      },
+    },
+    SCORE_FIELD,
+    { $sort: { score: -1, createdAt: -1 } }, // Prioritize popular, well-rated events within the interest
+    { $limit: 10 },
+    { $project: { event_id: 1, title: 1, host_id: 1 } },
+  ]);
 
   // Return clean payload
   return recommendedEvents.map((e) => ({
@@ -52,11 +119,14 @@ async function calculatePersonalizedRecommendations(userId) {
 async function calculateAndCacheTrending() {
   console.log("[Worker] Starting trending calculation...");
   try {
-    // 1. Fetch data from MongoDB, ordered by recent RSVP count
-    const trendingEvents = await EventFeature.find({})
-      .sort({ recent_rsvps: -1, "timestamps.createdAt": -1 }) // Sort by popularity, then recency
-      .limit(20)
-      .select("event_id title host_id recent_rsvps");
+    // 1. Fetch data from MongoDB, ordered by popularity and host quality (see SCORE_FIELD)
+    const trendingEvents = await EventFeature.aggregate([
+      { $match: { visibility: PUBLIC_VISIBILITY } },
+      SCORE_FIELD,
+      { $sort: { score: -1, createdAt: -1 } }, // Sort by popularity, then recency
+      { $limit: 20 },
+      { $project: { event_id: 1, title: 1, host_id: 1, recent_rsvps: 1, check_ins: 1 } },
+    ]);
 
     // 2. Format the result (only send necessary IDs and titles)'
     // console.log(trendingEvents, "from DB trendingEvents");
@@ -64,6 +134,7 @@ async function calculateAndCacheTrending() {
       id: e.event_id,
       title: e.title,
       rsvps: e.recent_rsvps,
+      check_ins: e.check_ins || 0,
       host_id: e.host_id,
     }));
 
@@ -1,8 +1,6 @@
 const { Kafka, logLevel, Partitioners  } = require('kafkajs');
 const KAFKA_BROKERS = process.env.KAFKA_BROKERS || 'localhost:9094';
-const TOPIC_EVENTS = 'events';
 const MAX_RETRIES = 3;
-const RETRY_DELAY = 1000;
 
 // Enhanced Kafka configuration
 const kafka = new Kafka({
@@ -36,27 +34,18 @@ async function connectProducer() {
     }
 }
 
-// --- Producer Logic with retry ---
-async function publishEvent(type, payload, retryCount = 0) {
-    try {
-        const event = { type, timestamp: new Date().toISOString(), data: payload };
-        await producer.send({
-            topic: TOPIC_EVENTS,
-            messages: [{
-                key: payload.event_id,
-                value: JSON.stringify(event)
-            }],
-        });
-        console.log(`[Producer] Event published: ${type} for ${payload.event_id}`);
-    } catch (error) {
-        console.error(`[Producer Error] Failed to publish ${type}:`, error);
-        if (retryCount < MAX_RETRIES) {
-            console.log(`Retrying publish in ${RETRY_DELAY}ms... (${retryCount + 1}/${MAX_RETRIES})`);
-            await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
-            return publishEvent(type, payload, retryCount + 1);
-        }
-        throw error;
-    }
+// --- Producer Logic ---
+// Services publish through services/outbox.js; only the outbox relay sends directly.
+// Retries are the relay's job (it keeps per-key order), so a failure is thrown as is.
+async function sendEvent(topic, key, event) {
+    await producer.send({
+        topic,
+        messages: [{
+            key,
+            value: JSON.stringify(event)
+        }],
+    });
+    console.log(`[Producer] Event published: ${event.type} for ${key}`);
 }
 
 // --- Consumer Logic with reconnection handling ---
@@ -114,4 +103,4 @@ const gracefulShutdown = async () => {
 process.on('SIGTERM', gracefulShutdown);
 process.on('SIGINT', gracefulShutdown);
 
-module.exports = { publishEvent, connectProducer };
\ No newline at end of file
+module.exports = { sendEvent, connectProducer };
\ No newline at end of file
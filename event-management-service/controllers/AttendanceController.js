@@ -0,0 +1,304 @@
+const Event = require("../models/Event");
+const EventParticipant = require("../models/EventParticipant");
+const EventOccurrenceParticipant = require("../models/EventOccurrenceParticipant");
+const EventOccurrenceException = require("../models/EventOccurrenceException");
+const EventOccurrenceCheckIn = require("../models/EventOccurrenceCheckIn");
+const { publishEvent } = require("../services/outbox");
+const sequelize = require("../utils/db");
+const { Op, Sequelize } = require("sequelize");
+const { issueCheckInToken, verifyCheckInToken } = require("../utils/checkinToken");
+const { DEFAULT_EXPANSION_DAYS, expandSeries } = require("../utils/recurrence");
+const { eventDuration } = require("../utils/eventTime");
+const { can } = require("../services/permissions");
+
+/**
+ * The series occurrence generated at `occurrence_start` (moves applied), or
+ * the next one that has not ended when `occurrence_start` is omitted.
+ * @returns {Promise<object|null>} Null when there is no such (uncancelled) occurrence.
+ */
+async function findSeriesOccurrence(event, occurrence_start, transaction) {
+  const exceptions = await EventOccurrenceException.findAll({
+    where: { event_id: event.event_id },
+    transaction,
+  });
+  const fields = event.get({ plain: true });
+  if (occurrence_start) {
+    const [occurrence] = expandSeries(fields, exceptions, occurrence_start, occurrence_start);
+    return occurrence || null;
+  }
+  const now = new Date();
+  const from = new Date(now.getTime() - eventDuration(fields));
+  const until = new Date(now.getTime() + DEFAULT_EXPANSION_DAYS * 24 * 60 * 60 * 1000);
+  return (
+    expandSeries(fields, exceptions, from, until).find(
+      (occurrence) => occurrence.end_time > now
+    ) || null
+  );
+}
+
+// Whether the attendee holds a seat for the occurrence: a going series RSVP or an occurrence RSVP.
+async function isRegisteredForOccurrence(event_id, occurrence_start, attendee_id, transaction) {
+  const [seriesRsvp, occurrenceRsvp] = await Promise.all([
+    EventParticipant.count({
+      where: { event_id, attendee_id, rsvp_status: "going" },
+      transaction,
+    }),
+    EventOccurrenceParticipant.count({
+      where: { event_id, occurrence_start, attendee_id },
+      transaction,
+    }),
+  ]);
+  return seriesRsvp + occurrenceRsvp > 0;
+}
+
+// Shape returned from transaction callbacks when the request must be rejected.
+const rejection = (status, message) => ({ error: { status, message } });
+
+exports.getCheckInToken = async (req, res) => {
+  const { event_id } = req.params;
+  const attendee_id = req.user.id;
+
+  let requestedStart = null;
+  if (req.query.occurrence_start !== undefined) {
+    requestedStart = new Date(req.query.occurrence_start);
+    if (Number.isNaN(requestedStart.getTime())) {
+      return res
+        .status(400)
+        .send({ message: "occurrence_start must be an ISO 8601 date-time." });
+    }
+  }
+
+  try {
+    const event = await Event.findByPk(event_id);
+    if (!event) {
+      return res.status(404).send({ message: "Event not found." });
+    }
+
+    let issued;
+    let checkIn;
+    if (!event.recurrence_rule) {
+      if (requestedStart) {
+        return res
+          .status(400)
+          .send({ message: "occurrence_start only applies to recurring events." });
+      }
+      checkIn = await EventParticipant.findOne({
+        where: { event_id, attendee_id, rsvp_status: "going" },
+      });
+      if (!checkIn) {
+        return res
+          .status(403)
+          .send({ message: "Only registered attendees receive a check-in code." });
+      }
+      issued = issueCheckInToken(event_id, attendee_id, event.date_time);
+    } else {
+      // Each session of a series is checked in separately, so codes are per occurrence
+      const occurrence = await findSeriesOccurrence(event, requestedStart);
+      if (!occurrence) {
+        return res.status(404).send({ message: "Occurrence not found." });
+      }
+      const occurrence_start = new Date(occurrence.occurrence_start);
+      if (!(await isRegisteredForOccurrence(event_id, occurrence_start, attendee_id))) {
+        return res
+          .status(403)
+          .send({ message: "Only registered attendees receive a check-in code." });
+      }
+      checkIn = await EventOccurrenceCheckIn.findOne({
+        where: { event_id, occurrence_start, attendee_id },
+      });
+      issued = {
+        ...issueCheckInToken(event_id, attendee_id, occurrence.date_time, occurrence_start),
+        occurrence_start: occurrence_start.toISOString(),
+      };
+    }
+    if (new Date(issued.expires_at) <= new Date()) {
+      return res.status(400).send({ message: "Check-in for this event has closed." });
+    }
+
+    res.status(200).send({
+      ...issued,
+      checked_in_at: checkIn ? checkIn.checked_in_at : null,
+    });
+  } catch (error) {
+    console.error("Get check-in token error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.checkInAttendee = async (req, res) => {
+  const { event_id } = req.params;
+  const staff_id = req.user.id;
+  const { token } = req.body;
+
+  if (!token) {
+    return res.status(400).send({ message: "Missing check-in token." });
+  }
+
+  let attendee_id;
+  let occurrence_start;
+  try {
+    const event = await Event.findByPk(event_id);
+    if (!event) {
+      return res.status(404).send({ message: "Event not found." });
+    }
+    if (!(await can(event, staff_id, "attendee:check_in"))) {
+      return res
+        .status(403)
+        .send({ message: "Forbidden: You are not check-in staff for this event." });
+    }
+    if (event.status === "cancelled" || event.status === "draft") {
+      return res
+        .status(409)
+        .send({ message: `This event is ${event.status}; attendees cannot check in.` });
+    }
+
+    try {
+      ({ attendee_id, occurrence_start } = verifyCheckInToken(token, event_id));
+    } catch (error) {
+      return res.status(400).send({ message: error.message });
+    }
+    // Codes issued before the event became (or stopped being) a series
+    if (Boolean(event.recurrence_rule) !== Boolean(occurrence_start)) {
+      return res
+        .status(400)
+        .send({ message: "Invalid or expired check-in code for this event." });
+    }
+
+    const checked_in_at = new Date();
+    const result = await sequelize.transaction(async (transaction) => {
+      if (occurrence_start) {
+        if (!(await findSeriesOccurrence(event, occurrence_start, transaction))) {
+          return rejection(409, "This occurrence is no longer scheduled.");
+        }
+        const registered = await isRegisteredForOccurrence(
+          event_id,
+          occurrence_start,
+          attendee_id,
+          transaction
+        );
+        if (!registered) {
+          return rejection(404, "Attendee is no longer registered for this event.");
+        }
+        // The primary key admits one check-in per occurrence, so a concurrent
+        // scan of the same code fails here and publishes nothing
+        await EventOccurrenceCheckIn.create(
+          { event_id, occurrence_start, attendee_id, checked_in_at, checked_in_by: staff_id },
+          { transaction }
+        );
+        // A series RSVP also records its first attended session (ratings, attendance stats)
+        await EventParticipant.update(
+          { checked_in_at, checked_in_by: staff_id },
+          {
+            where: { event_id, attendee_id, rsvp_status: "going", checked_in_at: null },
+            transaction,
+          }
+        );
+      } else {
+        // Conditional claim: of two concurrent scans only one updates the row
+        const [updated] = await EventParticipant.update(
+          { checked_in_at, checked_in_by: staff_id },
+          {
+            where: { event_id, attendee_id, rsvp_status: "going", checked_in_at: null },
+            transaction,
+          }
+        );
+        if (updated === 0) {
+          const participation = await EventParticipant.findOne({
+            where: { event_id, attendee_id, rsvp_status: "going" },
+            transaction,
+          });
+          // The RSVP was cancelled (or changed from going) after the code was issued
+          return participation
+            ? { previous_check_in: participation.checked_in_at }
+            : rejection(404, "Attendee is no longer registered for this event.");
+        }
+      }
+
+      // Notifies DRS (attendance outweighs RSVPs) and any other listeners
+      await publishEvent(
+        "attendee_checked_in",
+        {
+          event_id,
+          occurrence_start: occurrence_start && occurrence_start.toISOString(),
+          user_id: attendee_id,
+          checked_in_by: staff_id,
+          checked_in_at: checked_in_at.toISOString(),
+        },
+        { transaction }
+      );
+      return {};
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).send({ message: result.error.message });
+    }
+    if (result.previous_check_in) {
+      return res.status(409).send({
+        message: "Attendee has already checked in.",
+        attendee_id,
+        checked_in_at: result.previous_check_in,
+      });
+    }
+    res.status(200).send({
+      message: "Attendee checked in successfully.",
+      attendee_id,
+      occurrence_start,
+      checked_in_at,
+    });
+  } catch (error) {
+    if (error instanceof Sequelize.UniqueConstraintError) {
+      const checkIn = await EventOccurrenceCheckIn.findOne({
+        where: { event_id, occurrence_start, attendee_id },
+      });
+      return res.status(409).send({
+        message: "Attendee has already checked in to this occurrence.",
+        attendee_id,
+        occurrence_start,
+        checked_in_at: checkIn && checkIn.checked_in_at,
+      });
+    }
+    console.error("Check-in error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.getAttendanceStats = async (req, res) => {
+  const { event_id } = req.params;
+  const user_id = req.user.id;
+
+  try {
+    const event = await Event.findByPk(event_id);
+    if (!event) {
+      return res.status(404).send({ message: "Event not found." });
+    }
+    if (!(await can(event, user_id, "attendance:view"))) {
+      return res
+        .status(403)
+        .send({ message: "Forbidden: You do not have permission to manage this event." });
+    }
+
+    const going = { event_id, rsvp_status: "going" };
+    const rsvp_count = await EventParticipant.count({ where: going });
+    const checked_in_count = await EventParticipant.count({
+      where: { ...going, checked_in_at: { [Op.ne]: null } },
+    });
+    const no_show_count = rsvp_count - checked_in_count;
+    // A party checks in together with its attendee's QR code
+    const guest_count = (await EventParticipant.sum("guests", { where: going })) || 0;
+
+    res.status(200).send({
+      event_id,
+      // No-shows are only final once the event has started
+      event_started: new Date(event.date_time) <= new Date(),
+      rsvp_count,
+      guest_count,
+      checked_in_count,
+      no_show_count,
+      no_show_rate:
+        rsvp_count === 0 ? null : Number((no_show_count / rsvp_count).toFixed(4)),
+    });
+  } catch (error) {
+    console.error("Get attendance stats error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
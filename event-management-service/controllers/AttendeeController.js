@@ -0,0 +1,173 @@
+const Event = require("../models/Event");
+const EventParticipant = require("../models/EventParticipant");
+const EventOccurrenceParticipant = require("../models/EventOccurrenceParticipant");
+const EventWaitlist = require("../models/EventWaitlist");
+const { Op } = require("sequelize");
+const { can } = require("../services/permissions");
+const { getUsernames } = require("../services/userServiceClient");
+const { parsePageQuery, keysetWhere, keysetOrder, buildPage } = require("../utils/pagination");
+const { toCsv } = require("../utils/csv");
+
+// registered and the check-in filters list "going" RSVPs; the other RSVP states have their own
+const STATUSES = [
+  "registered",
+  "checked_in",
+  "not_checked_in",
+  "waitlisted",
+  "maybe",
+  "interested",
+  "declined",
+];
+const OTHER_RSVP_STATUSES = ["maybe", "interested", "declined"];
+const ORDERS = ["asc", "desc"];
+const FORMATS = ["json", "csv"];
+
+// Which table a roster query reads, and the column it is ordered by.
+function rosterSource(event_id, status, occurrence_start) {
+  if (occurrence_start) {
+    return {
+      model: EventOccurrenceParticipant,
+      where: { event_id, occurrence_start },
+      keys: { time: "joined_at", id: "attendee_id" },
+    };
+  }
+  if (status === "waitlisted") {
+    return {
+      model: EventWaitlist,
+      where: { event_id },
+      keys: { time: "waitlisted_at", id: "attendee_id" },
+    };
+  }
+  if (OTHER_RSVP_STATUSES.includes(status)) {
+    return {
+      model: EventParticipant,
+      where: { event_id, rsvp_status: status },
+      keys: { time: "joined_at", id: "attendee_id" },
+    };
+  }
+  const checkIn = {
+    registered: {},
+    checked_in: { checked_in_at: { [Op.ne]: null } },
+    not_checked_in: { checked_in_at: null },
+  };
+  return {
+    model: EventParticipant,
+    where: { event_id, rsvp_status: "going", ...checkIn[status] },
+    keys: { time: "joined_at", id: "attendee_id" },
+  };
+}
+
+const toAttendee = (row, status, usernames) => ({
+  attendee_id: row.attendee_id,
+  username: usernames.get(row.attendee_id) || null,
+  status,
+  rsvp_status: row.rsvp_status || "going",
+  guests: row.guests,
+  joined_at: status === "waitlisted" ? row.waitlisted_at : row.joined_at,
+  checked_in_at: row.checked_in_at || null,
+});
+
+exports.getAttendees = async (req, res) => {
+  const { event_id } = req.params;
+  const status = req.query.status || "registered";
+  const order = req.query.order || "asc";
+  const format = req.query.format || "json";
+  const { occurrence_start } = req.query;
+
+  if (!STATUSES.includes(status)) {
+    return res.status(400).send({ message: `status must be one of: ${STATUSES.join(", ")}.` });
+  }
+  if (!ORDERS.includes(order)) {
+    return res.status(400).send({ message: `order must be one of: ${ORDERS.join(", ")}.` });
+  }
+  if (!FORMATS.includes(format)) {
+    return res.status(400).send({ message: `format must be one of: ${FORMATS.join(", ")}.` });
+  }
+  let occurrenceStart = null;
+  if (occurrence_start !== undefined) {
+    occurrenceStart = new Date(occurrence_start);
+    if (Number.isNaN(occurrenceStart.getTime())) {
+      return res
+        .status(400)
+        .send({ message: "occurrence_start must be an ISO 8601 date-time." });
+    }
+    // Check-in, the waitlist and RSVP states only exist for whole-event RSVPs
+    if (status !== "registered") {
+      return res
+        .status(400)
+        .send({ message: "Occurrence rosters can only be filtered by status=registered." });
+    }
+  }
+
+  const source = rosterSource(event_id, status, occurrenceStart);
+  const descending = order === "desc";
+  let page;
+  try {
+    page = parsePageQuery(req.query, { keys: source.keys });
+  } catch (error) {
+    return res.status(400).send({ message: error.message });
+  }
+
+  try {
+    const event = await Event.findByPk(event_id);
+    if (!event) {
+      return res.status(404).send({ message: "Event not found." });
+    }
+    if (!(await can(event, req.user.id, "attendees:view"))) {
+      return res
+        .status(403)
+        .send({ message: "Forbidden: Only the event's hosts can view its attendees." });
+    }
+    const rowStatus =
+      status === "waitlisted" || OTHER_RSVP_STATUSES.includes(status) ? status : "registered";
+
+    if (format === "csv") {
+      // The export is the whole filtered roster, not one page
+      const rows = await source.model.findAll({
+        where: source.where,
+        order: [
+          [source.keys.time, descending ? "DESC" : "ASC"],
+          [source.keys.id, descending ? "DESC" : "ASC"],
+        ],
+      });
+      const usernames = await getUsernames(rows.map((row) => row.attendee_id));
+      const attendees = rows.map((row) => toAttendee(row, rowStatus, usernames));
+
+      const csv = toCsv(
+        ["attendee_id", "username", "status", "rsvp_status", "guests", "joined_at", "checked_in_at"],
+        attendees.map((attendee) => [
+          attendee.attendee_id,
+          attendee.username,
+          attendee.status,
+          attendee.rsvp_status,
+          attendee.guests,
+          new Date(attendee.joined_at).toISOString(),
+          attendee.checked_in_at && new Date(attendee.checked_in_at).toISOString(),
+        ])
+      );
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="attendees-${event_id}-${status}.csv"`);
+      return res.status(200).send(csv);
+    }
+
+    const [rows, total] = await Promise.all([
+      source.model.findAll({
+        where: { [Op.and]: [source.where, keysetWhere(page, descending)] },
+        order: keysetOrder(page, descending),
+        limit: page.limit + 1,
+      }),
+      source.model.count({ where: source.where }),
+    ]);
+    const { events: pageRows, ...cursors } = buildPage(rows, page);
+    const usernames = await getUsernames(pageRows.map((row) => row.attendee_id));
+
+    res.status(200).send({
+      attendees: pageRows.map((row) => toAttendee(row, rowStatus, usernames)),
+      total,
+      ...cursors,
+    });
+  } catch (error) {
+    console.error("Get attendees error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
@@ -0,0 +1,113 @@
+const crypto = require("crypto");
+const Event = require("../models/Event");
+const EventOccurrenceException = require("../models/EventOccurrenceException");
+const CalendarFeedToken = require("../models/CalendarFeedToken");
+const { findAttendance } = require("../services/attendance");
+const { renderEvent, buildCalendar } = require("../utils/ics");
+const { canView } = require("../services/permissions");
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const sendCalendar = (res, body, filename) => {
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  if (filename) {
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  }
+  res.status(200).send(body);
+};
+
+exports.getEventIcs = async (req, res) => {
+  const { event_id } = req.params;
+
+  try {
+    const event = await Event.findByPk(event_id, {
+      include: [{ model: EventOccurrenceException, as: "exceptions" }],
+    });
+    if (!event || !(await canView(event, req.user?.id, { invite_code: req.query.invite }))) {
+      return res.status(404).send({ message: "Event not found." });
+    }
+
+    const calendar = buildCalendar(
+      renderEvent(event, { exceptions: event.exceptions })
+    );
+    sendCalendar(res, calendar, `event-${event_id}.ics`);
+  } catch (error) {
+    console.error("Get event ICS error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.getCalendarFeed = async (req, res) => {
+  // Calendar apps like a file extension, so /events/calendar/<token>.ics is accepted too
+  const token = req.params.token.replace(/\.ics$/, "");
+
+  try {
+    const feedToken = await CalendarFeedToken.findOne({
+      where: { token_hash: hashToken(token) },
+    });
+    if (!feedToken) {
+      return res.status(404).send({ message: "Calendar feed not found." });
+    }
+
+    // Same data as GET /events/attending; the full feed is re-rendered on every poll,
+    // so updated events carry a higher SEQUENCE and deleted events simply drop out.
+    const { events, occurrences } = await findAttendance(feedToken.user_id, {
+      includeExceptions: true,
+    });
+    const lines = [
+      ...events.flatMap((event) =>
+        renderEvent(event, { exceptions: event.exceptions })
+      ),
+      ...occurrences.flatMap(({ event, occurrence_start }) =>
+        renderEvent(event, {
+          exceptions: event.exceptions,
+          occurrenceStart: occurrence_start,
+        })
+      ),
+    ];
+
+    await feedToken.update({ last_used_at: new Date() });
+    sendCalendar(res, buildCalendar(lines, "Campus Connect - My Events"));
+  } catch (error) {
+    console.error("Get calendar feed error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.createCalendarFeedToken = async (req, res) => {
+  const user_id = req.user.id;
+
+  try {
+    // Issuing a new token replaces (and therefore revokes) the previous one
+    const token = crypto.randomBytes(32).toString("hex");
+    await CalendarFeedToken.upsert({
+      user_id,
+      token_hash: hashToken(token),
+      last_used_at: null,
+    });
+
+    res.status(201).send({
+      token,
+      feed_url: `${req.protocol}://${req.get("host")}${req.baseUrl}/calendar/${token}.ics`,
+      message: "Keep this URL secret. Anyone with it can read your event calendar.",
+    });
+  } catch (error) {
+    console.error("Create calendar token error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.revokeCalendarFeedToken = async (req, res) => {
+  const user_id = req.user.id;
+
+  try {
+    const rowsDeleted = await CalendarFeedToken.destroy({ where: { user_id } });
+    if (rowsDeleted === 0) {
+      return res.status(404).send({ message: "No active calendar feed." });
+    }
+    res.status(200).send({ message: "Calendar feed revoked." });
+  } catch (error) {
+    console.error("Revoke calendar token error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
@@ -0,0 +1,65 @@
+const Category = require("../models/Category");
+const { Sequelize } = require("sequelize");
+
+exports.getCategories = async (req, res) => {
+  // Retired categories are only listed on request (e.g. for admin screens)
+  const where = req.query.include_inactive === "true" ? {} : { is_active: true };
+
+  try {
+    const categories = await Category.findAll({
+      where,
+      attributes: ["slug", "name", "description", "is_active"],
+      order: [["name", "ASC"]],
+    });
+    res.status(200).send(categories);
+  } catch (error) {
+    console.error("Get categories error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.createCategory = async (req, res) => {
+  const { slug, name, description } = req.body;
+
+  if (!slug || !name) {
+    return res.status(400).send({ message: "Missing required fields: slug and name." });
+  }
+
+  try {
+    const category = await Category.create({ slug, name, description });
+    res.status(201).send(category);
+  } catch (error) {
+    if (error instanceof Sequelize.UniqueConstraintError) {
+      return res.status(409).send({ message: "Category slug or name already exists." });
+    }
+    if (error instanceof Sequelize.ValidationError) {
+      return res
+        .status(400)
+        .send({ message: "Slug must be lowercase letters, numbers and dashes." });
+    }
+    console.error("Create category error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.updateCategory = async (req, res) => {
+  const { slug } = req.params;
+  const { name, description, is_active } = req.body;
+
+  try {
+    const category = await Category.findByPk(slug);
+    if (!category) {
+      return res.status(404).send({ message: "Category not found." });
+    }
+
+    // The slug is immutable because events and DRS features reference it
+    await category.update({ name, description, is_active });
+    res.status(200).send(category);
+  } catch (error) {
+    if (error instanceof Sequelize.UniqueConstraintError) {
+      return res.status(409).send({ message: "Category name already exists." });
+    }
+    console.error("Update category error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
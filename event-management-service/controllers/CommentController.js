@@ -0,0 +1,474 @@
+const Event = require("../models/Event");
+const EventComment = require("../models/EventComment");
+const EventRole = require("../models/EventRole");
+const { publishEvent } = require("../services/outbox");
+const sequelize = require("../utils/db");
+const { Op } = require("sequelize");
+const { PERMISSIONS, getEventRole, canView } = require("../services/permissions");
+const { parsePageQuery, keysetWhere, keysetOrder, buildPage } = require("../utils/pagination");
+
+const MAX_BODY_LENGTH = 2000;
+const MAX_REASON_LENGTH = 255;
+const EXCERPT_LENGTH = 140;
+const THREAD_KEYS = { time: "created_at", id: "comment_id" };
+
+function parseBody(body) {
+  if (typeof body !== "string" || body.trim() === "") {
+    throw new Error("body must be a non-empty string.");
+  }
+  if (body.length > MAX_BODY_LENGTH) {
+    throw new Error(`body must be at most ${MAX_BODY_LENGTH} characters.`);
+  }
+  return body.trim();
+}
+
+const excerpt = (body) =>
+  body.length > EXCERPT_LENGTH ? `${body.slice(0, EXCERPT_LENGTH - 1)}…` : body;
+
+// Owner and co-hosts, whose comments are badged and who are told about new threads.
+async function getHostIds(event, transaction) {
+  const coHosts = await EventRole.findAll({
+    where: { event_id: event.event_id, role: "co_host" },
+    attributes: ["user_id"],
+    transaction,
+  });
+  return [event.host_id, ...coHosts.map((r) => r.user_id)];
+}
+
+// The API shape of a comment as seen by `viewer_id`.
+function present(comment, { viewer_id, moderator, hostIds }) {
+  const canSeeHidden = moderator || comment.author_id === viewer_id;
+  // Freshly created rows leave unset columns undefined rather than null
+  const hidden = Boolean(comment.hidden_at);
+  const deleted = Boolean(comment.deleted_at);
+  return {
+    comment_id: comment.comment_id,
+    parent_id: comment.parent_id,
+    author_id: comment.author_id,
+    by_host: hostIds.includes(comment.author_id),
+    body: deleted || (hidden && !canSeeHidden) ? null : comment.body,
+    created_at: comment.created_at,
+    edited_at: comment.edited_at || null,
+    deleted,
+    hidden,
+    ...(hidden && canSeeHidden ? { hidden_reason: comment.hidden_reason } : {}),
+    is_answer: Boolean(comment.pinned_at),
+  };
+}
+
+// present() for a single comment returned to the caller who just changed it.
+async function presentFor(comment, event, role, viewer_id) {
+  return present(comment, {
+    viewer_id,
+    moderator: PERMISSIONS["comment:moderate"].includes(role),
+    hostIds: await getHostIds(event),
+  });
+}
+
+// Loads a comment of the event along with the event and the caller's role.
+async function loadComment(event_id, comment_id, user_id, transaction) {
+  const event = await Event.findByPk(event_id, { transaction });
+  if (!event || !(await canView(event, user_id, { transaction }))) {
+    return { error: { status: 404, message: "Event not found." } };
+  }
+  const comment = await EventComment.findOne({
+    where: { comment_id, event_id },
+    transaction,
+    lock: transaction.LOCK.UPDATE,
+  });
+  if (!comment) {
+    return { error: { status: 404, message: "Comment not found." } };
+  }
+  const role = await getEventRole(event, user_id, transaction);
+  return { event, comment, role };
+}
+
+exports.getComments = async (req, res) => {
+  const { event_id } = req.params;
+  const viewer_id = req.user?.id;
+
+  let page;
+  try {
+    page = parsePageQuery(req.query, { keys: THREAD_KEYS });
+  } catch (error) {
+    return res.status(400).send({ message: error.message });
+  }
+
+  try {
+    const event = await Event.findByPk(event_id);
+    if (!event || !(await canView(event, viewer_id, { invite_code: req.query.invite }))) {
+      return res.status(404).send({ message: "Event not found." });
+    }
+
+    // Threads newest first; each thread carries all of its replies
+    const rows = await EventComment.findAll({
+      where: { [Op.and]: [{ event_id, parent_id: null }, keysetWhere(page, true)] },
+      order: keysetOrder(page, true),
+      limit: page.limit + 1,
+    });
+    const { events: threads, ...cursors } = buildPage(rows, page);
+    const replies = await EventComment.findAll({
+      where: { parent_id: threads.map((thread) => thread.comment_id) },
+      order: [["created_at", "ASC"]],
+    });
+
+    const context = {
+      viewer_id,
+      moderator: PERMISSIONS["comment:moderate"].includes(await getEventRole(event, viewer_id)),
+      hostIds: await getHostIds(event),
+    };
+    res.status(200).send({
+      threads: threads.map((thread) => ({
+        ...present(thread, context),
+        // The pinned answer leads, the rest follow in posting order
+        replies: replies
+          .filter((reply) => reply.parent_id === thread.comment_id)
+          .sort((a, b) => Boolean(b.pinned_at) - Boolean(a.pinned_at))
+          .map((reply) => present(reply, context)),
+      })),
+      ...cursors,
+    });
+  } catch (error) {
+    console.error("Get comments error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.createComment = async (req, res) => {
+  const { event_id } = req.params;
+  const author_id = req.user.id;
+  const { parent_id } = req.body || {};
+
+  let body;
+  try {
+    body = parseBody((req.body || {}).body);
+  } catch (error) {
+    return res.status(400).send({ message: error.message });
+  }
+
+  try {
+    const result = await sequelize.transaction(async (transaction) => {
+      const event = await Event.findByPk(event_id, { transaction });
+      if (!event || !(await canView(event, author_id, { transaction }))) {
+        return { error: { status: 404, message: "Event not found." } };
+      }
+
+      let parent = null;
+      if (parent_id) {
+        parent = await EventComment.findOne({
+          where: { comment_id: parent_id, event_id },
+          transaction,
+        });
+        if (!parent) {
+          return { error: { status: 404, message: "Comment to reply to not found." } };
+        }
+        if (parent.parent_id !== null) {
+          return {
+            error: { status: 400, message: "Replies cannot be replied to; reply to the thread instead." },
+          };
+        }
+        if (parent.deleted_at || parent.hidden_at) {
+          return { error: { status: 409, message: "This thread is closed to new replies." } };
+        }
+      }
+
+      const comment = await EventComment.create(
+        { event_id, parent_id: parent ? parent.comment_id : null, author_id, body },
+        { transaction }
+      );
+
+      // Everyone already in the thread hears about a reply; hosts hear about every new comment
+      let participantIds = [];
+      if (parent) {
+        const earlier = await EventComment.findAll({
+          where: { parent_id: parent.comment_id, deleted_at: null },
+          attributes: ["author_id"],
+          transaction,
+        });
+        participantIds = [parent.author_id, ...earlier.map((c) => c.author_id)];
+      }
+      await publishEvent(
+        "comment_created",
+        {
+          event_id,
+          title: event.title,
+          comment_id: comment.comment_id,
+          parent_id: comment.parent_id,
+          author_id,
+          excerpt: excerpt(body),
+          host_ids: await getHostIds(event, transaction),
+          thread_participant_ids: [...new Set(participantIds)].filter((id) => id !== author_id),
+        },
+        { transaction }
+      );
+      return { comment, event };
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).send({ message: result.error.message });
+    }
+    const role = await getEventRole(result.event, author_id);
+    res.status(201).send(await presentFor(result.comment, result.event, role, author_id));
+  } catch (error) {
+    console.error("Create comment error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.updateComment = async (req, res) => {
+  const { event_id, comment_id } = req.params;
+
+  let body;
+  try {
+    body = parseBody((req.body || {}).body);
+  } catch (error) {
+    return res.status(400).send({ message: error.message });
+  }
+
+  try {
+    const result = await sequelize.transaction(async (transaction) => {
+      const found = await loadComment(event_id, comment_id, req.user.id, transaction);
+      if (found.error) {
+        return found;
+      }
+      const { comment } = found;
+      if (comment.author_id !== req.user.id) {
+        return {
+          error: { status: 403, message: "Forbidden: Only the author can edit a comment." },
+        };
+      }
+      if (comment.deleted_at) {
+        return { error: { status: 409, message: "Deleted comments cannot be edited." } };
+      }
+      await comment.update({ body, edited_at: new Date() }, { transaction });
+      return found;
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).send({ message: result.error.message });
+    }
+    const { comment, event, role } = result;
+    res.status(200).send(await presentFor(comment, event, role, req.user.id));
+  } catch (error) {
+    console.error("Update comment error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.deleteComment = async (req, res) => {
+  const { event_id, comment_id } = req.params;
+
+  try {
+    const result = await sequelize.transaction(async (transaction) => {
+      const found = await loadComment(event_id, comment_id, req.user.id, transaction);
+      if (found.error) {
+        return found;
+      }
+      const { comment } = found;
+      // Hosts moderate by hiding; only authors remove their own words
+      if (comment.author_id !== req.user.id) {
+        return {
+          error: { status: 403, message: "Forbidden: Only the author can delete a comment. Hosts can hide it instead." },
+        };
+      }
+      if (comment.deleted_at) {
+        return { error: { status: 404, message: "Comment not found." } };
+      }
+      await comment.update(
+        { body: "", deleted_at: new Date(), pinned_at: null, pinned_by: null },
+        { transaction }
+      );
+      return {};
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).send({ message: result.error.message });
+    }
+    res.status(200).send({ message: "Comment deleted." });
+  } catch (error) {
+    console.error("Delete comment error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.hideComment = async (req, res) => {
+  const { event_id, comment_id } = req.params;
+  const { reason } = req.body || {};
+
+  if (reason !== undefined && (typeof reason !== "string" || reason.length > MAX_REASON_LENGTH)) {
+    return res
+      .status(400)
+      .send({ message: `reason must be a string of at most ${MAX_REASON_LENGTH} characters.` });
+  }
+
+  try {
+    const result = await sequelize.transaction(async (transaction) => {
+      const found = await loadComment(event_id, comment_id, req.user.id, transaction);
+      if (found.error) {
+        return found;
+      }
+      const { comment, role } = found;
+      if (!PERMISSIONS["comment:moderate"].includes(role)) {
+        return {
+          error: { status: 403, message: "Forbidden: Only the event's hosts can moderate comments." },
+        };
+      }
+      if (comment.deleted_at) {
+        return { error: { status: 404, message: "Comment not found." } };
+      }
+      // A hidden reply cannot stay the thread's answer
+      await comment.update(
+        {
+          hidden_at: comment.hidden_at || new Date(),
+          hidden_by: req.user.id,
+          hidden_reason: reason || null,
+          pinned_at: null,
+          pinned_by: null,
+        },
+        { transaction }
+      );
+      return {};
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).send({ message: result.error.message });
+    }
+    res.status(200).send({ message: "Comment hidden." });
+  } catch (error) {
+    console.error("Hide comment error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.restoreComment = async (req, res) => {
+  const { event_id, comment_id } = req.params;
+
+  try {
+    const result = await sequelize.transaction(async (transaction) => {
+      const found = await loadComment(event_id, comment_id, req.user.id, transaction);
+      if (found.error) {
+        return found;
+      }
+      const { comment, role } = found;
+      if (!PERMISSIONS["comment:moderate"].includes(role)) {
+        return {
+          error: { status: 403, message: "Forbidden: Only the event's hosts can moderate comments." },
+        };
+      }
+      if (!comment.hidden_at) {
+        return { error: { status: 409, message: "Comment is not hidden." } };
+      }
+      await comment.update(
+        { hidden_at: null, hidden_by: null, hidden_reason: null },
+        { transaction }
+      );
+      return {};
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).send({ message: result.error.message });
+    }
+    res.status(200).send({ message: "Comment restored." });
+  } catch (error) {
+    console.error("Restore comment error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.pinAnswer = async (req, res) => {
+  const { event_id, comment_id } = req.params;
+
+  try {
+    const result = await sequelize.transaction(async (transaction) => {
+      const found = await loadComment(event_id, comment_id, req.user.id, transaction);
+      if (found.error) {
+        return found;
+      }
+      const { event, comment, role } = found;
+      if (!PERMISSIONS["comment:pin"].includes(role)) {
+        return {
+          error: { status: 403, message: "Forbidden: Only the event's hosts can pin answers." },
+        };
+      }
+      if (comment.parent_id === null) {
+        return {
+          error: { status: 400, message: "Only replies can be pinned as a thread's answer." },
+        };
+      }
+      if (comment.deleted_at || comment.hidden_at) {
+        return { error: { status: 409, message: "Deleted or hidden replies cannot be pinned." } };
+      }
+      if (comment.pinned_at) {
+        return found;
+      }
+
+      // Locking the question serializes pins within a thread; this replaces any earlier answer
+      const question = await EventComment.findByPk(comment.parent_id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      await EventComment.update(
+        { pinned_at: null, pinned_by: null },
+        { where: { parent_id: comment.parent_id, pinned_at: { [Op.ne]: null } }, transaction }
+      );
+      await comment.update({ pinned_at: new Date(), pinned_by: req.user.id }, { transaction });
+
+      // RNS tells the asker their question was answered
+      await publishEvent(
+        "comment_answer_pinned",
+        {
+          event_id,
+          title: event.title,
+          comment_id: comment.comment_id,
+          parent_id: comment.parent_id,
+          question_author_id: question.author_id,
+          answer_author_id: comment.author_id,
+          pinned_by: req.user.id,
+        },
+        { transaction }
+      );
+      return found;
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).send({ message: result.error.message });
+    }
+    const { comment, event, role } = result;
+    res.status(200).send(await presentFor(comment, event, role, req.user.id));
+  } catch (error) {
+    console.error("Pin answer error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.unpinAnswer = async (req, res) => {
+  const { event_id, comment_id } = req.params;
+
+  try {
+    const result = await sequelize.transaction(async (transaction) => {
+      const found = await loadComment(event_id, comment_id, req.user.id, transaction);
+      if (found.error) {
+        return found;
+      }
+      const { comment, role } = found;
+      if (!PERMISSIONS["comment:pin"].includes(role)) {
+        return {
+          error: { status: 403, message: "Forbidden: Only the event's hosts can pin answers." },
+        };
+      }
+      if (!comment.pinned_at) {
+        return { error: { status: 409, message: "Comment is not pinned." } };
+      }
+      await comment.update({ pinned_at: null, pinned_by: null }, { transaction });
+      return {};
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).send({ message: result.error.message });
+    }
+    res.status(200).send({ message: "Answer unpinned." });
+  } catch (error) {
+    console.error("Unpin answer error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
@@ -1,43 +1,451 @@
 const Event = require("../models/Event");
-const { publishEvent } = require("../config/kafka");
+const { publishEvent } = require("../services/outbox");
 const { Sequelize } = require("sequelize");
-const { Op } = require("sequelize");
+const { Op, fn, col, literal } = require("sequelize");
 const EventParticipant = require("../models/EventParticipant"); // New Model
+const EventWaitlist = require("../models/EventWaitlist");
+const EventOccurrenceException = require("../models/EventOccurrenceException");
+const Building = require("../models/Building");
+const sequelize = require("../utils/db");
+const {
+  DEFAULT_EXPANSION_DAYS,
+  MAX_EXPANSION_DAYS,
+  buildRule,
+  getSeriesEnd,
+  expandSeries,
+} = require("../utils/recurrence");
+const { normalizeTags, validateCategory } = require("../utils/taxonomy");
+const { distanceKm, parseGeoQuery, matchesGeoFilter } = require("../utils/geo");
+const {
+  parsePageQuery,
+  keysetWhere,
+  keysetOrder,
+  buildPage,
+  paginateList,
+} = require("../utils/pagination");
+const {
+  buildTsQuery,
+  searchExpressions,
+  dateBucket,
+  dateBucketSql,
+} = require("../utils/search");
+const { can, canView, visibilityFilter } = require("../services/permissions");
+const { findRedeemableInvite, grantInvite } = require("../services/invites");
+const { UUID_PATTERN, parseEventUpdate, diffEvent } = require("../utils/eventUpdate");
+const { eventETag, matchesIfMatch } = require("../utils/etag");
+const { validateAnswers } = require("../utils/registrationForm");
+const { partySize, parseGuests } = require("../utils/guests");
+const { parseRsvpStatus, counterChanges } = require("../utils/rsvpStatus");
+const { checkRoomBooking, syncRoomBookings, roomTaken } = require("../services/roomBookings");
+const { resolveVenue, prepareEvent, insertEvent } = require("../services/eventCreation");
+const { syncReminders } = require("../services/reminders");
+const {
+  CONFLICT_POLICIES,
+  findScheduleConflicts,
+  conflictWarning,
+} = require("../services/attendance");
+const {
+  MAX_DURATION_MS,
+  eventDuration,
+  resolveEndTime,
+} = require("../utils/eventTime");
 // NOTE: Middleware must run first to populate req.user.id and authorize the host_id
 
+// Ranked searches page through at most this many best-matching one-off events.
+const RELEVANCE_WINDOW = 500;
+const SEARCH_SORTS = ["relevance", "date", "distance"];
+// sort=distance rank of events without a venue: below every real distance.
+const NO_VENUE_RANK = -1e9;
+
+// Updating any of these re-books the event's room.
+const ROOM_BOOKING_FIELDS = ["room_id", "date_time", "end_time", "time_zone", "recurrence_rule"];
+// Updating any of these reschedules the event's pending reminders.
+const REMINDER_FIELDS = ["date_time", "time_zone", "recurrence_rule"];
+
+// Shape returned from transaction callbacks when the request must be rejected.
+const rejection = (status, message) => ({ error: { status, message } });
+
+// Columns of the single-event representation (GET /events/:event_id and 412 bodies).
+const EVENT_DETAIL_ATTRIBUTES = [
+  "event_id",
+  "title",
+  "description",
+  "location",
+  "date_time",
+  "end_time",
+  "time_zone",
+  "host_id",
+  "attendees_count",
+  "maybe_count",
+  "interested_count",
+  "declined_count",
+  "rating_count",
+  "rating_average",
+  "capacity",
+  "max_guests_per_rsvp",
+  "recurrence_rule",
+  "recurrence_end",
+  "category",
+  "tags",
+  "building_id",
+  "room_id",
+  "status",
+  "visibility",
+  "publish_at",
+  "cancellation_reason",
+  "registration_form",
+  "sequence",
+];
+
+const IF_MATCH_REQUIRED =
+  "If-Match header is required. Send the ETag from GET /events/:event_id.";
+
+// 412 response for a stale If-Match: the client gets the current event to merge with.
+function sendPreconditionFailed(res, event) {
+  const current = Object.fromEntries(
+    EVENT_DETAIL_ATTRIBUTES.map((attribute) => [attribute, event.get(attribute)])
+  );
+  res.set("ETag", eventETag(event)).status(412).send({
+    message: "The event was changed by someone else. Merge with the current version and retry.",
+    current,
+  });
+}
+
+/**
+ * Moves waitlisted parties into free seats, oldest first (FIFO). A party that
+ * does not fit stops promotion rather than being skipped by smaller ones.
+ * Must run inside the transaction holding the row lock on `event`.
+ * @param {object} event - Locked Event instance with up-to-date attendees_count.
+ * @param {object} transaction - Active Sequelize transaction.
+ * @returns {Promise<string[]>} IDs of the promoted attendees.
+ */
+async function promoteFromWaitlist(event, transaction) {
+  const openSeats =
+    event.capacity === null ? null : event.capacity - event.attendees_count;
+  if (openSeats !== null && openSeats <= 0) {
+    return [];
+  }
+
+  // Every party takes at least one seat, so no more than openSeats can be promoted
+  const queue = await EventWaitlist.findAll({
+    where: { event_id: event.event_id },
+    order: [["waitlisted_at", "ASC"]],
+    limit: openSeats === null ? undefined : openSeats,
+    transaction,
+    lock: transaction.LOCK.UPDATE,
+  });
+  const nextInLine = [];
+  let seats = 0;
+  for (const entry of queue) {
+    if (openSeats !== null && seats + partySize(entry) > openSeats) {
+      break;
+    }
+    nextInLine.push(entry);
+    seats += partySize(entry);
+  }
+  if (nextInLine.length === 0) {
+    return [];
+  }
+
+  const promotedIds = nextInLine.map((entry) => entry.attendee_id);
+  await EventParticipant.bulkCreate(
+    nextInLine.map((entry) => ({
+      event_id: event.event_id,
+      attendee_id: entry.attendee_id,
+      guests: entry.guests,
+      registration_answers: entry.registration_answers,
+    })),
+    { transaction }
+  );
+  await EventWaitlist.destroy({
+    where: { event_id: event.event_id, attendee_id: promotedIds },
+    transaction,
+  });
+  await event.increment("attendees_count", { by: seats, transaction });
+
+  return promotedIds;
+}
+
+/**
+ * Loads one page of one-off events starting on/after `from` merged with recurring
+ * series expanded into their occurrences within [from, to], in list order.
+ * @param {object} filter - Extra WHERE conditions shared by both queries.
+ * @param {string[]} attributes - Event columns to return.
+ * @param {Date} from
+ * @param {Date} to - Expansion horizon for recurring series.
+ * @param {object} page - From parsePageQuery; page.byRank orders by options.rank.
+ * @param {object} [options]
+ * @param {object} [options.search] - searchExpressions() for a full-text query.
+ * @param {object} [options.rank] - SQL rank for page.byRank (highest first); defaults to search relevance.
+ * @param {boolean} [options.facets] - Also count all matches by category and date bucket.
+ * @param {Date} [options.happeningAt] - Instead of [from, to], list what is in progress at this time.
+ * @returns {Promise<object>} Page body: `{ events, next_cursor, prev_cursor, has_more[, facets] }`.
+ */
+async function findEventsWithOccurrences(filter, attributes, from, to, page, options = {}) {
+  const { search, facets, happeningAt } = options;
+  const rank = options.rank || (search && search.rank);
+  // Drafts are never listed; cancelled events stay visible so attendees see it,
+  // except among events in progress
+  filter = {
+    [Op.and]: [
+      filter,
+      happeningAt ? { status: "published" } : { status: { [Op.ne]: "draft" } },
+      ...(search ? [search.match] : []),
+    ],
+  };
+  if (search) {
+    attributes = [...attributes, ...search.attributes];
+  }
+  if (page.byRank) {
+    attributes = [...attributes, [rank, "rank"]];
+  }
+  let oneOffFilter = { recurrence_rule: null, date_time: { [Op.gte]: from } };
+  if (happeningAt) {
+    oneOffFilter = {
+      recurrence_rule: null,
+      date_time: { [Op.lte]: happeningAt },
+      end_time: { [Op.gt]: happeningAt },
+    };
+    // Occurrences in progress started at most MAX_DURATION_MS ago
+    from = new Date(happeningAt.getTime() - MAX_DURATION_MS);
+    to = happeningAt;
+  }
+
+  // One-off events page in SQL; only the rows nearest the cursor are loaded.
+  // Relevance and distance order cannot be expressed as a date keyset, so ranked
+  // searches take the best RELEVANCE_WINDOW matches and page through them in memory.
+  // Series rows carry the same rank, so their occurrences sort alongside.
+  const oneOffEvents = await Event.findAll({
+    where: {
+      [Op.and]: [filter, oneOffFilter, ...(page.byRank ? [] : [keysetWhere(page)])],
+    },
+    attributes,
+    order: page.byRank
+      ? [[rank, "DESC"], ["date_time", "ASC"], ["event_id", "ASC"]]
+      : keysetOrder(page),
+    limit: page.byRank ? RELEVANCE_WINDOW : page.limit + 1,
+  });
+
+  const series = await Event.findAll({
+    where: {
+      [Op.and]: [
+        filter,
+        { recurrence_rule: { [Op.ne]: null }, date_time: { [Op.lte]: to } },
+        { [Op.or]: [{ recurrence_end: null }, { recurrence_end: { [Op.gte]: from } }] },
+      ],
+    },
+    attributes: [...attributes, "recurrence_rule"],
+    include: [{ model: EventOccurrenceException, as: "exceptions" }],
+  });
+
+  let occurrences = series.flatMap((event) => {
+    const { exceptions, ...fields } = event.toJSON();
+    return expandSeries(fields, exceptions, from, to);
+  });
+  if (happeningAt) {
+    occurrences = occurrences.filter(
+      (occurrence) => occurrence.date_time <= happeningAt && occurrence.end_time > happeningAt
+    );
+  }
+
+  const result = paginateList(
+    [...oneOffEvents.map((event) => event.toJSON()), ...occurrences],
+    page
+  );
+  if (facets) {
+    result.facets = await countFacets({ [Op.and]: [filter, oneOffFilter] }, occurrences);
+  }
+  return result;
+}
+
+/**
+ * Facet counts over every match, not just the current page: one-off events are
+ * grouped in SQL, expanded occurrences in memory.
+ * @returns {Promise<{ category: object, date: object }>} Counts keyed by slug / bucket.
+ */
+async function countFacets(oneOffWhere, occurrences) {
+  const now = new Date();
+  const facets = { category: {}, date: {} };
+  const add = (facet, key, count) => {
+    facet[key] = (facet[key] || 0) + count;
+  };
+
+  const groups = await Event.findAll({
+    where: oneOffWhere,
+    attributes: [
+      "category",
+      [dateBucketSql(now), "bucket"],
+      [fn("COUNT", col("Event.event_id")), "count"],
+    ],
+    group: ["category", "bucket"],
+    raw: true,
+  });
+  for (const group of groups) {
+    add(facets.category, group.category || "uncategorized", Number(group.count));
+    add(facets.date, group.bucket, Number(group.count));
+  }
+  for (const occurrence of occurrences) {
+    add(facets.category, occurrence.category || "uncategorized", 1);
+    add(facets.date, dateBucket(occurrence.date_time, now), 1);
+  }
+  return facets;
+}
+
+// Distance from `point` to each building, rounded like the distance_km it is reported as.
+const buildingDistances = (point, buildings) =>
+  new Map(
+    buildings.map((b) => [
+      b.building_id,
+      Number(distanceKm(point.lat, point.lng, b.latitude, b.longitude).toFixed(3)),
+    ])
+  );
+
+// SQL rank for sort=distance (nearest first), so pages and cursors follow distance.
+function distanceRank(distances) {
+  const cases = [...distances].map(
+    ([building_id, km]) => `WHEN ${sequelize.escape(building_id)} THEN ${-km}`
+  );
+  return literal(
+    cases.length > 0
+      ? `(CASE "Event"."building_id" ${cases.join(" ")} ELSE ${NO_VENUE_RANK} END)::float8`
+      : `${NO_VENUE_RANK}::float8`
+  );
+}
+
+// End of the occurrence expansion window: ?until= or DEFAULT_EXPANSION_DAYS after `from`.
+// Throws a client-safe Error when ?until= is more than MAX_EXPANSION_DAYS ahead.
+function expansionEnd(from, until) {
+  if (until && !Number.isNaN(new Date(until).getTime())) {
+    const end = new Date(until);
+    if (end - from > MAX_EXPANSION_DAYS * 24 * 60 * 60 * 1000) {
+      throw new Error(`until may be at most ${MAX_EXPANSION_DAYS} days after the start.`);
+    }
+    return end;
+  }
+  return new Date(from.getTime() + DEFAULT_EXPANSION_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// The times an RSVP to `event` commits the attendee to: the event itself, or
+// the series' occurrences within the default expansion window.
+async function rsvpSlots(event, transaction) {
+  if (!event.recurrence_rule) {
+    return [event];
+  }
+  const exceptions = await EventOccurrenceException.findAll({
+    where: { event_id: event.event_id },
+    transaction,
+  });
+  const from = new Date();
+  return expandSeries(event.toJSON(), exceptions, from, expansionEnd(from));
+}
+
+// Tells downstream services (RNS, DRS) that a waitlisted user now holds a seat.
+async function publishPromotions(event_id, promotedIds, transaction) {
+  for (const user_id of promotedIds) {
+    await publishEvent(
+      "rsvp_promoted",
+      { event_id, user_id, timestamp: new Date().toISOString() },
+      { transaction }
+    );
+  }
+}
+
+// Whether a party of `seats` may take seats now. While anyone is waiting,
+// newcomers queue behind them even if their smaller party would fit.
+async function hasSeatsFor(event, seats, transaction) {
+  if (event.capacity === null) {
+    return true;
+  }
+  return (
+    event.attendees_count + seats <= event.capacity &&
+    (await EventWaitlist.count({ where: { event_id: event.event_id }, transaction })) === 0
+  );
+}
+
+/**
+ * Queues a party at the end of the event's waitlist.
+ * @param {string} event_id
+ * @param {string} attendee_id
+ * @param {object} fields - guests and registration_answers.
+ * @param {string|null} previous_status - The RSVP state the attendee left, if any.
+ * @param {object} transaction - Transaction holding the row lock on the event.
+ * @returns {Promise<number>} The party's position in the queue.
+ */
+async function joinWaitlist(event_id, attendee_id, fields, previous_status, transaction) {
+  await EventWaitlist.create({ event_id, attendee_id, ...fields }, { transaction });
+  const position = await EventWaitlist.count({ where: { event_id }, transaction });
+  await publishEvent(
+    "rsvp_waitlisted",
+    {
+      event_id,
+      user_id: attendee_id,
+      position,
+      previous_status,
+      timestamp: new Date().toISOString(),
+    },
+    { transaction }
+  );
+  return position;
+}
+
+// Tells downstream services (DRS weights maybe/interested, RNS confirms going)
+// that an RSVP moved between states. previous_status is null for a new RSVP.
+async function publishStatusChange(event_id, user_id, previous_status, rsvp, transaction) {
+  await publishEvent(
+    "rsvp_status_changed",
+    {
+      event_id,
+      user_id,
+      previous_status,
+      status: rsvp.rsvp_status,
+      guests: rsvp.guests,
+      timestamp: new Date().toISOString(),
+    },
+    { transaction }
+  );
+}
+
+// event.increment() with the counter changes of an RSVP moving between states.
+async function updateCounters(event, before, after, transaction) {
+  const changes = counterChanges(before, after);
+  if (Object.keys(changes).length > 0) {
+    await event.increment(changes, { transaction });
+  }
+  return changes;
+}
+
 exports.createEvent = async (req, res) => {
   // Host ID comes from the JWT token verified by the API Gateway
   const host_id = req.user.id;
-  const { title, description, date_time, location } = req.body;
-
-  // Basic Validation (e.g., check for required fields)
-  if (!title || !date_time || !location) {
-    return res.status(400).send({ message: "Missing required event fields." });
-  }
 
+  let prepared = { booking: { room_id: null, slots: [] } };
   try {
-    // 1. Create the event record in the primary database
-    const newEvent = await Event.create({
-      title,
-      description,
-      date_time,
-      location,
-      host_id,
-    });
+    // Required fields, lifecycle, times, recurrence, taxonomy, venue and room hours
+    prepared = await prepareEvent(req.body || {});
+    if (prepared.error) {
+      return res.status(400).send({ message: prepared.error });
+    }
 
-    // 2. Publish the event asynchronously to Kafka
-    await publishEvent("event_created", {
-      event_id: newEvent.event_id,
-      host_id: newEvent.host_id,
-      title: newEvent.title,
-      date_time: newEvent.date_time,
-    });
+    // 1. Create the event record, its room booking, the host's owner role and the
+    // announcement (queued via the outbox) together
+    const newEvent = await sequelize.transaction((transaction) =>
+      insertEvent(prepared.values, host_id, transaction)
+    );
 
+    res.set("ETag", eventETag(newEvent));
     res.status(201).send({
       event_id: newEvent.event_id,
-      message: "Event created successfully and broadcasted.",
+      status: newEvent.status,
+      message:
+        newEvent.status === "published"
+          ? "Event created successfully and broadcasted."
+          : "Draft saved. Publish it to announce the event.",
     });
   } catch (error) {
+    // Another event holds the room; nothing was created
+    if (error instanceof Sequelize.ExclusionConstraintError) {
+      return res.status(409).send(await roomTaken(prepared.booking));
+    }
     console.error("Create event error:", error);
     res.status(500).send({ message: "An internal server error occurred." });
   }
@@ -45,41 +453,183 @@ exports.createEvent = async (req, res) => {
 
 exports.updateEvent = async (req, res) => {
   const { event_id } = req.params;
-  const host_id = req.user.id;
-  const updates = req.body;
+  const user_id = req.user.id;
 
+  // Only whitelisted, type-checked fields reach the database
+  const parsed = parseEventUpdate(req.body);
+  if (parsed.error) {
+    return res.status(400).send({ message: parsed.error });
+  }
+  const { updates } = parsed;
+  const ifMatch = req.get("If-Match");
+
+  let booking = { room_id: null, slots: [] };
   try {
     // 1. Check permission and retrieve event
     const event = await Event.findByPk(event_id);
     if (!event) {
       return res.status(404).send({ message: "Event not found." });
     }
-    if (event.host_id !== host_id) {
+    if (!(await can(event, user_id, "event:update"))) {
       // Authorization Check (The API Gateway handles Auth, this handles Permission)
       return res
         .status(403)
-        .send({ message: "Forbidden: You are not the event host." });
+        .send({ message: "Forbidden: You do not have permission to manage this event." });
+    }
+    // Required only once the caller is known to be allowed to edit the event
+    if (!ifMatch) {
+      return res.status(428).send({ message: IF_MATCH_REQUIRED });
+    }
+    if (event.status === "cancelled" || event.status === "completed") {
+      return res
+        .status(409)
+        .send({ message: `A ${event.status} event can no longer be edited.` });
     }
 
-    // 2. Update the event record
-    const [rowsUpdated] = await Event.update(updates, { where: { event_id } });
+    // Moving the start keeps the event's length unless a new end is given
+    if (updates.date_time !== undefined || updates.end_time !== undefined) {
+      const start = updates.date_time || event.date_time;
+      try {
+        updates.end_time = resolveEndTime(
+          start,
+          updates.end_time || new Date(new Date(start).getTime() + eventDuration(event))
+        );
+      } catch (error) {
+        return res.status(400).send({ message: error.message });
+      }
+    }
 
-    if (rowsUpdated > 0) {
-      // 3. Publish update event to Kafka (Crucial for Notification Service)
-      await publishEvent("event_updated", {
-        event_id,
-        host_id,
-        changes: updates, // Send only the fields that changed
+    // Keep recurrence_end in sync whenever the rule, its anchor date or its zone moves
+    if (
+      updates.recurrence_rule !== undefined ||
+      updates.date_time !== undefined ||
+      updates.time_zone !== undefined
+    ) {
+      const rule =
+        updates.recurrence_rule !== undefined
+          ? updates.recurrence_rule
+          : event.recurrence_rule;
+      const timeZone = updates.time_zone || event.time_zone;
+      try {
+        updates.recurrence_end = rule
+          ? getSeriesEnd(buildRule(rule, updates.date_time || event.date_time, timeZone), timeZone)
+          : null;
+      } catch (error) {
+        return res.status(400).send({ message: error.message });
+      }
+    }
+
+    // Category must come from the managed taxonomy; tags are normalized
+    if (updates.category !== undefined) {
+      const categoryError = await validateCategory(updates.category);
+      if (categoryError) {
+        return res.status(400).send({ message: categoryError });
+      }
+    }
+    if (updates.tags !== undefined) {
+      try {
+        updates.tags = normalizeTags(updates.tags);
+      } catch (error) {
+        return res.status(400).send({ message: error.message });
+      }
+    }
+
+    // Moving to another building clears the room unless a new room is given
+    if (updates.building_id !== undefined || updates.room_id !== undefined) {
+      const venue = await resolveVenue(updates.building_id, updates.room_id);
+      if (venue.error) {
+        return res.status(400).send({ message: venue.error });
+      }
+      updates.building_id = venue.building_id;
+      updates.room_id = venue.room_id;
+    }
+
+    // Changes to the room or the times re-book the room
+    const rebook = ROOM_BOOKING_FIELDS.some((field) => updates[field] !== undefined);
+    if (rebook) {
+      booking = await checkRoomBooking({ ...event.get({ plain: true }), ...updates });
+      if (booking.error) {
+        return res.status(400).send({ message: booking.error });
+      }
+    }
+
+    const result = await sequelize.transaction(async (transaction) => {
+      // 2. Diff against the locked row so concurrent edits are reported accurately
+      const lockedEvent = await Event.findByPk(event_id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
       });
-      res
+      if (!lockedEvent) {
+        return rejection(404, "Event not found.");
+      }
+      // The client edited an older version; nothing is written
+      if (!matchesIfMatch(ifMatch, lockedEvent)) {
+        return { stale: lockedEvent };
+      }
+      const changes = diffEvent(lockedEvent, updates);
+      if (changes.length === 0) {
+        return { changes, event: lockedEvent };
+      }
+
+      // Calendar clients replace their copy only when SEQUENCE increases
+      await lockedEvent.update(
+        { ...updates, sequence: lockedEvent.sequence + 1 },
+        { transaction }
+      );
+      if (rebook) {
+        await syncRoomBookings(lockedEvent, transaction);
+      }
+      if (changes.some((change) => REMINDER_FIELDS.includes(change.field))) {
+        await syncReminders(lockedEvent, transaction);
+      }
+
+      // 3. A raised (or removed) capacity frees seats for the waitlist
+      let promotedIds = [];
+      if (changes.some((change) => change.field === "capacity")) {
+        promotedIds = await promoteFromWaitlist(lockedEvent, transaction);
+      }
+
+      // 4. Publish update event to Kafka (Crucial for Notification Service).
+      // Nobody has been told about a draft yet, so there is nothing to announce.
+      if (event.status !== "draft") {
+        await publishEvent(
+          "event_updated",
+          {
+            event_id,
+            host_id: event.host_id,
+            title: lockedEvent.title,
+            visibility: lockedEvent.visibility,
+            updated_by: user_id,
+            changes, // [{ field, old, new }] for each field that actually changed
+          },
+          { transaction }
+        );
+      }
+      await publishPromotions(event_id, promotedIds, transaction);
+      return { changes, event: lockedEvent };
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).send({ message: result.error.message });
+    }
+    if (result.stale) {
+      return sendPreconditionFailed(res, result.stale);
+    }
+    res.set("ETag", eventETag(result.event));
+    if (result.changes.length === 0) {
+      return res
         .status(200)
-        .send({ message: "Event updated successfully and broadcasted." });
-    } else {
-      res
-        .status(400)
-        .send({ message: "No changes made or invalid fields provided." });
+        .send({ message: "No changes made; the event already has these values.", changes: [] });
     }
+    res.status(200).send({
+      message: "Event updated successfully and broadcasted.",
+      changes: result.changes,
+    });
   } catch (error) {
+    // Another event holds the room; the update was rolled back
+    if (error instanceof Sequelize.ExclusionConstraintError) {
+      return res.status(409).send(await roomTaken(booking, event_id));
+    }
     console.error("Update event error:", error);
     res.status(500).send({ message: "An internal server error occurred." });
   }
@@ -90,19 +640,15 @@ exports.getEvent = async (req, res) => {
 
   try {
     const event = await Event.findByPk(event_id, {
-      attributes: [
-        "event_id",
-        "title",
-        "description",
-        "location",
-        "date_time",
-        "host_id",
-        "attendees_count",
-      ],
+      attributes: EVENT_DETAIL_ATTRIBUTES,
     });
-    if (!event) {
+    // Drafts are reported as missing to everyone except their staff
+    // Non-public events can be previewed with an invite code (?invite=)
+    if (!event || !(await canView(event, req.user?.id, { invite_code: req.query.invite }))) {
       return res.status(404).send({ message: "Event not found." });
     }
+    // Echoed back in If-Match when editing, to detect concurrent edits
+    res.set("ETag", eventETag(event));
     res.status(200).send(event);
   } catch (error) {
     console.error("Get event error:", error);
@@ -112,51 +658,161 @@ exports.getEvent = async (req, res) => {
 
 exports.searchEvents = async (req, res) => {
   // Extract query parameters: query (text search), date, category, etc.
-  const { query, date, category } = req.query;
-
-  const where = {};
+  const { query, date, category, tags, until, happening_now } = req.query;
 
-  // 1. Full-Text Search Filter (using query parameter)
+  // 1. Full-Text Search Filter (weighted title/description/location, last term as prefix)
+  let search = null;
   if (query) {
-    // Use the OR operator (Op.or) to search across title and description
-    where[Op.or] = [
-      { title: { [Op.iLike]: `%${query}%` } }, // Case-insensitive LIKE search
-      { description: { [Op.iLike]: `%${query}%` } },
-    ];
+    const tsquery = buildTsQuery(query);
+    if (!tsquery) {
+      return res
+        .status(400)
+        .send({ message: "query must contain at least one letter or digit." });
+    }
+    search = searchExpressions(tsquery);
+  }
+
+  // Relevance is the natural order for a text query; otherwise list by date
+  const sort = req.query.sort || (search ? "relevance" : "date");
+  if (!SEARCH_SORTS.includes(sort)) {
+    return res
+      .status(400)
+      .send({ message: `sort must be one of: ${SEARCH_SORTS.join(", ")}.` });
+  }
+  if (sort === "relevance" && !search) {
+    return res.status(400).send({ message: "sort=relevance requires query." });
   }
 
+  let page;
+  try {
+    page = parsePageQuery(req.query, { byRank: sort === "relevance" || sort === "distance" });
+  } catch (error) {
+    return res.status(400).send({ message: error.message });
+  }
+
+  const where = {};
+
   // 2. Date Filter (e.g., events scheduled after a certain date)
   // We filter for events that have not passed yet, unless a specific date is provided.
-  if (!date) {
-    where.date_time = { [Op.gte]: new Date() }; // Only show current/future events
-  } else {
-    // Find events on or after the specified date
-    where.date_time = { [Op.gte]: new Date(date) };
+  // Recurring series are expanded into occurrences up to `until`.
+  // happening_now=true instead lists events and occurrences in progress right now.
+  if (happening_now !== undefined && !["true", "false"].includes(happening_now)) {
+    return res.status(400).send({ message: "happening_now must be true or false." });
+  }
+  const from = date ? new Date(date) : new Date();
+  let to;
+  try {
+    to = expansionEnd(from, until);
+  } catch (error) {
+    return res.status(400).send({ message: error.message });
   }
+  const happeningAt = happening_now === "true" ? new Date() : null;
 
-  // 3. Category Filter (Example, assuming category is a column in the DB)
+  // 3. Category Filter (slug from the managed taxonomy, see GET /categories)
   if (category) {
-    // NOTE: In a real system, categories might be in a separate table
     where.category = category;
   }
 
+  // 4. Tag Filter (comma-separated; matches events carrying any of the tags)
+  if (tags) {
+    try {
+      where.tags = { [Op.overlap]: normalizeTags(tags.split(",")) };
+    } catch (error) {
+      return res.status(400).send({ message: error.message });
+    }
+  }
+
+  // 5. Geo Filters (radius around lat/lng and/or bbox, matched on the venue building)
+  let geo;
   try {
-    const events = await Event.findAll({
-      where: where,
-      attributes: [
+    geo = parseGeoQuery(req.query);
+  } catch (error) {
+    return res.status(400).send({ message: error.message });
+  }
+  if (sort === "distance" && !geo.point) {
+    return res
+      .status(400)
+      .send({ message: "sort=distance requires lat and lng." });
+  }
+
+  try {
+    // The building registry is small (one campus), so distances are computed in memory
+    let distances = new Map();
+    if (geo.point || geo.bbox) {
+      const buildings = await Building.findAll({
+        attributes: ["building_id", "latitude", "longitude"],
+      });
+      if (geo.point) {
+        distances = buildingDistances(geo.point, buildings);
+      }
+      if (geo.radiusKm !== null || geo.bbox) {
+        where.building_id = {
+          [Op.in]: buildings
+            .filter((b) => matchesGeoFilter(b, geo))
+            .map((b) => b.building_id),
+        };
+      }
+    }
+
+    // Private events only appear for the people allowed to see them
+    where[Op.and] = [await visibilityFilter(req.user?.id)];
+
+    const result = await findEventsWithOccurrences(
+      where,
+      [
         "event_id",
         "title",
         "location",
         "date_time",
+        "end_time",
+        "time_zone",
         "host_id",
         "attendees_count",
+        "capacity",
+        "category",
+        "tags",
+        "building_id",
+        "status",
+        "visibility",
       ],
-      order: [["date_time", "ASC"]], // Order by closest date
-    });
+      from,
+      to,
+      page,
+      {
+        search,
+        facets: true,
+        happeningAt,
+        ...(sort === "distance" ? { rank: distanceRank(distances) } : {}),
+      }
+    );
+    const { events } = result;
+
+    if (search) {
+      for (const event of events) {
+        event.highlights = {
+          title: event.title_highlight,
+          description: event.description_snippet,
+        };
+        delete event.title_highlight;
+        delete event.description_snippet;
+      }
+    }
+
+    if (geo.point) {
+      for (const event of events) {
+        event.distance_km = distances.has(event.building_id)
+          ? distances.get(event.building_id)
+          : null;
+        // The distance rank only orders the list; distance_km reports it
+        if (sort === "distance") {
+          delete event.rank;
+        }
+      }
+    }
 
     console.log(events,"db events...")
 
-    res.status(200).send(events);
+    res.status(200).send(result);
   } catch (error) {
     console.error("Search events error:", error);
     res.status(500).send({ message: "An internal server error occurred." });
@@ -164,22 +820,41 @@ exports.searchEvents = async (req, res) => {
 };
 
 exports.getAllEvents = async (req, res) => {
+  const from = new Date();
+
+  let to;
+  let page;
+  try {
+    to = expansionEnd(from, req.query.until);
+    page = parsePageQuery(req.query);
+  } catch (error) {
+    return res.status(400).send({ message: error.message });
+  }
+
   try {
-    const events = await Event.findAll({
-      where: {
-        date_time: { [Op.gte]: new Date() },
-      },
-      attributes: [
+    const result = await findEventsWithOccurrences(
+      await visibilityFilter(req.user?.id),
+      [
         "event_id",
         "title",
         "location",
         "date_time",
+        "end_time",
+        "time_zone",
         "host_id",
         "attendees_count",
+        "capacity",
+        "category",
+        "tags",
+        "building_id",
+        "status",
+        "visibility",
       ],
-      order: [["date_time", "ASC"]],
-    });
-    res.status(200).send(events);
+      from,
+      to,
+      page
+    );
+    res.status(200).send(result);
   } catch (error) {
     console.error("Get all events error:", error);
     res.status(500).send({ message: "An internal server error occurred." });
@@ -188,7 +863,8 @@ exports.getAllEvents = async (req, res) => {
 
 exports.deleteEventById = async (req, res) => {
   const { event_id } = req.params;
-  const host_id = req.user.id;
+  const user_id = req.user.id;
+  const ifMatch = req.get("If-Match");
 
   try {
     const event = await Event.findOne({ where: { event_id: event_id } });
@@ -197,15 +873,44 @@ exports.deleteEventById = async (req, res) => {
       return res.status(404).send({ message: "Event not found." });
     }
 
-    if (event.host_id !== host_id) {
+    // Only the owner may delete; co-hosts can edit but not remove the event
+    if (!(await can(event, user_id, "event:delete"))) {
       return res
         .status(403)
-        .send({ message: "Forbidden: You are not the event host." });
+        .send({ message: "Forbidden: Only the event owner can delete this event." });
+    }
+    if (!ifMatch) {
+      return res.status(428).send({ message: IF_MATCH_REQUIRED });
     }
 
-    await event.destroy();
+    // Announced events keep their record and RSVPs; they are cancelled instead
+    if (event.status !== "draft") {
+      return res.status(409).send({
+        message: "Only drafts can be deleted. Cancel the event instead.",
+      });
+    }
 
-    await publishEvent("event_deleted", { event_id: event_id, host_id });
+    if (!matchesIfMatch(ifMatch, event)) {
+      return sendPreconditionFailed(res, event);
+    }
+
+    // A draft was never announced, so no event_deleted is needed downstream.
+    // Conditional on the version, so an edit landing in between is not lost.
+    const deleted = await Event.destroy({
+      where: { event_id, status: "draft", sequence: event.sequence },
+    });
+    if (deleted === 0) {
+      const current = await Event.findByPk(event_id);
+      if (!current) {
+        return res.status(404).send({ message: "Event not found." });
+      }
+      if (current.status !== "draft") {
+        return res.status(409).send({
+          message: "Only drafts can be deleted. Cancel the event instead.",
+        });
+      }
+      return sendPreconditionFailed(res, current);
+    }
 
     res.status(200).send({ message: "Event deleted successfully." });
   } catch (error) {
@@ -217,36 +922,145 @@ exports.deleteEventById = async (req, res) => {
 exports.rsvpToEvent = async (req, res) => {
   const { event_id } = req.params;
   const attendee_id = req.user.id;
+  const { answers, invite_code, guests, status, on_conflict = "warn" } = req.body || {};
 
+  if (!CONFLICT_POLICIES.includes(on_conflict)) {
+    return res
+      .status(400)
+      .send({ message: `on_conflict must be one of: ${CONFLICT_POLICIES.join(", ")}.` });
+  }
+  let rsvp_status;
   try {
-    const event = await Event.findOne({ where: { event_id: event_id } });
+    rsvp_status = parseRsvpStatus(status);
+  } catch (error) {
+    return res.status(400).send({ message: error.message });
+  }
 
-    if (!event) {
-      return res.status(404).send({ message: "Event not found." });
-    }
+  try {
+    const result = await sequelize.transaction(async (transaction) => {
+      // 1. Lock the event row so concurrent RSVPs cannot oversell the last seat
+      const event = await Event.findByPk(event_id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      // An invite code presented with the RSVP is redeemed, so access outlives the RSVP
+      const invite = event && (await findRedeemableInvite(event_id, invite_code, transaction));
+      if (invite && event.status !== "draft") {
+        await grantInvite(invite, attendee_id, transaction);
+      }
+      if (!event || !(await canView(event, attendee_id, { transaction }))) {
+        return rejection(404, "Event not found.");
+      }
+      if (event.status !== "published") {
+        return rejection(409, `This event is ${event.status} and not open for RSVPs.`);
+      }
+
+      const where = { event_id, attendee_id };
+      if (await EventParticipant.findOne({ where, transaction })) {
+        return rejection(
+          409,
+          "User already has an RSVP for this event. Use PUT /events/:event_id/rsvp to change it."
+        );
+      }
+      if (await EventWaitlist.findOne({ where, transaction })) {
+        return rejection(409, "User is already on the waitlist for this event.");
+      }
+
+      // Answers and guests are checked against the host's settings before a seat or spot is
+      // taken. Only going RSVPs must answer the form; the others may answer it ahead of time.
+      let registration_answers = null;
+      let party;
+      try {
+        if (rsvp_status === "going" || answers !== undefined) {
+          registration_answers = validateAnswers(event.registration_form, answers);
+        }
+        party = { guests: parseGuests(guests, event) };
+      } catch (error) {
+        return rejection(400, error.message);
+      }
+      const rsvp = { ...where, rsvp_status, ...party, registration_answers };
+
+      // Maybe, interested and declined RSVPs take no seat and are never waitlisted
+      if (rsvp_status !== "going") {
+        await EventParticipant.create(rsvp, { transaction });
+        await updateCounters(event, null, rsvp, transaction);
+        await publishStatusChange(event_id, attendee_id, null, rsvp, transaction);
+        return { waitlisted: false, rsvp_status, conflicts: [] };
+      }
+      if (event.capacity !== null && partySize(party) > event.capacity) {
+        return rejection(400, `This event only has ${event.capacity} seats in total.`);
+      }
+
+      // 2. Overlapping RSVPs are reported, or refused when the attendee asked to block them
+      const conflicts = await findScheduleConflicts(
+        attendee_id,
+        await rsvpSlots(event, transaction),
+        event_id,
+        transaction
+      );
+      if (conflicts.length > 0 && on_conflict === "block") {
+        return { blocked: conflicts };
+      }
 
-    // 2. Create Participation Record (Synchronous Transaction)
-    const [participation, created] = await EventParticipant.findOrCreate({
-      where: { event_id, attendee_id },
-      defaults: { event_id, attendee_id },
+      // 3. Full events queue the party instead of rejecting it
+      if (!(await hasSeatsFor(event, partySize(party), transaction))) {
+        const position = await joinWaitlist(
+          event_id,
+          attendee_id,
+          { ...party, registration_answers },
+          null,
+          transaction
+        );
+        return { waitlisted: true, position, conflicts };
+      }
+
+      // 4. Create Participation Record
+      await EventParticipant.create(rsvp, { transaction });
+      await updateCounters(event, null, rsvp, transaction);
+
+      // 5. Publish Event via the outbox, committed together with the RSVP
+      // This notifies downsteam services (RNS for confirmation alert, DRS for behavior tracking)
+      await publishEvent(
+        "rsvp_added",
+        {
+          event_id,
+          user_id: attendee_id,
+          status: "going",
+          previous_status: null,
+          guests: party.guests,
+          timestamp: new Date().toISOString(),
+        },
+        { transaction }
+      );
+      return { waitlisted: false, rsvp_status, conflicts };
     });
 
-    if (!created) {
-      return res
-        .status(409)
-        .send({ message: "User is already registered for this event." });
+    if (result.error) {
+      return res.status(result.error.status).send({ message: result.error.message });
+    }
+    if (result.blocked) {
+      return res.status(409).send({
+        message: "This event overlaps other events you are attending. RSVP not recorded.",
+        conflicts: result.blocked,
+      });
     }
-    await event.increment("attendees_count", { by: 1 });
 
-    // 4. Publish Event Asynchronously
-    // This notifies downsteam services (RNS for confirmation alert, DRS for behavior tracking)
-    await publishEvent("rsvp_added", {
-      event_id: event_id,
-      user_id: attendee_id,
-      timestamp: new Date().toISOString(),
-    });
+    if (result.waitlisted) {
+      return res.status(202).send({
+        message: "Event is full. You have been added to the waitlist.",
+        waitlist_position: result.position,
+        ...conflictWarning(result.conflicts),
+      });
+    }
 
-    res.status(200).send({ message: "RSVP recorded successfully." });
+    res.status(200).send({
+      message:
+        result.rsvp_status === "going"
+          ? "RSVP recorded successfully."
+          : `RSVP recorded as ${result.rsvp_status}.`,
+      rsvp_status: result.rsvp_status,
+      ...conflictWarning(result.conflicts),
+    });
   } catch (error) {
     console.error("RSVP error:", error);
     res.status(500).send({ message: "An internal server error occurred." });
@@ -258,28 +1072,63 @@ exports.cancelRsvp = async (req, res) => {
   const attendee_id = req.user.id; // User canceling the RSVP
 
   try {
-    // 1. Verify and Delete the Participation Record (Synchronous Transaction)
-    const rowsDeleted = await EventParticipant.destroy({
-      where: { event_id, attendee_id },
-    });
+    const result = await sequelize.transaction(async (transaction) => {
+      const event = await Event.findByPk(event_id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      if (!event) {
+        return rejection(404, "RSVP not found for this user and event.");
+      }
 
-    if (rowsDeleted === 0) {
-      return res
-        .status(404)
-        .send({ message: "RSVP not found for this user and event." });
-    }
+      // 1. Verify and Delete the Participation Record
+      const where = { event_id, attendee_id };
+      const participation = await EventParticipant.findOne({ where, transaction });
 
-    // 2. Decrement the Aggregate Counter (Synchronous Transaction)
-    await Event.decrement("attendees_count", { by: 1, where: { event_id } });
+      if (!participation) {
+        // Waitlisted users leave the queue through the same endpoint
+        const waitlistRowsDeleted = await EventWaitlist.destroy({ where, transaction });
+        if (waitlistRowsDeleted === 0) {
+          return rejection(404, "RSVP not found for this user and event.");
+        }
+        // The party behind may fit where this one did not
+        const promotedIds = await promoteFromWaitlist(event, transaction);
+        await publishPromotions(event_id, promotedIds, transaction);
+        return { leftWaitlist: true };
+      }
+      await participation.destroy({ transaction });
 
-    // 3. Publish Event Asynchronously
-    // This notifies downstream services that participation status has changed.
-    await publishEvent("rsvp_cancelled", {
-      event_id: event_id,
-      user_id: attendee_id,
-      timestamp: new Date().toISOString(),
+      // 2. Decrement the Aggregate Counter and hand any seats (guests included) to the waitlist
+      await updateCounters(event, participation, null, transaction);
+      await event.reload({ transaction });
+      const promotedIds =
+        participation.rsvp_status === "going" ? await promoteFromWaitlist(event, transaction) : [];
+
+      // 3. Publish Event via the outbox
+      // This notifies downstream services that participation status has changed.
+      await publishEvent(
+        "rsvp_cancelled",
+        {
+          event_id,
+          user_id: attendee_id,
+          previous_status: participation.rsvp_status,
+          timestamp: new Date().toISOString(),
+        },
+        { transaction }
+      );
+      await publishPromotions(event_id, promotedIds, transaction);
+
+      return { leftWaitlist: false };
     });
 
+    if (result.error) {
+      return res.status(result.error.status).send({ message: result.error.message });
+    }
+
+    if (result.leftWaitlist) {
+      return res.status(200).send({ message: "Removed from the waitlist." });
+    }
+
     res.status(200).send({ message: "RSVP successfully cancelled." });
   } catch (error) {
     console.error("Cancel RSVP error:", error);
@@ -289,6 +1138,168 @@ exports.cancelRsvp = async (req, res) => {
   }
 };
 
+exports.updateRsvp = async (req, res) => {
+  const { event_id } = req.params;
+  const attendee_id = req.user.id;
+  const { status, guests, answers, on_conflict = "warn" } = req.body || {};
+
+  if (status === undefined && guests === undefined) {
+    return res.status(400).send({ message: "status or guests is required." });
+  }
+  if (!CONFLICT_POLICIES.includes(on_conflict)) {
+    return res
+      .status(400)
+      .send({ message: `on_conflict must be one of: ${CONFLICT_POLICIES.join(", ")}.` });
+  }
+  let rsvp_status;
+  try {
+    rsvp_status = status === undefined ? undefined : parseRsvpStatus(status);
+  } catch (error) {
+    return res.status(400).send({ message: error.message });
+  }
+
+  try {
+    const result = await sequelize.transaction(async (transaction) => {
+      // Lock the event row: seat counts change with the status and party size
+      const event = await Event.findByPk(event_id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      if (!event) {
+        return rejection(404, "RSVP not found for this user and event.");
+      }
+      if (event.status !== "published") {
+        return rejection(409, `This event is ${event.status} and RSVPs cannot be changed.`);
+      }
+
+      const where = { event_id, attendee_id };
+      const participation = await EventParticipant.findOne({ where, transaction });
+      const entry = participation || (await EventWaitlist.findOne({ where, transaction }));
+      if (!entry) {
+        return rejection(404, "RSVP not found for this user and event.");
+      }
+
+      // A waiting party counts as going; leaving the queue for another state frees its place
+      const before = participation
+        ? { rsvp_status: participation.rsvp_status, guests: participation.guests }
+        : { rsvp_status: "waitlisted", guests: entry.guests };
+      const target = rsvp_status || (participation ? participation.rsvp_status : "going");
+
+      let party;
+      let registration_answers = entry.registration_answers;
+      try {
+        party = { guests: guests === undefined ? entry.guests : parseGuests(guests, event) };
+        if (answers !== undefined || (target === "going" && before.rsvp_status !== "going")) {
+          registration_answers = validateAnswers(
+            event.registration_form,
+            answers === undefined ? entry.registration_answers || {} : answers
+          );
+        }
+      } catch (error) {
+        return rejection(400, error.message);
+      }
+      const after = { rsvp_status: target, ...party };
+      if (target === "going" && event.capacity !== null && partySize(party) > event.capacity) {
+        return rejection(400, `This event only has ${event.capacity} seats in total.`);
+      }
+
+      if (!participation) {
+        if (target === "going") {
+          // Resized while waiting: the party keeps its place in the queue
+          await entry.update({ ...party, registration_answers }, { transaction });
+        } else {
+          await entry.destroy({ transaction });
+          await EventParticipant.create({ ...where, ...after, registration_answers }, { transaction });
+          await updateCounters(event, null, after, transaction);
+          await publishStatusChange(event_id, attendee_id, "waitlisted", after, transaction);
+        }
+        const promotedIds = await promoteFromWaitlist(event, transaction);
+        await publishPromotions(event_id, promotedIds, transaction);
+        const waitlisted = target === "going" && !promotedIds.includes(attendee_id);
+        return { updated: { waitlisted, rsvp_status: target, guests: party.guests, conflicts: [] } };
+      }
+
+      // Becoming going is checked like a new RSVP: overlaps first, then seats
+      let conflicts = [];
+      if (target === "going" && before.rsvp_status !== "going") {
+        conflicts = await findScheduleConflicts(
+          attendee_id,
+          await rsvpSlots(event, transaction),
+          event_id,
+          transaction
+        );
+        if (conflicts.length > 0 && on_conflict === "block") {
+          return { blocked: conflicts };
+        }
+      }
+      const neededSeats =
+        target !== "going"
+          ? 0
+          : partySize(after) - (before.rsvp_status === "going" ? partySize(before) : 0);
+      if (neededSeats > 0 && !(await hasSeatsFor(event, neededSeats, transaction))) {
+        if (before.rsvp_status === "going") {
+          return rejection(409, "Not enough seats for more guests. Your RSVP is unchanged.");
+        }
+        // Like a new RSVP to a full event, the party joins the waitlist
+        await participation.destroy({ transaction });
+        await updateCounters(event, before, null, transaction);
+        const position = await joinWaitlist(
+          event_id,
+          attendee_id,
+          { ...party, registration_answers },
+          before.rsvp_status,
+          transaction
+        );
+        return { waitlisted: { position, conflicts } };
+      }
+
+      // The RSVP row (and its joined_at) is kept through every change
+      await participation.update({ ...after, registration_answers }, { transaction });
+      const changes = await updateCounters(event, before, after, transaction);
+      let promotedIds = [];
+      if ((changes.attendees_count || 0) < 0) {
+        await event.reload({ transaction });
+        promotedIds = await promoteFromWaitlist(event, transaction);
+      }
+      if (before.rsvp_status !== target) {
+        await publishStatusChange(event_id, attendee_id, before.rsvp_status, after, transaction);
+      }
+      await publishPromotions(event_id, promotedIds, transaction);
+      return {
+        updated: { waitlisted: false, rsvp_status: target, guests: party.guests, conflicts },
+      };
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).send({ message: result.error.message });
+    }
+    if (result.blocked) {
+      return res.status(409).send({
+        message: "This event overlaps other events you are attending. RSVP not changed.",
+        conflicts: result.blocked,
+      });
+    }
+    if (result.waitlisted) {
+      return res.status(202).send({
+        message: "Event is full. You have been added to the waitlist.",
+        waitlist_position: result.waitlisted.position,
+        ...conflictWarning(result.waitlisted.conflicts),
+      });
+    }
+    const { updated } = result;
+    res.status(200).send({
+      message: updated.waitlisted ? "Waitlist entry updated." : "RSVP updated.",
+      rsvp_status: updated.rsvp_status,
+      guests: updated.guests,
+      waitlisted: updated.waitlisted,
+      ...conflictWarning(updated.conflicts),
+    });
+  } catch (error) {
+    console.error("Update RSVP error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
 exports.checkRsvpStatus = async (req, res) => {
     const { event_id } = req.params;
     // The user ID comes from the authenticated token (via middleware)
@@ -303,8 +1314,34 @@ exports.checkRsvpStatus = async (req, res) => {
         const participation = await EventParticipant.findOne({
             where: { event_id, attendee_id }
         });
+        if (participation) {
+            // Only "going" holds a seat; the other states are reported through rsvpStatus
+            return res.status(200).send({
+                isRsvped: participation.rsvp_status === 'going',
+                isWaitlisted: false,
+                rsvpStatus: participation.rsvp_status,
+                guests: participation.guests
+            });
+        }
+
+        // Not attending: report the queue position if the user is waitlisted
+        const waitlistEntry = await EventWaitlist.findOne({
+            where: { event_id, attendee_id }
+        });
+        if (!waitlistEntry) {
+            return res.status(200).send({ isRsvped: false, isWaitlisted: false });
+        }
 
-        res.status(200).send({ isRsvped: !!participation });
+        const position = await EventWaitlist.count({
+            where: { event_id, waitlisted_at: { [Op.lte]: waitlistEntry.waitlisted_at } }
+        });
+        res.status(200).send({
+            isRsvped: false,
+            isWaitlisted: true,
+            rsvpStatus: 'going',
+            waitlistPosition: position,
+            guests: waitlistEntry.guests
+        });
 
     } catch (error) {
         console.error('Check RSVP error:', error);
@@ -315,30 +1352,87 @@ exports.checkRsvpStatus = async (req, res) => {
 
 exports.getEventsAttending = async (req, res) => {
     const userId = req.query.userId; 
-    
-    const participationRecords = await EventParticipant.findAll({
-        where: { attendee_id: userId },
-        attributes: ['event_id'] 
-    });
 
-    const eventIds = participationRecords.map(r => r.event_id);
+    let page;
+    try {
+        page = parsePageQuery(req.query);
+    } catch (error) {
+        return res.status(400).send({ message: error.message });
+    }
 
-    const attendingEvents = await Event.findAll({
-        where: { event_id: eventIds },
+    try {
         // Add logic to filter for active vs. past events based on date_time
-        order: [['date_time', 'ASC']]
-    });
+        const participationRecords = await EventParticipant.findAll({
+            where: { attendee_id: userId, rsvp_status: 'going' },
+            attributes: ['event_id']
+        });
+        const rows = await Event.findAll({
+            where: {
+                [Op.and]: [
+                    { event_id: participationRecords.map((r) => r.event_id) },
+                    await visibilityFilter(req.user?.id), // Someone else's list hides private events
+                    keysetWhere(page)
+                ]
+            },
+            order: keysetOrder(page),
+            limit: page.limit + 1
+        });
 
-    res.status(200).send(attendingEvents);
+        res.status(200).send(buildPage(rows, page));
+    } catch (error) {
+        console.error("Get attending events error:", error);
+        res.status(500).send({ message: "An internal server error occurred." });
+    }
 };
 
 exports.getEventsCreated = async (req, res) => {
     const hostId = req.query.hostId;
+    const viewerId = req.user?.id;
 
-    const createdEvents = await Event.findAll({
-        where: { host_id: hostId },
-        order: [['date_time', 'DESC']]
-    });
+    if (typeof hostId !== 'string' || !UUID_PATTERN.test(hostId)) {
+        return res.status(400).send({ message: 'hostId must be a UUID.' });
+    }
 
-    res.status(200).send(createdEvents);
-};
\ No newline at end of file
+    let page;
+    try {
+        page = parsePageQuery(req.query);
+    } catch (error) {
+        return res.status(400).send({ message: error.message });
+    }
+
+    try {
+        // Newest first, so "next" walks back in time
+        const rows = await Event.findAll({
+            where: {
+                [Op.and]: [
+                    { host_id: hostId },
+                    await visibilityFilter(viewerId),
+                    // Drafts are only listed for the host and their staff
+                    viewerId
+                        ? {
+                              [Op.or]: [
+                                  { status: { [Op.ne]: 'draft' } },
+                                  { host_id: viewerId },
+                                  {
+                                      event_id: {
+                                          [Op.in]: literal(
+                                              `(SELECT event_id FROM event_roles WHERE user_id = ${sequelize.escape(viewerId)})`
+                                          )
+                                      }
+                                  }
+                              ]
+                          }
+                        : { status: { [Op.ne]: 'draft' } },
+                    keysetWhere(page, true)
+                ]
+            },
+            order: keysetOrder(page, true),
+            limit: page.limit + 1
+        });
+
+        res.status(200).send(buildPage(rows, page));
+    } catch (error) {
+        console.error("Get created events error:", error);
+        res.status(500).send({ message: "An internal server error occurred." });
+    }
+};
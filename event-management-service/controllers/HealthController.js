@@ -0,0 +1,18 @@
+const { getBacklog } = require("../services/outbox");
+
+// Backlog above this many undelivered events is reported as degraded.
+const OUTBOX_BACKLOG_WARN = Number(process.env.OUTBOX_BACKLOG_WARN) || 1000;
+
+exports.getOutboxHealth = async (req, res) => {
+  try {
+    const backlog = await getBacklog();
+    const degraded = backlog.failing > 0 || backlog.pending > OUTBOX_BACKLOG_WARN;
+    res.status(degraded ? 503 : 200).send({
+      status: degraded ? "degraded" : "ok",
+      ...backlog,
+    });
+  } catch (error) {
+    console.error("Outbox health error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
@@ -0,0 +1,131 @@
+const sequelize = require("../utils/db");
+const { Sequelize } = require("sequelize");
+const { prepareEvent, insertEvent } = require("../services/eventCreation");
+const { parseTimeZone } = require("../utils/eventTime");
+const { MAX_IMPORT_ROWS, readCsvRows, readIcsRows } = require("../utils/eventImport");
+
+// Upload media types -> row reader
+const READERS = {
+  "text/csv": readCsvRows,
+  "text/calendar": readIcsRows,
+};
+
+const preview = (result) => ({
+  row: result.row,
+  title: result.event.title,
+  date_time: result.event.date_time,
+  end_time: result.event.end_time,
+  time_zone: result.event.time_zone,
+  location: result.event.location,
+  recurrence_rule: result.event.recurrence_rule,
+  status: result.event.status,
+});
+
+exports.importEvents = async (req, res) => {
+  const host_id = req.user.id;
+  const { dry_run = "false", time_zone, status } = req.query;
+
+  const read = READERS[req.is(Object.keys(READERS))];
+  if (!read) {
+    return res
+      .status(415)
+      .send({ message: "Upload a CSV (text/csv) or iCalendar (text/calendar) file." });
+  }
+  if (!["true", "false"].includes(dry_run)) {
+    return res.status(400).send({ message: "dry_run must be true or false." });
+  }
+  if (typeof req.body !== "string" || req.body.trim() === "") {
+    return res.status(400).send({ message: "The uploaded file is empty." });
+  }
+
+  // Query defaults apply to rows that do not set these themselves
+  let rows;
+  try {
+    const defaults = {
+      ...(time_zone !== undefined ? { time_zone: parseTimeZone(time_zone) } : {}),
+      ...(status !== undefined ? { status } : {}),
+    };
+    rows = read(req.body, defaults);
+  } catch (error) {
+    return res.status(400).send({ message: error.message });
+  }
+  if (rows.length === 0) {
+    return res.status(400).send({ message: "The file contains no events." });
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return res
+      .status(400)
+      .send({ message: `At most ${MAX_IMPORT_ROWS} events can be imported at once.` });
+  }
+
+  try {
+    // 1. Validate every row exactly like POST /events
+    const results = [];
+    for (const row of rows) {
+      results.push(row.error ? row : { row: row.row, ...(await prepareEvent(row.fields)) });
+    }
+
+    // 2. Insert the valid rows in one transaction, each in a savepoint so a room
+    // clash (with a booking or an earlier row) is reported against its row. Dry
+    // runs and imports with any error are rolled back, so nothing (including the
+    // event_created announcements in the outbox) is kept unless every row succeeds.
+    const transaction = await sequelize.transaction();
+    try {
+      for (const result of results.filter((r) => r.values)) {
+        try {
+          result.event = await sequelize.transaction({ transaction }, (savepoint) =>
+            insertEvent(result.values, host_id, savepoint)
+          );
+        } catch (error) {
+          if (error instanceof Sequelize.ExclusionConstraintError) {
+            result.error = "The room is already booked for part of this time.";
+          } else if (error instanceof Sequelize.ValidationError) {
+            // Anything prepareEvent let through is still reported against its row
+            result.error = error.errors.map((item) => item.message).join("; ") || error.message;
+          } else {
+            throw error;
+          }
+        }
+      }
+      const failed = results.some((result) => result.error);
+      if (dry_run === "true" || failed) {
+        await transaction.rollback();
+      } else {
+        await transaction.commit();
+      }
+    } catch (error) {
+      if (!transaction.finished) {
+        await transaction.rollback();
+      }
+      throw error;
+    }
+
+    const errors = results
+      .filter((result) => result.error)
+      .map((result) => ({ row: result.row, message: result.error }));
+
+    if (dry_run === "true") {
+      return res.status(200).send({
+        dry_run: true,
+        valid: errors.length === 0,
+        total: rows.length,
+        errors,
+        events: results.filter((result) => result.event).map(preview),
+      });
+    }
+    if (errors.length > 0) {
+      return res.status(400).send({
+        message: `No events were imported: ${errors.length} of ${rows.length} rows have errors.`,
+        errors,
+      });
+    }
+    res.status(201).send({
+      message: `Imported ${rows.length} events.`,
+      imported: rows.length,
+      events: results.map((result) => ({ event_id: result.event.event_id, ...preview(result) })),
+    });
+  } catch (error) {
+    console.error("Import events error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
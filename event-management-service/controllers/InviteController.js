@@ -0,0 +1,169 @@
+const Event = require("../models/Event");
+const EventInvite = require("../models/EventInvite");
+const sequelize = require("../utils/db");
+const { can } = require("../services/permissions");
+const {
+  hashCode,
+  generateInviteCode,
+  findRedeemableInvite,
+  grantInvite,
+} = require("../services/invites");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_INVITE_DAYS = 7;
+const MAX_INVITE_DAYS = 90;
+
+// Loads the event and checks that the caller may manage its invites.
+async function loadForInvites(event_id, user_id) {
+  const event = await Event.findByPk(event_id);
+  if (!event) {
+    return { error: { status: 404, message: "Event not found." } };
+  }
+  if (!(await can(event, user_id, "invite:manage"))) {
+    return {
+      error: { status: 403, message: "Forbidden: You do not have permission to manage invites." },
+    };
+  }
+  return { event };
+}
+
+exports.createInvite = async (req, res) => {
+  const { event_id } = req.params;
+  const { label, expires_at } = req.body || {};
+
+  const now = Date.now();
+  const expiresAt = expires_at ? new Date(expires_at) : new Date(now + DEFAULT_INVITE_DAYS * DAY_MS);
+  if (
+    Number.isNaN(expiresAt.getTime()) ||
+    expiresAt.getTime() <= now ||
+    expiresAt.getTime() > now + MAX_INVITE_DAYS * DAY_MS
+  ) {
+    return res.status(400).send({
+      message: `expires_at must be a future ISO 8601 date-time within ${MAX_INVITE_DAYS} days.`,
+    });
+  }
+  if (label !== undefined && (typeof label !== "string" || label.length > 100)) {
+    return res.status(400).send({ message: "label must be a string of at most 100 characters." });
+  }
+
+  try {
+    const found = await loadForInvites(event_id, req.user.id);
+    if (found.error) {
+      return res.status(found.error.status).send({ message: found.error.message });
+    }
+    if (found.event.visibility === "public") {
+      return res.status(409).send({ message: "Public events do not need invites." });
+    }
+
+    // Only the hash is stored; the code is shown this once
+    const code = generateInviteCode();
+    const invite = await EventInvite.create({
+      event_id,
+      code_hash: hashCode(code),
+      label: label || null,
+      created_by: req.user.id,
+      expires_at: expiresAt,
+    });
+
+    res.status(201).send({
+      invite_id: invite.invite_id,
+      code,
+      share_url: `${req.protocol}://${req.get("host")}${req.baseUrl}/${event_id}?invite=${code}`,
+      label: invite.label,
+      expires_at: invite.expires_at,
+      message: "Anyone with this code can see and RSVP to the event until it expires or is revoked.",
+    });
+  } catch (error) {
+    console.error("Create invite error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.getInvites = async (req, res) => {
+  const { event_id } = req.params;
+
+  try {
+    const found = await loadForInvites(event_id, req.user.id);
+    if (found.error) {
+      return res.status(found.error.status).send({ message: found.error.message });
+    }
+
+    const invites = await EventInvite.findAll({
+      where: { event_id },
+      attributes: [
+        "invite_id",
+        "label",
+        "created_by",
+        "created_at",
+        "expires_at",
+        "revoked_at",
+        "redemption_count",
+      ],
+      order: [["created_at", "DESC"]],
+    });
+    const now = new Date();
+    res.status(200).send(
+      invites.map((invite) => ({
+        ...invite.toJSON(),
+        active: !invite.revoked_at && invite.expires_at > now,
+      }))
+    );
+  } catch (error) {
+    console.error("Get invites error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.revokeInvite = async (req, res) => {
+  const { event_id, invite_id } = req.params;
+
+  try {
+    const found = await loadForInvites(event_id, req.user.id);
+    if (found.error) {
+      return res.status(found.error.status).send({ message: found.error.message });
+    }
+
+    const [count] = await EventInvite.update(
+      { revoked_at: new Date() },
+      { where: { event_id, invite_id, revoked_at: null } }
+    );
+    if (count === 0) {
+      return res.status(404).send({ message: "Active invite not found." });
+    }
+
+    // Users who joined through it lose access unless they have already RSVP'd
+    res.status(200).send({ message: "Invite revoked." });
+  } catch (error) {
+    console.error("Revoke invite error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.redeemInvite = async (req, res) => {
+  const { event_id } = req.params;
+  const { code } = req.body || {};
+
+  try {
+    const granted = await sequelize.transaction(async (transaction) => {
+      const event = await Event.findByPk(event_id, { transaction });
+      const invite =
+        event && event.status !== "draft"
+          ? await findRedeemableInvite(event_id, code, transaction)
+          : null;
+      if (!invite) {
+        return null;
+      }
+      await grantInvite(invite, req.user.id, transaction);
+      return true;
+    });
+
+    // Unknown, expired and revoked codes look the same, so codes cannot be probed
+    if (!granted) {
+      return res.status(404).send({ message: "Invite not found or no longer valid." });
+    }
+    res.status(200).send({ message: "Invite accepted. You can now view and RSVP to this event." });
+  } catch (error) {
+    console.error("Redeem invite error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
@@ -0,0 +1,164 @@
+const Event = require("../models/Event");
+const { publishEvent } = require("../services/outbox");
+const sequelize = require("../utils/db");
+const { can } = require("../services/permissions");
+const { announceEvent, findEventAudience } = require("../services/lifecycle");
+const { validateTransition } = require("../utils/lifecycle");
+const { syncRoomBookings } = require("../services/roomBookings");
+const { syncReminders } = require("../services/reminders");
+
+// Loads the event and checks the caller's permission plus the state machine.
+// Returns `{ event }` or `{ error: { status, message } }`.
+async function loadForTransition(event_id, user_id, permission, to) {
+  const event = await Event.findByPk(event_id);
+  if (!event) {
+    return { error: { status: 404, message: "Event not found." } };
+  }
+  if (!(await can(event, user_id, permission))) {
+    return {
+      error: { status: 403, message: "Forbidden: You do not have permission to manage this event." },
+    };
+  }
+  const transitionError = validateTransition(event.status, to);
+  if (transitionError) {
+    return { error: { status: 409, message: transitionError } };
+  }
+  return { event };
+}
+
+exports.publishDraft = async (req, res) => {
+  const { event_id } = req.params;
+  const { publish_at } = req.body || {};
+
+  const scheduledFor = publish_at ? new Date(publish_at) : null;
+  if (scheduledFor && Number.isNaN(scheduledFor.getTime())) {
+    return res.status(400).send({ message: "publish_at must be an ISO 8601 date-time." });
+  }
+
+  try {
+    const found = await loadForTransition(event_id, req.user.id, "event:publish", "published");
+    if (found.error) {
+      return res.status(found.error.status).send({ message: found.error.message });
+    }
+    const { event } = found;
+
+    // A future publish_at only schedules; the lifecycle worker publishes it when due
+    if (scheduledFor && scheduledFor > new Date()) {
+      await event.update({ publish_at: scheduledFor });
+      return res.status(202).send({
+        message: "Event scheduled for publishing.",
+        status: event.status,
+        publish_at: event.publish_at,
+      });
+    }
+
+    // Conditional update: a concurrent publish (or the worker) may have won the race
+    const rowsUpdated = await sequelize.transaction(async (transaction) => {
+      const [count] = await Event.update(
+        { status: "published", published_at: new Date(), publish_at: null },
+        { where: { event_id, status: "draft" }, transaction }
+      );
+      if (count > 0) {
+        await event.reload({ transaction });
+        await syncReminders(event, transaction);
+        await announceEvent(event, transaction);
+      }
+      return count;
+    });
+    if (rowsUpdated === 0) {
+      return res.status(409).send({ message: "Event has already been published." });
+    }
+
+    res.status(200).send({ message: "Event published and broadcasted.", status: event.status });
+  } catch (error) {
+    console.error("Publish event error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.cancelEvent = async (req, res) => {
+  const { event_id } = req.params;
+  const user_id = req.user.id;
+  const { reason } = req.body || {};
+
+  if (reason !== undefined && (typeof reason !== "string" || reason.length > 500)) {
+    return res
+      .status(400)
+      .send({ message: "reason must be a string of at most 500 characters." });
+  }
+
+  try {
+    const found = await loadForTransition(event_id, user_id, "event:cancel", "cancelled");
+    if (found.error) {
+      return res.status(found.error.status).send({ message: found.error.message });
+    }
+    const { event } = found;
+    const wasDraft = event.status === "draft";
+
+    await sequelize.transaction(async (transaction) => {
+      // RSVPs and the waitlist are kept for the record; they simply stop mattering
+      await event.update(
+        {
+          status: "cancelled",
+          cancelled_at: new Date(),
+          cancellation_reason: reason || null,
+          sequence: event.sequence + 1, // Calendar clients show the entry as cancelled
+        },
+        { transaction }
+      );
+      await syncRoomBookings(event, transaction); // Releases the room
+      await syncReminders(event, transaction); // Drops pending reminders
+
+      // Drafts were never announced, so nobody needs to hear about the cancellation
+      if (!wasDraft) {
+        await publishEvent(
+          "event_cancelled",
+          {
+            event_id,
+            host_id: event.host_id,
+            cancelled_by: user_id,
+            title: event.title,
+            date_time: event.date_time,
+            reason: event.cancellation_reason,
+            attendee_ids: await findEventAudience(event_id, transaction),
+          },
+          { transaction }
+        );
+      }
+    });
+
+    res.status(200).send({ message: "Event cancelled successfully.", status: event.status });
+  } catch (error) {
+    console.error("Cancel event error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.completeEvent = async (req, res) => {
+  const { event_id } = req.params;
+
+  try {
+    // Usually done by the lifecycle worker; hosts may close an event early
+    const found = await loadForTransition(event_id, req.user.id, "event:publish", "completed");
+    if (found.error) {
+      return res.status(found.error.status).send({ message: found.error.message });
+    }
+    const { event } = found;
+
+    await sequelize.transaction(async (transaction) => {
+      await event.update({ status: "completed" }, { transaction });
+      await syncRoomBookings(event, transaction); // Releases slots that have not started
+      await syncReminders(event, transaction); // Drops pending reminders
+      await publishEvent(
+        "event_completed",
+        { event_id, host_id: event.host_id, title: event.title },
+        { transaction }
+      );
+    });
+
+    res.status(200).send({ message: "Event marked as completed.", status: event.status });
+  } catch (error) {
+    console.error("Complete event error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
@@ -0,0 +1,531 @@
+const Event = require("../models/Event");
+const EventParticipant = require("../models/EventParticipant");
+const EventOccurrenceException = require("../models/EventOccurrenceException");
+const EventOccurrenceParticipant = require("../models/EventOccurrenceParticipant");
+const sequelize = require("../utils/db");
+const { publishEvent } = require("../services/outbox");
+const { Op, fn, literal, Sequelize } = require("sequelize");
+const {
+  DEFAULT_EXPANSION_DAYS,
+  MAX_EXPANSION_DAYS,
+  buildRule,
+  isOccurrence,
+  expandSeries,
+} = require("../utils/recurrence");
+const { can, canView } = require("../services/permissions");
+const { validateAnswers } = require("../utils/registrationForm");
+const {
+  CONFLICT_POLICIES,
+  findScheduleConflicts,
+  conflictWarning,
+} = require("../services/attendance");
+const { eventDuration } = require("../utils/eventTime");
+const { partySize, parseGuests } = require("../utils/guests");
+const { checkRoomHours, syncRoomBookings, roomTaken } = require("../services/roomBookings");
+const { syncReminders } = require("../services/reminders");
+const { UPDATE_SCHEMA } = require("../utils/eventUpdate");
+
+/**
+ * Resolves the :event_id / :occurrence_start path parameters to a recurring
+ * event and one of its generated occurrence starts.
+ * @returns {Promise<object>} `{ event, start, exception }` or `{ error: { status, message } }`.
+ */
+async function findOccurrence(params, options = {}) {
+  const start = new Date(params.occurrence_start);
+  if (Number.isNaN(start.getTime())) {
+    return {
+      error: { status: 400, message: "occurrence_start must be an ISO 8601 date-time." },
+    };
+  }
+
+  const event = await Event.findByPk(params.event_id, options);
+  if (
+    !event ||
+    !event.recurrence_rule ||
+    !isOccurrence(
+      buildRule(event.recurrence_rule, event.date_time, event.time_zone),
+      start,
+      event.time_zone
+    )
+  ) {
+    return { error: { status: 404, message: "Occurrence not found." } };
+  }
+
+  const exception = await EventOccurrenceException.findOne({
+    where: { event_id: event.event_id, occurrence_start: start },
+    transaction: options.transaction,
+  });
+  return { event, start, exception };
+}
+
+// Seats held by single-occurrence RSVPs (guests included). Series RSVPs are in attendees_count.
+async function occurrenceSeats(event_id, occurrence_start, transaction) {
+  const [{ seats }] = await EventOccurrenceParticipant.findAll({
+    where: { event_id, occurrence_start },
+    attributes: [[fn("COALESCE", fn("SUM", literal("1 + guests")), 0), "seats"]],
+    raw: true,
+    transaction,
+  });
+  return Number(seats);
+}
+
+// Everyone affected by a change to one occurrence: series RSVPs (except declined
+// ones) plus that occurrence's RSVPs.
+async function findOccurrenceAudience(event_id, occurrence_start, transaction) {
+  const seriesParticipants = await EventParticipant.findAll({
+    where: { event_id, rsvp_status: { [Op.ne]: "declined" } },
+    attributes: ["attendee_id"],
+    transaction,
+  });
+  const occurrenceParticipants = await EventOccurrenceParticipant.findAll({
+    where: { event_id, occurrence_start },
+    attributes: ["attendee_id"],
+    transaction,
+  });
+  return [...seriesParticipants, ...occurrenceParticipants].map((p) => p.attendee_id);
+}
+
+exports.getOccurrences = async (req, res) => {
+  const { event_id } = req.params;
+  const from = req.query.from ? new Date(req.query.from) : new Date();
+  const to = req.query.to
+    ? new Date(req.query.to)
+    : new Date(from.getTime() + DEFAULT_EXPANSION_DAYS * 24 * 60 * 60 * 1000);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return res
+      .status(400)
+      .send({ message: "from and to must be ISO 8601 date-times." });
+  }
+  if (to - from > MAX_EXPANSION_DAYS * 24 * 60 * 60 * 1000) {
+    return res
+      .status(400)
+      .send({ message: `to may be at most ${MAX_EXPANSION_DAYS} days after from.` });
+  }
+
+  try {
+    const event = await Event.findByPk(event_id, {
+      include: [{ model: EventOccurrenceException, as: "exceptions" }],
+    });
+    if (!event || !(await canView(event, req.user?.id, { invite_code: req.query.invite }))) {
+      return res.status(404).send({ message: "Event not found." });
+    }
+    if (!event.recurrence_rule) {
+      return res.status(400).send({ message: "Event is not a recurring series." });
+    }
+
+    const { exceptions, ...fields } = event.toJSON();
+    const occurrences = expandSeries(fields, exceptions, from, to);
+
+    // Seats taken per occurrence = whole-series RSVPs + single-occurrence RSVPs, guests included
+    const counts = await EventOccurrenceParticipant.findAll({
+      where: { event_id },
+      attributes: ["occurrence_start", [fn("SUM", literal("1 + guests")), "count"]],
+      group: ["occurrence_start"],
+      raw: true,
+    });
+    const countByStart = new Map(
+      counts.map((c) => [new Date(c.occurrence_start).toISOString(), Number(c.count)])
+    );
+
+    res.status(200).send(
+      occurrences.map((occurrence) => ({
+        event_id: occurrence.event_id,
+        occurrence_start: occurrence.occurrence_start,
+        title: occurrence.title,
+        location: occurrence.location,
+        date_time: occurrence.date_time,
+        end_time: occurrence.end_time,
+        attendees_count:
+          occurrence.attendees_count +
+          (countByStart.get(occurrence.occurrence_start) || 0),
+        capacity: occurrence.capacity,
+      }))
+    );
+  } catch (error) {
+    console.error("Get occurrences error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.updateOccurrence = async (req, res) => {
+  const user_id = req.user.id;
+  const { date_time, location, title } = req.body || {};
+
+  // Checked like whole-event edits; null drops the override back to the series value
+  const changes = {};
+  for (const [field, value] of Object.entries({ date_time, location, title })) {
+    if (value === undefined || value === null) {
+      if (value === null) {
+        changes[field] = null;
+      }
+      continue;
+    }
+    const parsed = UPDATE_SCHEMA[field](value);
+    if (parsed && parsed.error) {
+      return res.status(400).send({ message: `${field} ${parsed.error}.` });
+    }
+    changes[field] = parsed;
+  }
+
+  let booking = { room_id: null, slots: [] };
+  try {
+    const found = await findOccurrence(req.params);
+    if (found.error) {
+      return res.status(found.error.status).send({ message: found.error.message });
+    }
+    const { event, start, exception } = found;
+    if (!(await can(event, user_id, "occurrence:manage"))) {
+      return res
+        .status(403)
+        .send({ message: "Forbidden: You do not have permission to manage this event." });
+    }
+    if (event.status === "cancelled" || event.status === "completed") {
+      return res
+        .status(409)
+        .send({ message: `A ${event.status} event can no longer be edited.` });
+    }
+
+    // The (possibly moved or restored) occurrence must fit the room's opening hours
+    if (event.room_id) {
+      const slotStart = new Date(
+        changes.date_time !== undefined
+          ? changes.date_time || start
+          : (exception && exception.date_time) || start
+      );
+      booking = {
+        room_id: event.room_id,
+        slots: [{ date_time: slotStart, end_time: new Date(slotStart.getTime() + eventDuration(event)) }],
+      };
+      const closed = await checkRoomHours(event.room_id, booking.slots);
+      if (closed) {
+        return res.status(400).send({ message: closed });
+      }
+    }
+
+    // Overriding an occurrence also restores it if it had been cancelled
+    await sequelize.transaction(async (transaction) => {
+      await EventOccurrenceException.upsert(
+        {
+          event_id: event.event_id,
+          occurrence_start: start,
+          is_cancelled: false,
+          ...changes,
+        },
+        { transaction }
+      );
+      await syncRoomBookings(event, transaction);
+      await syncReminders(event, transaction); // The occurrence may have moved
+      await event.increment("sequence", { transaction }); // Re-issues the series in ICS feeds
+
+      await publishEvent(
+        "occurrence_updated",
+        {
+          event_id: event.event_id,
+          host_id: event.host_id,
+          updated_by: user_id,
+          title: changes.title || event.title,
+          occurrence_start: start.toISOString(),
+          changes,
+          attendee_ids: await findOccurrenceAudience(event.event_id, start, transaction),
+        },
+        { transaction }
+      );
+    });
+
+    res.status(200).send({ message: "Occurrence updated successfully." });
+  } catch (error) {
+    // Another event holds the room at the new time; nothing was changed
+    if (error instanceof Sequelize.ExclusionConstraintError) {
+      return res.status(409).send(await roomTaken(booking, req.params.event_id));
+    }
+    console.error("Update occurrence error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.cancelOccurrence = async (req, res) => {
+  const user_id = req.user.id;
+
+  try {
+    const found = await findOccurrence(req.params);
+    if (found.error) {
+      return res.status(found.error.status).send({ message: found.error.message });
+    }
+    const { event, start, exception } = found;
+    if (!(await can(event, user_id, "occurrence:manage"))) {
+      return res
+        .status(403)
+        .send({ message: "Forbidden: You do not have permission to manage this event." });
+    }
+    if (exception && exception.is_cancelled) {
+      return res.status(409).send({ message: "Occurrence is already cancelled." });
+    }
+
+    // RSVPs are kept so the occurrence can be restored with PUT
+    await sequelize.transaction(async (transaction) => {
+      await EventOccurrenceException.upsert(
+        {
+          event_id: event.event_id,
+          occurrence_start: start,
+          is_cancelled: true,
+        },
+        { transaction }
+      );
+      await syncRoomBookings(event, transaction); // Frees the room for this occurrence
+      await syncReminders(event, transaction);
+      await event.increment("sequence", { transaction }); // Re-issues the series in ICS feeds
+
+      await publishEvent(
+        "occurrence_cancelled",
+        {
+          event_id: event.event_id,
+          host_id: event.host_id,
+          cancelled_by: user_id,
+          title: event.title,
+          occurrence_start: start.toISOString(),
+          attendee_ids: await findOccurrenceAudience(event.event_id, start, transaction),
+        },
+        { transaction }
+      );
+    });
+
+    res.status(200).send({ message: "Occurrence cancelled successfully." });
+  } catch (error) {
+    console.error("Cancel occurrence error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.rsvpToOccurrence = async (req, res) => {
+  const attendee_id = req.user.id;
+  const { answers, guests, on_conflict = "warn" } = req.body || {};
+
+  if (!CONFLICT_POLICIES.includes(on_conflict)) {
+    return res
+      .status(400)
+      .send({ message: `on_conflict must be one of: ${CONFLICT_POLICIES.join(", ")}.` });
+  }
+
+  try {
+    const result = await sequelize.transaction(async (transaction) => {
+      // 1. Lock the series row so concurrent RSVPs cannot oversell the occurrence
+      const found = await findOccurrence(req.params, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      if (found.error) {
+        return found;
+      }
+      const { event, start, exception } = found;
+      const { event_id } = event;
+
+      // Same visibility rules as whole-event RSVPs (invites are redeemed there)
+      if (!(await canView(event, attendee_id, { transaction }))) {
+        return { error: { status: 404, message: "Occurrence not found." } };
+      }
+      if (event.status !== "published") {
+        return {
+          error: { status: 409, message: `This event is ${event.status} and not open for RSVPs.` },
+        };
+      }
+      if (exception && exception.is_cancelled) {
+        return { error: { status: 409, message: "This occurrence has been cancelled." } };
+      }
+      if (
+        await EventParticipant.findOne({
+          where: { event_id, attendee_id, rsvp_status: "going" },
+          transaction,
+        })
+      ) {
+        return {
+          error: { status: 409, message: "User is already registered for the whole series." },
+        };
+      }
+
+      const where = { event_id, occurrence_start: start, attendee_id };
+      if (await EventOccurrenceParticipant.findOne({ where, transaction })) {
+        return {
+          error: { status: 409, message: "User is already registered for this occurrence." },
+        };
+      }
+
+      // The series' registration form and guest limit apply to each occurrence
+      let registration_answers;
+      let party;
+      try {
+        registration_answers = validateAnswers(event.registration_form, answers);
+        party = { guests: parseGuests(guests, event) };
+      } catch (error) {
+        return { error: { status: 400, message: error.message } };
+      }
+
+      // 2. Same overlap check as whole-event RSVPs, for this occurrence's (possibly moved) time
+      const date_time = (exception && exception.date_time) || start;
+      const conflicts = await findScheduleConflicts(
+        attendee_id,
+        [{ date_time, end_time: new Date(new Date(date_time).getTime() + eventDuration(event)) }],
+        event_id,
+        transaction
+      );
+      if (conflicts.length > 0 && on_conflict === "block") {
+        return { blocked: conflicts };
+      }
+
+      // 3. Capacity applies per occurrence; series RSVPs hold their seats in every one
+      if (event.capacity !== null) {
+        const seats = await occurrenceSeats(event_id, start, transaction);
+        if (event.attendees_count + seats + partySize(party) > event.capacity) {
+          return { error: { status: 409, message: "This occurrence is full." } };
+        }
+      }
+
+      await EventOccurrenceParticipant.create(
+        { ...where, ...party, registration_answers },
+        { transaction }
+      );
+
+      // 4. Same event type as series RSVPs, scoped by occurrence_start
+      await publishEvent(
+        "rsvp_added",
+        {
+          event_id,
+          user_id: attendee_id,
+          occurrence_start: start.toISOString(),
+          guests: party.guests,
+          timestamp: new Date().toISOString(),
+        },
+        { transaction }
+      );
+      return { conflicts };
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).send({ message: result.error.message });
+    }
+    if (result.blocked) {
+      return res.status(409).send({
+        message: "This occurrence overlaps other events you are attending. RSVP not recorded.",
+        conflicts: result.blocked,
+      });
+    }
+
+    res.status(200).send({
+      message: "RSVP recorded successfully.",
+      ...conflictWarning(result.conflicts),
+    });
+  } catch (error) {
+    console.error("Occurrence RSVP error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.updateOccurrenceRsvp = async (req, res) => {
+  const attendee_id = req.user.id;
+  const { guests } = req.body || {};
+
+  if (guests === undefined) {
+    return res.status(400).send({ message: "guests is required." });
+  }
+
+  try {
+    const result = await sequelize.transaction(async (transaction) => {
+      // Lock the series row: the occurrence's seat count changes with the party size
+      const found = await findOccurrence(req.params, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      if (found.error) {
+        return found;
+      }
+      const { event, start } = found;
+      if (event.status !== "published") {
+        return {
+          error: { status: 409, message: `This event is ${event.status} and RSVPs cannot be changed.` },
+        };
+      }
+      const rsvp = await EventOccurrenceParticipant.findOne({
+        where: { event_id: event.event_id, occurrence_start: start, attendee_id },
+        transaction,
+      });
+      if (!rsvp) {
+        return {
+          error: { status: 404, message: "RSVP not found for this user and occurrence." },
+        };
+      }
+
+      let party;
+      try {
+        party = { guests: parseGuests(guests, event) };
+      } catch (error) {
+        return { error: { status: 400, message: error.message } };
+      }
+
+      // Extra guests need free seats; the RSVP (and its joined_at) is kept either way
+      const added = partySize(party) - partySize(rsvp);
+      if (added > 0 && event.capacity !== null) {
+        const seats = await occurrenceSeats(event.event_id, start, transaction);
+        if (event.attendees_count + seats + added > event.capacity) {
+          return {
+            error: {
+              status: 409,
+              message: "Not enough seats for more guests. Your RSVP is unchanged.",
+            },
+          };
+        }
+      }
+      await rsvp.update(party, { transaction });
+      return { guests: party.guests };
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).send({ message: result.error.message });
+    }
+    res.status(200).send({ message: "RSVP updated.", guests: result.guests });
+  } catch (error) {
+    console.error("Update occurrence RSVP error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.cancelOccurrenceRsvp = async (req, res) => {
+  const attendee_id = req.user.id;
+
+  try {
+    const found = await findOccurrence(req.params);
+    if (found.error) {
+      return res.status(found.error.status).send({ message: found.error.message });
+    }
+    const { event, start } = found;
+
+    const rowsDeleted = await sequelize.transaction(async (transaction) => {
+      const count = await EventOccurrenceParticipant.destroy({
+        where: { event_id: event.event_id, occurrence_start: start, attendee_id },
+        transaction,
+      });
+      if (count > 0) {
+        await publishEvent(
+          "rsvp_cancelled",
+          {
+            event_id: event.event_id,
+            user_id: attendee_id,
+            occurrence_start: start.toISOString(),
+            timestamp: new Date().toISOString(),
+          },
+          { transaction }
+        );
+      }
+      return count;
+    });
+    if (rowsDeleted === 0) {
+      return res
+        .status(404)
+        .send({ message: "RSVP not found for this user and occurrence." });
+    }
+
+    res.status(200).send({ message: "RSVP successfully cancelled." });
+  } catch (error) {
+    console.error("Cancel occurrence RSVP error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
@@ -0,0 +1,234 @@
+const Event = require("../models/Event");
+const EventParticipant = require("../models/EventParticipant");
+const EventRating = require("../models/EventRating");
+const EventOccurrenceCheckIn = require("../models/EventOccurrenceCheckIn");
+const { publishEvent } = require("../services/outbox");
+const sequelize = require("../utils/db");
+const { Op, fn, col } = require("sequelize");
+const { can, canView, getEventRole } = require("../services/permissions");
+const { parsePageQuery, keysetWhere, keysetOrder, buildPage } = require("../utils/pagination");
+const { parseRating, ratingWindow, roundAverage } = require("../utils/ratings");
+const { UUID_PATTERN } = require("../utils/eventUpdate");
+
+const RATING_KEYS = { time: "created_at", id: "attendee_id" };
+
+// Shape returned from transaction callbacks when the request must be rejected.
+const rejection = (status, message) => ({ error: { status, message } });
+
+// Count and average of the ratings matching `where`.
+async function aggregateRatings(where, transaction) {
+  const [stats] = await EventRating.findAll({
+    where,
+    attributes: [
+      [fn("COUNT", col("rating")), "rating_count"],
+      [fn("AVG", col("rating")), "rating_average"],
+      [fn("COUNT", fn("DISTINCT", col("event_id"))), "rated_events"],
+    ],
+    raw: true,
+    transaction,
+  });
+  return {
+    rating_count: Number(stats.rating_count),
+    rating_average: roundAverage(stats.rating_average),
+    rated_events: Number(stats.rated_events),
+  };
+}
+
+// The attendee's first check-in: to the event, or to any occurrence of a series
+// (single-occurrence RSVPs have no event_participants row). Null if never checked in.
+async function findFirstCheckIn(event, attendee_id, transaction) {
+  const { event_id } = event;
+  const participation = await EventParticipant.findOne({
+    where: { event_id, attendee_id, rsvp_status: "going", checked_in_at: { [Op.ne]: null } },
+    transaction,
+  });
+  if (!event.recurrence_rule) {
+    return participation && participation.checked_in_at;
+  }
+  const occurrenceCheckIn = await EventOccurrenceCheckIn.findOne({
+    where: { event_id, attendee_id },
+    order: [["checked_in_at", "ASC"]],
+    transaction,
+  });
+  const checkIns = [participation, occurrenceCheckIn]
+    .filter(Boolean)
+    .map((row) => new Date(row.checked_in_at));
+  return checkIns.length > 0 ? new Date(Math.min(...checkIns)) : null;
+}
+
+const toRating = (row) => ({
+  attendee_id: row.attendee_id,
+  rating: row.rating,
+  comment: row.comment,
+  created_at: row.created_at,
+  updated_at: row.updated_at,
+});
+
+exports.rateEvent = async (req, res) => {
+  const { event_id } = req.params;
+  const attendee_id = req.user.id;
+
+  let values;
+  try {
+    values = parseRating(req.body);
+  } catch (error) {
+    return res.status(400).send({ message: error.message });
+  }
+
+  try {
+    const result = await sequelize.transaction(async (transaction) => {
+      // Lock the event so concurrent ratings cannot race its aggregate
+      const event = await Event.findByPk(event_id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+      if (!event || !(await canView(event, attendee_id, { transaction }))) {
+        return rejection(404, "Event not found.");
+      }
+      if (event.status === "cancelled" || event.status === "draft") {
+        return rejection(409, `This event is ${event.status} and cannot be rated.`);
+      }
+      if (await getEventRole(event, attendee_id, transaction)) {
+        return rejection(403, "Hosts and staff cannot rate their own event.");
+      }
+
+      // Only verified attendance counts: a check-in at the door
+      const checked_in_at = await findFirstCheckIn(event, attendee_id, transaction);
+      if (!checked_in_at) {
+        return rejection(403, "Only attendees who checked in can rate this event.");
+      }
+      const now = new Date();
+      const { opens_at, closes_at } = ratingWindow(event, checked_in_at);
+      if (now < opens_at) {
+        return rejection(409, `Ratings open when the event ends (${opens_at.toISOString()}).`);
+      }
+      if (now > closes_at) {
+        return rejection(409, `Ratings for this event closed on ${closes_at.toISOString()}.`);
+      }
+
+      const existing = await EventRating.findOne({
+        where: { event_id, attendee_id },
+        transaction,
+      });
+      const previous_rating = existing ? existing.rating : null;
+      if (existing) {
+        await existing.update(values, { transaction });
+      } else {
+        await EventRating.create(
+          { event_id, attendee_id, host_id: event.host_id, ...values },
+          { transaction }
+        );
+      }
+
+      // Aggregates are recomputed rather than adjusted, so they cannot drift
+      const eventStats = await aggregateRatings({ event_id }, transaction);
+      await event.update(
+        { rating_count: eventStats.rating_count, rating_average: eventStats.rating_average },
+        { transaction }
+      );
+      const hostStats = await aggregateRatings({ host_id: event.host_id }, transaction);
+
+      // DRS uses the host's average as a ranking signal
+      await publishEvent(
+        "event_rated",
+        {
+          event_id,
+          host_id: event.host_id,
+          user_id: attendee_id,
+          rating: values.rating,
+          previous_rating,
+          event_rating_count: eventStats.rating_count,
+          event_rating_average: eventStats.rating_average,
+          host_rating_count: hostStats.rating_count,
+          host_rating_average: hostStats.rating_average,
+          timestamp: now.toISOString(),
+        },
+        { transaction }
+      );
+      return { created: !existing, eventStats, closes_at };
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).send({ message: result.error.message });
+    }
+    res.status(result.created ? 201 : 200).send({
+      message: result.created ? "Rating recorded." : "Rating updated.",
+      ...values,
+      editable_until: result.closes_at,
+      event_rating_count: result.eventStats.rating_count,
+      event_rating_average: result.eventStats.rating_average,
+    });
+  } catch (error) {
+    console.error("Rate event error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.getRatings = async (req, res) => {
+  const { event_id } = req.params;
+
+  let page;
+  try {
+    page = parsePageQuery(req.query, { keys: RATING_KEYS });
+  } catch (error) {
+    return res.status(400).send({ message: error.message });
+  }
+
+  try {
+    const event = await Event.findByPk(event_id);
+    if (!event) {
+      return res.status(404).send({ message: "Event not found." });
+    }
+    if (!(await can(event, req.user.id, "ratings:view"))) {
+      return res
+        .status(403)
+        .send({ message: "Forbidden: Only the event's hosts can read its ratings." });
+    }
+
+    // Newest first, like comment threads
+    const [rows, distributionRows] = await Promise.all([
+      EventRating.findAll({
+        where: { [Op.and]: [{ event_id }, keysetWhere(page, true)] },
+        order: keysetOrder(page, true),
+        limit: page.limit + 1,
+      }),
+      EventRating.findAll({
+        where: { event_id },
+        attributes: ["rating", [fn("COUNT", col("rating")), "count"]],
+        group: ["rating"],
+        raw: true,
+      }),
+    ]);
+    const { events: pageRows, ...cursors } = buildPage(rows, page);
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    for (const row of distributionRows) {
+      distribution[row.rating] = Number(row.count);
+    }
+
+    res.status(200).send({
+      rating_count: event.rating_count,
+      rating_average: event.rating_average,
+      distribution,
+      ratings: pageRows.map(toRating),
+      ...cursors,
+    });
+  } catch (error) {
+    console.error("Get ratings error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.getHostReputation = async (req, res) => {
+  const { host_id } = req.params;
+  if (!UUID_PATTERN.test(host_id)) {
+    return res.status(400).send({ message: "host_id must be a UUID." });
+  }
+
+  try {
+    const stats = await aggregateRatings({ host_id });
+    res.status(200).send({ host_id, ...stats });
+  } catch (error) {
+    console.error("Get host reputation error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
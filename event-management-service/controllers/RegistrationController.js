@@ -0,0 +1,103 @@
+const Event = require("../models/Event");
+const EventParticipant = require("../models/EventParticipant");
+const EventOccurrenceParticipant = require("../models/EventOccurrenceParticipant");
+const EventWaitlist = require("../models/EventWaitlist");
+const { can } = require("../services/permissions");
+const { formatAnswer } = require("../utils/registrationForm");
+const { toCsv } = require("../utils/csv");
+
+const FORMATS = ["json", "csv"];
+
+exports.getRegistrations = async (req, res) => {
+  const { event_id } = req.params;
+  const format = req.query.format || "json";
+
+  if (!FORMATS.includes(format)) {
+    return res.status(400).send({ message: `format must be one of: ${FORMATS.join(", ")}.` });
+  }
+
+  try {
+    const event = await Event.findByPk(event_id);
+    if (!event) {
+      return res.status(404).send({ message: "Event not found." });
+    }
+    if (!(await can(event, req.user.id, "registrations:view"))) {
+      return res
+        .status(403)
+        .send({ message: "Forbidden: Only the event's hosts can download registrations." });
+    }
+
+    const [participants, occurrenceParticipants, waitlist] = await Promise.all([
+      EventParticipant.findAll({ where: { event_id }, order: [["joined_at", "ASC"]] }),
+      EventOccurrenceParticipant.findAll({
+        where: { event_id },
+        order: [["occurrence_start", "ASC"], ["joined_at", "ASC"]],
+      }),
+      EventWaitlist.findAll({ where: { event_id }, order: [["waitlisted_at", "ASC"]] }),
+    ]);
+
+    // Whole-event RSVPs first, then per-occurrence RSVPs, then the waitlist in FIFO order
+    const responses = [
+      ...participants.map((p) => ({
+        attendee_id: p.attendee_id,
+        status: "registered",
+        rsvp_status: p.rsvp_status,
+        occurrence_start: null,
+        registered_at: p.joined_at,
+        guests: p.guests,
+        answers: p.registration_answers || {},
+      })),
+      ...occurrenceParticipants.map((p) => ({
+        attendee_id: p.attendee_id,
+        status: "registered",
+        rsvp_status: "going",
+        occurrence_start: p.occurrence_start,
+        registered_at: p.joined_at,
+        guests: p.guests,
+        answers: p.registration_answers || {},
+      })),
+      ...waitlist.map((w) => ({
+        attendee_id: w.attendee_id,
+        status: "waitlisted",
+        rsvp_status: "going",
+        occurrence_start: null,
+        registered_at: w.waitlisted_at,
+        guests: w.guests,
+        answers: w.registration_answers || {},
+      })),
+    ];
+    const questions = event.registration_form || [];
+
+    if (format === "json") {
+      return res.status(200).send({ questions, responses });
+    }
+
+    // One column per question; answers to questions removed from the form are dropped
+    const csv = toCsv(
+      [
+        "attendee_id",
+        "status",
+        "rsvp_status",
+        "occurrence_start",
+        "registered_at",
+        "guests",
+        ...questions.map((question) => question.label),
+      ],
+      responses.map((response) => [
+        response.attendee_id,
+        response.status,
+        response.rsvp_status,
+        response.occurrence_start && new Date(response.occurrence_start).toISOString(),
+        new Date(response.registered_at).toISOString(),
+        response.guests,
+        ...questions.map((question) => formatAnswer(response.answers[question.id])),
+      ])
+    );
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="registrations-${event_id}.csv"`);
+    res.status(200).send(csv);
+  } catch (error) {
+    console.error("Get registrations error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
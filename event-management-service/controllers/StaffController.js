@@ -0,0 +1,170 @@
+const Event = require("../models/Event");
+const EventRole = require("../models/EventRole");
+const { publishEvent } = require("../services/outbox");
+const sequelize = require("../utils/db");
+const { Sequelize } = require("sequelize");
+const { getEventRole, PERMISSIONS } = require("../services/permissions");
+const { UUID_PATTERN } = require("../utils/eventUpdate");
+
+// Roles that can be handed out; 'owner' belongs to the host and is never invited.
+const ASSIGNABLE_ROLES = ["co_host", "checkin_staff"];
+
+// Owners manage all staff; co-hosts may only manage check-in staff.
+const canManageRole = (actorRole, targetRole) =>
+  PERMISSIONS[targetRole === "co_host" ? "staff:manage_co_hosts" : "staff:manage"].includes(
+    actorRole
+  );
+
+exports.getStaff = async (req, res) => {
+  const { event_id } = req.params;
+
+  try {
+    const event = await Event.findByPk(event_id);
+    if (!event) {
+      return res.status(404).send({ message: "Event not found." });
+    }
+    const role = await getEventRole(event, req.user.id);
+    if (!PERMISSIONS["staff:view"].includes(role)) {
+      return res
+        .status(403)
+        .send({ message: "Forbidden: You are not staff for this event." });
+    }
+
+    const staff = await EventRole.findAll({
+      where: { event_id },
+      attributes: ["user_id", "role", "invited_by", "created_at"],
+      order: [["created_at", "ASC"]],
+    });
+
+    // Events created before roles existed have no owner row
+    if (!staff.some((s) => s.role === "owner")) {
+      staff.unshift({
+        user_id: event.host_id,
+        role: "owner",
+        invited_by: null,
+        created_at: event.created_at,
+      });
+    }
+
+    res.status(200).send(staff);
+  } catch (error) {
+    console.error("Get staff error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.inviteStaff = async (req, res) => {
+  const { event_id } = req.params;
+  const inviter_id = req.user.id;
+  const { user_id, role } = req.body;
+
+  if (!user_id || !ASSIGNABLE_ROLES.includes(role)) {
+    return res.status(400).send({
+      message: `user_id and a role of ${ASSIGNABLE_ROLES.join(" or ")} are required.`,
+    });
+  }
+  if (typeof user_id !== "string" || !UUID_PATTERN.test(user_id)) {
+    return res.status(400).send({ message: "user_id must be a UUID." });
+  }
+
+  try {
+    const event = await Event.findByPk(event_id);
+    if (!event) {
+      return res.status(404).send({ message: "Event not found." });
+    }
+
+    const actorRole = await getEventRole(event, inviter_id);
+    if (!canManageRole(actorRole, role)) {
+      return res
+        .status(403)
+        .send({ message: "Forbidden: You cannot assign this role." });
+    }
+
+    if (user_id === event.host_id || (await getEventRole(event, user_id))) {
+      return res
+        .status(409)
+        .send({ message: "User already has a role on this event. Remove it first." });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await EventRole.create(
+        { event_id, user_id, role, invited_by: inviter_id },
+        { transaction }
+      );
+
+      // RNS tells the invitee they now help run the event
+      await publishEvent(
+        "staff_invited",
+        {
+          event_id,
+          host_id: event.host_id,
+          title: event.title,
+          user_id,
+          role,
+          invited_by: inviter_id,
+        },
+        { transaction }
+      );
+    });
+
+    res.status(201).send({ message: "Staff member added successfully.", user_id, role });
+  } catch (error) {
+    // A concurrent invite of the same user won the race
+    if (error instanceof Sequelize.UniqueConstraintError) {
+      return res
+        .status(409)
+        .send({ message: "User already has a role on this event. Remove it first." });
+    }
+    console.error("Invite staff error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.removeStaff = async (req, res) => {
+  const { event_id, user_id } = req.params;
+  const actor_id = req.user.id;
+
+  try {
+    const event = await Event.findByPk(event_id);
+    if (!event) {
+      return res.status(404).send({ message: "Event not found." });
+    }
+
+    if (user_id === event.host_id) {
+      return res.status(400).send({ message: "The event owner cannot be removed." });
+    }
+    const assignment = await EventRole.findOne({ where: { event_id, user_id } });
+    if (!assignment) {
+      return res.status(404).send({ message: "User is not staff for this event." });
+    }
+
+    // Staff may always step down themselves
+    const actorRole = await getEventRole(event, actor_id);
+    if (actor_id !== user_id && !canManageRole(actorRole, assignment.role)) {
+      return res
+        .status(403)
+        .send({ message: "Forbidden: You cannot remove this staff member." });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await assignment.destroy({ transaction });
+      await publishEvent(
+        "staff_removed",
+        {
+          event_id,
+          host_id: event.host_id,
+          title: event.title,
+          user_id,
+          role: assignment.role,
+          removed_by: actor_id,
+        },
+        { transaction }
+      );
+    });
+
+    res.status(200).send({ message: "Staff member removed successfully." });
+  } catch (error) {
+    console.error("Remove staff error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
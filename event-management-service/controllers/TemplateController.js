@@ -0,0 +1,238 @@
+const Event = require("../models/Event");
+const EventRole = require("../models/EventRole");
+const EventTemplate = require("../models/EventTemplate");
+const sequelize = require("../utils/db");
+const { Sequelize } = require("sequelize");
+const { can } = require("../services/permissions");
+const { resolveVenue, prepareEvent, insertEvent } = require("../services/eventCreation");
+const { roomTaken } = require("../services/roomBookings");
+const { validateCategory } = require("../utils/taxonomy");
+const { eventETag } = require("../utils/etag");
+const {
+  parseTemplate,
+  parseOverrides,
+  eventFieldsFromTemplate,
+  eventFieldsFromEvent,
+  copyStaff,
+  templateFromEvent,
+} = require("../utils/eventTemplate");
+
+const NAME_TAKEN = "You already have a template with this name.";
+
+// Templates are private to the account that owns them; others get a 404.
+const findOwnTemplate = (template_id, owner_id) =>
+  EventTemplate.findOne({ where: { template_id, owner_id } });
+
+// Venue and category must exist when saved; everything else is checked when the template is used.
+async function checkReferences(template) {
+  if (template.building_id || template.room_id) {
+    const venue = await resolveVenue(template.building_id, template.room_id);
+    if (venue.error) {
+      return { error: venue.error };
+    }
+    template.building_id = venue.building_id;
+  }
+  const categoryError = template.category ? await validateCategory(template.category) : null;
+  return categoryError ? { error: categoryError } : {};
+}
+
+// Creates an event from template or clone fields, like POST /events, and sends the response.
+async function createFrom(res, fields, host_id, staff) {
+  // Required fields, lifecycle, times, recurrence, taxonomy, venue and room hours
+  const prepared = await prepareEvent(fields);
+  if (prepared.error) {
+    return res.status(400).send({ message: prepared.error });
+  }
+
+  let newEvent;
+  try {
+    newEvent = await sequelize.transaction((transaction) =>
+      insertEvent(prepared.values, host_id, transaction, { staff })
+    );
+  } catch (error) {
+    // Another event holds the room; nothing was created
+    if (error instanceof Sequelize.ExclusionConstraintError) {
+      return res.status(409).send(await roomTaken(prepared.booking));
+    }
+    throw error;
+  }
+
+  res.set("ETag", eventETag(newEvent));
+  res.status(201).send({
+    event_id: newEvent.event_id,
+    status: newEvent.status,
+    message:
+      newEvent.status === "published"
+        ? "Event created successfully and broadcasted."
+        : "Draft saved. Publish it to announce the event.",
+  });
+}
+
+exports.getTemplates = async (req, res) => {
+  try {
+    const templates = await EventTemplate.findAll({
+      where: { owner_id: req.user.id },
+      order: [["name", "ASC"]],
+    });
+    res.status(200).send(templates);
+  } catch (error) {
+    console.error("Get templates error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.getTemplate = async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req.params.template_id, req.user.id);
+    if (!template) {
+      return res.status(404).send({ message: "Template not found." });
+    }
+    res.status(200).send(template);
+  } catch (error) {
+    console.error("Get template error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.createTemplate = async (req, res) => {
+  const owner_id = req.user.id;
+  const { from_event_id, ...body } = req.body || {};
+
+  const parsed = parseTemplate(body);
+  if (parsed.error) {
+    return res.status(400).send({ message: parsed.error });
+  }
+
+  try {
+    // Saving an existing event copies its details and staff; body fields take precedence
+    let base = {};
+    if (from_event_id !== undefined) {
+      const event = await Event.findByPk(from_event_id);
+      if (!event) {
+        return res.status(404).send({ message: "Event not found." });
+      }
+      if (!(await can(event, owner_id, "event:clone"))) {
+        return res
+          .status(403)
+          .send({ message: "Forbidden: Only the event's hosts can save it as a template." });
+      }
+      const roles = await EventRole.findAll({ where: { event_id: event.event_id } });
+      base = templateFromEvent(event, roles, owner_id);
+    }
+
+    const values = { ...base, ...parsed.values, owner_id };
+    const references = await checkReferences(values);
+    if (references.error) {
+      return res.status(400).send({ message: references.error });
+    }
+
+    const template = await EventTemplate.create(values);
+    res.status(201).send(template);
+  } catch (error) {
+    if (error instanceof Sequelize.UniqueConstraintError) {
+      return res.status(409).send({ message: NAME_TAKEN });
+    }
+    console.error("Create template error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.updateTemplate = async (req, res) => {
+  const parsed = parseTemplate(req.body, { partial: true });
+  if (parsed.error) {
+    return res.status(400).send({ message: parsed.error });
+  }
+
+  try {
+    const template = await findOwnTemplate(req.params.template_id, req.user.id);
+    if (!template) {
+      return res.status(404).send({ message: "Template not found." });
+    }
+
+    const values = { ...template.get({ plain: true }), ...parsed.values };
+    const references = await checkReferences(values);
+    if (references.error) {
+      return res.status(400).send({ message: references.error });
+    }
+
+    await template.update({ ...parsed.values, building_id: values.building_id });
+    res.status(200).send(template);
+  } catch (error) {
+    if (error instanceof Sequelize.UniqueConstraintError) {
+      return res.status(409).send({ message: NAME_TAKEN });
+    }
+    console.error("Update template error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.deleteTemplate = async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req.params.template_id, req.user.id);
+    if (!template) {
+      return res.status(404).send({ message: "Template not found." });
+    }
+    // Events already created from the template are independent copies and stay
+    await template.destroy();
+    res.status(200).send({ message: "Template deleted successfully." });
+  } catch (error) {
+    console.error("Delete template error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.createEventFromTemplate = async (req, res) => {
+  const parsed = parseOverrides(req.body);
+  if (parsed.error) {
+    return res.status(400).send({ message: parsed.error });
+  }
+
+  try {
+    const template = await findOwnTemplate(req.params.template_id, req.user.id);
+    if (!template) {
+      return res.status(404).send({ message: "Template not found." });
+    }
+    await createFrom(
+      res,
+      eventFieldsFromTemplate(template, parsed.overrides),
+      req.user.id,
+      template.staff
+    );
+  } catch (error) {
+    console.error("Create event from template error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.cloneEvent = async (req, res) => {
+  const { event_id } = req.params;
+  const user_id = req.user.id;
+
+  const parsed = parseOverrides(req.body);
+  if (parsed.error) {
+    return res.status(400).send({ message: parsed.error });
+  }
+
+  try {
+    const event = await Event.findByPk(event_id);
+    if (!event) {
+      return res.status(404).send({ message: "Event not found." });
+    }
+    if (!(await can(event, user_id, "event:clone"))) {
+      return res
+        .status(403)
+        .send({ message: "Forbidden: Only the event's hosts can clone it." });
+    }
+
+    const roles = await EventRole.findAll({ where: { event_id } });
+    await createFrom(
+      res,
+      eventFieldsFromEvent(event, parsed.overrides),
+      user_id,
+      copyStaff(event, roles, user_id)
+    );
+  } catch (error) {
+    console.error("Clone event error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
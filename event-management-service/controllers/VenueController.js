@@ -0,0 +1,270 @@
+const Building = require("../models/Building");
+const Room = require("../models/Room");
+const RoomAvailability = require("../models/RoomAvailability");
+const sequelize = require("../utils/db");
+const { Sequelize } = require("sequelize");
+const { distanceKm, parseGeoQuery, matchesGeoFilter } = require("../utils/geo");
+const { parseTimeZone } = require("../utils/eventTime");
+const {
+  parseAvailabilityWindows,
+  openingIntervals,
+  subtractIntervals,
+} = require("../utils/roomHours");
+const { findRoomConflicts } = require("../services/roomBookings");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Availability lookups cover at most this many days
+const MAX_AVAILABILITY_DAYS = 31;
+const DEFAULT_AVAILABILITY_DAYS = 7;
+
+// Opening hours as sent and returned by the API ("08:00", not Postgres' "08:00:00").
+const toWindow = (row) => ({
+  weekday: row.weekday,
+  opens_at: row.opens_at.slice(0, 5),
+  closes_at: row.closes_at.slice(0, 5),
+});
+
+exports.getBuildings = async (req, res) => {
+  let geo;
+  try {
+    geo = parseGeoQuery(req.query);
+  } catch (error) {
+    return res.status(400).send({ message: error.message });
+  }
+
+  try {
+    const buildings = await Building.findAll({
+      attributes: ["building_id", "code", "name", "address", "latitude", "longitude", "time_zone"],
+      order: [["name", "ASC"]],
+    });
+
+    let results = buildings
+      .filter((building) => matchesGeoFilter(building, geo))
+      .map((building) => building.toJSON());
+
+    // Nearest first when the caller supplies their position
+    if (geo.point) {
+      for (const building of results) {
+        building.distance_km = Number(
+          distanceKm(geo.point.lat, geo.point.lng, building.latitude, building.longitude).toFixed(3)
+        );
+      }
+      results = results.sort((a, b) => a.distance_km - b.distance_km);
+    }
+
+    res.status(200).send(results);
+  } catch (error) {
+    console.error("Get buildings error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.getBuilding = async (req, res) => {
+  const { building_id } = req.params;
+
+  try {
+    const building = await Building.findByPk(building_id, {
+      include: [
+        {
+          model: Room,
+          as: "rooms",
+          attributes: ["room_id", "name", "floor", "seats"],
+        },
+      ],
+      order: [[{ model: Room, as: "rooms" }, "name", "ASC"]],
+    });
+    if (!building) {
+      return res.status(404).send({ message: "Building not found." });
+    }
+    res.status(200).send(building);
+  } catch (error) {
+    console.error("Get building error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.createBuilding = async (req, res) => {
+  const { code, name, address, latitude, longitude, time_zone } = req.body;
+
+  if (!code || !name || latitude === undefined || longitude === undefined) {
+    return res.status(400).send({
+      message: "Missing required fields: code, name, latitude and longitude.",
+    });
+  }
+  let timeZone;
+  try {
+    timeZone = time_zone === undefined ? undefined : parseTimeZone(time_zone);
+  } catch (error) {
+    return res.status(400).send({ message: error.message });
+  }
+
+  try {
+    const building = await Building.create({
+      code,
+      name,
+      address,
+      latitude,
+      longitude,
+      time_zone: timeZone,
+    });
+    res.status(201).send(building);
+  } catch (error) {
+    if (error instanceof Sequelize.UniqueConstraintError) {
+      return res.status(409).send({ message: "Building code already exists." });
+    }
+    if (error instanceof Sequelize.ValidationError) {
+      return res.status(400).send({ message: "Invalid latitude or longitude." });
+    }
+    console.error("Create building error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.updateBuilding = async (req, res) => {
+  const { building_id } = req.params;
+  const { code, name, address, latitude, longitude, time_zone } = req.body;
+  let timeZone;
+  try {
+    timeZone = time_zone === undefined ? undefined : parseTimeZone(time_zone);
+  } catch (error) {
+    return res.status(400).send({ message: error.message });
+  }
+
+  try {
+    const building = await Building.findByPk(building_id);
+    if (!building) {
+      return res.status(404).send({ message: "Building not found." });
+    }
+
+    // Existing bookings are kept when opening hours shift with the time zone
+    await building.update({ code, name, address, latitude, longitude, time_zone: timeZone });
+    res.status(200).send(building);
+  } catch (error) {
+    if (error instanceof Sequelize.UniqueConstraintError) {
+      return res.status(409).send({ message: "Building code already exists." });
+    }
+    if (error instanceof Sequelize.ValidationError) {
+      return res.status(400).send({ message: "Invalid latitude or longitude." });
+    }
+    console.error("Update building error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.createRoom = async (req, res) => {
+  const { building_id } = req.params;
+  const { name, floor, seats } = req.body;
+
+  if (!name) {
+    return res.status(400).send({ message: "Missing required field: name." });
+  }
+
+  try {
+    const building = await Building.findByPk(building_id);
+    if (!building) {
+      return res.status(404).send({ message: "Building not found." });
+    }
+
+    const room = await Room.create({ building_id, name, floor, seats });
+    res.status(201).send(room);
+  } catch (error) {
+    if (error instanceof Sequelize.UniqueConstraintError) {
+      return res
+        .status(409)
+        .send({ message: "A room with this name already exists in the building." });
+    }
+    if (error instanceof Sequelize.ValidationError) {
+      return res.status(400).send({ message: "Seats must be a positive integer." });
+    }
+    console.error("Create room error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.setRoomAvailability = async (req, res) => {
+  const { room_id } = req.params;
+  let windows;
+  try {
+    windows = parseAvailabilityWindows((req.body || {}).windows);
+  } catch (error) {
+    return res.status(400).send({ message: error.message });
+  }
+
+  try {
+    const room = await Room.findByPk(room_id);
+    if (!room) {
+      return res.status(404).send({ message: "Room not found." });
+    }
+
+    // The windows are replaced as a whole; existing bookings are kept
+    await sequelize.transaction(async (transaction) => {
+      await RoomAvailability.destroy({ where: { room_id }, transaction });
+      await RoomAvailability.bulkCreate(
+        windows.map((window) => ({ room_id, ...window })),
+        { transaction }
+      );
+    });
+    res.status(200).send({ room_id, windows });
+  } catch (error) {
+    console.error("Set room availability error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
+exports.getRoomAvailability = async (req, res) => {
+  const { room_id } = req.params;
+  const from = req.query.from ? new Date(req.query.from) : new Date();
+  const to = req.query.to
+    ? new Date(req.query.to)
+    : new Date(from.getTime() + DEFAULT_AVAILABILITY_DAYS * DAY_MS);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return res.status(400).send({ message: "from and to must be ISO 8601 date-times." });
+  }
+  if (to <= from) {
+    return res.status(400).send({ message: "to must be after from." });
+  }
+  if (to - from > MAX_AVAILABILITY_DAYS * DAY_MS) {
+    return res
+      .status(400)
+      .send({ message: `Availability can be looked up for at most ${MAX_AVAILABILITY_DAYS} days at a time.` });
+  }
+
+  try {
+    const room = await Room.findByPk(room_id, {
+      include: [
+        { model: Building, as: "building", attributes: ["name", "time_zone"] },
+        { model: RoomAvailability, as: "availability" },
+      ],
+      order: [
+        [{ model: RoomAvailability, as: "availability" }, "weekday", "ASC"],
+        [{ model: RoomAvailability, as: "availability" }, "opens_at", "ASC"],
+      ],
+    });
+    if (!room) {
+      return res.status(404).send({ message: "Room not found." });
+    }
+
+    const timeZone = room.building.time_zone;
+    // Which events hold the room is not shown; hosts only need the busy times
+    const busy = (
+      await findRoomConflicts(room_id, [{ date_time: from, end_time: to }], { limit: null })
+    ).map(({ starts_at, ends_at }) => ({ starts_at, ends_at }));
+
+    res.status(200).send({
+      room_id,
+      name: room.name,
+      building_id: room.building_id,
+      building_name: room.building.name,
+      time_zone: timeZone,
+      windows: room.availability.map(toWindow),
+      from,
+      to,
+      busy,
+      free: subtractIntervals(openingIntervals(room.availability, timeZone, from, to), busy),
+    });
+  } catch (error) {
+    console.error("Get room availability error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
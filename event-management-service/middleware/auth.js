@@ -1,5 +1,11 @@
 // This middleware simulates the authorization step performed by the API Gateway.
 
+// Platform administrators are configured per deployment as a comma-separated list of user IDs.
+const ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
 exports.authenticate = (req, res, next) => {
     // 1. Check for the authenticated User ID header passed by the API Gateway
     const authenticatedUserId = req.headers['x-user-id'];
@@ -15,6 +21,15 @@ exports.authenticate = (req, res, next) => {
     next();
 };
 
+exports.optionalAuthenticate = (req, res, next) => {
+    // Public routes that show extra data (e.g. drafts to their hosts) when the caller is known.
+    const authenticatedUserId = req.headers['x-user-id'];
+    if (authenticatedUserId) {
+        req.user = { id: authenticatedUserId };
+    }
+    next();
+};
+
 exports.authorizeUserAccess = (req, res, next) => {
     // This middleware verifies that the user is authorized to perform an action on *their own* account.
     
@@ -34,4 +49,12 @@ exports.authorizeUserAccess = (req, res, next) => {
 
     // If IDs match, proceed
     next();
-};
\ No newline at end of file
+};
+
+exports.requireAdmin = (req, res, next) => {
+    // Must run after authenticate. Guards platform-wide settings such as the category taxonomy.
+    if (!ADMIN_USER_IDS.includes(req.user.id)) {
+        return res.status(403).send({ message: "Forbidden: Administrator access required." });
+    }
+    next();
+};
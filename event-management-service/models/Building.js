@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/db');
+
+// Campus building registry. Coordinates are WGS84 decimal degrees.
+const Building = sequelize.define('Building', {
+    building_id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+    },
+    code: { // Short campus code, e.g. "ENG2"
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        unique: true
+    },
+    name: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+    },
+    address: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    latitude: {
+        type: DataTypes.DOUBLE,
+        allowNull: false,
+        validate: { min: -90, max: 90 }
+    },
+    longitude: {
+        type: DataTypes.DOUBLE,
+        allowNull: false,
+        validate: { min: -180, max: 180 }
+    },
+    time_zone: { // IANA zone; room opening hours are local times in it
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        defaultValue: 'UTC'
+    }
+}, {
+    tableName: 'buildings',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        { fields: ['latitude', 'longitude'] }
+    ]
+});
+
+module.exports = Building;
@@ -0,0 +1,28 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/db');
+
+// Secret token that authenticates a user's subscribable ICS feed.
+// Only the SHA-256 hash is stored; one active token per user (rotating replaces it).
+const CalendarFeedToken = sequelize.define('CalendarFeedToken', {
+    user_id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        allowNull: false
+    },
+    token_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true
+    },
+    last_used_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'calendar_feed_tokens',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+});
+
+module.exports = CalendarFeedToken;
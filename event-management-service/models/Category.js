@@ -0,0 +1,33 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/db');
+
+// Managed event taxonomy. Events reference a category by its slug.
+const Category = sequelize.define('Category', {
+    slug: { // e.g. "technology", used in URLs and Kafka payloads
+        type: DataTypes.STRING(50),
+        primaryKey: true,
+        allowNull: false,
+        validate: { is: /^[a-z0-9]+(-[a-z0-9]+)*$/ }
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true
+    },
+    description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    is_active: { // Retired categories stay on old events but cannot be used for new ones
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    }
+}, {
+    tableName: 'event_categories',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+});
+
+module.exports = Category;
@@ -1,5 +1,8 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../utils/db');
+const Category = require('./Category');
+const Building = require('./Building');
+const Room = require('./Room');
 
 const Event = sequelize.define('Event', {
     event_id: {
@@ -24,20 +27,158 @@ const Event = sequelize.define('Event', {
         type: DataTypes.DATE,
         allowNull: false
     },
+    // For a series, the end of the first occurrence. Always set: rows from
+    // before end times existed are backfilled at startup (utils/eventTime.js)
+    end_time: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    time_zone: { // IANA zone the event is held in; series repeat at its local time
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        defaultValue: 'UTC'
+    },
     location: {
         type: DataTypes.STRING(255),
         allowNull: false
     },
-    attendees_count: {
+    attendees_count: { // Seats held by "going" RSVPs, guests included
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    maybe_count: { // RSVPs in each of the other states (see utils/rsvpStatus.js)
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    interested_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    declined_count: {
         type: DataTypes.INTEGER,
         allowNull: false,
         defaultValue: 0
+    },
+    rating_count: { // Post-event ratings (see models/EventRating.js)
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    rating_average: { // NULL until the first rating
+        type: DataTypes.FLOAT,
+        allowNull: true
+    },
+    capacity: { // NULL means unlimited seats
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: { min: 1 }
+    },
+    max_guests_per_rsvp: { // Guests (+1s) each attendee may bring; 0 = none
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        validate: { min: 0 }
+    },
+    recurrence_rule: { // iCalendar RRULE, e.g. "FREQ=WEEKLY;BYDAY=TU". NULL for one-off events
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    recurrence_end: { // Start of the last occurrence; NULL while the series is open-ended
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    category: { // Slug from the managed taxonomy (event_categories)
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        references: {
+            model: Category,
+            key: 'slug'
+        }
+    },
+    tags: { // Free-form, normalized to lowercase kebab-case
+        type: DataTypes.ARRAY(DataTypes.STRING(30)),
+        allowNull: false,
+        defaultValue: []
+    },
+    building_id: { // Venue from the campus registry; `location` stays the display text
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: Building,
+            key: 'building_id'
+        }
+    },
+    room_id: { // Optional room within building_id
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: Room,
+            key: 'room_id'
+        }
+    },
+    sequence: { // iCalendar SEQUENCE; bumped on every change so calendar clients update in place
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    status: { // Lifecycle state; allowed transitions live in utils/lifecycle.js
+        type: DataTypes.ENUM('draft', 'published', 'cancelled', 'completed'),
+        allowNull: false,
+        defaultValue: 'published'
+    },
+    // Who may see the event; enforced by canView/visibilityFilter in services/permissions.js
+    visibility: {
+        type: DataTypes.ENUM('public', 'followers', 'invite_only'),
+        allowNull: false,
+        defaultValue: 'public'
+    },
+    publish_at: { // Scheduled publish time for drafts; null = publish manually
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    published_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    cancelled_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    cancellation_reason: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+    },
+    // Questions asked on RSVP; see utils/registrationForm.js
+    registration_form: {
+        type: DataTypes.JSONB,
+        allowNull: true
+    },
+    // Weighted full-text vector over title, description and location.
+    // Written by a DB trigger (see utils/search.js), never by the application.
+    search_vector: {
+        type: DataTypes.TSVECTOR,
+        allowNull: true
     }
 }, {
     tableName: 'events',
     timestamps: true, // Auto-manages createdAt (created_at) and updatedAt (updated_at)
     createdAt: 'created_at', // Map Sequelize's name to DB's name
     updatedAt: 'updated_at',
+    indexes: [
+        { fields: ['category'] },
+        { fields: ['building_id'] },
+        { fields: ['tags'], using: 'gin' },
+        { fields: ['status', 'publish_at'] },
+        { fields: ['search_vector'], using: 'gin' },
+        { fields: ['date_time', 'end_time'] }
+    ],
+    // Internal search data; never part of an API representation
+    defaultScope: {
+        attributes: { exclude: ['search_vector'] }
+    }
 });
 
 module.exports = Event;
\ No newline at end of file
@@ -0,0 +1,91 @@
+const { DataTypes, Op } = require('sequelize');
+const sequelize = require('../utils/db');
+const Event = require('./Event');
+
+// Comments and Q&A on an event. Threads are one level deep: a top-level
+// comment (parent_id null) and its replies. Rows are never hard-deleted while
+// the event exists, so a thread keeps its shape when a comment is removed;
+// responses blank the body of deleted comments and, for everyone but the author
+// and moderators, of hidden ones.
+const EventComment = sequelize.define('EventComment', {
+    comment_id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    event_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: Event,
+            key: 'event_id'
+        },
+        onDelete: 'CASCADE'
+    },
+    parent_id: { // Top-level comment this replies to
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+            model: 'event_comments',
+            key: 'comment_id'
+        },
+        onDelete: 'CASCADE'
+    },
+    author_id: { // Conceptual foreign key to User & Social Service
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    body: {
+        type: DataTypes.TEXT,
+        allowNull: false
+    },
+    edited_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // Removed by the author; the body is cleared
+    deleted_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // Soft moderation by the event's hosts; reversible, the body is kept
+    hidden_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    hidden_by: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    hidden_reason: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    // A host marked this reply as the answer to its thread
+    pinned_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    pinned_by: {
+        type: DataTypes.UUID,
+        allowNull: true
+    }
+}, {
+    tableName: 'event_comments',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+        { fields: ['event_id', 'parent_id', 'created_at'] },
+        { fields: ['parent_id'] },
+        // At most one pinned answer per thread
+        {
+            name: 'event_comments_one_pinned_answer',
+            unique: true,
+            fields: ['parent_id'],
+            where: { pinned_at: { [Op.ne]: null } }
+        }
+    ]
+});
+
+module.exports = EventComment;
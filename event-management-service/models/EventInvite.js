@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/db');
+const Event = require('./Event');
+
+// Shareable invite codes for non-public events. Like calendar feed tokens, only
+// the SHA-256 hash of the code is stored, so a code is shown once on creation.
+// Expiry limits redemption; revoking also withdraws the access it granted.
+const EventInvite = sequelize.define('EventInvite', {
+    invite_id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    event_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: Event,
+            key: 'event_id'
+        },
+        onDelete: 'CASCADE'
+    },
+    code_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true
+    },
+    label: { // Host's note on who the link was shared with, e.g. "Lab group"
+        type: DataTypes.STRING(100),
+        allowNull: true
+    },
+    created_by: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    revoked_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    redemption_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    }
+}, {
+    tableName: 'event_invites',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+        { fields: ['event_id'] }
+    ]
+});
+
+module.exports = EventInvite;
@@ -0,0 +1,44 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/db');
+const Event = require('./Event');
+const EventInvite = require('./EventInvite');
+
+// Users who redeemed an invite code. A grant gives view and RSVP rights for as
+// long as its invite is not revoked.
+const EventInviteGrant = sequelize.define('EventInviteGrant', {
+    event_id: {
+        type: DataTypes.UUID,
+        references: {
+            model: Event,
+            key: 'event_id'
+        },
+        onDelete: 'CASCADE',
+        primaryKey: true
+    },
+    user_id: { // Conceptual foreign key to User & Social Service
+        type: DataTypes.UUID,
+        primaryKey: true
+    },
+    invite_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: EventInvite,
+            key: 'invite_id'
+        },
+        onDelete: 'CASCADE'
+    }
+}, {
+    tableName: 'event_invite_grants',
+    timestamps: true,
+    createdAt: 'granted_at',
+    updatedAt: false,
+    indexes: [
+        { fields: ['user_id'] },
+        { fields: ['invite_id'] }
+    ]
+});
+
+EventInviteGrant.belongsTo(EventInvite, { foreignKey: 'invite_id', as: 'invite' });
+
+module.exports = EventInviteGrant;
@@ -0,0 +1,41 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/db');
+const Event = require('./Event');
+
+// Door check-ins for one occurrence of a recurring series, from either a
+// series RSVP or a single-occurrence RSVP. One-off events keep theirs on
+// event_participants.
+const EventOccurrenceCheckIn = sequelize.define('EventOccurrenceCheckIn', {
+    event_id: {
+        type: DataTypes.UUID,
+        references: {
+            model: Event,
+            key: 'event_id'
+        },
+        onDelete: 'CASCADE',
+        primaryKey: true
+    },
+    // The original, rule-generated start of the occurrence
+    occurrence_start: {
+        type: DataTypes.DATE,
+        primaryKey: true
+    },
+    attendee_id: {
+        type: DataTypes.UUID,
+        primaryKey: true
+    },
+    checked_in_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    },
+    checked_in_by: {
+        type: DataTypes.UUID,
+        allowNull: false
+    }
+}, {
+    tableName: 'event_occurrence_check_ins',
+    timestamps: false
+});
+
+module.exports = EventOccurrenceCheckIn;
@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/db');
+const Event = require('./Event');
+
+// Per-occurrence changes to a recurring series (iCalendar RECURRENCE-ID / EXDATE).
+// occurrence_start is the original, rule-generated start of the occurrence.
+const EventOccurrenceException = sequelize.define('EventOccurrenceException', {
+    event_id: {
+        type: DataTypes.UUID,
+        references: {
+            model: Event,
+            key: 'event_id'
+        },
+        onDelete: 'CASCADE',
+        primaryKey: true
+    },
+    occurrence_start: {
+        type: DataTypes.DATE,
+        primaryKey: true
+    },
+    is_cancelled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    // Optional overrides; NULL keeps the series value
+    date_time: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    location: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    title: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    }
+}, {
+    tableName: 'event_occurrence_exceptions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+});
+
+Event.hasMany(EventOccurrenceException, { foreignKey: 'event_id', as: 'exceptions' });
+
+module.exports = EventOccurrenceException;
@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/db');
+const Event = require('./Event');
+
+// RSVPs for a single occurrence of a recurring series.
+// Whole-series RSVPs keep living in event_participants.
+const EventOccurrenceParticipant = sequelize.define('EventOccurrenceParticipant', {
+    event_id: {
+        type: DataTypes.UUID,
+        references: {
+            model: Event,
+            key: 'event_id'
+        },
+        onDelete: 'CASCADE',
+        primaryKey: true
+    },
+    occurrence_start: {
+        type: DataTypes.DATE,
+        primaryKey: true
+    },
+    attendee_id: {
+        type: DataTypes.UUID,
+        primaryKey: true
+    },
+    joined_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    },
+    // Guests (+1s) the attendee brings; the party takes 1 + guests seats
+    guests: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    // Answers to the event's registration_form, keyed by question id
+    registration_answers: {
+        type: DataTypes.JSONB,
+        allowNull: true
+    }
+}, {
+    tableName: 'event_occurrence_participants',
+    timestamps: false
+});
+
+module.exports = EventOccurrenceParticipant;
@@ -20,10 +20,41 @@ const EventParticipant = sequelize.define('EventParticipant', {
         primaryKey: true
     },
     
+    // going, maybe, interested or declined; only "going" RSVPs hold seats
+    rsvp_status: {
+        type: DataTypes.ENUM('going', 'maybe', 'interested', 'declined'),
+        allowNull: false,
+        defaultValue: 'going'
+    },
+
     joined_at: {
         type: DataTypes.DATE,
         allowNull: false,
         defaultValue: DataTypes.NOW
+    },
+
+    // Guests (+1s) the attendee brings; the party takes 1 + guests seats
+    guests: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+
+    // Set when the host scans the attendee's check-in QR code at the door
+    checked_in_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+
+    checked_in_by: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+
+    // Answers to the event's registration_form, keyed by question id
+    registration_answers: {
+        type: DataTypes.JSONB,
+        allowNull: true
     }
 }, {
     tableName: 'event_participants',
@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/db');
+const Event = require('./Event');
+
+// Post-event feedback from verified (checked-in) attendees, one per attendee and
+// event. host_id is copied from the event so a host's reputation is a single
+// indexed aggregate over this table.
+const EventRating = sequelize.define('EventRating', {
+    event_id: {
+        type: DataTypes.UUID,
+        references: {
+            model: Event,
+            key: 'event_id'
+        },
+        onDelete: 'CASCADE',
+        primaryKey: true
+    },
+    attendee_id: { // Conceptual foreign key to User & Social Service
+        type: DataTypes.UUID,
+        primaryKey: true
+    },
+    host_id: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    rating: {
+        type: DataTypes.SMALLINT,
+        allowNull: false,
+        validate: { min: 1, max: 5 }
+    },
+    comment: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    tableName: 'event_ratings',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        { fields: ['host_id'] },
+        { fields: ['event_id', 'created_at'] }
+    ]
+});
+
+module.exports = EventRating;
@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/db');
+const Event = require('./Event');
+
+// A scheduled event_reminder: one row per configured offset for the event's next
+// start (or the next occurrence of a series). Pending rows (sent_at null) are
+// rebuilt whenever the schedule changes, see services/reminders.js; sent rows are
+// kept so the same start is never reminded twice.
+const EventReminder = sequelize.define('EventReminder', {
+    reminder_id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    event_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: Event,
+            key: 'event_id'
+        },
+        onDelete: 'CASCADE'
+    },
+    offset_minutes: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    occurrence_start: { // Set for occurrences of a recurring series
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    starts_at: { // The start being reminded of, moves of the occurrence included
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    remind_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    sent_at: { // Set by the replica that claimed the reminder, see workers/reminderWorker.js
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'event_reminders',
+    timestamps: false,
+    indexes: [
+        { unique: true, fields: ['event_id', 'offset_minutes', 'starts_at'] },
+        { fields: ['remind_at'], where: { sent_at: null } }
+    ]
+});
+
+module.exports = EventReminder;
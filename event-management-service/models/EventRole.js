@@ -0,0 +1,41 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/db');
+const Event = require('./Event');
+
+// Who may manage an event besides attending it. The host gets the 'owner' row on
+// creation; events created before roles existed fall back to events.host_id.
+const EventRole = sequelize.define('EventRole', {
+    event_id: {
+        type: DataTypes.UUID,
+        references: {
+            model: Event,
+            key: 'event_id'
+        },
+        onDelete: 'CASCADE',
+        primaryKey: true
+    },
+    user_id: { // Conceptual foreign key to User & Social Service
+        type: DataTypes.UUID,
+        primaryKey: true
+    },
+    role: {
+        type: DataTypes.ENUM('owner', 'co_host', 'checkin_staff'),
+        allowNull: false
+    },
+    invited_by: {
+        type: DataTypes.UUID,
+        allowNull: true
+    }
+}, {
+    tableName: 'event_roles',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        { fields: ['user_id'] }
+    ]
+});
+
+Event.hasMany(EventRole, { foreignKey: 'event_id', as: 'roles' });
+
+module.exports = EventRole;
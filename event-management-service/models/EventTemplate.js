@@ -0,0 +1,95 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/db');
+
+// A saved starting point for new events (POST /templates/{template_id}/events).
+// Templates belong to one account, a host or an organization, and hold
+// everything about an event except when it happens; times are supplied when
+// an event is created from the template, and the fields are validated then.
+const EventTemplate = sequelize.define('EventTemplate', {
+    template_id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    owner_id: { // Host or organization account (User & Social Service)
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    name: { // e.g. "Weekly robotics meetup"
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    title: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    location: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    building_id: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    room_id: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    capacity: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    max_guests_per_rsvp: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    duration_minutes: { // Default length of events created from the template
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    time_zone: {
+        type: DataTypes.STRING(64),
+        allowNull: true
+    },
+    recurrence_rule: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+    },
+    category: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+    },
+    tags: {
+        type: DataTypes.ARRAY(DataTypes.STRING(30)),
+        allowNull: false,
+        defaultValue: []
+    },
+    visibility: {
+        type: DataTypes.STRING(20),
+        allowNull: true
+    },
+    registration_form: {
+        type: DataTypes.JSONB,
+        allowNull: true
+    },
+    // Co-hosts and check-in staff given the same roles on every new event: [{ user_id, role }]
+    staff: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
+    }
+}, {
+    tableName: 'event_templates',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        { unique: true, fields: ['owner_id', 'name'] }
+    ]
+});
+
+module.exports = EventTemplate;
@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/db');
+const Event = require('./Event');
+
+// Users waiting for a seat on a full event. Rows are promoted into
+// event_participants in FIFO order (oldest waitlisted_at first).
+const EventWaitlist = sequelize.define('EventWaitlist', {
+    event_id: {
+        type: DataTypes.UUID,
+        references: {
+            model: Event,
+            key: 'event_id'
+        },
+        onDelete: 'CASCADE',
+        primaryKey: true
+    },
+
+    attendee_id: {
+        type: DataTypes.UUID,
+        primaryKey: true
+    },
+
+    waitlisted_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    },
+
+    // Party size and answers are carried over to event_participants on promotion
+    guests: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+
+    registration_answers: {
+        type: DataTypes.JSONB,
+        allowNull: true
+    }
+}, {
+    tableName: 'event_waitlist',
+    timestamps: false,
+    indexes: [
+        { fields: ['event_id', 'waitlisted_at'] }
+    ]
+});
+
+module.exports = EventWaitlist;
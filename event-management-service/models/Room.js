@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/db');
+const Building = require('./Building');
+
+// A room inside a registered building. Rooms share their building's coordinates.
+const Room = sequelize.define('Room', {
+    room_id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+    },
+    building_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: Building,
+            key: 'building_id'
+        },
+        onDelete: 'CASCADE'
+    },
+    name: { // e.g. "Lecture Hall 101"
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    floor: {
+        type: DataTypes.STRING(20),
+        allowNull: true
+    },
+    seats: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: { min: 1 }
+    }
+}, {
+    tableName: 'rooms',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        { unique: true, fields: ['building_id', 'name'] }
+    ]
+});
+
+Building.hasMany(Room, { foreignKey: 'building_id', as: 'rooms' });
+Room.belongsTo(Building, { foreignKey: 'building_id', as: 'building' });
+
+module.exports = Room;
@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/db');
+const Room = require('./Room');
+
+// Weekly opening hours of a room, in its building's time zone (see utils/roomHours.js).
+// A room without any windows can be booked at any time.
+const RoomAvailability = sequelize.define('RoomAvailability', {
+    availability_id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    room_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: Room,
+            key: 'room_id'
+        },
+        onDelete: 'CASCADE'
+    },
+    weekday: { // 0 = Sunday ... 6 = Saturday
+        type: DataTypes.SMALLINT,
+        allowNull: false,
+        validate: { min: 0, max: 6 }
+    },
+    opens_at: {
+        type: DataTypes.TIME,
+        allowNull: false
+    },
+    closes_at: { // May be 24:00
+        type: DataTypes.TIME,
+        allowNull: false
+    }
+}, {
+    tableName: 'room_availability',
+    timestamps: false,
+    indexes: [
+        { fields: ['room_id', 'weekday'] }
+    ]
+});
+
+Room.hasMany(RoomAvailability, { foreignKey: 'room_id', as: 'availability' });
+
+module.exports = RoomAvailability;
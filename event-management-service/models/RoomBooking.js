@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/db');
+const Event = require('./Event');
+const Room = require('./Room');
+
+// A room held by an event: one row per one-off event or series occurrence.
+// The room_bookings_no_overlap exclusion constraint (installed at startup, see
+// services/roomBookings.js) rejects overlapping bookings of the same room, so
+// two concurrent requests can never both reserve it.
+const RoomBooking = sequelize.define('RoomBooking', {
+    booking_id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    room_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: Room,
+            key: 'room_id'
+        },
+        onDelete: 'CASCADE'
+    },
+    event_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: Event,
+            key: 'event_id'
+        },
+        onDelete: 'CASCADE'
+    },
+    occurrence_start: { // Set for occurrences of a recurring series
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    starts_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    ends_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+    }
+}, {
+    tableName: 'room_bookings',
+    timestamps: false,
+    indexes: [
+        { fields: ['event_id'] }
+    ]
+});
+
+module.exports = RoomBooking;
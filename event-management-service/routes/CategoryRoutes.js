@@ -0,0 +1,166 @@
+// routes/CategoryRoutes.js
+
+const express = require("express");
+const router = express.Router();
+const categoryController = require("../controllers/CategoryController");
+const { authenticate, requireAdmin } = require("../middleware/auth");
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Categories
+ *     description: Managed event category taxonomy
+ *     x-stakeholders:
+ *       primary:
+ *         - Event Organizers (pick a category when creating events)
+ *         - Event Attendees (filter search results by category)
+ *       secondary:
+ *         - System Administrators (maintain the taxonomy)
+ *
+ * components:
+ *   schemas:
+ *     Category:
+ *       type: object
+ *       properties:
+ *         slug: { type: string, maxLength: 50, example: "technology" }
+ *         name: { type: string, maxLength: 100, example: "Technology" }
+ *         description: { type: string, nullable: true }
+ *         is_active: { type: boolean }
+ *       required: [slug, name, is_active]
+ */
+
+/**
+ * @openapi
+ * /categories:
+ *   get:
+ *     tags: [Categories]
+ *     summary: List event categories
+ *     description: |
+ *       Retrieve the category taxonomy used by events and search filters.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Organizers (choose a category for their event)
+ *       - ✅ Event Attendees (build category filters)
+ *       - ✅ Anonymous Users (browse categories)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ No restrictions - This is a public endpoint
+ *
+ *       **BUSINESS RULES:**
+ *       - Only active categories are returned unless include_inactive=true
+ *       - Sorted by name
+ *     parameters:
+ *       - in: query
+ *         name: include_inactive
+ *         schema: { type: boolean }
+ *         description: Also return retired categories
+ *     responses:
+ *       200:
+ *         description: List of categories
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Category' }
+ */
+router.get("/", categoryController.getCategories);
+
+router.use(authenticate, requireAdmin); // All routes below are administrator-only
+
+/**
+ * @openapi
+ * /categories:
+ *   post:
+ *     tags: [Categories]
+ *     summary: Create a category
+ *     description: |
+ *       Add a new category to the taxonomy.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ System Administrators (maintain the taxonomy)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ Non-administrators (user ID must be listed in ADMIN_USER_IDS)
+ *
+ *       **BUSINESS RULES:**
+ *       - Slug is lowercase kebab-case and cannot be changed later
+ *       - Slug and name must be unique
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               slug: { type: string }
+ *               name: { type: string }
+ *               description: { type: string }
+ *             required: [slug, name]
+ *           example:
+ *             slug: "entrepreneurship"
+ *             name: "Entrepreneurship"
+ *     responses:
+ *       201:
+ *         description: Category created
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Category' }
+ *       400:
+ *         description: Missing or invalid fields
+ *       403:
+ *         description: Forbidden - Administrator access required
+ *       409:
+ *         description: Slug or name already exists
+ */
+router.post("/", categoryController.createCategory);
+
+/**
+ * @openapi
+ * /categories/{slug}:
+ *   patch:
+ *     tags: [Categories]
+ *     summary: Update or retire a category
+ *     description: |
+ *       Rename a category or retire it with is_active=false.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ System Administrators (maintain the taxonomy)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ Non-administrators (user ID must be listed in ADMIN_USER_IDS)
+ *
+ *       **BUSINESS RULES:**
+ *       - Retired categories stay on existing events but cannot be assigned to new ones
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               description: { type: string }
+ *               is_active: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: Category updated
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Category' }
+ *       403:
+ *         description: Forbidden - Administrator access required
+ *       404:
+ *         description: Category not found
+ */
+router.patch("/:slug", categoryController.updateCategory);
+
+module.exports = router;
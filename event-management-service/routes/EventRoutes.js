@@ -3,7 +3,19 @@
 const express = require("express");
 const router = express.Router();
 const eventController = require("../controllers/EventController");
-const { authenticate } = require("../middleware/auth");
+const occurrenceController = require("../controllers/OccurrenceController");
+const calendarController = require("../controllers/CalendarController");
+const attendanceController = require("../controllers/AttendanceController");
+const staffController = require("../controllers/StaffController");
+const lifecycleController = require("../controllers/LifecycleController");
+const registrationController = require("../controllers/RegistrationController");
+const attendeeController = require("../controllers/AttendeeController");
+const commentController = require("../controllers/CommentController");
+const ratingController = require("../controllers/RatingController");
+const inviteController = require("../controllers/InviteController");
+const importController = require("../controllers/ImportController");
+const templateController = require("../controllers/TemplateController");
+const { authenticate, optionalAuthenticate } = require("../middleware/auth");
 
 // ======================================================================
 // API SCOPE DOCUMENTATION
@@ -13,7 +25,14 @@ const { authenticate } = require("../middleware/auth");
  * x-api-scope:
  *   scope-in:
  *     - Event CRUD operations (Create, Read, Update, Delete)
+ *     - Event templates and cloning
  *     - Event search and discovery
+ *     - Event category taxonomy and tags
+ *     - Campus building/room registry and "events near me" search
+ *     - iCalendar export and personal calendar feeds
+ *     - QR-code check-in and attendance tracking
+ *     - Co-hosts and check-in staff roles
+ *     - Event lifecycle (draft, scheduled publish, cancel, complete)
  *     - RSVP management (register/cancel attendance)
  *     - Event listing by host or attendee
  *     - Public event browsing without authentication
@@ -42,8 +61,37 @@ const { authenticate } = require("../middleware/auth");
  *       secondary:
  *         - System Administrators (monitor event data)
  *         - Marketing Teams (analyze event trends)
+ *   - name: Comments
+ *     description: Event discussion and Q&A threads
+ *     x-stakeholders:
+ *       primary:
+ *         - Event Attendees (ask and answer questions)
+ *         - Event Organizers (answer, pin answers and moderate)
  * 
  * components:
+ *   parameters:
+ *     PageLimit:
+ *       in: query
+ *       name: limit
+ *       schema: { type: integer, minimum: 1, maximum: 100, default: 20 }
+ *       description: Page size
+ *     PageCursor:
+ *       in: query
+ *       name: cursor
+ *       schema: { type: string }
+ *       description: Opaque next_cursor or prev_cursor from a previous page
+ *     IfMatch:
+ *       in: header
+ *       name: If-Match
+ *       required: true
+ *       schema: { type: string }
+ *       description: ETag from GET /events/{event_id} (or the last successful update); * skips the check
+ *       example: '"3"'
+ *   headers:
+ *     ETag:
+ *       schema: { type: string }
+ *       description: Event version (bumped by every edit, not by RSVPs); send it back as If-Match
+ *       example: '"3"'
  *   schemas:
  *     Event:
  *       type: object
@@ -53,24 +101,266 @@ const { authenticate } = require("../middleware/auth");
  *         description: { type: string }
  *         host_id: { type: string, format: uuid }
  *         date_time: { type: string, format: date-time }
+ *         end_time: { type: string, format: date-time, description: "End of the event (of the first occurrence, for a series)" }
+ *         time_zone: { type: string, description: "IANA zone the event is held in; series repeat at the same local time", example: "America/New_York" }
  *         location: { type: string, maxLength: 255 }
- *         attendees_count: { type: integer, minimum: 0 }
+ *         attendees_count: { type: integer, minimum: 0, description: "Seats taken by going RSVPs, guests included" }
+ *         maybe_count: { type: integer, minimum: 0, description: "RSVPs marked maybe" }
+ *         interested_count: { type: integer, minimum: 0, description: "RSVPs marked interested" }
+ *         declined_count: { type: integer, minimum: 0, description: "RSVPs marked declined" }
+ *         rating_count: { type: integer, minimum: 0, description: "Post-event ratings from verified attendees" }
+ *         rating_average: { type: number, nullable: true, minimum: 1, maximum: 5, description: "Average rating; null until the first" }
+ *         capacity: { type: integer, minimum: 1, nullable: true, description: "Maximum seats; null means unlimited" }
+ *         max_guests_per_rsvp: { type: integer, minimum: 0, maximum: 20, description: "Guests each attendee may bring; 0 means none" }
+ *         recurrence_rule: { type: string, nullable: true, description: "iCalendar RRULE for recurring series", example: "FREQ=WEEKLY;BYDAY=TU;COUNT=12" }
+ *         occurrence_start: { type: string, format: date-time, description: "Set on list entries that are one occurrence of a recurring series" }
+ *         category: { type: string, nullable: true, description: "Category slug (see GET /categories)", example: "technology" }
+ *         tags: { type: array, items: { type: string }, example: ["ai", "workshop"] }
+ *         building_id: { type: string, format: uuid, nullable: true, description: "Venue building (see /venues/buildings)" }
+ *         room_id: { type: string, format: uuid, nullable: true }
+ *         distance_km: { type: number, description: "Search results only, when lat/lng are supplied" }
+ *         sequence: { type: integer, description: "iCalendar SEQUENCE, incremented on every change" }
+ *         status: { type: string, enum: [draft, published, cancelled, completed] }
+ *         visibility: { type: string, enum: [public, followers, invite_only], description: "Who can see the event" }
+ *         publish_at: { type: string, format: date-time, nullable: true, description: "Scheduled publish time (drafts only)" }
+ *         cancellation_reason: { type: string, nullable: true }
+ *         registration_form:
+ *           type: array
+ *           nullable: true
+ *           items: { $ref: '#/components/schemas/RegistrationQuestion' }
  *       required: [event_id, title, host_id, date_time, location, attendees_count]
+ *     RegistrationQuestion:
+ *       type: object
+ *       properties:
+ *         id: { type: string, pattern: '^[a-z0-9_-]{1,40}$', description: "Key of the answer in RSVP answers", example: "diet" }
+ *         label: { type: string, maxLength: 200, example: "Dietary restrictions" }
+ *         type: { type: string, enum: [text, single_choice, multi_choice] }
+ *         required: { type: boolean, default: false }
+ *         options: { type: array, minItems: 2, maxItems: 20, items: { type: string, maxLength: 100 }, description: "Choice questions only", example: ["None", "Vegetarian", "Vegan"] }
+ *         max_length: { type: integer, minimum: 1, maximum: 2000, default: 500, description: "Text questions only" }
+ *       required: [id, label, type]
+ *     RsvpStatus:
+ *       type: string
+ *       enum: [going, maybe, interested, declined]
+ *       description: Only going takes seats, can be waitlisted and checks in
+ *     RsvpRequest:
+ *       type: object
+ *       properties:
+ *         status:
+ *           allOf: [{ $ref: '#/components/schemas/RsvpStatus' }]
+ *           default: going
+ *         on_conflict:
+ *           type: string
+ *           enum: [warn, block]
+ *           default: warn
+ *           description: "What to do when the RSVP overlaps events you already attend: warn records it anyway, block rejects it with 409"
+ *         answers:
+ *           type: object
+ *           description: "Answers keyed by question id: a string for text and single_choice, an array of options for multi_choice"
+ *           example: { diet: "Vegetarian", shirt: "M", topics: ["AI", "Security"] }
+ *         invite_code: { type: string, description: "Invite code for a non-public event; redeemed with the RSVP" }
+ *         guests: { type: integer, minimum: 0, default: 0, description: "Guests (+1s) you bring, up to the event's max_guests_per_rsvp; each takes a seat" }
+ *     UpdateRsvpRequest:
+ *       type: object
+ *       description: At least one of status or guests
+ *       properties:
+ *         status: { $ref: '#/components/schemas/RsvpStatus' }
+ *         guests: { type: integer, minimum: 0, description: "New number of guests, up to the event's max_guests_per_rsvp" }
+ *         answers:
+ *           type: object
+ *           description: "Replaces the stored registration answers; required questions must be answered when switching to going"
+ *         on_conflict:
+ *           type: string
+ *           enum: [warn, block]
+ *           default: warn
+ *           description: "Applies when switching to going, as in RsvpRequest"
+ *     RatingRequest:
+ *       type: object
+ *       properties:
+ *         rating: { type: integer, minimum: 1, maximum: 5 }
+ *         comment: { type: string, maxLength: 2000, nullable: true }
+ *       required: [rating]
+ *       example:
+ *         rating: 5
+ *         comment: "Great speakers, the room was a bit crowded."
+ *     RatingResponse:
+ *       type: object
+ *       properties:
+ *         message: { type: string }
+ *         rating: { type: integer }
+ *         comment: { type: string, nullable: true }
+ *         editable_until: { type: string, format: date-time, description: "End of the rating window" }
+ *         event_rating_count: { type: integer }
+ *         event_rating_average: { type: number }
+ *     Rating:
+ *       type: object
+ *       properties:
+ *         attendee_id: { type: string, format: uuid }
+ *         rating: { type: integer, minimum: 1, maximum: 5 }
+ *         comment: { type: string, nullable: true }
+ *         created_at: { type: string, format: date-time }
+ *         updated_at: { type: string, format: date-time }
+ *     RatingListResponse:
+ *       type: object
+ *       properties:
+ *         rating_count: { type: integer }
+ *         rating_average: { type: number, nullable: true }
+ *         distribution:
+ *           type: object
+ *           description: Number of ratings per star value
+ *           additionalProperties: { type: integer }
+ *           example: { "1": 0, "2": 1, "3": 2, "4": 7, "5": 12 }
+ *         ratings:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/Rating' }
+ *         next_cursor: { type: string, nullable: true }
+ *         prev_cursor: { type: string, nullable: true }
+ *         has_more: { type: boolean }
+ *     HostReputation:
+ *       type: object
+ *       properties:
+ *         host_id: { type: string, format: uuid }
+ *         rating_count: { type: integer }
+ *         rating_average: { type: number, nullable: true, example: 4.35 }
+ *         rated_events: { type: integer, description: "Events of the host with at least one rating" }
+ *     RoomConflictResponse:
+ *       type: object
+ *       description: The room is already booked; nothing was saved
+ *       properties:
+ *         message: { type: string }
+ *         conflicts:
+ *           type: array
+ *           description: Existing bookings that overlap (at most 50)
+ *           items:
+ *             type: object
+ *             properties:
+ *               event_id: { type: string, format: uuid }
+ *               starts_at: { type: string, format: date-time }
+ *               ends_at: { type: string, format: date-time }
+ *     ImportRowError:
+ *       type: object
+ *       properties:
+ *         row: { type: integer, minimum: 1 }
+ *         message: { type: string }
+ *     ImportedEvent:
+ *       type: object
+ *       properties:
+ *         event_id: { type: string, format: uuid, description: "Not set on dry runs" }
+ *         row: { type: integer, minimum: 1 }
+ *         title: { type: string }
+ *         date_time: { type: string, format: date-time }
+ *         end_time: { type: string, format: date-time }
+ *         time_zone: { type: string }
+ *         location: { type: string }
+ *         recurrence_rule: { type: string, nullable: true }
+ *         status: { type: string, enum: [draft, published] }
+ *     ScheduleConflict:
+ *       type: object
+ *       description: An event (or occurrence) the attendee already has an RSVP for that overlaps the new one
+ *       properties:
+ *         event_id: { type: string, format: uuid }
+ *         title: { type: string }
+ *         occurrence_start: { type: string, format: date-time, nullable: true, description: "Set when the overlap is one occurrence of a series" }
+ *         date_time: { type: string, format: date-time }
+ *         end_time: { type: string, format: date-time }
+ *     ScheduleConflictResponse:
+ *       type: object
+ *       properties:
+ *         message: { type: string }
+ *         conflicts:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/ScheduleConflict' }
+ *     RegistrationResponse:
+ *       type: object
+ *       properties:
+ *         attendee_id: { type: string, format: uuid }
+ *         status: { type: string, enum: [registered, waitlisted] }
+ *         rsvp_status: { $ref: '#/components/schemas/RsvpStatus' }
+ *         occurrence_start: { type: string, format: date-time, nullable: true, description: "Set for single-occurrence RSVPs" }
+ *         registered_at: { type: string, format: date-time }
+ *         guests: { type: integer, minimum: 0 }
+ *         answers: { type: object }
  *     CreateEventRequest:
  *       type: object
  *       properties:
  *         title: { type: string, maxLength: 255 }
- *         description: { type: string }
+ *         description: { type: string, default: "" }
  *         date_time: { type: string, format: date-time }
+ *         end_time: { type: string, format: date-time, description: "After date_time and at most 14 days later; defaults to one hour after the start" }
+ *         time_zone: { type: string, default: UTC, description: "IANA time zone name", example: "America/New_York" }
  *         location: { type: string, maxLength: 255 }
- *       required: [title, date_time, location]
+ *         capacity: { type: integer, minimum: 1, nullable: true }
+ *         max_guests_per_rsvp: { type: integer, minimum: 0, maximum: 20, default: 0, description: "Guests (+1s) each attendee may bring" }
+ *         recurrence_rule: { type: string, maxLength: 255, description: "iCalendar RRULE (DAILY/WEEKLY/MONTHLY/YEARLY); date_time is the first occurrence", example: "FREQ=WEEKLY;BYDAY=TU;UNTIL=20261215T000000Z" }
+ *         category: { type: string, description: "Active category slug (see GET /categories)", example: "technology" }
+ *         tags: { type: array, maxItems: 10, items: { type: string, maxLength: 30 }, description: "Free-form tags, normalized to lowercase kebab-case" }
+ *         building_id: { type: string, format: uuid, description: "Registered venue building" }
+ *         room_id: { type: string, format: uuid, description: "Registered room; implies its building and books it (see /venues/rooms/{room_id}/availability)" }
+ *         status: { type: string, enum: [draft, published], default: published, description: "Drafts are private to their staff and not announced" }
+ *         publish_at: { type: string, format: date-time, description: "Drafts only: publish automatically at this time" }
+ *         visibility: { type: string, enum: [public, followers, invite_only], default: public, description: "followers = followers of the host (USS); invite_only = invite code holders" }
+ *         registration_form:
+ *           type: array
+ *           maxItems: 20
+ *           items: { $ref: '#/components/schemas/RegistrationQuestion' }
+ *           description: "Questions attendees answer when they RSVP"
+ *       required: [title, date_time]
+ *       description: "location is required unless building_id or room_id is given (it then defaults to the venue name)"
  *     UpdateEventRequest:
  *       type: object
+ *       additionalProperties: false
+ *       description: "Only these fields can be updated; any other field is rejected with 400"
  *       properties:
  *         title: { type: string, maxLength: 255 }
  *         description: { type: string }
- *         date_time: { type: string, format: date-time }
+ *         date_time: { type: string, format: date-time, description: "Moving the start keeps the duration unless end_time is also given" }
+ *         end_time: { type: string, format: date-time, description: "After date_time and at most 14 days later" }
+ *         time_zone: { type: string, description: "IANA time zone name; series keep their local time of day", example: "Europe/Berlin" }
  *         location: { type: string, maxLength: 255 }
+ *         capacity: { type: integer, minimum: 1, nullable: true }
+ *         max_guests_per_rsvp: { type: integer, minimum: 0, maximum: 20, description: "Existing parties keep their guests when lowered" }
+ *         recurrence_rule: { type: string, maxLength: 255, nullable: true, description: "Set to null to turn a series into a one-off event" }
+ *         category: { type: string, nullable: true, description: "Active category slug; null clears it" }
+ *         tags: { type: array, maxItems: 10, items: { type: string, maxLength: 30 } }
+ *         building_id: { type: string, format: uuid, nullable: true, description: "Changing the building clears room_id unless one is given" }
+ *         room_id: { type: string, format: uuid, nullable: true }
+ *         registration_form:
+ *           type: array
+ *           nullable: true
+ *           maxItems: 20
+ *           items: { $ref: '#/components/schemas/RegistrationQuestion' }
+ *           description: "Replaces the whole form (null or [] removes it); answers already given are kept"
+ *         visibility: { type: string, enum: [public, followers, invite_only] }
+ *     PreconditionFailed:
+ *       type: object
+ *       description: The If-Match version is stale; nothing was changed
+ *       properties:
+ *         message: { type: string }
+ *         current: { $ref: '#/components/schemas/Event' }
+ *     EventChange:
+ *       type: object
+ *       description: One changed field, as published in event_updated
+ *       properties:
+ *         field: { type: string, example: "date_time" }
+ *         old: { nullable: true, example: "2024-06-15T09:00:00.000Z" }
+ *         new: { nullable: true, example: "2024-06-16T09:00:00.000Z" }
+ *     UpdateOccurrenceRequest:
+ *       type: object
+ *       properties:
+ *         date_time: { type: string, format: date-time, nullable: true, description: "New start for this occurrence only" }
+ *         location: { type: string, maxLength: 255, nullable: true }
+ *         title: { type: string, maxLength: 255, nullable: true }
+ *     Occurrence:
+ *       type: object
+ *       properties:
+ *         event_id: { type: string, format: uuid }
+ *         occurrence_start: { type: string, format: date-time, description: "Original rule-generated start (identifies the occurrence)" }
+ *         title: { type: string }
+ *         location: { type: string }
+ *         date_time: { type: string, format: date-time, description: "Effective start, including overrides" }
+ *         end_time: { type: string, format: date-time, description: "Effective start plus the series' duration" }
+ *         attendees_count: { type: integer, description: "Seats taken by series RSVPs plus RSVPs for this occurrence, guests included" }
+ *         capacity: { type: integer, nullable: true }
  *     EventResponse:
  *       type: object
  *       properties:
@@ -81,8 +371,125 @@ const { authenticate } = require("../middleware/auth");
  *       properties:
  *         message: { type: string }
  *     EventListResponse:
- *       type: array
- *       items: { $ref: '#/components/schemas/Event' }
+ *       type: object
+ *       description: One page of events in (date_time, event_id) order
+ *       properties:
+ *         events:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/Event' }
+ *         next_cursor: { type: string, nullable: true, description: "Pass as ?cursor= for the following page" }
+ *         prev_cursor: { type: string, nullable: true, description: "Pass as ?cursor= for the preceding page" }
+ *         has_more: { type: boolean, description: "More events exist in the direction just paged" }
+ *     Attendee:
+ *       type: object
+ *       properties:
+ *         attendee_id: { type: string, format: uuid }
+ *         username: { type: string, nullable: true, description: "From the User & Social Service; null if it could not be resolved" }
+ *         status: { type: string, enum: [registered, waitlisted, maybe, interested, declined] }
+ *         rsvp_status: { $ref: '#/components/schemas/RsvpStatus' }
+ *         guests: { type: integer, minimum: 0, description: "Guests in the attendee's party" }
+ *         joined_at: { type: string, format: date-time, description: "RSVP time, or the time the user joined the waitlist" }
+ *         checked_in_at: { type: string, format: date-time, nullable: true }
+ *     AttendeeListResponse:
+ *       type: object
+ *       description: One page of the roster in (joined_at, attendee_id) order
+ *       properties:
+ *         attendees:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/Attendee' }
+ *         total: { type: integer, description: "Attendees matching the filter across all pages" }
+ *         next_cursor: { type: string, nullable: true, description: "Pass as ?cursor= for the following page" }
+ *         prev_cursor: { type: string, nullable: true, description: "Pass as ?cursor= for the preceding page" }
+ *         has_more: { type: boolean, description: "More attendees exist in the direction just paged" }
+ *     Comment:
+ *       type: object
+ *       properties:
+ *         comment_id: { type: string, format: uuid }
+ *         parent_id: { type: string, format: uuid, nullable: true, description: "Thread this reply belongs to; null for a thread" }
+ *         author_id: { type: string, format: uuid }
+ *         by_host: { type: boolean, description: "Written by the event's owner or a co-host" }
+ *         body: { type: string, nullable: true, description: "null when deleted, or hidden and the caller is neither the author nor a host" }
+ *         created_at: { type: string, format: date-time }
+ *         edited_at: { type: string, format: date-time, nullable: true }
+ *         deleted: { type: boolean }
+ *         hidden: { type: boolean, description: "Hidden by a host" }
+ *         hidden_reason: { type: string, nullable: true, description: "Only shown to the author and hosts" }
+ *         is_answer: { type: boolean, description: "Pinned by a host as the answer to its thread" }
+ *     CommentThread:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Comment'
+ *         - type: object
+ *           properties:
+ *             replies:
+ *               type: array
+ *               description: The pinned answer first, then the other replies oldest first
+ *               items: { $ref: '#/components/schemas/Comment' }
+ *     CommentListResponse:
+ *       type: object
+ *       description: One page of threads, newest first
+ *       properties:
+ *         threads:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/CommentThread' }
+ *         next_cursor: { type: string, nullable: true, description: "Pass as ?cursor= for older threads" }
+ *         prev_cursor: { type: string, nullable: true, description: "Pass as ?cursor= for newer threads" }
+ *         has_more: { type: boolean, description: "More threads exist in the direction just paged" }
+ *     CommentRequest:
+ *       type: object
+ *       required: [body]
+ *       properties:
+ *         body: { type: string, maxLength: 2000, example: "Is there parking near the venue?" }
+ *     EventSearchResponse:
+ *       allOf:
+ *         - $ref: '#/components/schemas/EventListResponse'
+ *         - type: object
+ *           properties:
+ *             events:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Event'
+ *                   - type: object
+ *                     properties:
+ *                       rank: { type: number, description: "Relevance score (only with query)" }
+ *                       highlights:
+ *                         type: object
+ *                         description: Only with query; matched terms are wrapped in <mark>…</mark>; the rest of the text is HTML-escaped, so the value is safe to render as HTML
+ *                         properties:
+ *                           title: { type: string, example: "Spring <mark>Tech</mark> Meetup" }
+ *                           description: { type: string, description: "Up to two matching fragments joined by ' … '" }
+ *             facets:
+ *               type: object
+ *               description: Counts over all matching events (not just this page)
+ *               properties:
+ *                 category:
+ *                   type: object
+ *                   additionalProperties: { type: integer }
+ *                   description: Keyed by category slug; events without one count as "uncategorized"
+ *                   example: { technology: 12, music: 3, uncategorized: 1 }
+ *                 date:
+ *                   type: object
+ *                   additionalProperties: { type: integer }
+ *                   description: Keyed by past, next_24_hours, next_7_days, next_30_days or later (relative to now)
+ *                   example: { next_24_hours: 2, next_7_days: 5, later: 9 }
+ *     EventInvite:
+ *       type: object
+ *       properties:
+ *         invite_id: { type: string, format: uuid }
+ *         label: { type: string, nullable: true, example: "Robotics lab" }
+ *         created_by: { type: string, format: uuid }
+ *         created_at: { type: string, format: date-time }
+ *         expires_at: { type: string, format: date-time }
+ *         revoked_at: { type: string, format: date-time, nullable: true }
+ *         redemption_count: { type: integer }
+ *         active: { type: boolean, description: "Not revoked and not expired" }
+ *     EventStaff:
+ *       type: object
+ *       properties:
+ *         user_id: { type: string, format: uuid }
+ *         role: { type: string, enum: [owner, co_host, checkin_staff] }
+ *         invited_by: { type: string, format: uuid, nullable: true }
+ *         created_at: { type: string, format: date-time }
  */
 
 // ======================================================================
@@ -111,14 +518,25 @@ const { authenticate } = require("../middleware/auth");
  *       
  *       **BUSINESS RULES:**
  *       - Returns only published/active events
- *       - Results are paginated (default 50 per page)
- *       - Search is case-insensitive
+ *       - Followers-only and invite-only events are listed only for callers (X-User-ID) allowed to see them
+ *       - 20 results per page by default, at most 100
+ *       - query uses full-text search over title (strongest), description and location,
+ *         with English stemming; all words must match and the last one matches as a prefix (typeahead)
+ *       - With query, results are ordered by relevance by default (sort=date for chronological);
+ *         relevance paging covers the 500 best-matching one-off events
+ *       - sort=distance pages nearest first across the whole result (cursors follow distance,
+ *         ties by date); it covers the 500 nearest one-off events
+ *       - Facet counts cover every match and ignore pagination
+ *       - Geo filters match on the event's registered venue building
+ *       - happening_now=true keeps only events (and occurrences) in progress right now,
+ *         i.e. started and not yet ended
+ *       - Paginated by cursor: follow next_cursor forward or prev_cursor backward
  *     parameters:
  *       - in: query
  *         name: query
  *         schema: { type: string }
- *         description: Free text search query (searches title and description)
- *         example: "tech conference"
+ *         description: Free text search query (title, description and location; punctuation is ignored)
+ *         example: "tech conf"
  *       - in: query
  *         name: date
  *         schema: { type: string, format: date }
@@ -127,21 +545,61 @@ const { authenticate } = require("../middleware/auth");
  *       - in: query
  *         name: category
  *         schema: { type: string }
- *         description: Event category filter
- *         example: "Technology"
+ *         description: Category slug filter (see GET /categories)
+ *         example: "technology"
+ *       - in: query
+ *         name: tags
+ *         schema: { type: string }
+ *         description: Comma-separated tags; matches events with any of them
+ *         example: "ai,workshop"
+ *       - in: query
+ *         name: lat
+ *         schema: { type: number }
+ *         description: Caller latitude (enables distance_km in results)
+ *       - in: query
+ *         name: lng
+ *         schema: { type: number }
+ *         description: Caller longitude
+ *       - in: query
+ *         name: radius_km
+ *         schema: { type: number }
+ *         description: Only events whose venue building is within this radius of lat/lng
+ *       - in: query
+ *         name: bbox
+ *         schema: { type: string }
+ *         description: Only events whose venue building is inside minLng,minLat,maxLng,maxLat
+ *       - in: query
+ *         name: sort
+ *         schema: { type: string, enum: [relevance, date, distance] }
+ *         description: relevance (default with query) requires query; distance requires lat/lng, events without a venue sort last
+ *       - in: query
+ *         name: until
+ *         schema: { type: string, format: date-time }
+ *         description: Expand recurring series up to this date (default 90 days after the start date, at most 366; later dates return 400)
+ *       - in: query
+ *         name: happening_now
+ *         schema: { type: boolean }
+ *         description: Only events in progress at the time of the request
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
  *     responses:
  *       200:
  *         description: List of events matching search criteria
  *         content:
  *           application/json:
- *             schema: { $ref: '#/components/schemas/EventListResponse' }
+ *             schema: { $ref: '#/components/schemas/EventSearchResponse' }
+ *       400:
+ *         description: Invalid query, sort, filter or cursor
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
  *       500:
  *         description: Internal server error
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/ErrorResponse' }
  */
-router.get("/search", eventController.searchEvents);
+router.get("/search", optionalAuthenticate, eventController.searchEvents);
 
 /**
  * @openapi
@@ -165,6 +623,8 @@ router.get("/search", eventController.searchEvents);
  *       **BUSINESS RULES:**
  *       - Returns only future events (past events excluded by default)
  *       - Includes cancelled events if user hasn't withdrawn RSVP
+ *       - Followers-only and invite-only events are listed only for callers (X-User-ID) allowed to see them
+ *       - Paginated by cursor: follow next_cursor forward or prev_cursor backward
  *     parameters:
  *       - in: query
  *         name: userId
@@ -172,6 +632,8 @@ router.get("/search", eventController.searchEvents);
  *         schema: { type: string, format: uuid }
  *         description: User ID whose attending list is requested
  *         example: "123e4567-e89b-12d3-a456-426614174000"
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
  *     responses:
  *       200:
  *         description: Events the user is attending
@@ -189,7 +651,7 @@ router.get("/search", eventController.searchEvents);
  *           application/json:
  *             schema: { $ref: '#/components/schemas/ErrorResponse' }
  */
-router.get("/attending", eventController.getEventsAttending);
+router.get("/attending", optionalAuthenticate, eventController.getEventsAttending);
 
 /**
  * @openapi
@@ -208,11 +670,13 @@ router.get("/attending", eventController.getEventsAttending);
  *       **ACCESS RESTRICTIONS:**
  *       - ❌ No restrictions - This is a public endpoint
  *       - ❌ Does NOT require authentication
- *       - ⚠️  Shows only published events (drafts are hidden)
+ *       - ⚠️  Drafts are hidden except from the host and their co-hosts and staff
  *       
  *       **BUSINESS RULES:**
- *       - Returns events in chronological order (upcoming first)
+ *       - Returns events newest first; next_cursor walks back in time
  *       - Includes past events for historical reference
+ *       - Followers-only and invite-only events are listed only for callers (X-User-ID) allowed to see them
+ *       - Paginated by cursor: follow next_cursor forward or prev_cursor backward
  *     parameters:
  *       - in: query
  *         name: hostId
@@ -220,6 +684,8 @@ router.get("/attending", eventController.getEventsAttending);
  *         schema: { type: string, format: uuid }
  *         description: Host user ID
  *         example: "456e7890-e89b-12d3-a456-426614174001"
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
  *     responses:
  *       200:
  *         description: Events created by the host
@@ -237,7 +703,86 @@ router.get("/attending", eventController.getEventsAttending);
  *           application/json:
  *             schema: { $ref: '#/components/schemas/ErrorResponse' }
  */
-router.get("/created", eventController.getEventsCreated);
+router.get("/created", optionalAuthenticate, eventController.getEventsCreated);
+
+/**
+ * @openapi
+ * /events/hosts/{host_id}/reputation:
+ *   get:
+ *     tags: [Events]
+ *     summary: Host reputation from post-event ratings
+ *     description: |
+ *       Average rating a host's events received from their verified attendees.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Attendees (judge an organizer before RSVPing)
+ *       - ✅ Event Organizers (track how their events are received)
+ *       - ✅ Discovery & Recommendation Service (host quality, also sent as event_rated)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ No restrictions - This is a public endpoint (totals only, no comments)
+ *
+ *       **BUSINESS RULES:**
+ *       - Covers every rating of events the user owns; a host without ratings has rating_average null
+ *     parameters:
+ *       - in: path
+ *         name: host_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: The host's reputation
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/HostReputation' }
+ *       400:
+ *         description: host_id is not a UUID
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ */
+router.get("/hosts/:host_id/reputation", ratingController.getHostReputation);
+
+/**
+ * @openapi
+ * /events/calendar/{token}:
+ *   get:
+ *     tags: [Events]
+ *     summary: Personal ICS calendar feed
+ *     description: |
+ *       Subscribable iCalendar feed of every event the token owner has RSVP'd to.
+ *       The URL is returned by POST /events/calendar/token.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Attendees (subscribe from Google Calendar, Apple Calendar, Outlook)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ No bearer token - calendar apps cannot send headers
+ *       - ⚠️  Authenticated by the secret token in the URL; revoke it if it leaks
+ *
+ *       **BUSINESS RULES:**
+ *       - Same events as GET /events/attending plus single-occurrence RSVPs
+ *       - UIDs are stable and SEQUENCE increases on every change, so clients update entries in place
+ *       - Deleted events and withdrawn RSVPs drop out of the feed
+ *       - A trailing ".ics" on the token is accepted
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: iCalendar document
+ *         content:
+ *           text/calendar:
+ *             schema: { type: string }
+ *       404:
+ *         description: Unknown or revoked token
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ */
+router.get("/calendar/:token", calendarController.getCalendarFeed);
 
 /**
  * @openapi
@@ -258,17 +803,29 @@ router.get("/created", eventController.getEventsCreated);
  *       - ⚠️  Results are paginated to prevent performance issues
  *       
  *       **BUSINESS RULES:**
- *       - Returns only active/published events
- *       - Sorted by creation date (newest first)
- *       - Maximum 100 events per request
+ *       - Returns upcoming published and cancelled events (drafts are never listed)
+ *       - Sorted by start time, then event_id
+ *       - 20 events per page by default, at most 100
+ *       - Recurring series are expanded into one entry per occurrence (with occurrence_start)
+ *       - Followers-only and invite-only events are listed only for callers (X-User-ID) allowed to see them
+ *       - Paginated by cursor: follow next_cursor forward or prev_cursor backward
+ *     parameters:
+ *       - in: query
+ *         name: until
+ *         schema: { type: string, format: date-time }
+ *         description: Expand recurring series up to this date (default 90 days from now, at most 366; later dates return 400)
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
  *     responses:
  *       200:
  *         description: List of all events
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/EventListResponse' }
+ *       400:
+ *         description: Invalid cursor or limit, or until too far ahead
  */
-router.get("/", eventController.getAllEvents);
+router.get("/", optionalAuthenticate, eventController.getAllEvents);
 
 /**
  * @openapi
@@ -289,8 +846,13 @@ router.get("/", eventController.getAllEvents);
  *       - ❌ Does NOT require authentication
  *       
  *       **BUSINESS RULES:**
- *       - Returns full event details including attendee count
+ *       - Returns full event details including attendee count and lifecycle status
  *       - Includes host information
+ *       - Drafts return 404 unless the caller (X-User-ID) is staff on the event
+ *       - Followers-only events return 404 unless the caller follows the host, is staff,
+ *         has RSVP'd or redeemed an invite; invite-only events likewise without following
+ *       - A valid invite code (?invite=) shows a non-public event to anyone, signed in or not
+ *       - The ETag header carries the event version required by PUT and DELETE (If-Match)
  *     parameters:
  *       - in: path
  *         name: event_id
@@ -298,9 +860,15 @@ router.get("/", eventController.getAllEvents);
  *         schema: { type: string, format: uuid }
  *         description: Unique event identifier
  *         example: "789e0123-e89b-12d3-a456-426614174002"
+ *       - in: query
+ *         name: invite
+ *         schema: { type: string }
+ *         description: Invite code from a share link
  *     responses:
  *       200:
  *         description: Event details
+ *         headers:
+ *           ETag: { $ref: '#/components/headers/ETag' }
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/Event' }
@@ -310,269 +878,489 @@ router.get("/", eventController.getAllEvents);
  *           application/json:
  *             schema: { $ref: '#/components/schemas/ErrorResponse' }
  */
-router.get("/:event_id", eventController.getEvent);
-
-// ======================================================================
-// AUTHENTICATED/AUTHORIZED ENDPOINTS
-// ======================================================================
-
-router.use(authenticate); // All routes below require JWT token
+router.get("/:event_id", optionalAuthenticate, eventController.getEvent);
 
 /**
  * @openapi
- * /events:
- *   post:
+ * /events/{event_id}/occurrences:
+ *   get:
  *     tags: [Events]
- *     summary: Create a new event
+ *     summary: List occurrences of a recurring event
  *     description: |
- *       Create a new event. The authenticated user becomes the event host/organizer.
- *       
+ *       Expand a recurring event series into its concrete occurrences.
+ *
  *       **STAKEHOLDERS:**
- *       - ✅ Event Organizers (create events they will host)
- *       - ✅ Organizations (create events on behalf of their organization)
- *       
+ *       - ✅ Event Attendees (pick which session to attend)
+ *       - ✅ Event Organizers (review the series schedule)
+ *       - ✅ Anonymous Users (browse upcoming sessions)
+ *
  *       **ACCESS RESTRICTIONS:**
- *       - ❌ Anonymous Users (must be authenticated)
- *       - ❌ Suspended/Banned Users (account must be in good standing)
- *       - ❌ Unverified Users (email verification may be required)
- *       - ⚠️  Rate limits apply (max 10 events per hour per user)
- *       
+ *       - ❌ No restrictions - This is a public endpoint
+ *
  *       **BUSINESS RULES:**
- *       - User creating the event automatically becomes the host
- *       - Event date must be in the future
- *       - Title and location are mandatory
- *       - Host can create unlimited events (subject to rate limits)
- *     security: [{ bearerAuth: [] }]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema: { $ref: '#/components/schemas/CreateEventRequest' }
- *           example:
- *             title: "Annual Tech Summit 2024"
- *             description: "Join us for the biggest tech event of the year"
- *             date_time: "2024-06-15T09:00:00Z"
- *             location: "San Francisco Convention Center"
+ *       - Cancelled occurrences are omitted
+ *       - Per-occurrence overrides (time, location, title) are applied
+ *       - attendees_count includes whole-series and single-occurrence RSVPs
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date-time }
+ *         description: Window start (default now)
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date-time }
+ *         description: Window end (default 90 days after from, at most 366 days after it)
  *     responses:
- *       201:
- *         description: Event created successfully
+ *       200:
+ *         description: Occurrences in the requested window
  *         content:
  *           application/json:
- *             schema: { $ref: '#/components/schemas/EventResponse' }
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Occurrence' }
  *       400:
- *         description: Missing required fields or invalid data
- *         content:
- *           application/json:
- *             schema: { $ref: '#/components/schemas/ErrorResponse' }
- *       401:
- *         description: Unauthorized - Invalid or missing token
+ *         description: Invalid window or event is not recurring
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/ErrorResponse' }
- *       500:
- *         description: Internal server error
+ *       404:
+ *         description: Event not found
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/ErrorResponse' }
  */
-router.post("/", eventController.createEvent);
+router.get("/:event_id/occurrences", optionalAuthenticate, occurrenceController.getOccurrences);
 
 /**
  * @openapi
- * /events/{event_id}:
- *   put:
+ * /events/{event_id}/ics:
+ *   get:
  *     tags: [Events]
- *     summary: Update an event
+ *     summary: Download an event as iCalendar
  *     description: |
- *       Update an existing event. Only the event host can modify their event.
- *       
+ *       Export a single event (or a whole recurring series) as an .ics file.
+ *
  *       **STAKEHOLDERS:**
- *       - ✅ Event Organizers (update their own events)
- *       - ✅ System Administrators (modify any event if needed)
- *       
+ *       - ✅ Event Attendees (add the event to their calendar app)
+ *       - ✅ Anonymous Users (save public events)
+ *
  *       **ACCESS RESTRICTIONS:**
- *       - ❌ Anonymous Users (must be authenticated)
- *       - ❌ Event Attendees (cannot modify events they don't host)
- *       - ❌ Other Event Organizers (can only modify their own events)
- *       - ❌ Users who are not the event host
- *       
+ *       - ❌ No restrictions - This is a public endpoint
+ *
  *       **BUSINESS RULES:**
- *       - Only the original host can update the event
- *       - Cannot change host_id after creation
- *       - Cannot update events that have already ended
- *       - Attendees are notified of significant changes
- *     security: [{ bearerAuth: [] }]
+ *       - Recurring series include RRULE, EXDATE for cancelled occurrences and RECURRENCE-ID overrides
+ *       - Re-importing after a change updates the existing entry (same UID, higher SEQUENCE)
+ *       - Cancelled events are exported with STATUS:CANCELLED; drafts are visible to their staff only
  *     parameters:
  *       - in: path
  *         name: event_id
  *         required: true
  *         schema: { type: string, format: uuid }
- *         description: Event ID to update
- *         example: "789e0123-e89b-12d3-a456-426614174002"
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema: { $ref: '#/components/schemas/UpdateEventRequest' }
- *           example:
- *             title: "Annual Tech Summit 2024 - Updated"
- *             date_time: "2024-06-16T09:00:00Z"
  *     responses:
  *       200:
- *         description: Event updated successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message: { type: string }
- *       400:
- *         description: No changes made or invalid fields provided
+ *         description: iCalendar file
  *         content:
- *           application/json:
- *             schema: { $ref: '#/components/schemas/ErrorResponse' }
- *       401:
- *         description: Unauthorized - Invalid or missing token
- *         content:
- *           application/json:
- *             schema: { $ref: '#/components/schemas/ErrorResponse' }
- *       403:
- *         description: Forbidden - Not the event host
- *         content:
- *           application/json:
- *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *           text/calendar:
+ *             schema: { type: string }
  *       404:
  *         description: Event not found
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/ErrorResponse' }
- *       500:
- *         description: Internal server error
- *         content:
- *           application/json:
- *             schema: { $ref: '#/components/schemas/ErrorResponse' }
  */
-router.put("/:event_id", eventController.updateEvent);
+router.get("/:event_id/ics", optionalAuthenticate, calendarController.getEventIcs);
 
 /**
  * @openapi
- * /events/{event_id}:
- *   delete:
- *     tags: [Events]
- *     summary: Delete an event
+ * /events/{event_id}/comments:
+ *   get:
+ *     tags: [Comments]
+ *     summary: List comment threads and Q&A
  *     description: |
- *       Permanently delete an event. Only the event host can delete their event.
- *       
+ *       Questions and discussion on an event, one level of replies per thread.
+ *
  *       **STAKEHOLDERS:**
- *       - ✅ Event Organizers (delete their own events)
- *       - ✅ System Administrators (remove inappropriate events)
- *       
+ *       - ✅ Event Attendees (read answers before asking again)
+ *       - ✅ Event Organizers (see open questions)
+ *       - ✅ Anonymous Users (read discussion on public events)
+ *
  *       **ACCESS RESTRICTIONS:**
- *       - ❌ Anonymous Users (must be authenticated)
- *       - ❌ Event Attendees (cannot delete events they're attending)
- *       - ❌ Other Event Organizers (can only delete their own events)
- *       - ❌ Users who are not the event host
- *       
+ *       - ⚠️  Same as viewing the event: drafts and non-public events return 404 to users who cannot see them
+ *
  *       **BUSINESS RULES:**
- *       - Only the original host can delete the event
- *       - All attendees are notified of cancellation
- *       - RSVPs are automatically cancelled
- *       - Deletion is permanent and cannot be undone
- *       - Consider using "cancel" status instead of deletion for events with attendees
- *     security: [{ bearerAuth: [] }]
+ *       - Threads are newest first and paginated by cursor; each thread includes all of its replies
+ *       - A reply pinned by a host as the answer is listed first and marked is_answer
+ *       - Deleted comments keep their place with a null body so replies still make sense
+ *       - Hidden comments show a null body except to their author and the event's hosts
  *     parameters:
  *       - in: path
  *         name: event_id
  *         required: true
  *         schema: { type: string, format: uuid }
- *         description: Event ID to delete
- *         example: "789e0123-e89b-12d3-a456-426614174002"
+ *       - in: query
+ *         name: invite
+ *         schema: { type: string }
+ *         description: Invite code, for invite-only and followers-only events
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
  *     responses:
  *       200:
- *         description: Event deleted successfully
+ *         description: A page of threads
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/CommentListResponse' }
+ *       400:
+ *         description: Invalid limit or cursor
+ *       404:
+ *         description: Event not found
+ */
+router.get("/:event_id/comments", optionalAuthenticate, commentController.getComments);
+
+// ======================================================================
+// AUTHENTICATED/AUTHORIZED ENDPOINTS
+// ======================================================================
+
+router.use(authenticate); // All routes below require JWT token
+
+/**
+ * @openapi
+ * /events/calendar/token:
+ *   post:
+ *     tags: [Events]
+ *     summary: Create or rotate the personal calendar feed URL
+ *     description: |
+ *       Issue a secret token for the caller's ICS feed. Any previous token stops working.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Attendees (subscribe to their RSVPs from a calendar app)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *
+ *       **BUSINESS RULES:**
+ *       - One active token per user; only its hash is stored
+ *       - The plaintext token is shown once in the response
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       201:
+ *         description: Feed token issued
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
+ *                 token: { type: string }
+ *                 feed_url: { type: string, format: uri }
  *                 message: { type: string }
  *       401:
  *         description: Unauthorized - Invalid or missing token
+ *   delete:
+ *     tags: [Events]
+ *     summary: Revoke the personal calendar feed
+ *     description: |
+ *       Invalidate the caller's feed URL, e.g. after it was shared by mistake.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Attendees (stop a leaked feed URL)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: Feed revoked
+ *       404:
+ *         description: No active calendar feed
+ */
+router.post("/calendar/token", calendarController.createCalendarFeedToken);
+router.delete("/calendar/token", calendarController.revokeCalendarFeedToken);
+
+/**
+ * @openapi
+ * /events/import:
+ *   post:
+ *     tags: [Events]
+ *     summary: Import events from a CSV or iCalendar file
+ *     description: |
+ *       Create many events at once from a spreadsheet export (CSV) or a calendar
+ *       export (ICS). Send the file as the request body with its media type.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Organizations (migrate their existing schedule)
+ *       - ✅ Event Organizers (set up a term of sessions in one go)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *
+ *       **BUSINESS RULES:**
+ *       - The caller becomes the host of every imported event
+ *       - Every row is validated exactly like POST /events (including room bookings);
+ *         errors are reported per row, numbered from 1 (first line after the CSV header, or first VEVENT)
+ *       - The import is atomic: if any row fails, no event is created (400 with the row errors)
+ *       - dry_run=true validates and previews without creating anything
+ *       - Published events are announced with one event_created each; drafts are not announced
+ *       - At most 200 events and 2 MB per file
+ *       - CSV: the header names the columns (title and date_time required; any of title, description,
+ *         date_time, end_time, time_zone, location, capacity, recurrence_rule, category, tags, building_id,
+ *         room_id, visibility, status, publish_at); tags are separated by commas or semicolons;
+ *         empty cells use the defaults; times without a UTC offset are local to the row's time_zone
+ *       - ICS: SUMMARY, DESCRIPTION, LOCATION, DTSTART (with TZID, UTC or all-day), DTEND or DURATION,
+ *         RRULE and CATEGORIES (as tags) are read; floating times use the time_zone parameter;
+ *         events with RECURRENCE-ID, EXDATE or RDATE, and cancelled events, are rejected
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         schema: { type: boolean, default: false }
+ *         description: Validate and preview only
+ *       - in: query
+ *         name: time_zone
+ *         schema: { type: string }
+ *         description: Default IANA time zone for rows without one (default UTC)
+ *         example: "America/New_York"
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [draft, published] }
+ *         description: Default status for rows without one (default published)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema: { type: string }
+ *           example: |
+ *             title,date_time,end_time,time_zone,location,tags
+ *             Robotics Club,2026-11-10T18:00,2026-11-10T20:00,America/New_York,Lab 3,"robotics,stem"
+ *         text/calendar:
+ *           schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Dry run result
  *         content:
  *           application/json:
- *             schema: { $ref: '#/components/schemas/ErrorResponse' }
- *       403:
- *         description: Forbidden - Not the event host
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dry_run: { type: boolean }
+ *                 valid: { type: boolean, description: "Whether a real import would succeed" }
+ *                 total: { type: integer }
+ *                 errors:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/ImportRowError' }
+ *                 events:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/ImportedEvent' }
+ *       201:
+ *         description: All events imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 imported: { type: integer }
+ *                 events:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/ImportedEvent' }
+ *       400:
+ *         description: Unreadable file, bad parameters, or rows with errors (nothing was imported)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 errors:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/ImportRowError' }
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       413:
+ *         description: File larger than 2 MB
+ *       415:
+ *         description: Body is not text/csv or text/calendar
+ */
+router.post(
+  "/import",
+  express.text({ type: ["text/csv", "text/calendar"], limit: "2mb" }),
+  importController.importEvents
+);
+
+/**
+ * @openapi
+ * /events:
+ *   post:
+ *     tags: [Events]
+ *     summary: Create a new event
+ *     description: |
+ *       Create a new event. The authenticated user becomes the event host/organizer.
+ *       
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Organizers (create events they will host)
+ *       - ✅ Organizations (create events on behalf of their organization)
+ *       
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ Suspended/Banned Users (account must be in good standing)
+ *       - ❌ Unverified Users (email verification may be required)
+ *       - ⚠️  Rate limits apply (max 10 events per hour per user)
+ *       
+ *       **BUSINESS RULES:**
+ *       - User creating the event automatically becomes the host
+ *       - Event date must be in the future
+ *       - Title and location are mandatory
+ *       - Category must be an active slug from GET /categories; tags are normalized
+ *       - Host can create unlimited events (subject to rate limits)
+ *       - A room_id books the room for the event (every occurrence of a series, which then
+ *         needs COUNT or UNTIL); each slot must be within the room's opening hours (400)
+ *         and free (409, enforced by the database so concurrent requests cannot both win)
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/CreateEventRequest' }
+ *           example:
+ *             title: "Annual Tech Summit 2024"
+ *             description: "Join us for the biggest tech event of the year"
+ *             date_time: "2024-06-15T09:00:00Z"
+ *             location: "San Francisco Convention Center"
+ *     responses:
+ *       201:
+ *         description: Event created successfully
+ *         headers:
+ *           ETag: { $ref: '#/components/headers/ETag' }
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/EventResponse' }
+ *       400:
+ *         description: Missing required fields, invalid data, or the room is closed at that time
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/ErrorResponse' }
- *       404:
- *         description: Event not found
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       409:
+ *         description: The room is already booked at that time
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/RoomConflictResponse' }
  *       500:
  *         description: Internal server error
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/ErrorResponse' }
  */
-router.delete("/:event_id", eventController.deleteEventById);
+router.post("/", eventController.createEvent);
 
 /**
  * @openapi
- * /events/{event_id}/rsvp:
- *   post:
+ * /events/{event_id}:
+ *   put:
  *     tags: [Events]
- *     summary: RSVP to an event
+ *     summary: Update an event
  *     description: |
- *       Register attendance for an event. User must be authenticated.
+ *       Update an existing event. Only the event host can modify their event.
  *       
  *       **STAKEHOLDERS:**
- *       - ✅ Event Attendees (register to attend events)
- *       - ✅ Regular Users (RSVP to events they're interested in)
+ *       - ✅ Event Organizers (update their own events)
+ *       - ✅ System Administrators (modify any event if needed)
  *       
  *       **ACCESS RESTRICTIONS:**
  *       - ❌ Anonymous Users (must be authenticated)
- *       - ❌ Event Hosts (cannot RSVP to their own events - they're already attending)
- *       - ❌ Banned Users (account must be in good standing)
- *       - ❌ Users who already RSVP'd (duplicate RSVPs not allowed)
+ *       - ❌ Event Attendees (cannot modify events they don't host)
+ *       - ❌ Other Event Organizers (can only modify their own events)
+ *       - ❌ Check-in staff (can only check attendees in)
  *       
  *       **BUSINESS RULES:**
- *       - User ID is extracted from JWT token
- *       - Cannot RSVP to past events
- *       - Cannot RSVP twice to the same event
- *       - Host is automatically considered attending (no RSVP needed)
- *       - RSVP count is incremented immediately
+ *       - The owner (original host) and co-hosts can update the event
+ *       - Only the fields in UpdateEventRequest are accepted; unknown or derived fields
+ *         (attendees_count, event_id, sequence, ...) and wrongly typed values are rejected (400)
+ *       - Cannot change host_id after creation
+ *       - Cannot update cancelled or completed events (409)
+ *       - Status changes go through /publish, /cancel and /complete
+ *       - Edits to drafts are not announced
+ *       - Attendees are notified of significant changes
+ *       - Every update that changes a value increments the iCalendar SEQUENCE;
+ *         resending current values is a no-op and broadcasts nothing
+ *       - event_updated carries a diff of { field, old, new } for each changed field
+ *       - If-Match is required (428 without it); a stale version returns 412 with the
+ *         current event so the client can merge and retry with the new ETag
+ *       - Changing the room or the times re-books the room; the new slots must be within its
+ *         opening hours (400) and free (409 lists the clashing bookings)
+ *       - Moving the start (date_time, time_zone or recurrence_rule) reschedules the pending
+ *         event_reminder messages; reminders already sent for a start are not repeated
  *     security: [{ bearerAuth: [] }]
  *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
  *       - in: path
  *         name: event_id
  *         required: true
  *         schema: { type: string, format: uuid }
- *         description: Event ID to RSVP to
+ *         description: Event ID to update
  *         example: "789e0123-e89b-12d3-a456-426614174002"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/UpdateEventRequest' }
+ *           example:
+ *             title: "Annual Tech Summit 2024 - Updated"
+ *             date_time: "2024-06-16T09:00:00Z"
  *     responses:
  *       200:
- *         description: RSVP recorded successfully
+ *         description: Event updated successfully (changes is empty when nothing differed)
+ *         headers:
+ *           ETag: { $ref: '#/components/headers/ETag' }
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
  *                 message: { type: string }
+ *                 changes:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/EventChange' }
+ *       400:
+ *         description: Unknown, read-only or invalid fields provided
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       403:
+ *         description: Forbidden - Not the event owner or a co-host
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
  *       404:
  *         description: Event not found
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/ErrorResponse' }
  *       409:
- *         description: User is already registered for this event
+ *         description: Event is cancelled or completed, or the room is already booked at the new time
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/RoomConflictResponse' }
+ *       412:
+ *         description: If-Match does not match the current version
+ *         headers:
+ *           ETag: { $ref: '#/components/headers/ETag' }
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/PreconditionFailed' }
+ *       428:
+ *         description: If-Match header missing
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/ErrorResponse' }
@@ -582,43 +1370,45 @@ router.delete("/:event_id", eventController.deleteEventById);
  *           application/json:
  *             schema: { $ref: '#/components/schemas/ErrorResponse' }
  */
-router.post("/:event_id/rsvp", eventController.rsvpToEvent);
+router.put("/:event_id", eventController.updateEvent);
 
 /**
  * @openapi
- * /events/{event_id}/rsvp:
+ * /events/{event_id}:
  *   delete:
  *     tags: [Events]
- *     summary: Cancel RSVP
+ *     summary: Delete an event
  *     description: |
- *       Cancel a previously made RSVP. User must be authenticated.
+ *       Permanently delete a draft. Announced events are cancelled instead (POST /events/{event_id}/cancel).
  *       
  *       **STAKEHOLDERS:**
- *       - ✅ Event Attendees (cancel their attendance)
- *       - ✅ Regular Users (withdraw from events)
+ *       - ✅ Event Organizers (delete their own events)
+ *       - ✅ System Administrators (remove inappropriate events)
  *       
  *       **ACCESS RESTRICTIONS:**
  *       - ❌ Anonymous Users (must be authenticated)
- *       - ❌ Users who haven't RSVP'd (cannot cancel non-existent RSVP)
- *       - ❌ Event Hosts (cannot cancel RSVP to their own events)
+ *       - ❌ Event Attendees (cannot delete events they're attending)
+ *       - ❌ Other Event Organizers (can only delete their own events)
+ *       - ❌ Co-hosts and check-in staff
  *       
  *       **BUSINESS RULES:**
- *       - User ID is extracted from JWT token
- *       - Can only cancel your own RSVP
- *       - RSVP count is decremented immediately
- *       - Can cancel RSVP even for past events (for record keeping)
- *       - Host is notified of cancellation
+ *       - Only the owner (original host) can delete the event
+ *       - Only drafts can be deleted; other statuses return 409
+ *       - Drafts were never announced, so no event is published
+ *       - Deletion is permanent and cannot be undone
+ *       - If-Match is required (428 without it); a stale version returns 412 with the current event
  *     security: [{ bearerAuth: [] }]
  *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
  *       - in: path
  *         name: event_id
  *         required: true
  *         schema: { type: string, format: uuid }
- *         description: Event ID to cancel RSVP for
+ *         description: Event ID to delete
  *         example: "789e0123-e89b-12d3-a456-426614174002"
  *     responses:
  *       200:
- *         description: RSVP cancelled successfully
+ *         description: Event deleted successfully
  *         content:
  *           application/json:
  *             schema:
@@ -630,8 +1420,30 @@ router.post("/:event_id/rsvp", eventController.rsvpToEvent);
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       403:
+ *         description: Forbidden - Not the event owner
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
  *       404:
- *         description: RSVP not found for this user and event
+ *         description: Event not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       409:
+ *         description: Event is not a draft; cancel it instead
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       412:
+ *         description: If-Match does not match the current version
+ *         headers:
+ *           ETag: { $ref: '#/components/headers/ETag' }
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/PreconditionFailed' }
+ *       428:
+ *         description: If-Match header missing
  *         content:
  *           application/json:
  *             schema: { $ref: '#/components/schemas/ErrorResponse' }
@@ -641,49 +1453,1764 @@ router.post("/:event_id/rsvp", eventController.rsvpToEvent);
  *           application/json:
  *             schema: { $ref: '#/components/schemas/ErrorResponse' }
  */
-router.delete("/:event_id/rsvp", eventController.cancelRsvp);
+router.delete("/:event_id", eventController.deleteEventById);
 
 /**
  * @openapi
- * /events/{event_id}/rsvp-status:
- *   get:
+ * /events/{event_id}/clone:
+ *   post:
  *     tags: [Events]
- *     summary: Check current user's RSVP status for an event
+ *     summary: Clone an event
  *     description: |
- *       Check if the authenticated user has RSVP'd to a specific event.
- *       
+ *       Create a copy of an event at a new date. The caller becomes the copy's owner.
+ *
  *       **STAKEHOLDERS:**
- *       - ✅ Event Attendees (check their RSVP status)
- *       - ✅ Frontend Applications (display RSVP button state)
- *       
+ *       - ✅ Event Owner and Co-hosts (re-run an event, e.g. next semester)
+ *
  *       **ACCESS RESTRICTIONS:**
  *       - ❌ Anonymous Users (must be authenticated)
- *       - ⚠️  Can only check your own RSVP status
- *       
+ *       - ❌ Check-in staff and attendees
+ *
  *       **BUSINESS RULES:**
- *       - Returns boolean indicating RSVP status
- *       - User ID is extracted from JWT token
+ *       - Copies title, description, location/venue, capacity, guest limit, time zone, category, tags,
+ *         visibility and registration form; attendees, comments and invites are not copied
+ *       - Staff roles are copied; the original owner becomes a co-host when someone else clones
+ *         (staff_invited is published for each)
+ *       - end_time defaults to date_time plus the original event's length
+ *       - The recurrence rule is not copied; send recurrence_rule to clone a series
+ *       - Validated exactly like POST /events; a room clash answers 409 and nothing is created
  *     security: [{ bearerAuth: [] }]
  *     parameters:
  *       - in: path
  *         name: event_id
  *         required: true
  *         schema: { type: string, format: uuid }
- *         description: Event ID to check RSVP status for
- *         example: "789e0123-e89b-12d3-a456-426614174002"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/EventCopyRequest' }
  *     responses:
- *       200:
- *         description: RSVP status retrieved
+ *       201:
+ *         description: Copy created
+ *         headers:
+ *           ETag: { $ref: '#/components/headers/ETag' }
  *         content:
  *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 isRsvped:
- *                   type: boolean
- *                   description: Whether the user has RSVP'd to this event
- *                   example: true
- */
-router.get('/:event_id/rsvp-status', authenticate, eventController.checkRsvpStatus);
+ *             schema: { $ref: '#/components/schemas/EventResponse' }
+ *       400:
+ *         description: Missing date_time, a field that cannot be overridden, or the copy is invalid
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       403:
+ *         description: Forbidden - Not the owner or a co-host
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: The room is already booked at that time
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/RoomConflictResponse' }
+ */
+router.post("/:event_id/clone", templateController.cloneEvent);
+
+/**
+ * @openapi
+ * /events/{event_id}/publish:
+ *   post:
+ *     tags: [Events]
+ *     summary: Publish or schedule a draft
+ *     description: |
+ *       Announce a draft now, or schedule it for a later publish_at.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Organizers (owner and co-hosts)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ Check-in staff and users who are not the event owner or a co-host
+ *
+ *       **BUSINESS RULES:**
+ *       - Allowed transitions: draft → published/cancelled, published → cancelled/completed
+ *       - Publishing broadcasts event_created, so followers are notified only now
+ *       - A future publish_at returns 202; the event is published automatically when due
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               publish_at: { type: string, format: date-time }
+ *     responses:
+ *       200:
+ *         description: Event published
+ *       202:
+ *         description: Publishing scheduled
+ *       400:
+ *         description: Invalid publish_at
+ *       403:
+ *         description: Forbidden - Not the event owner or a co-host
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: Event is not a draft
+ */
+router.post("/:event_id/publish", lifecycleController.publishDraft);
+
+/**
+ * @openapi
+ * /events/{event_id}/cancel:
+ *   post:
+ *     tags: [Events]
+ *     summary: Cancel an event
+ *     description: |
+ *       Cancel an event while keeping its record, RSVPs and waitlist.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Owner (call off the event)
+ *       - ✅ Event Attendees (are notified and see the event as cancelled)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ Co-hosts and check-in staff
+ *
+ *       **BUSINESS RULES:**
+ *       - Drafts and published events can be cancelled; cancellation is final
+ *       - Publishes event_cancelled with every RSVP'd and waitlisted user (not for drafts)
+ *       - Cancelled events stay listed and export as STATUS:CANCELLED
+ *       - The event's room booking is released and pending reminders are dropped
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason: { type: string, maxLength: 500 }
+ *           example:
+ *             reason: "Speaker unavailable"
+ *     responses:
+ *       200:
+ *         description: Event cancelled
+ *       400:
+ *         description: Invalid reason
+ *       403:
+ *         description: Forbidden - Not the event owner
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: Event is already cancelled or completed
+ */
+router.post("/:event_id/cancel", lifecycleController.cancelEvent);
+
+/**
+ * @openapi
+ * /events/{event_id}/complete:
+ *   post:
+ *     tags: [Events]
+ *     summary: Mark an event as completed
+ *     description: |
+ *       Close a published event. Events are also completed automatically an hour
+ *       after they start (finite series: after their last occurrence).
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Organizers (owner and co-hosts)
+ *
+ *       **BUSINESS RULES:**
+ *       - Only published events can be completed
+ *       - Completed events no longer accept RSVPs or edits
+ *       - Completing early releases the room for occurrences that have not started; a running booking ends now
+ *       - Publishes event_completed
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Event completed
+ *       403:
+ *         description: Forbidden - Not the event owner or a co-host
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: Event is not published
+ */
+router.post("/:event_id/complete", lifecycleController.completeEvent);
+
+/**
+ * @openapi
+ * /events/{event_id}/rsvp:
+ *   post:
+ *     tags: [Events]
+ *     summary: RSVP to an event
+ *     description: |
+ *       Register attendance for an event. User must be authenticated.
+ *       
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Attendees (register to attend events)
+ *       - ✅ Regular Users (RSVP to events they're interested in)
+ *       
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ Event Hosts (cannot RSVP to their own events - they're already attending)
+ *       - ❌ Banned Users (account must be in good standing)
+ *       - ❌ Users who already RSVP'd (duplicate RSVPs not allowed)
+ *       
+ *       **BUSINESS RULES:**
+ *       - User ID is extracted from JWT token
+ *       - Cannot RSVP to past events
+ *       - Cannot RSVP twice to the same event; change an existing RSVP with PUT (409)
+ *       - Host is automatically considered attending (no RSVP needed)
+ *       - status defaults to going. maybe, interested and declined take no seat, skip the
+ *         waitlist and overlap checks, and only count toward the event's per-state count;
+ *         answers are optional for them (publishes rsvp_status_changed)
+ *       - RSVP count is incremented immediately, by one seat per person (the attendee plus guests)
+ *       - guests is limited by the event's max_guests_per_rsvp (400); a party larger than the
+ *         whole capacity is rejected (400)
+ *       - When the party does not fit, or others are already waiting, the whole party joins a
+ *         FIFO waitlist instead (202)
+ *       - Only published events accept RSVPs (409 for cancelled or completed events)
+ *       - Non-public events need view rights (404 otherwise); an invite_code in the body is redeemed first
+ *       - Answers must satisfy the event's registration_form (required questions, valid choices);
+ *         they are stored with the RSVP and kept when a waitlisted user is promoted
+ *       - Overlaps with published events the user already RSVP'd to (or is waitlisted on) are
+ *         listed in conflicts, with a warning; on_conflict=block rejects such an RSVP with 409 instead
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *         description: Event ID to RSVP to
+ *         example: "789e0123-e89b-12d3-a456-426614174002"
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/RsvpRequest' }
+ *     responses:
+ *       200:
+ *         description: RSVP recorded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 rsvp_status: { $ref: '#/components/schemas/RsvpStatus' }
+ *                 warning: { type: string, description: "Present when conflicts is not empty" }
+ *                 conflicts:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/ScheduleConflict' }
+ *       202:
+ *         description: Event is full - user added to the waitlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 waitlist_position: { type: integer, minimum: 1 }
+ *                 warning: { type: string, description: "Present when conflicts is not empty" }
+ *                 conflicts:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/ScheduleConflict' }
+ *       400:
+ *         description: Answers do not satisfy the registration form, too many guests, or invalid status or on_conflict
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       404:
+ *         description: Event not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       409:
+ *         description: |
+ *           Already registered for (or waitlisted on) this event, or - with on_conflict=block -
+ *           the event overlaps events the user attends (conflicts are listed)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ScheduleConflictResponse' }
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ */
+router.post("/:event_id/rsvp", eventController.rsvpToEvent);
+
+/**
+ * @openapi
+ * /events/{event_id}/rsvp:
+ *   delete:
+ *     tags: [Events]
+ *     summary: Cancel RSVP
+ *     description: |
+ *       Cancel a previously made RSVP. User must be authenticated.
+ *       
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Attendees (cancel their attendance)
+ *       - ✅ Regular Users (withdraw from events)
+ *       
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ Users who haven't RSVP'd (cannot cancel non-existent RSVP)
+ *       - ❌ Event Hosts (cannot cancel RSVP to their own events)
+ *       
+ *       **BUSINESS RULES:**
+ *       - User ID is extracted from JWT token
+ *       - Can only cancel your own RSVP
+ *       - The count for the RSVP's state is decremented immediately
+ *       - Can cancel RSVP even for past events (for record keeping)
+ *       - Host is notified of cancellation
+ *       - Freed seats (the attendee's and their guests') go to the oldest waitlisted parties
+ *         that fit, in order (publishes rsvp_promoted); rsvp_cancelled carries previous_status
+ *       - Waitlisted users use this endpoint to leave the waitlist
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *         description: Event ID to cancel RSVP for
+ *         example: "789e0123-e89b-12d3-a456-426614174002"
+ *     responses:
+ *       200:
+ *         description: RSVP cancelled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       404:
+ *         description: RSVP not found for this user and event
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ */
+router.delete("/:event_id/rsvp", eventController.cancelRsvp);
+
+/**
+ * @openapi
+ * /events/{event_id}/rsvp:
+ *   put:
+ *     tags: [Events]
+ *     summary: Change my RSVP status or number of guests
+ *     description: |
+ *       Move between going, maybe, interested and declined, or change your party size,
+ *       without cancelling and re-registering.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Attendees (change their answer, bring more or fewer guests)
+ *       - ✅ Waitlisted users (resize their waiting party, or stop waiting)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ Users without an RSVP or waitlist entry (404)
+ *
+ *       **BUSINESS RULES:**
+ *       - joined_at (or the waitlist position) is kept
+ *       - The event's per-state counts move with the RSVP; every status change publishes
+ *         rsvp_status_changed with previous_status and status (waitlisted users count as going,
+ *         previous_status "waitlisted" when they leave the queue)
+ *       - Switching to going is checked like a new RSVP: registration answers, overlaps
+ *         (on_conflict) and seats; without free seats (or with others waiting) the party joins
+ *         the waitlist (202)
+ *       - guests is limited by the event's max_guests_per_rsvp (400)
+ *       - Extra guests on a going RSVP need free seats and an empty waitlist; otherwise 409 and
+ *         the RSVP is unchanged
+ *       - Leaving going, or fewer guests, frees seats for the waitlist (publishes rsvp_promoted)
+ *       - A waiting party that shrinks may be promoted at once
+ *       - Only published events (409 otherwise)
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/UpdateRsvpRequest' }
+ *           example:
+ *             status: going
+ *             guests: 2
+ *     responses:
+ *       200:
+ *         description: RSVP changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 rsvp_status: { $ref: '#/components/schemas/RsvpStatus' }
+ *                 guests: { type: integer }
+ *                 waitlisted: { type: boolean, description: "Whether the party is still waiting for seats" }
+ *                 warning: { type: string, description: "Present when conflicts is not empty" }
+ *                 conflicts:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/ScheduleConflict' }
+ *       202:
+ *         description: Switched to going but the event is full - added to the waitlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 waitlist_position: { type: integer, minimum: 1 }
+ *       400:
+ *         description: Neither status nor guests given, or an invalid status, guests, answers or on_conflict
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       404:
+ *         description: RSVP not found for this user and event
+ *       409:
+ *         description: |
+ *           Not enough seats for more guests, the event is not published, or - with
+ *           on_conflict=block - switching to going overlaps events the user attends
+ */
+router.put("/:event_id/rsvp", eventController.updateRsvp);
+
+/**
+ * @openapi
+ * /events/{event_id}/rsvp-status:
+ *   get:
+ *     tags: [Events]
+ *     summary: Check current user's RSVP status for an event
+ *     description: |
+ *       Check if the authenticated user has RSVP'd to a specific event.
+ *       
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Attendees (check their RSVP status)
+ *       - ✅ Frontend Applications (display RSVP button state)
+ *       
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ⚠️  Can only check your own RSVP status
+ *       
+ *       **BUSINESS RULES:**
+ *       - Returns boolean indicating RSVP status; isRsvped is only true for going RSVPs
+ *       - rsvpStatus tells maybe, interested and declined apart (waitlisted users are going)
+ *       - User ID is extracted from JWT token
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *         description: Event ID to check RSVP status for
+ *         example: "789e0123-e89b-12d3-a456-426614174002"
+ *     responses:
+ *       200:
+ *         description: RSVP status retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 isRsvped:
+ *                   type: boolean
+ *                   description: Whether the user has RSVP'd to this event
+ *                   example: true
+ *                 isWaitlisted:
+ *                   type: boolean
+ *                   description: Whether the user is waiting for a seat
+ *                   example: false
+ *                 rsvpStatus:
+ *                   allOf: [{ $ref: '#/components/schemas/RsvpStatus' }]
+ *                   description: Absent when the user has no RSVP
+ *                 waitlistPosition:
+ *                   type: integer
+ *                   description: 1-based position in the waitlist (only when waitlisted)
+ *                 guests:
+ *                   type: integer
+ *                   description: Guests in the user's party (when registered or waitlisted)
+ */
+router.get('/:event_id/rsvp-status', authenticate, eventController.checkRsvpStatus);
+
+/**
+ * @openapi
+ * /events/{event_id}/occurrences/{occurrence_start}:
+ *   put:
+ *     tags: [Events]
+ *     summary: Modify a single occurrence
+ *     description: |
+ *       Override the time, location or title of one occurrence of a recurring event.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Organizers (move or relocate one session)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ Users who are not the event owner or a co-host
+ *
+ *       **BUSINESS RULES:**
+ *       - occurrence_start is the original rule-generated start (ISO 8601)
+ *       - Modifying a cancelled occurrence restores it; null resets a field to the series value
+ *       - Occurrences of cancelled or completed events cannot be modified (409)
+ *       - Attendees of the occurrence are notified (occurrence_updated)
+ *       - In a room, the moved or restored occurrence must be within its opening hours (400)
+ *         and free (409); cancelling an occurrence releases the room
+ *       - Reminders for the series follow the moved, restored or cancelled occurrence
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: path
+ *         name: occurrence_start
+ *         required: true
+ *         schema: { type: string, format: date-time }
+ *         example: "2026-11-10T18:00:00.000Z"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/UpdateOccurrenceRequest' }
+ *     responses:
+ *       200:
+ *         description: Occurrence updated
+ *       400:
+ *         description: Invalid date-time, title or location, or the room is closed at that time
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       403:
+ *         description: Forbidden - Not the event owner or a co-host
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       404:
+ *         description: Occurrence not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       409:
+ *         description: The event is cancelled or completed, or the room is already booked at the new time
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/RoomConflictResponse' }
+ *   delete:
+ *     tags: [Events]
+ *     summary: Cancel a single occurrence
+ *     description: |
+ *       Cancel one occurrence of a recurring event without affecting the rest of the series.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Organizers (skip a week, e.g. for holidays)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ Users who are not the event owner or a co-host
+ *
+ *       **BUSINESS RULES:**
+ *       - The occurrence disappears from listings (iCalendar EXDATE semantics)
+ *       - RSVPs are kept so the occurrence can be restored
+ *       - Attendees of the occurrence are notified (occurrence_cancelled)
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: path
+ *         name: occurrence_start
+ *         required: true
+ *         schema: { type: string, format: date-time }
+ *     responses:
+ *       200:
+ *         description: Occurrence cancelled
+ *       403:
+ *         description: Forbidden - Not the event owner or a co-host
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       404:
+ *         description: Occurrence not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       409:
+ *         description: Occurrence is already cancelled
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ */
+router.put("/:event_id/occurrences/:occurrence_start", occurrenceController.updateOccurrence);
+router.delete("/:event_id/occurrences/:occurrence_start", occurrenceController.cancelOccurrence);
+
+/**
+ * @openapi
+ * /events/{event_id}/occurrences/{occurrence_start}/rsvp:
+ *   post:
+ *     tags: [Events]
+ *     summary: RSVP to a single occurrence
+ *     description: |
+ *       Register attendance for one occurrence of a recurring event.
+ *       Use POST /events/{event_id}/rsvp to attend the whole series.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Attendees (join only the sessions they can make)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ Users already registered for the whole series
+ *
+ *       **BUSINESS RULES:**
+ *       - Capacity applies per occurrence; series RSVPs hold their seats (guests included) in every occurrence
+ *       - guests is limited by the event's max_guests_per_rsvp; a party that does not fit is rejected (409)
+ *       - Cancelled occurrences cannot be joined
+ *       - Publishes rsvp_added with occurrence_start
+ *       - The series' registration_form applies; answers are stored per occurrence RSVP
+ *       - Overlaps with other events the user attends are reported as for whole-event RSVPs
+ *         (on_conflict=block rejects them with 409)
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: path
+ *         name: occurrence_start
+ *         required: true
+ *         schema: { type: string, format: date-time }
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/RsvpRequest' }
+ *     responses:
+ *       200:
+ *         description: RSVP recorded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 warning: { type: string, description: "Present when conflicts is not empty" }
+ *                 conflicts:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/ScheduleConflict' }
+ *       400:
+ *         description: Answers do not satisfy the registration form, too many guests, or invalid on_conflict
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       404:
+ *         description: Occurrence not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       409:
+ *         description: Already registered, occurrence cancelled, occurrence full, or (on_conflict=block) overlapping events
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ScheduleConflictResponse' }
+ *   put:
+ *     tags: [Events]
+ *     summary: Change the number of guests on a single-occurrence RSVP
+ *     description: |
+ *       Change your party size for one occurrence without cancelling and re-registering.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Attendees (bring more or fewer guests to one session)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *
+ *       **BUSINESS RULES:**
+ *       - joined_at is kept
+ *       - guests is limited by the event's max_guests_per_rsvp (400)
+ *       - Extra guests need free seats in the occurrence; otherwise 409 and the RSVP is unchanged
+ *       - Series RSVPs change their guests with PUT /events/{event_id}/rsvp
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: path
+ *         name: occurrence_start
+ *         required: true
+ *         schema: { type: string, format: date-time }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/UpdateRsvpRequest' }
+ *     responses:
+ *       200:
+ *         description: Party size changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 guests: { type: integer }
+ *       400:
+ *         description: Missing or invalid guests
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       404:
+ *         description: RSVP or occurrence not found
+ *       409:
+ *         description: Not enough seats for more guests, or the event is not published
+ *   delete:
+ *     tags: [Events]
+ *     summary: Cancel RSVP for a single occurrence
+ *     description: |
+ *       Withdraw from one occurrence of a recurring event.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Attendees (cancel one session)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *
+ *       **BUSINESS RULES:**
+ *       - Only single-occurrence RSVPs are removed; series RSVPs use DELETE /events/{event_id}/rsvp
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: path
+ *         name: occurrence_start
+ *         required: true
+ *         schema: { type: string, format: date-time }
+ *     responses:
+ *       200:
+ *         description: RSVP cancelled
+ *       404:
+ *         description: RSVP or occurrence not found
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ */
+router.post("/:event_id/occurrences/:occurrence_start/rsvp", occurrenceController.rsvpToOccurrence);
+router.put("/:event_id/occurrences/:occurrence_start/rsvp", occurrenceController.updateOccurrenceRsvp);
+router.delete("/:event_id/occurrences/:occurrence_start/rsvp", occurrenceController.cancelOccurrenceRsvp);
+
+/**
+ * @openapi
+ * /events/{event_id}/checkin-token:
+ *   get:
+ *     tags: [Events]
+ *     summary: Get my check-in QR code
+ *     description: |
+ *       Issue a signed check-in token for the caller's RSVP, to be shown as a QR code at the door.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Attendees (show their code at the entrance)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ Users without an RSVP (waitlisted users included)
+ *
+ *       **BUSINESS RULES:**
+ *       - The token is bound to the event and attendee and signed by the EMS
+ *       - For a series the token is bound to one occurrence; series RSVPs and that occurrence's RSVPs qualify
+ *       - Valid from 1 hour before until 24 hours after the event (or occurrence) starts
+ *       - qr_payload is the string the client encodes into the QR image
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: occurrence_start
+ *         required: false
+ *         description: Series only - the occurrence to check in to; defaults to the next one that has not ended
+ *         schema: { type: string, format: date-time }
+ *     responses:
+ *       200:
+ *         description: Check-in token issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token: { type: string }
+ *                 qr_payload: { type: string, example: "campusconnect://checkin?event_id=...&token=..." }
+ *                 valid_from: { type: string, format: date-time }
+ *                 expires_at: { type: string, format: date-time }
+ *                 occurrence_start: { type: string, format: date-time, description: "Series only" }
+ *                 checked_in_at: { type: string, format: date-time, nullable: true }
+ *       400:
+ *         description: Check-in for this event has closed, or invalid occurrence_start
+ *       403:
+ *         description: Caller is not registered for the event
+ *       404:
+ *         description: Event or occurrence not found
+ */
+router.get("/:event_id/checkin-token", attendanceController.getCheckInToken);
+
+/**
+ * @openapi
+ * /events/{event_id}/check-in:
+ *   post:
+ *     tags: [Events]
+ *     summary: Check in an attendee
+ *     description: |
+ *       Validate a scanned check-in token and record the attendee's arrival.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Organizers (owner and co-hosts)
+ *       - ✅ Check-in Staff (volunteers scanning codes at the door)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ Users without a staff role on the event
+ *
+ *       **BUSINESS RULES:**
+ *       - Token must be issued for this event and scanned within its window (1 hour before to 24 hours after the start)
+ *       - Draft and cancelled events cannot be checked in to (409)
+ *       - Each attendee can check in once per event, or once per occurrence of a series
+ *       - Publishes attendee_checked_in (with occurrence_start for a series)
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token: { type: string }
+ *             required: [token]
+ *     responses:
+ *       200:
+ *         description: Attendee checked in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 attendee_id: { type: string, format: uuid }
+ *                 occurrence_start: { type: string, format: date-time, nullable: true }
+ *                 checked_in_at: { type: string, format: date-time }
+ *       400:
+ *         description: Missing, invalid or expired token, or check-in has not opened yet
+ *       403:
+ *         description: Forbidden - Not staff for this event
+ *       404:
+ *         description: Event not found or attendee no longer registered
+ *       409:
+ *         description: Attendee already checked in, the event is a draft or cancelled, or the occurrence is no longer scheduled
+ */
+router.post("/:event_id/check-in", attendanceController.checkInAttendee);
+
+/**
+ * @openapi
+ * /events/{event_id}/attendance:
+ *   get:
+ *     tags: [Events]
+ *     summary: Attendance and no-show statistics
+ *     description: |
+ *       Compare RSVPs with actual check-ins for an event.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Organizers (measure turnout)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ Check-in staff and users who are not the event owner or a co-host
+ *
+ *       **BUSINESS RULES:**
+ *       - no_show_rate = (RSVPs - check-ins) / RSVPs, null when there are no RSVPs
+ *       - For a series, an attendee counts as checked in after attending any occurrence
+ *       - Figures are final only once event_started is true
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Attendance statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 event_id: { type: string, format: uuid }
+ *                 event_started: { type: boolean }
+ *                 rsvp_count: { type: integer, description: "Going RSVPs" }
+ *                 guest_count: { type: integer, description: "Guests of registered attendees; they check in with their party" }
+ *                 checked_in_count: { type: integer }
+ *                 no_show_count: { type: integer }
+ *                 no_show_rate: { type: number, nullable: true, example: 0.25 }
+ *       403:
+ *         description: Forbidden - Not the event owner or a co-host
+ *       404:
+ *         description: Event not found
+ */
+router.get("/:event_id/attendance", attendanceController.getAttendanceStats);
+
+/**
+ * @openapi
+ * /events/{event_id}/registrations:
+ *   get:
+ *     tags: [Events]
+ *     summary: Download registration responses
+ *     description: |
+ *       Everyone who RSVP'd (or is waitlisted) with their answers to the registration form.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Organizers (dietary counts, T-shirt orders, attendee lists)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ Check-in staff and users who are not the event owner or a co-host
+ *
+ *       **BUSINESS RULES:**
+ *       - Whole-event RSVPs first, then single-occurrence RSVPs, then the waitlist in FIFO order
+ *       - CSV has one column per current question (labelled by question); multi-choice answers are joined with "; "
+ *       - Answers to questions since removed from the form appear only in the JSON download
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [json, csv], default: json }
+ *     responses:
+ *       200:
+ *         description: Registration responses
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 questions:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/RegistrationQuestion' }
+ *                 responses:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/RegistrationResponse' }
+ *           text/csv:
+ *             schema: { type: string }
+ *       400:
+ *         description: Unsupported format
+ *       403:
+ *         description: Forbidden - Not the event owner or a co-host
+ *       404:
+ *         description: Event not found
+ */
+router.get("/:event_id/registrations", registrationController.getRegistrations);
+
+/**
+ * @openapi
+ * /events/{event_id}/attendees:
+ *   get:
+ *     tags: [Events]
+ *     summary: Attendee roster
+ *     description: |
+ *       Who RSVP'd to the event, with usernames and check-in state, as JSON pages or a CSV export.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Organizers (see who is coming, chase no-shows, export sign-in sheets)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ Check-in staff and users who are not the event owner or a co-host
+ *
+ *       **BUSINESS RULES:**
+ *       - status=registered (default) lists whole-event going RSVPs; checked_in and not_checked_in narrow it by check-in
+ *       - status=waitlisted lists the waitlist; joined_at is when the user joined it
+ *       - status=maybe, interested or declined lists the RSVPs in that state
+ *       - occurrence_start lists the RSVPs for one occurrence of a recurring event (status=registered only)
+ *       - Sorted by joined_at, oldest first unless order=desc
+ *       - JSON is paginated by cursor: follow next_cursor forward or prev_cursor backward
+ *       - format=csv exports the whole filtered roster in one file and ignores limit and cursor
+ *       - Usernames are resolved in batch through the User & Social Service; if it is unavailable username is null
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [registered, checked_in, not_checked_in, waitlisted, maybe, interested, declined], default: registered }
+ *       - in: query
+ *         name: occurrence_start
+ *         schema: { type: string, format: date-time }
+ *         description: Start of one occurrence of a recurring event
+ *       - in: query
+ *         name: order
+ *         schema: { type: string, enum: [asc, desc], default: asc }
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [json, csv], default: json }
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *     responses:
+ *       200:
+ *         description: The roster
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AttendeeListResponse'
+ *           text/csv:
+ *             schema: { type: string }
+ *             example: |
+ *               attendee_id,username,status,joined_at,checked_in_at
+ *               123e4567-e89b-12d3-a456-426614174000,johndoe,registered,2025-01-10T09:00:00.000Z,2025-01-15T18:02:11.000Z
+ *       400:
+ *         description: Invalid status, order, format, occurrence_start, limit or cursor
+ *       403:
+ *         description: Forbidden - Not the event owner or a co-host
+ *       404:
+ *         description: Event not found
+ */
+router.get("/:event_id/attendees", attendeeController.getAttendees);
+
+/**
+ * @openapi
+ * /events/{event_id}/rating:
+ *   put:
+ *     tags: [Events]
+ *     summary: Rate an event I attended
+ *     description: |
+ *       Submit (or replace) your 1-5 rating of an event after it ends, with an optional comment.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Attendees (give feedback on events they went to)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ Users who did not check in (403): only verified attendance counts; for a series,
+ *         a check-in to any occurrence counts (series or single-occurrence RSVP)
+ *       - ❌ The event's owner and staff (403)
+ *
+ *       **BUSINESS RULES:**
+ *       - Ratings open when the event ends and close 14 days later; for a series the window
+ *         runs from the attendee's first check-in (409 outside it)
+ *       - One rating per attendee: rating again within the window replaces it (200 instead of 201)
+ *       - Cancelled and draft events cannot be rated (409)
+ *       - The event's rating_count and rating_average are updated at once; event_rated carries
+ *         them along with the host's totals for DRS
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/RatingRequest' }
+ *     responses:
+ *       200:
+ *         description: Rating replaced
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/RatingResponse' }
+ *       201:
+ *         description: Rating recorded
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/RatingResponse' }
+ *       400:
+ *         description: rating is not an integer from 1 to 5, or the comment is too long
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       403:
+ *         description: Forbidden - Did not check in, or hosts/staff rating their own event
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: The event is cancelled or a draft, or outside the rating window
+ */
+router.put("/:event_id/rating", ratingController.rateEvent);
+
+/**
+ * @openapi
+ * /events/{event_id}/ratings:
+ *   get:
+ *     tags: [Events]
+ *     summary: Ratings and feedback for an event
+ *     description: |
+ *       Every attendee rating of the event with comments, and how the ratings are distributed.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Organizers (read feedback to improve future events)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ Check-in staff and users who are not the event owner or a co-host (403)
+ *
+ *       **BUSINESS RULES:**
+ *       - Ratings are newest first and paginated by cursor
+ *       - rating_count and rating_average are also public on the event itself
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageCursor'
+ *     responses:
+ *       200:
+ *         description: A page of ratings
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/RatingListResponse' }
+ *       400:
+ *         description: Invalid limit or cursor
+ *       403:
+ *         description: Forbidden - Not the event owner or a co-host
+ *       404:
+ *         description: Event not found
+ */
+router.get("/:event_id/ratings", ratingController.getRatings);
+
+/**
+ * @openapi
+ * /events/{event_id}/comments:
+ *   post:
+ *     tags: [Comments]
+ *     summary: Post a comment or reply
+ *     description: |
+ *       Start a thread (ask a question) or reply to one.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Attendees (ask about parking, slides, accessibility)
+ *       - ✅ Event Organizers (answer questions)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ Users who cannot see the event (404)
+ *
+ *       **BUSINESS RULES:**
+ *       - Replies go to a thread (parent_id); replies to replies are rejected
+ *       - Deleted or hidden threads take no new replies
+ *       - Publishes comment_created: hosts are notified of every comment, earlier thread participants of replies
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CommentRequest'
+ *               - type: object
+ *                 properties:
+ *                   parent_id: { type: string, format: uuid, description: "Thread to reply to" }
+ *     responses:
+ *       201:
+ *         description: Comment posted
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Comment' }
+ *       400:
+ *         description: Empty or too long body, or parent_id is a reply
+ *       404:
+ *         description: Event or thread not found
+ *       409:
+ *         description: Thread is deleted or hidden
+ */
+router.post("/:event_id/comments", commentController.createComment);
+
+/**
+ * @openapi
+ * /events/{event_id}/comments/{comment_id}:
+ *   put:
+ *     tags: [Comments]
+ *     summary: Edit a comment
+ *     description: |
+ *       Replace the text of your own comment.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Comment Authors (fix typos, add details)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anyone but the author, including hosts
+ *
+ *       **BUSINESS RULES:**
+ *       - Sets edited_at; deleted comments cannot be edited
+ *       - Editing does not lift a host's hide or remove a pin
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: path
+ *         name: comment_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/CommentRequest' }
+ *     responses:
+ *       200:
+ *         description: Comment updated
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Comment' }
+ *       400:
+ *         description: Empty or too long body
+ *       403:
+ *         description: Forbidden - Not the author
+ *       404:
+ *         description: Event or comment not found
+ *       409:
+ *         description: Comment was deleted
+ *   delete:
+ *     tags: [Comments]
+ *     summary: Delete a comment
+ *     description: |
+ *       Remove your own comment. Its text is erased; the thread keeps a placeholder.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Comment Authors (retract a comment)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anyone but the author; hosts hide comments instead
+ *
+ *       **BUSINESS RULES:**
+ *       - A deleted answer is unpinned
+ *       - Replies to a deleted thread stay visible
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: path
+ *         name: comment_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Comment deleted
+ *       403:
+ *         description: Forbidden - Not the author
+ *       404:
+ *         description: Event or comment not found, or already deleted
+ */
+router.put("/:event_id/comments/:comment_id", commentController.updateComment);
+router.delete("/:event_id/comments/:comment_id", commentController.deleteComment);
+
+/**
+ * @openapi
+ * /events/{event_id}/comments/{comment_id}/hide:
+ *   post:
+ *     tags: [Comments]
+ *     summary: Hide a comment (moderation)
+ *     description: |
+ *       Hide an off-topic or abusive comment from other attendees without destroying it.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Organizers (keep the discussion on topic)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Check-in staff and users who are not the event owner or a co-host
+ *
+ *       **BUSINESS RULES:**
+ *       - The author and hosts still see the text and the reason; everyone else sees a placeholder
+ *       - Hidden threads take no new replies; a hidden answer is unpinned
+ *       - Reversible with POST .../restore
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: path
+ *         name: comment_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason: { type: string, maxLength: 255, example: "Off topic" }
+ *     responses:
+ *       200:
+ *         description: Comment hidden
+ *       400:
+ *         description: Invalid reason
+ *       403:
+ *         description: Forbidden - Not the event owner or a co-host
+ *       404:
+ *         description: Event or comment not found
+ */
+router.post("/:event_id/comments/:comment_id/hide", commentController.hideComment);
+
+/**
+ * @openapi
+ * /events/{event_id}/comments/{comment_id}/restore:
+ *   post:
+ *     tags: [Comments]
+ *     summary: Restore a hidden comment
+ *     description: |
+ *       Undo a hide.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Organizers (reverse a moderation decision)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Check-in staff and users who are not the event owner or a co-host
+ *
+ *       **BUSINESS RULES:**
+ *       - A reply that was the answer before it was hidden must be pinned again
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: path
+ *         name: comment_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Comment restored
+ *       403:
+ *         description: Forbidden - Not the event owner or a co-host
+ *       404:
+ *         description: Event or comment not found
+ *       409:
+ *         description: Comment is not hidden
+ */
+router.post("/:event_id/comments/:comment_id/restore", commentController.restoreComment);
+
+/**
+ * @openapi
+ * /events/{event_id}/comments/{comment_id}/pin:
+ *   post:
+ *     tags: [Comments]
+ *     summary: Pin a reply as the answer
+ *     description: |
+ *       Mark a reply as the answer to its thread's question.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Organizers (give the definitive answer)
+ *       - ✅ Event Attendees (find answers at a glance)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Check-in staff and users who are not the event owner or a co-host
+ *
+ *       **BUSINESS RULES:**
+ *       - Only replies can be pinned, one per thread; pinning another reply replaces the answer
+ *       - Deleted or hidden replies cannot be pinned
+ *       - Publishes comment_answer_pinned so the asker is notified
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: path
+ *         name: comment_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Reply pinned (or already was)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Comment' }
+ *       400:
+ *         description: Comment is a thread, not a reply
+ *       403:
+ *         description: Forbidden - Not the event owner or a co-host
+ *       404:
+ *         description: Event or comment not found
+ *       409:
+ *         description: Reply is deleted or hidden
+ *   delete:
+ *     tags: [Comments]
+ *     summary: Unpin an answer
+ *     description: |
+ *       Remove the answer mark from a reply.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Organizers (withdraw an outdated answer)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Check-in staff and users who are not the event owner or a co-host
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: path
+ *         name: comment_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Answer unpinned
+ *       403:
+ *         description: Forbidden - Not the event owner or a co-host
+ *       404:
+ *         description: Event or comment not found
+ *       409:
+ *         description: Comment is not pinned
+ */
+router.post("/:event_id/comments/:comment_id/pin", commentController.pinAnswer);
+router.delete("/:event_id/comments/:comment_id/pin", commentController.unpinAnswer);
+
+/**
+ * @openapi
+ * /events/{event_id}/invites:
+ *   get:
+ *     tags: [Events]
+ *     summary: List invite links
+ *     description: |
+ *       Invite links created for a followers-only or invite-only event. Codes are not shown again.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Organizers (see which links are live and how often they were used)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ Check-in staff and users who are not the event owner or a co-host
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Invites, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/EventInvite' }
+ *       403:
+ *         description: Forbidden - Not the event owner or a co-host
+ *       404:
+ *         description: Event not found
+ *   post:
+ *     tags: [Events]
+ *     summary: Create an invite link
+ *     description: |
+ *       Create an expiring code that lets anyone holding it see and RSVP to a non-public event.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Organizers (share private events with a group)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ Check-in staff and users who are not the event owner or a co-host
+ *
+ *       **BUSINESS RULES:**
+ *       - The code is returned once; only its hash is stored
+ *       - Expires after 7 days by default, at most 90 days; expiry stops new redemptions
+ *       - Public events do not need invites (409)
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label: { type: string, maxLength: 100 }
+ *               expires_at: { type: string, format: date-time }
+ *     responses:
+ *       201:
+ *         description: Invite created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 invite_id: { type: string, format: uuid }
+ *                 code: { type: string }
+ *                 share_url: { type: string, example: "https://campus.example/events/789e0123-e89b-12d3-a456-426614174002?invite=Zk3xQ9bT0aLm2PqR" }
+ *                 label: { type: string, nullable: true }
+ *                 expires_at: { type: string, format: date-time }
+ *                 message: { type: string }
+ *       400:
+ *         description: Invalid label or expires_at
+ *       403:
+ *         description: Forbidden - Not the event owner or a co-host
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: Event is public
+ */
+router.get("/:event_id/invites", inviteController.getInvites);
+router.post("/:event_id/invites", inviteController.createInvite);
+
+/**
+ * @openapi
+ * /events/{event_id}/invites/redeem:
+ *   post:
+ *     tags: [Events]
+ *     summary: Accept an invite
+ *     description: |
+ *       Redeem an invite code so the event shows up in the caller's lists and can be RSVP'd to.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Invited users
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *
+ *       **BUSINESS RULES:**
+ *       - Access lasts until the invite is revoked (an RSVP keeps access regardless)
+ *       - Unknown, expired and revoked codes all return 404
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code: { type: string }
+ *             required: [code]
+ *     responses:
+ *       200:
+ *         description: Invite accepted
+ *       404:
+ *         description: Invite not found or no longer valid
+ */
+router.post("/:event_id/invites/redeem", inviteController.redeemInvite);
+
+/**
+ * @openapi
+ * /events/{event_id}/invites/{invite_id}:
+ *   delete:
+ *     tags: [Events]
+ *     summary: Revoke an invite link
+ *     description: |
+ *       Stop a code from working. Users who joined through it lose access unless they have RSVP'd.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Organizers (withdraw a leaked link)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ Check-in staff and users who are not the event owner or a co-host
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: path
+ *         name: invite_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Invite revoked
+ *       403:
+ *         description: Forbidden - Not the event owner or a co-host
+ *       404:
+ *         description: Event or active invite not found
+ */
+router.delete("/:event_id/invites/:invite_id", inviteController.revokeInvite);
+
+/**
+ * @openapi
+ * /events/{event_id}/staff:
+ *   get:
+ *     tags: [Events]
+ *     summary: List event staff
+ *     description: |
+ *       List everyone who helps run the event and their role.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Organizers (owner and co-hosts)
+ *       - ✅ Check-in Staff (see who else is working the door)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ Users without a staff role on the event
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Staff list, owner first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/EventStaff' }
+ *       403:
+ *         description: Forbidden - Not staff for this event
+ *       404:
+ *         description: Event not found
+ *   post:
+ *     tags: [Events]
+ *     summary: Invite a co-host or check-in staff member
+ *     description: |
+ *       Grant another user a role on the event.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Owner (add co-hosts and check-in staff)
+ *       - ✅ Co-hosts (add check-in staff)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ Check-in staff
+ *       - ❌ Co-hosts adding other co-hosts
+ *
+ *       **BUSINESS RULES:**
+ *       - Roles: co_host (edit event and occurrences, check in), checkin_staff (check in only)
+ *       - Only the owner can delete the event; ownership cannot be granted
+ *       - A user holds at most one role per event; remove it before assigning another
+ *       - The invitee is notified (staff_invited)
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               user_id: { type: string, format: uuid }
+ *               role: { type: string, enum: [co_host, checkin_staff] }
+ *             required: [user_id, role]
+ *           example:
+ *             user_id: "123e4567-e89b-12d3-a456-426614174000"
+ *             role: "checkin_staff"
+ *     responses:
+ *       201:
+ *         description: Staff member added
+ *       400:
+ *         description: Missing or malformed user_id, or invalid role
+ *       403:
+ *         description: Forbidden - Cannot assign this role
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: User already has a role on this event
+ */
+router.get("/:event_id/staff", staffController.getStaff);
+router.post("/:event_id/staff", staffController.inviteStaff);
+
+/**
+ * @openapi
+ * /events/{event_id}/staff/{user_id}:
+ *   delete:
+ *     tags: [Events]
+ *     summary: Remove a staff member
+ *     description: |
+ *       Revoke a user's role on the event.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Owner (remove anyone)
+ *       - ✅ Co-hosts (remove check-in staff)
+ *       - ✅ Staff members (step down themselves)
+ *
+ *       **BUSINESS RULES:**
+ *       - The owner cannot be removed
+ *       - Publishes staff_removed
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: event_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Staff member removed
+ *       400:
+ *         description: The owner cannot be removed
+ *       403:
+ *         description: Forbidden - Cannot remove this staff member
+ *       404:
+ *         description: Event not found or user is not staff
+ */
+router.delete("/:event_id/staff/:user_id", staffController.removeStaff);
 
 module.exports = router;
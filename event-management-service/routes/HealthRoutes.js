@@ -0,0 +1,58 @@
+// routes/HealthRoutes.js
+
+const express = require("express");
+const router = express.Router();
+const healthController = require("../controllers/HealthController");
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Health
+ *     description: Operational health checks
+ *     x-stakeholders:
+ *       primary:
+ *         - Platform Operators (monitoring and alerting)
+ *
+ * /health/outbox:
+ *   get:
+ *     tags: [Health]
+ *     summary: Kafka outbox backlog
+ *     description: |
+ *       Report how many domain events are waiting to be relayed to Kafka.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Platform Operators (alert when Kafka delivery stalls)
+ *       - ✅ Kubernetes probes
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ No restrictions - Exposes counts only
+ *
+ *       **BUSINESS RULES:**
+ *       - Events are written to the outbox in the same transaction as the change that caused them
+ *       - failing counts events that have been retried at least once
+ *       - Returns 503 while any event is failing or the backlog exceeds OUTBOX_BACKLOG_WARN
+ *     responses:
+ *       200:
+ *         description: Outbox is draining normally
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/OutboxHealth' }
+ *       503:
+ *         description: Kafka delivery is failing or lagging
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/OutboxHealth' }
+ *
+ * components:
+ *   schemas:
+ *     OutboxHealth:
+ *       type: object
+ *       properties:
+ *         status: { type: string, enum: [ok, degraded] }
+ *         pending: { type: integer, description: "Events not yet delivered" }
+ *         failing: { type: integer, description: "Pending events with at least one failed attempt" }
+ *         oldest_created_at: { type: string, format: date-time, nullable: true }
+ */
+router.get("/outbox", healthController.getOutboxHealth);
+
+module.exports = router;
@@ -0,0 +1,308 @@
+// routes/TemplateRoutes.js
+
+const express = require("express");
+const router = express.Router();
+const templateController = require("../controllers/TemplateController");
+const { authenticate } = require("../middleware/auth");
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Templates
+ *     description: Saved event templates for re-running similar events
+ *     x-stakeholders:
+ *       primary:
+ *         - Event Organizers (save recurring formats and create events from them)
+ *         - Organizations (keep a shared set of formats on the organization account)
+ *
+ * components:
+ *   schemas:
+ *     TemplateStaff:
+ *       type: object
+ *       properties:
+ *         user_id: { type: string, format: uuid }
+ *         role: { type: string, enum: [co_host, checkin_staff] }
+ *       required: [user_id, role]
+ *     EventTemplateRequest:
+ *       type: object
+ *       description: Event details without a schedule. Only name is required.
+ *       properties:
+ *         name: { type: string, maxLength: 100, example: "Robotics club meetup" }
+ *         title: { type: string, maxLength: 255 }
+ *         description: { type: string, nullable: true }
+ *         location: { type: string, maxLength: 255 }
+ *         building_id: { type: string, format: uuid, nullable: true }
+ *         room_id: { type: string, format: uuid, nullable: true }
+ *         capacity: { type: integer, minimum: 1, nullable: true }
+ *         max_guests_per_rsvp: { type: integer, minimum: 0, maximum: 20, description: "Guests (+1s) each attendee may bring" }
+ *         duration_minutes: { type: integer, minimum: 1, maximum: 20160, nullable: true, description: "Length of events created from the template; default 60" }
+ *         time_zone: { type: string, example: "America/New_York" }
+ *         recurrence_rule: { type: string, nullable: true, example: "FREQ=WEEKLY;COUNT=12" }
+ *         category: { type: string, nullable: true }
+ *         tags: { type: array, items: { type: string } }
+ *         visibility: { type: string, enum: [public, followers, invite_only] }
+ *         registration_form:
+ *           type: array
+ *           nullable: true
+ *           items: { $ref: '#/components/schemas/RegistrationQuestion' }
+ *         staff:
+ *           type: array
+ *           maxItems: 50
+ *           description: Roles given to these users on every event created from the template
+ *           items: { $ref: '#/components/schemas/TemplateStaff' }
+ *     EventTemplate:
+ *       allOf:
+ *         - $ref: '#/components/schemas/EventTemplateRequest'
+ *         - type: object
+ *           properties:
+ *             template_id: { type: string, format: uuid }
+ *             owner_id: { type: string, format: uuid }
+ *             created_at: { type: string, format: date-time }
+ *             updated_at: { type: string, format: date-time }
+ *     EventCopyRequest:
+ *       type: object
+ *       description: Schedule and overrides for an event created from a template or clone
+ *       properties:
+ *         date_time: { type: string, format: date-time }
+ *         end_time: { type: string, format: date-time, description: "Defaults to date_time plus the source's length" }
+ *         title: { type: string }
+ *         status: { type: string, enum: [draft, published], default: published }
+ *         publish_at: { type: string, format: date-time, description: "Drafts only" }
+ *         recurrence_rule: { type: string, description: "Clones start as one-off events unless a rule is given" }
+ *       required: [date_time]
+ *       example:
+ *         date_time: "2027-02-03T18:00:00Z"
+ *         status: "draft"
+ */
+
+router.use(authenticate); // Templates belong to the signed-in host or organization account
+
+/**
+ * @openapi
+ * /templates:
+ *   get:
+ *     tags: [Templates]
+ *     summary: List my event templates
+ *     description: |
+ *       Templates saved by the authenticated account, sorted by name.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Organizers (their own templates)
+ *       - ✅ Organizations (the organization account's templates)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ Other accounts' templates are never listed
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: The caller's templates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/EventTemplate' }
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *   post:
+ *     tags: [Templates]
+ *     summary: Save an event template
+ *     description: |
+ *       Save event details for reuse, from scratch or from an existing event.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Organizers (save formats they run repeatedly)
+ *       - ✅ Organizations (save formats on the organization account)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ from_event_id requires being the event's owner or a co-host
+ *
+ *       **BUSINESS RULES:**
+ *       - Names are unique per account (409)
+ *       - from_event_id copies the event's details, length, recurrence rule and staff roles
+ *         (the original owner becomes a co-host when someone else saves it); fields in the
+ *         body override the copied ones
+ *       - Venue and category are checked when saved; everything else when the template is used
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/EventTemplateRequest'
+ *               - type: object
+ *                 properties:
+ *                   from_event_id: { type: string, format: uuid }
+ *           example:
+ *             name: "Robotics club meetup"
+ *             from_event_id: "123e4567-e89b-12d3-a456-426614174000"
+ *     responses:
+ *       201:
+ *         description: Template saved
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/EventTemplate' }
+ *       400:
+ *         description: Invalid fields, unknown venue or inactive category
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       403:
+ *         description: Forbidden - Not a host of from_event_id
+ *       404:
+ *         description: from_event_id not found
+ *       409:
+ *         description: A template with this name already exists
+ */
+router.get("/", templateController.getTemplates);
+router.post("/", templateController.createTemplate);
+
+/**
+ * @openapi
+ * /templates/{template_id}:
+ *   get:
+ *     tags: [Templates]
+ *     summary: Get an event template
+ *     description: |
+ *       **STAKEHOLDERS:**
+ *       - ✅ Template owner (host or organization account)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Other accounts (404)
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: template_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: The template
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/EventTemplate' }
+ *       404:
+ *         description: Template not found
+ *   put:
+ *     tags: [Templates]
+ *     summary: Update an event template
+ *     description: |
+ *       Change some fields of a template; fields not sent are kept.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Template owner (host or organization account)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Other accounts (404)
+ *
+ *       **BUSINESS RULES:**
+ *       - Events already created from the template are not changed
+ *       - Names are unique per account (409)
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: template_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/EventTemplateRequest' }
+ *     responses:
+ *       200:
+ *         description: Template updated
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/EventTemplate' }
+ *       400:
+ *         description: Invalid fields, unknown venue or inactive category
+ *       404:
+ *         description: Template not found
+ *       409:
+ *         description: A template with this name already exists
+ *   delete:
+ *     tags: [Templates]
+ *     summary: Delete an event template
+ *     description: |
+ *       **STAKEHOLDERS:**
+ *       - ✅ Template owner (host or organization account)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Other accounts (404)
+ *
+ *       **BUSINESS RULES:**
+ *       - Events created from the template are kept
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: template_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Template deleted
+ *       404:
+ *         description: Template not found
+ */
+router.get("/:template_id", templateController.getTemplate);
+router.put("/:template_id", templateController.updateTemplate);
+router.delete("/:template_id", templateController.deleteTemplate);
+
+/**
+ * @openapi
+ * /templates/{template_id}/events:
+ *   post:
+ *     tags: [Templates]
+ *     summary: Create an event from a template
+ *     description: |
+ *       Create a new event with the template's details at the given time. The caller
+ *       becomes the event's owner.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Template owner (host or organization account)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Other accounts (404)
+ *
+ *       **BUSINESS RULES:**
+ *       - Validated exactly like POST /events (required fields, category, room hours)
+ *       - end_time defaults to date_time plus duration_minutes
+ *       - The template's staff get their roles on the new event (staff_invited is published for each)
+ *       - A room_id books the room; a clash answers 409 and nothing is created
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: template_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/EventCopyRequest' }
+ *     responses:
+ *       201:
+ *         description: Event created
+ *         headers:
+ *           ETag: { $ref: '#/components/headers/ETag' }
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/EventResponse' }
+ *       400:
+ *         description: Missing date_time, a field that cannot be overridden, or the resulting event is invalid
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       404:
+ *         description: Template not found
+ *       409:
+ *         description: The room is already booked at that time
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/RoomConflictResponse' }
+ */
+router.post("/:template_id/events", templateController.createEventFromTemplate);
+
+module.exports = router;
@@ -0,0 +1,403 @@
+// routes/VenueRoutes.js
+
+const express = require("express");
+const router = express.Router();
+const venueController = require("../controllers/VenueController");
+const { authenticate, requireAdmin } = require("../middleware/auth");
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Venues
+ *     description: Campus building and room registry, room opening hours and availability
+ *     x-stakeholders:
+ *       primary:
+ *         - Event Organizers (pick a registered venue for their event)
+ *         - Event Attendees (find events near them)
+ *       secondary:
+ *         - System Administrators (maintain the building registry)
+ *
+ * components:
+ *   schemas:
+ *     Building:
+ *       type: object
+ *       properties:
+ *         building_id: { type: string, format: uuid }
+ *         code: { type: string, maxLength: 20, example: "ENG2" }
+ *         name: { type: string, example: "Engineering Building 2" }
+ *         address: { type: string, nullable: true }
+ *         latitude: { type: number, minimum: -90, maximum: 90, example: 17.5449 }
+ *         longitude: { type: number, minimum: -180, maximum: 180, example: 78.5718 }
+ *         time_zone: { type: string, default: UTC, description: "IANA zone; room opening hours are local times in it", example: "Asia/Kolkata" }
+ *         distance_km: { type: number, description: "Only when lat/lng are supplied" }
+ *       required: [building_id, code, name, latitude, longitude]
+ *     Room:
+ *       type: object
+ *       properties:
+ *         room_id: { type: string, format: uuid }
+ *         building_id: { type: string, format: uuid }
+ *         name: { type: string, example: "Lecture Hall 101" }
+ *         floor: { type: string, nullable: true }
+ *         seats: { type: integer, minimum: 1, nullable: true }
+ *       required: [room_id, building_id, name]
+ *     AvailabilityWindow:
+ *       type: object
+ *       description: Weekly opening hours, in the building's time zone
+ *       properties:
+ *         weekday: { type: integer, minimum: 0, maximum: 6, description: "0 = Sunday" }
+ *         opens_at: { type: string, pattern: '^\d{2}:\d{2}$', example: "08:00" }
+ *         closes_at: { type: string, pattern: '^\d{2}:\d{2}$', example: "22:00", description: "After opens_at; 24:00 for midnight" }
+ *       required: [weekday, opens_at, closes_at]
+ *     TimeRange:
+ *       type: object
+ *       properties:
+ *         starts_at: { type: string, format: date-time }
+ *         ends_at: { type: string, format: date-time }
+ *     RoomAvailability:
+ *       type: object
+ *       properties:
+ *         room_id: { type: string, format: uuid }
+ *         name: { type: string }
+ *         building_id: { type: string, format: uuid }
+ *         building_name: { type: string }
+ *         time_zone: { type: string, example: "Asia/Kolkata" }
+ *         windows:
+ *           type: array
+ *           description: "Opening hours; empty means the room can be booked at any time"
+ *           items: { $ref: '#/components/schemas/AvailabilityWindow' }
+ *         from: { type: string, format: date-time }
+ *         to: { type: string, format: date-time }
+ *         busy:
+ *           type: array
+ *           description: Bookings overlapping the range
+ *           items: { $ref: '#/components/schemas/TimeRange' }
+ *         free:
+ *           type: array
+ *           description: Opening hours within the range minus the bookings
+ *           items: { $ref: '#/components/schemas/TimeRange' }
+ */
+
+/**
+ * @openapi
+ * /venues/buildings:
+ *   get:
+ *     tags: [Venues]
+ *     summary: List campus buildings
+ *     description: |
+ *       Retrieve registered buildings, optionally restricted to a radius or bounding box.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Organizers (choose a venue)
+ *       - ✅ Event Attendees (see what is nearby)
+ *       - ✅ Anonymous Users (browse the campus map)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ No restrictions - This is a public endpoint
+ *
+ *       **BUSINESS RULES:**
+ *       - Sorted by name, or by distance when lat/lng are given
+ *       - radius_km requires lat and lng
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         schema: { type: number }
+ *       - in: query
+ *         name: lng
+ *         schema: { type: number }
+ *       - in: query
+ *         name: radius_km
+ *         schema: { type: number }
+ *       - in: query
+ *         name: bbox
+ *         schema: { type: string }
+ *         description: minLng,minLat,maxLng,maxLat
+ *     responses:
+ *       200:
+ *         description: List of buildings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Building' }
+ *       400:
+ *         description: Invalid geo parameters
+ */
+router.get("/buildings", venueController.getBuildings);
+
+/**
+ * @openapi
+ * /venues/buildings/{building_id}:
+ *   get:
+ *     tags: [Venues]
+ *     summary: Get a building and its rooms
+ *     description: |
+ *       Retrieve one building including its rooms.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Organizers (pick a room)
+ *       - ✅ Event Attendees (find their way)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ No restrictions - This is a public endpoint
+ *     parameters:
+ *       - in: path
+ *         name: building_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200:
+ *         description: Building with rooms
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Building'
+ *                 - type: object
+ *                   properties:
+ *                     rooms:
+ *                       type: array
+ *                       items: { $ref: '#/components/schemas/Room' }
+ *       404:
+ *         description: Building not found
+ */
+router.get("/buildings/:building_id", venueController.getBuilding);
+
+/**
+ * @openapi
+ * /venues/rooms/{room_id}/availability:
+ *   get:
+ *     tags: [Venues]
+ *     summary: Look up when a room is free
+ *     description: |
+ *       Show a room's opening hours, the times it is booked and the free
+ *       slots in between, to pick a time before creating an event there.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Organizers (find a free slot for their event)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *
+ *       **BUSINESS RULES:**
+ *       - Every draft or published event in the room books it for its whole duration
+ *         (each occurrence, for a series); cancelled events release it
+ *       - Bookings never overlap: creating or moving an event into a taken slot fails with 409
+ *       - Events must fit inside one opening window; rooms without windows are open at all times
+ *       - Busy times do not reveal which event holds the room
+ *       - Covers at most 31 days; defaults to the 7 days from now
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: room_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date-time }
+ *         description: Start of the range (default now)
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date-time }
+ *         description: End of the range (default 7 days after from)
+ *     responses:
+ *       200:
+ *         description: Opening hours, busy and free times
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/RoomAvailability' }
+ *       400:
+ *         description: Invalid or too long range
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: Room not found
+ */
+router.get("/rooms/:room_id/availability", authenticate, venueController.getRoomAvailability);
+
+router.use(authenticate, requireAdmin); // All routes below are administrator-only
+
+/**
+ * @openapi
+ * /venues/buildings:
+ *   post:
+ *     tags: [Venues]
+ *     summary: Register a building
+ *     description: |
+ *       Add a building with its coordinates to the campus registry.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ System Administrators (maintain the registry)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Anonymous Users (must be authenticated)
+ *       - ❌ Non-administrators (user ID must be listed in ADMIN_USER_IDS)
+ *
+ *       **BUSINESS RULES:**
+ *       - Building codes are unique
+ *       - time_zone must be an IANA zone name; room opening hours are read in it
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code: { type: string }
+ *               name: { type: string }
+ *               address: { type: string }
+ *               latitude: { type: number }
+ *               longitude: { type: number }
+ *               time_zone: { type: string, default: UTC, description: "IANA time zone name" }
+ *             required: [code, name, latitude, longitude]
+ *     responses:
+ *       201:
+ *         description: Building created
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Building' }
+ *       400:
+ *         description: Missing fields or invalid coordinates
+ *       403:
+ *         description: Forbidden - Administrator access required
+ *       409:
+ *         description: Building code already exists
+ */
+router.post("/buildings", venueController.createBuilding);
+
+/**
+ * @openapi
+ * /venues/buildings/{building_id}:
+ *   put:
+ *     tags: [Venues]
+ *     summary: Update a building
+ *     description: |
+ *       Correct a building's name, address or coordinates.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ System Administrators (maintain the registry)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Non-administrators (user ID must be listed in ADMIN_USER_IDS)
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: building_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/Building' }
+ *     responses:
+ *       200:
+ *         description: Building updated
+ *       403:
+ *         description: Forbidden - Administrator access required
+ *       404:
+ *         description: Building not found
+ */
+router.put("/buildings/:building_id", venueController.updateBuilding);
+
+/**
+ * @openapi
+ * /venues/buildings/{building_id}/rooms:
+ *   post:
+ *     tags: [Venues]
+ *     summary: Add a room to a building
+ *     description: |
+ *       Register a room that events can reference as their venue.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ System Administrators (maintain the registry)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Non-administrators (user ID must be listed in ADMIN_USER_IDS)
+ *
+ *       **BUSINESS RULES:**
+ *       - Room names are unique within a building
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: building_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string }
+ *               floor: { type: string }
+ *               seats: { type: integer, minimum: 1 }
+ *             required: [name]
+ *     responses:
+ *       201:
+ *         description: Room created
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Room' }
+ *       404:
+ *         description: Building not found
+ *       409:
+ *         description: Room name already exists in the building
+ */
+router.post("/buildings/:building_id/rooms", venueController.createRoom);
+
+/**
+ * @openapi
+ * /venues/rooms/{room_id}/availability:
+ *   put:
+ *     tags: [Venues]
+ *     summary: Set a room's opening hours
+ *     description: |
+ *       Replace the weekly windows in which the room can be booked.
+ *
+ *       **STAKEHOLDERS:**
+ *       - ✅ System Administrators (maintain the registry)
+ *
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ Non-administrators (user ID must be listed in ADMIN_USER_IDS)
+ *
+ *       **BUSINESS RULES:**
+ *       - Times are local to the building's time_zone
+ *       - Windows on the same weekday must not overlap; an empty list opens the room at all times
+ *       - Existing bookings are kept even if they fall outside the new hours
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: room_id
+ *         required: true
+ *         schema: { type: string, format: uuid }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               windows:
+ *                 type: array
+ *                 maxItems: 50
+ *                 items: { $ref: '#/components/schemas/AvailabilityWindow' }
+ *             required: [windows]
+ *           example:
+ *             windows:
+ *               - { weekday: 1, opens_at: "08:00", closes_at: "22:00" }
+ *               - { weekday: 2, opens_at: "08:00", closes_at: "22:00" }
+ *     responses:
+ *       200:
+ *         description: Opening hours replaced
+ *       400:
+ *         description: Invalid windows
+ *       403:
+ *         description: Forbidden - Administrator access required
+ *       404:
+ *         description: Room not found
+ */
+router.put("/rooms/:room_id/availability", venueController.setRoomAvailability);
+
+module.exports = router;
@@ -1,11 +1,26 @@
 const express = require('express');
 const eventRoutes = require('./routes/EventRoutes');
+const categoryRoutes = require('./routes/CategoryRoutes');
+const venueRoutes = require('./routes/VenueRoutes');
+const templateRoutes = require('./routes/TemplateRoutes');
+const healthRoutes = require('./routes/HealthRoutes');
 const sequelize = require('./utils/db');
 const { connectProducer } = require('./config/kafka'); 
+const { seedCategories } = require('./utils/taxonomy');
+const { installSearchTrigger } = require('./utils/search');
+const { backfillEndTimes } = require('./utils/eventTime');
+const { installBookingConstraint, backfillRoomBookings } = require('./services/roomBookings');
+const { runLifecycleTransitions } = require('./workers/lifecycleWorker');
+const { relayOutbox } = require('./workers/outboxRelay');
+const { runReminders } = require('./workers/reminderWorker');
+const { backfillReminders } = require('./services/reminders');
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
 const app = express();
 const PORT = 3001; // Use a different port than USS (3000)
+const LIFECYCLE_INTERVAL_MS = 60000; // Scheduled publishing has minute granularity
+const OUTBOX_POLL_INTERVAL_MS = Number(process.env.OUTBOX_POLL_INTERVAL_MS) || 1000;
+const REMINDER_INTERVAL_MS = 60000; // Reminders have minute granularity
 
 app.use(express.json());
 
@@ -23,8 +38,19 @@ const swaggerSpec = swaggerJsdoc({
 ## 📋 API SCOPE
 
 ### ✅ SCOPE-IN (What this API covers):
-- Event CRUD operations (Create, Read, Update, Delete)
+- Event CRUD operations (Create, Read, Update, Delete) and bulk CSV/ICS import
+- Saved event templates and event cloning
 - Event search and discovery
+- Event category taxonomy and tags
+- Campus building/room registry and "events near me" search
+- Room bookings (no double-booking), opening hours and availability lookup
+- iCalendar export and personal calendar feeds
+- QR-code check-in and attendance tracking
+- Post-event ratings and host reputation
+- Co-hosts and check-in staff roles
+- Event comments and Q&A threads with host moderation
+- Event lifecycle (draft, scheduled publish, cancel, complete)
+- Scheduled event reminders (emitted to Kafka before events start)
 - RSVP management (register/cancel attendance)
 - Event listing by host or attendee
 - Public event browsing without authentication
@@ -62,14 +88,43 @@ This service focuses solely on event lifecycle management and attendance trackin
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 app.use('/events', eventRoutes);
+app.use('/categories', categoryRoutes);
+app.use('/venues', venueRoutes);
+app.use('/templates', templateRoutes);
+app.use('/health', healthRoutes);
 
 sequelize.sync({ alter: true })
     .then(() => {
         console.log('Event DB connected and models synced.');
+        return seedCategories();
+    })
+    .then(() => {
+        return installSearchTrigger();
+    })
+    .then(() => {
+        return backfillEndTimes();
+    })
+    .then(() => {
+        return installBookingConstraint();
+    })
+    .then(() => {
+        return backfillRoomBookings();
+    })
+    .then(() => {
+        return backfillReminders();
+    })
+    .then(() => {
         return connectProducer(); 
     })
 
     .then(() => {
+        runLifecycleTransitions(); // Catch up on anything due while the service was down
+        setInterval(runLifecycleTransitions, LIFECYCLE_INTERVAL_MS);
+        runReminders(); // Reminders that fell due while the service was down
+        setInterval(runReminders, REMINDER_INTERVAL_MS);
+        // Kafka events are stored in the outbox with each change and relayed from here
+        setInterval(relayOutbox, OUTBOX_POLL_INTERVAL_MS);
+
         app.listen(PORT, () => {
             console.log(`Event Management Service running on port ${PORT}`);
             console.log(`Swagger UI available at http://localhost:${PORT}/api-docs`);
@@ -0,0 +1,118 @@
+const Event = require("../models/Event");
+const EventParticipant = require("../models/EventParticipant");
+const EventOccurrenceParticipant = require("../models/EventOccurrenceParticipant");
+const EventOccurrenceException = require("../models/EventOccurrenceException");
+const { expandSeries } = require("../utils/recurrence");
+const { MAX_DURATION_MS, overlaps } = require("../utils/eventTime");
+
+// What an RSVP does when it overlaps one the attendee already has (body.on_conflict)
+const CONFLICT_POLICIES = ["warn", "block"];
+
+/**
+ * Loads everything a user has RSVP'd to: whole events/series and single occurrences.
+ * Used by the personal calendar feed, which always renders the full set.
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {boolean} [options.includeExceptions] - Eager-load occurrence exceptions (needed for ICS).
+ * @param {object} [options.transaction] - Reuse the caller's transaction (and its connection).
+ * @returns {Promise<{ events: Event[], occurrences: { event: Event, occurrence_start: Date }[] }>}
+ */
+async function findAttendance(userId, { includeExceptions = false, transaction } = {}) {
+  const include = includeExceptions
+    ? [{ model: EventOccurrenceException, as: "exceptions" }]
+    : [];
+
+  // Maybe, interested and declined RSVPs are not commitments
+  const participationRecords = await EventParticipant.findAll({
+    where: { attendee_id: userId, rsvp_status: "going" },
+    attributes: ["event_id"],
+    transaction,
+  });
+  const events = await Event.findAll({
+    where: { event_id: participationRecords.map((r) => r.event_id) },
+    include,
+    order: [["date_time", "ASC"]],
+    transaction,
+  });
+
+  const occurrenceRecords = await EventOccurrenceParticipant.findAll({
+    where: { attendee_id: userId },
+    attributes: ["event_id", "occurrence_start"],
+    order: [["occurrence_start", "ASC"]],
+    transaction,
+  });
+  const seriesById = new Map(
+    (
+      await Event.findAll({
+        where: { event_id: [...new Set(occurrenceRecords.map((r) => r.event_id))] },
+        include,
+        transaction,
+      })
+    ).map((event) => [event.event_id, event])
+  );
+  const occurrences = occurrenceRecords
+    .filter((r) => seriesById.has(r.event_id))
+    .map((r) => ({ event: seriesById.get(r.event_id), occurrence_start: r.occurrence_start }));
+
+  return { events, occurrences };
+}
+
+/**
+ * The user's existing RSVPs that overlap any of `slots`. Only published events
+ * count, and the event being RSVP'd to is ignored.
+ * @param {string} userId
+ * @param {{ date_time: Date, end_time: Date }[]} slots - Times the user is about to commit to.
+ * @param {string} excludeEventId
+ * @param {object} [transaction] - The RSVP's transaction; its rows may be locked.
+ * @returns {Promise<object[]>} `{ event_id, title, occurrence_start, date_time, end_time }` in start order.
+ */
+async function findScheduleConflicts(userId, slots, excludeEventId, transaction) {
+  if (slots.length === 0) {
+    return [];
+  }
+  // Series occurrences that started before the first slot can still run into it
+  const from = new Date(Math.min(...slots.map((slot) => new Date(slot.date_time))) - MAX_DURATION_MS);
+  const to = new Date(Math.max(...slots.map((slot) => new Date(slot.end_time))));
+  const counts = (event) => event.status === "published" && event.event_id !== excludeEventId;
+
+  const { events, occurrences } = await findAttendance(userId, { includeExceptions: true, transaction });
+  const commitments = [];
+  for (const event of events.filter(counts)) {
+    const { exceptions, ...fields } = event.toJSON();
+    commitments.push(
+      ...(fields.recurrence_rule ? expandSeries(fields, exceptions, from, to) : [fields])
+    );
+  }
+  for (const { event, occurrence_start } of occurrences) {
+    if (counts(event)) {
+      // Expanding just this start applies its overrides and skips it if cancelled
+      const { exceptions, ...fields } = event.toJSON();
+      const start = new Date(occurrence_start);
+      commitments.push(...expandSeries(fields, exceptions, start, start));
+    }
+  }
+
+  return commitments
+    .filter((commitment) => slots.some((slot) => overlaps(commitment, slot)))
+    .sort((a, b) => new Date(a.date_time) - new Date(b.date_time))
+    .map((commitment) => ({
+      event_id: commitment.event_id,
+      title: commitment.title,
+      occurrence_start: commitment.occurrence_start || null,
+      date_time: commitment.date_time,
+      end_time: commitment.end_time,
+    }));
+}
+
+// Conflict part of a successful RSVP response.
+const conflictWarning = (conflicts) =>
+  conflicts.length > 0
+    ? { warning: "This overlaps other events you are attending.", conflicts }
+    : { conflicts };
+
+module.exports = {
+  CONFLICT_POLICIES,
+  findAttendance,
+  findScheduleConflicts,
+  conflictWarning,
+};
@@ -0,0 +1,258 @@
+// Validation and insertion of new events, shared by POST /events, bulk imports,
+// templates and clones.
+
+const Event = require("../models/Event");
+const EventRole = require("../models/EventRole");
+const Building = require("../models/Building");
+const Room = require("../models/Room");
+const { buildRule, getSeriesEnd } = require("../utils/recurrence");
+const { normalizeTags, validateCategory } = require("../utils/taxonomy");
+const { parseRegistrationForm } = require("../utils/registrationForm");
+const { DEFAULT_TIME_ZONE, parseTimeZone, resolveEndTime } = require("../utils/eventTime");
+const { MAX_GUEST_LIMIT, isValidGuestLimit } = require("../utils/guests");
+const { UPDATE_SCHEMA } = require("../utils/eventUpdate");
+const { announceEvent } = require("./lifecycle");
+const { publishEvent } = require("./outbox");
+const { checkRoomBooking, syncRoomBookings } = require("./roomBookings");
+const { syncReminders } = require("./reminders");
+
+// Capacity is optional: null/undefined means unlimited seats.
+const isValidCapacity = (capacity) =>
+  capacity === null ||
+  capacity === undefined ||
+  (Number.isInteger(capacity) && capacity > 0);
+
+const VISIBILITIES = ["public", "followers", "invite_only"];
+
+/**
+ * Validates a venue reference from the campus registry. A room implies its building.
+ * @returns {Promise<object>} `{ building_id, room_id, label }` or `{ error }`.
+ */
+async function resolveVenue(building_id, room_id) {
+  if (room_id) {
+    const room = await Room.findByPk(room_id, {
+      include: [{ model: Building, as: "building" }],
+    });
+    if (!room) {
+      return { error: "Unknown room_id." };
+    }
+    if (building_id && building_id !== room.building_id) {
+      return { error: "room_id does not belong to building_id." };
+    }
+    return {
+      building_id: room.building_id,
+      room_id,
+      label: `${room.name}, ${room.building.name}`,
+    };
+  }
+
+  if (building_id) {
+    const building = await Building.findByPk(building_id);
+    if (!building) {
+      return { error: "Unknown building_id." };
+    }
+    return { building_id, room_id: null, label: building.name };
+  }
+
+  return { building_id: null, room_id: null, label: null };
+}
+
+/**
+ * Validates the fields of a new event and resolves its derived values
+ * (end time, series end, venue, room slots).
+ * @param {object} fields - The POST /events body, or one imported row.
+ * @returns {Promise<{ values: object, booking: object } | { error: string }>}
+ *   Event attributes (without host_id) and the checkRoomBooking() result, or a client-safe message.
+ */
+async function prepareEvent(fields) {
+  const {
+    title,
+    description,
+    date_time,
+    end_time,
+    time_zone,
+    location,
+    capacity,
+    max_guests_per_rsvp = 0,
+    recurrence_rule,
+    category,
+    tags,
+    building_id,
+    room_id,
+    status = "published",
+    publish_at,
+    registration_form,
+    visibility = "public",
+  } = fields;
+
+  // Basic Validation (e.g., check for required fields)
+  // A registered venue can stand in for the free-text location.
+  if (!title || !date_time || (!location && !building_id && !room_id)) {
+    return { error: "Missing required event fields." };
+  }
+  // Same type and length limits as edits, so bad text never reaches the columns
+  for (const field of ["title", "location", "recurrence_rule"].filter((f) => fields[f])) {
+    const parsed = UPDATE_SCHEMA[field](fields[field]);
+    if (parsed && parsed.error) {
+      return { error: `${field} ${parsed.error}.` };
+    }
+  }
+  // Optional here (imported rows often have none), but the column is NOT NULL
+  if (description !== undefined && description !== null && typeof description !== "string") {
+    return { error: "description must be a string." };
+  }
+  if (!isValidCapacity(capacity)) {
+    return { error: "Capacity must be a positive integer or null." };
+  }
+  if (!isValidGuestLimit(max_guests_per_rsvp)) {
+    return { error: `max_guests_per_rsvp must be an integer from 0 to ${MAX_GUEST_LIMIT}.` };
+  }
+
+  // New events are published immediately unless saved as a draft, optionally
+  // with a publish_at time at which the lifecycle worker publishes them.
+  if (status !== "draft" && status !== "published") {
+    return { error: "New events must have status draft or published." };
+  }
+  if (publish_at !== undefined && publish_at !== null) {
+    if (status !== "draft") {
+      return { error: "publish_at can only be set on drafts." };
+    }
+    if (Number.isNaN(new Date(publish_at).getTime())) {
+      return { error: "publish_at must be an ISO 8601 date-time." };
+    }
+  }
+
+  if (!VISIBILITIES.includes(visibility)) {
+    return { error: `visibility must be one of: ${VISIBILITIES.join(", ")}.` };
+  }
+
+  // Recurring series: validate the RRULE and remember when it ends
+  let recurrence_end = null;
+  let normalizedTags = [];
+  let form = null;
+  let endTime;
+  let timeZone = DEFAULT_TIME_ZONE;
+  try {
+    if (Number.isNaN(new Date(date_time).getTime())) {
+      throw new Error("date_time must be an ISO 8601 date-time.");
+    }
+    endTime = resolveEndTime(date_time, end_time);
+    if (time_zone !== undefined) {
+      timeZone = parseTimeZone(time_zone);
+    }
+    if (recurrence_rule) {
+      recurrence_end = getSeriesEnd(buildRule(recurrence_rule, date_time, timeZone), timeZone);
+    }
+    if (tags !== undefined) {
+      normalizedTags = normalizeTags(tags);
+    }
+    if (registration_form !== undefined) {
+      form = parseRegistrationForm(registration_form);
+    }
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  const categoryError = category === undefined ? null : await validateCategory(category);
+  if (categoryError) {
+    return { error: categoryError };
+  }
+
+  const venue = await resolveVenue(building_id, room_id);
+  if (venue.error) {
+    return { error: venue.error };
+  }
+  // A registered room must be open for every slot the event occupies
+  const booking = await checkRoomBooking({
+    room_id: venue.room_id,
+    date_time,
+    end_time: endTime,
+    time_zone: timeZone,
+    recurrence_rule,
+    recurrence_end,
+  });
+  if (booking.error) {
+    return { error: booking.error };
+  }
+
+  return {
+    values: {
+      title,
+      description: description || "",
+      date_time,
+      end_time: endTime,
+      time_zone: timeZone,
+      location: location || venue.label,
+      building_id: venue.building_id,
+      room_id: venue.room_id,
+      capacity,
+      max_guests_per_rsvp,
+      recurrence_rule: recurrence_rule || null,
+      recurrence_end,
+      category: category || null,
+      tags: normalizedTags,
+      status,
+      publish_at: publish_at || null,
+      published_at: status === "published" ? new Date() : null,
+      registration_form: form,
+      visibility,
+    },
+    booking,
+  };
+}
+
+/**
+ * Creates a prepared event with its room booking, the host's owner role and any
+ * staff roles, and queues its announcement if it is published.
+ * @param {object} values - prepareEvent().values.
+ * @param {string} host_id
+ * @param {object} transaction
+ * @param {object} [options]
+ * @param {{ user_id: string, role: string }[]} [options.staff] - Co-hosts and check-in
+ *   staff invited by the host (templates and clones); entries for the host are skipped.
+ * @returns {Promise<Event>}
+ * @throws {Sequelize.ExclusionConstraintError} When the room is already booked.
+ */
+async function insertEvent(values, host_id, transaction, { staff = [] } = {}) {
+  const event = await Event.create({ ...values, host_id }, { transaction });
+  await syncRoomBookings(event, transaction);
+  await syncReminders(event, transaction);
+  await EventRole.create(
+    { event_id: event.event_id, user_id: host_id, role: "owner" },
+    { transaction }
+  );
+
+  const invited = staff.filter((member) => member.user_id !== host_id);
+  await EventRole.bulkCreate(
+    invited.map(({ user_id, role }) => ({
+      event_id: event.event_id,
+      user_id,
+      role,
+      invited_by: host_id,
+    })),
+    { transaction }
+  );
+  // RNS tells each of them they help run the new event, as for POST /events/:event_id/staff
+  for (const { user_id, role } of invited) {
+    await publishEvent(
+      "staff_invited",
+      {
+        event_id: event.event_id,
+        host_id,
+        title: event.title,
+        user_id,
+        role,
+        invited_by: host_id,
+      },
+      { transaction }
+    );
+  }
+
+  // Queue the Kafka announcement via the outbox (drafts stay private until published)
+  if (event.status === "published") {
+    await announceEvent(event, transaction);
+  }
+  return event;
+}
+
+module.exports = { resolveVenue, prepareEvent, insertEvent };
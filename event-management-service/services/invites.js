@@ -0,0 +1,73 @@
+const crypto = require("crypto");
+const EventInvite = require("../models/EventInvite");
+const EventInviteGrant = require("../models/EventInviteGrant");
+const { Op } = require("sequelize");
+
+const hashCode = (code) => crypto.createHash("sha256").update(String(code)).digest("hex");
+
+// 16 URL-safe characters (96 bits): short enough to share, infeasible to guess.
+const generateInviteCode = () => crypto.randomBytes(12).toString("base64url");
+
+/**
+ * The invite a code belongs to, if it is for this event and still redeemable.
+ * @param {string} event_id
+ * @param {string} code
+ * @param {object} [transaction]
+ * @returns {Promise<object|null>} EventInvite instance.
+ */
+async function findRedeemableInvite(event_id, code, transaction) {
+  if (typeof code !== "string" || code === "") {
+    return null;
+  }
+  return EventInvite.findOne({
+    where: {
+      event_id,
+      code_hash: hashCode(code),
+      revoked_at: null,
+      expires_at: { [Op.gt]: new Date() },
+    },
+    transaction,
+  });
+}
+
+/**
+ * Records that `user_id` may see and RSVP to the event via `invite`.
+ * An active grant is kept as is; one from a revoked invite is replaced.
+ * @returns {Promise<boolean>} Whether a new grant was recorded.
+ */
+async function grantInvite(invite, user_id, transaction) {
+  const existing = await EventInviteGrant.findOne({
+    where: { event_id: invite.event_id, user_id },
+    include: [{ model: EventInvite, as: "invite" }],
+    transaction,
+  });
+  if (existing && !existing.invite.revoked_at) {
+    return false;
+  }
+  await EventInviteGrant.upsert(
+    { event_id: invite.event_id, user_id, invite_id: invite.invite_id },
+    { transaction }
+  );
+  await invite.increment("redemption_count", { transaction });
+  return true;
+}
+
+/**
+ * Whether `user_id` holds a grant from an invite that has not been revoked.
+ */
+async function hasInviteGrant(event_id, user_id, transaction) {
+  const grant = await EventInviteGrant.findOne({
+    where: { event_id, user_id },
+    include: [{ model: EventInvite, as: "invite", where: { revoked_at: null }, attributes: [] }],
+    transaction,
+  });
+  return grant !== null;
+}
+
+module.exports = {
+  hashCode,
+  generateInviteCode,
+  findRedeemableInvite,
+  grantInvite,
+  hasInviteGrant,
+};
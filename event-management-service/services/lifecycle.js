@@ -0,0 +1,57 @@
+const { Op } = require("sequelize");
+const EventParticipant = require("../models/EventParticipant");
+const EventWaitlist = require("../models/EventWaitlist");
+const EventOccurrenceParticipant = require("../models/EventOccurrenceParticipant");
+const { publishEvent } = require("./outbox");
+
+/**
+ * Announces a newly published event. Followers of the host are notified (RNS)
+ * and the event becomes recommendable (DRS), so drafts must never reach this.
+ * @param {object} event - Event instance in the 'published' state.
+ * @param {object} transaction - Transaction that published the event.
+ */
+async function announceEvent(event, transaction) {
+  await publishEvent(
+    "event_created",
+    {
+      event_id: event.event_id,
+      host_id: event.host_id,
+      title: event.title,
+      description: event.description,
+      date_time: event.date_time,
+      end_time: event.end_time,
+      time_zone: event.time_zone,
+      recurrence_rule: event.recurrence_rule,
+      category: event.category,
+      tags: event.tags,
+      visibility: event.visibility, // RNS and DRS keep invite-only events to themselves
+    },
+    { transaction }
+  );
+}
+
+/**
+ * Everyone holding or waiting for a seat, plus maybe and interested RSVPs: series RSVPs,
+ * single-occurrence RSVPs and the waitlist. Declined RSVPs are left out.
+ * @param {string} event_id
+ * @param {object} [transaction]
+ * @returns {Promise<string[]>} Distinct user IDs.
+ */
+async function findEventAudience(event_id, transaction) {
+  const rows = await Promise.all([
+    EventParticipant.findAll({
+      where: { event_id, rsvp_status: { [Op.ne]: "declined" } },
+      attributes: ["attendee_id"],
+      transaction,
+    }),
+    EventOccurrenceParticipant.findAll({
+      where: { event_id },
+      attributes: ["attendee_id"],
+      transaction,
+    }),
+    EventWaitlist.findAll({ where: { event_id }, attributes: ["attendee_id"], transaction }),
+  ]);
+  return [...new Set(rows.flat().map((row) => row.attendee_id))];
+}
+
+module.exports = { announceEvent, findEventAudience };
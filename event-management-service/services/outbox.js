@@ -0,0 +1,42 @@
+const OutboxEvent = require("../models/OutboxEvent");
+const { fn, col, Op } = require("sequelize");
+
+const TOPIC_EVENTS = "events";
+
+/**
+ * Records a domain event for delivery to Kafka. Pass the transaction of the
+ * business change so the event is stored if and only if that change commits;
+ * workers/outboxRelay.js publishes it afterwards (at least once, in order per event_id).
+ * @param {string} type - Event type, e.g. "event_created".
+ * @param {object} payload - Event data; payload.event_id is the message key.
+ * @param {object} [options]
+ * @param {object} [options.transaction] - Active Sequelize transaction.
+ */
+async function publishEvent(type, payload, { transaction } = {}) {
+  await OutboxEvent.create(
+    { topic: TOPIC_EVENTS, key: payload.event_id, type, payload },
+    { transaction }
+  );
+}
+
+/**
+ * Size of the undelivered backlog, for health checks and alerting.
+ * @returns {Promise<object>} `{ pending, failing, oldest_created_at }`
+ */
+async function getBacklog() {
+  const [stats] = await OutboxEvent.findAll({
+    attributes: [
+      [fn("COUNT", col("id")), "pending"],
+      [fn("MIN", col("created_at")), "oldest_created_at"],
+    ],
+    raw: true,
+  });
+  const failing = await OutboxEvent.count({ where: { attempts: { [Op.gt]: 0 } } });
+  return {
+    pending: Number(stats.pending),
+    failing,
+    oldest_created_at: stats.oldest_created_at,
+  };
+}
+
+module.exports = { publishEvent, getBacklog };
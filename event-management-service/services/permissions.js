@@ -0,0 +1,144 @@
+const EventRole = require("../models/EventRole");
+const EventParticipant = require("../models/EventParticipant");
+const EventOccurrenceParticipant = require("../models/EventOccurrenceParticipant");
+const EventWaitlist = require("../models/EventWaitlist");
+const sequelize = require("../utils/db");
+const { Op, literal } = require("sequelize");
+const { findRedeemableInvite, hasInviteGrant } = require("./invites");
+const { getFollowingIds } = require("./userServiceClient");
+
+// Which event roles may perform each action. Every mutating controller checks
+// one of these instead of comparing against events.host_id directly.
+const PERMISSIONS = {
+  "event:update": ["owner", "co_host"],
+  "event:delete": ["owner"],
+  "event:publish": ["owner", "co_host"],
+  "event:cancel": ["owner"],
+  "event:clone": ["owner", "co_host"],
+  "occurrence:manage": ["owner", "co_host"],
+  "staff:view": ["owner", "co_host", "checkin_staff"],
+  "staff:manage": ["owner", "co_host"], // Check-in staff
+  "staff:manage_co_hosts": ["owner"],
+  "attendee:check_in": ["owner", "co_host", "checkin_staff"],
+  "attendance:view": ["owner", "co_host"],
+  "registrations:view": ["owner", "co_host"],
+  "attendees:view": ["owner", "co_host"],
+  "comment:moderate": ["owner", "co_host"],
+  "comment:pin": ["owner", "co_host"],
+  "invite:manage": ["owner", "co_host"],
+  "ratings:view": ["owner", "co_host"],
+};
+
+/**
+ * Resolves the caller's role on an event.
+ * @param {object} event - Event instance (needs event_id and host_id).
+ * @param {string} user_id
+ * @param {object} [transaction]
+ * @returns {Promise<string|null>} 'owner', 'co_host', 'checkin_staff' or null.
+ */
+async function getEventRole(event, user_id, transaction) {
+  if (!user_id) {
+    return null;
+  }
+  if (event.host_id === user_id) {
+    return "owner";
+  }
+  const assignment = await EventRole.findOne({
+    where: { event_id: event.event_id, user_id },
+    transaction,
+  });
+  return assignment ? assignment.role : null;
+}
+
+/**
+ * Checks whether `user_id` may perform `action` on `event`.
+ * @param {object} event
+ * @param {string} user_id
+ * @param {string} action - A key of PERMISSIONS, e.g. "event:update".
+ * @returns {Promise<boolean>}
+ */
+async function can(event, user_id, action) {
+  const role = await getEventRole(event, user_id);
+  return role !== null && PERMISSIONS[action].includes(role);
+}
+
+// Anyone with an RSVP in any state, or waiting for a seat, keeps seeing the event,
+// whatever its visibility.
+async function isRegistered(event_id, user_id, transaction) {
+  const where = { event_id, attendee_id: user_id };
+  const found = await Promise.all([
+    EventParticipant.findOne({ where, transaction }),
+    EventOccurrenceParticipant.findOne({ where, transaction }),
+    EventWaitlist.findOne({ where, transaction }),
+  ]);
+  return found.some(Boolean);
+}
+
+/**
+ * Whether `user_id` (possibly anonymous) may see the event at all; callers
+ * answer 404 otherwise. Drafts are only visible to their staff. Non-public
+ * events are visible to staff, registered attendees and holders of a valid
+ * invite, and followers-only events also to followers of the host (per USS).
+ * RSVP rights follow view rights.
+ * @param {object} event
+ * @param {string} [user_id]
+ * @param {object} [options]
+ * @param {string} [options.invite_code] - Invite code presented with the request.
+ * @param {object} [options.transaction]
+ * @returns {Promise<boolean>}
+ */
+async function canView(event, user_id, { invite_code, transaction } = {}) {
+  if (event.status !== "draft" && event.visibility === "public") {
+    return true;
+  }
+  const role = await getEventRole(event, user_id, transaction);
+  if (event.status === "draft" || role !== null) {
+    return role !== null;
+  }
+  if (invite_code && (await findRedeemableInvite(event.event_id, invite_code, transaction))) {
+    return true;
+  }
+  if (!user_id) {
+    return false;
+  }
+  if (
+    (await hasInviteGrant(event.event_id, user_id, transaction)) ||
+    (await isRegistered(event.event_id, user_id, transaction))
+  ) {
+    return true;
+  }
+  return event.visibility === "followers" && (await getFollowingIds(user_id)).has(event.host_id);
+}
+
+/**
+ * WHERE condition limiting event lists to what `user_id` may see (see canView).
+ * Invite codes are not considered; lists show invited events once redeemed.
+ * @param {string} [user_id]
+ * @returns {Promise<object>}
+ */
+async function visibilityFilter(user_id) {
+  if (!user_id) {
+    return { visibility: "public" };
+  }
+  const id = sequelize.escape(user_id);
+  const eventIdsFrom = (sql) => ({ event_id: { [Op.in]: literal(`(${sql})`) } });
+  const following = [...(await getFollowingIds(user_id))];
+
+  return {
+    [Op.or]: [
+      { visibility: "public" },
+      { host_id: user_id },
+      eventIdsFrom(`SELECT event_id FROM event_roles WHERE user_id = ${id}`),
+      eventIdsFrom(`SELECT event_id FROM event_participants WHERE attendee_id = ${id}`),
+      eventIdsFrom(`SELECT event_id FROM event_occurrence_participants WHERE attendee_id = ${id}`),
+      eventIdsFrom(`SELECT event_id FROM event_waitlist WHERE attendee_id = ${id}`),
+      eventIdsFrom(
+        `SELECT g.event_id FROM event_invite_grants g JOIN event_invites i ON i.invite_id = g.invite_id
+         WHERE g.user_id = ${id} AND i.revoked_at IS NULL`
+      ),
+      ...(following.length > 0 ? [{ visibility: "followers", host_id: following }] : []),
+    ],
+  };
+}
+
+module.exports = { PERMISSIONS, getEventRole, can, canView, visibilityFilter };
@@ -0,0 +1,127 @@
+// Durable event reminders.
+//
+// Pending reminders are rows in event_reminders, so they survive restarts and
+// are shared by every replica; workers/reminderWorker.js claims and emits them.
+// Whatever changes an event's schedule or status (creating, publishing or
+// moving it, changing the series or one occurrence, cancelling or completing
+// it) calls syncReminders in the same transaction, which replaces the pending
+// rows with the current plan.
+
+const Event = require("../models/Event");
+const EventReminder = require("../models/EventReminder");
+const EventParticipant = require("../models/EventParticipant");
+const EventOccurrenceParticipant = require("../models/EventOccurrenceParticipant");
+const EventOccurrenceException = require("../models/EventOccurrenceException");
+const sequelize = require("../utils/db");
+const { Op, literal } = require("sequelize");
+const { expandSeries } = require("../utils/recurrence");
+const {
+  SERIES_LOOKAHEAD_DAYS,
+  parseReminderOffsets,
+  planReminders,
+} = require("../utils/reminders");
+
+// Parsed once at startup; an invalid value stops the service from booting
+const REMINDER_OFFSETS = parseReminderOffsets(process.env.REMINDER_OFFSETS_MINUTES);
+// Drafts were never announced; their reminders are planned when they are published.
+const REMINDED_STATUSES = ["published"];
+
+const plain = (event) => (event.get ? event.get({ plain: true }) : event);
+
+// Upcoming starts of the event: itself, or the series' occurrences (moves and
+// cancellations applied) within the lookahead window.
+async function upcomingStarts(event, now, transaction) {
+  const fields = plain(event);
+  if (!fields.recurrence_rule) {
+    return [{ starts_at: new Date(fields.date_time), occurrence_start: null }];
+  }
+  const exceptions = await EventOccurrenceException.findAll({
+    where: { event_id: fields.event_id },
+    transaction,
+  });
+  const until = new Date(now.getTime() + SERIES_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000);
+  return expandSeries(fields, exceptions, now, until)
+    .map(({ date_time, occurrence_start }) => ({
+      starts_at: new Date(date_time),
+      occurrence_start,
+    }))
+    .sort((a, b) => a.starts_at - b.starts_at);
+}
+
+/**
+ * Replaces the event's pending reminders with one per configured offset for its
+ * next start. Reminders already sent for a start are not scheduled again.
+ * @param {object} event - Event instance, already updated in `transaction`.
+ * @param {object} transaction
+ */
+async function syncReminders(event, transaction) {
+  await EventReminder.destroy({
+    where: { event_id: event.event_id, sent_at: null },
+    transaction,
+  });
+  if (!REMINDED_STATUSES.includes(event.status)) {
+    return;
+  }
+  const now = new Date();
+  const reminders = planReminders(
+    await upcomingStarts(event, now, transaction),
+    REMINDER_OFFSETS,
+    now
+  );
+  await EventReminder.bulkCreate(
+    reminders.map((reminder) => ({ event_id: event.event_id, ...reminder })),
+    { transaction, ignoreDuplicates: true }
+  );
+}
+
+/**
+ * Who is reminded: going RSVPs to the event (or series) plus, for an
+ * occurrence, that occurrence's RSVPs.
+ * @param {string} event_id
+ * @param {Date|null} occurrence_start
+ * @param {object} transaction
+ * @returns {Promise<string[]>} Distinct user IDs.
+ */
+async function findReminderAudience(event_id, occurrence_start, transaction) {
+  const rows = await Promise.all([
+    EventParticipant.findAll({
+      where: { event_id, rsvp_status: "going" },
+      attributes: ["attendee_id"],
+      transaction,
+    }),
+    occurrence_start
+      ? EventOccurrenceParticipant.findAll({
+          where: { event_id, occurrence_start },
+          attributes: ["attendee_id"],
+          transaction,
+        })
+      : [],
+  ]);
+  return [...new Set(rows.flat().map((row) => row.attendee_id))];
+}
+
+/**
+ * Schedules reminders for upcoming events that have none (events created
+ * before reminders existed). Idempotent; run after sequelize.sync().
+ */
+async function backfillReminders() {
+  const now = new Date();
+  const events = await Event.findAll({
+    where: {
+      status: REMINDED_STATUSES,
+      event_id: { [Op.notIn]: literal("(SELECT event_id FROM event_reminders)") },
+      [Op.or]: [
+        { date_time: { [Op.gt]: now } },
+        {
+          recurrence_rule: { [Op.ne]: null },
+          [Op.or]: [{ recurrence_end: null }, { recurrence_end: { [Op.gt]: now } }],
+        },
+      ],
+    },
+  });
+  for (const event of events) {
+    await sequelize.transaction((transaction) => syncReminders(event, transaction));
+  }
+}
+
+module.exports = { REMINDER_OFFSETS, syncReminders, findReminderAudience, backfillReminders };
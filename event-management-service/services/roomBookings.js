@@ -0,0 +1,236 @@
+// Room reservations for events held in a registered room.
+//
+// Every draft or published event with a room_id holds one room_bookings row
+// per slot it occupies (the event itself, or each occurrence of a series).
+// Overlaps are prevented by an exclusion constraint rather than a check in
+// application code, so of two concurrent requests for the same slot one
+// fails with Sequelize.ExclusionConstraintError and its transaction rolls back.
+
+const Event = require("../models/Event");
+const Room = require("../models/Room");
+const Building = require("../models/Building");
+const RoomAvailability = require("../models/RoomAvailability");
+const RoomBooking = require("../models/RoomBooking");
+const EventOccurrenceException = require("../models/EventOccurrenceException");
+const sequelize = require("../utils/db");
+const { Op, Sequelize, literal } = require("sequelize");
+const { expandSeries } = require("../utils/recurrence");
+const { withinHours } = require("../utils/roomHours");
+
+// Cancelled events release their room; completed ones keep the slots they used
+// for the record and release the rest.
+const HOLDING_STATUSES = ["draft", "published"];
+// Conflicts reported back to the client when a booking fails.
+const MAX_REPORTED_CONFLICTS = 50;
+
+const plain = (event) => (event.get ? event.get({ plain: true }) : event);
+
+/**
+ * Installs the constraint that keeps bookings of the same room from overlapping.
+ * Idempotent; run after sequelize.sync().
+ */
+async function installBookingConstraint() {
+  // btree_gist provides = on uuid inside a GiST index
+  await sequelize.query("CREATE EXTENSION IF NOT EXISTS btree_gist;");
+  await sequelize.query(`
+    DO $$
+    BEGIN
+      IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'room_bookings_no_overlap') THEN
+        ALTER TABLE room_bookings ADD CONSTRAINT room_bookings_no_overlap
+          EXCLUDE USING gist (room_id WITH =, tstzrange(starts_at, ends_at) WITH &&);
+      END IF;
+    END
+    $$;
+  `);
+}
+
+/**
+ * The slots an event occupies: itself, or every occurrence of a finite series
+ * with per-occurrence moves and cancellations applied.
+ * @param {object} event - Event instance or plain object (date_time, end_time,
+ *   time_zone, recurrence_rule, recurrence_end and, once saved, event_id).
+ * @param {object} [options]
+ * @param {object} [options.transaction]
+ * @returns {Promise<object[]|null>} `{ date_time, end_time, occurrence_start }`, or null for an open-ended series.
+ */
+async function eventSlots(event, { transaction } = {}) {
+  const fields = plain(event);
+  if (!fields.recurrence_rule) {
+    return [{ date_time: fields.date_time, end_time: fields.end_time, occurrence_start: null }];
+  }
+  if (!fields.recurrence_end) {
+    return null;
+  }
+  const exceptions = fields.event_id
+    ? await EventOccurrenceException.findAll({ where: { event_id: fields.event_id }, transaction })
+    : [];
+  return expandSeries(
+    fields,
+    exceptions,
+    new Date(fields.date_time),
+    new Date(fields.recurrence_end)
+  ).map(({ date_time, end_time, occurrence_start }) => ({
+    date_time,
+    end_time,
+    occurrence_start,
+  }));
+}
+
+/**
+ * Checks that an event (as it would be after a create or update) can be held in its room.
+ * @param {object} event - See eventSlots; room_id may be null.
+ * @returns {Promise<{ room_id: string|null, slots: object[] } | { error: string }>} Slots to book, or a client-safe message.
+ */
+async function checkRoomBooking(event) {
+  const fields = plain(event);
+  if (!fields.room_id) {
+    return { room_id: null, slots: [] };
+  }
+  const slots = await eventSlots(fields);
+  if (!slots) {
+    return {
+      error: "Recurring events in a room need COUNT or UNTIL so every occurrence can be booked.",
+    };
+  }
+  const closed = await checkRoomHours(fields.room_id, slots);
+  return closed ? { error: closed } : { room_id: fields.room_id, slots };
+}
+
+/**
+ * Checks slots against the room's opening hours.
+ * @param {string} room_id
+ * @param {{ date_time: Date, end_time: Date }[]} slots
+ * @returns {Promise<string|null>} A client-safe message for the first slot outside them, or null.
+ */
+async function checkRoomHours(room_id, slots) {
+  const room = await Room.findByPk(room_id, {
+    include: [
+      { model: Building, as: "building", attributes: ["time_zone"] },
+      { model: RoomAvailability, as: "availability" },
+    ],
+  });
+  const outside = slots.find(
+    (slot) => !withinHours(room.availability, room.building.time_zone, slot)
+  );
+  return outside
+    ? `The room is closed at ${new Date(outside.date_time).toISOString()}; see GET /venues/rooms/${room_id}/availability.`
+    : null;
+}
+
+/**
+ * Replaces the event's bookings with the slots it currently occupies. Events
+ * without a room, or cancelled, end up holding none; completed events keep
+ * only what they used up to now (a series completed early frees its future
+ * occurrences, an event completed mid-way ends its booking now).
+ * @param {object} event - Event instance, already updated in `transaction`.
+ * @param {object} transaction
+ * @throws {Sequelize.ExclusionConstraintError} When the room is taken; the transaction must roll back.
+ */
+async function syncRoomBookings(event, transaction) {
+  if (event.status === "completed") {
+    const now = new Date();
+    await RoomBooking.destroy({
+      where: { event_id: event.event_id, starts_at: { [Op.gte]: now } },
+      transaction,
+    });
+    await RoomBooking.update(
+      { ends_at: now },
+      { where: { event_id: event.event_id, ends_at: { [Op.gt]: now } }, transaction }
+    );
+    return;
+  }
+  await RoomBooking.destroy({ where: { event_id: event.event_id }, transaction });
+  if (!event.room_id || !HOLDING_STATUSES.includes(event.status)) {
+    return;
+  }
+  const slots = await eventSlots(event, { transaction });
+  if (!slots) {
+    throw new Error(`Event ${event.event_id} is an open-ended series and cannot hold a room.`);
+  }
+  await RoomBooking.bulkCreate(
+    slots.map((slot) => ({
+      room_id: event.room_id,
+      event_id: event.event_id,
+      occurrence_start: slot.occurrence_start,
+      starts_at: slot.date_time,
+      ends_at: slot.end_time,
+    })),
+    { transaction }
+  );
+}
+
+/**
+ * Bookings of a room that overlap any of `slots`.
+ * @param {string} room_id
+ * @param {{ date_time: Date, end_time: Date }[]} slots
+ * @param {object} [options]
+ * @param {string} [options.excludeEventId] - Ignore this event's own bookings.
+ * @param {number} [options.limit]
+ * @returns {Promise<object[]>} `{ event_id, starts_at, ends_at }` in time order.
+ */
+async function findRoomConflicts(room_id, slots, { excludeEventId, limit = MAX_REPORTED_CONFLICTS } = {}) {
+  if (slots.length === 0) {
+    return [];
+  }
+  const bookings = await RoomBooking.findAll({
+    where: {
+      room_id,
+      ...(excludeEventId ? { event_id: { [Op.ne]: excludeEventId } } : {}),
+      [Op.or]: slots.map((slot) => ({
+        starts_at: { [Op.lt]: slot.end_time },
+        ends_at: { [Op.gt]: slot.date_time },
+      })),
+    },
+    attributes: ["event_id", "starts_at", "ends_at"],
+    order: [["starts_at", "ASC"]],
+    limit,
+  });
+  return bookings.map((booking) => booking.toJSON());
+}
+
+// 409 body for a checkRoomBooking() result that lost to an existing booking.
+const roomTaken = async (booking, excludeEventId) => ({
+  message: "The room is already booked for part of this time.",
+  conflicts: await findRoomConflicts(booking.room_id, booking.slots, { excludeEventId }),
+});
+
+/**
+ * Books rooms for events that reference one but hold no bookings yet (events
+ * created before reservations existed). Events that clash with an existing
+ * booking are logged and left unbooked. Idempotent; run after installBookingConstraint().
+ */
+async function backfillRoomBookings() {
+  const events = await Event.findAll({
+    where: {
+      room_id: { [Op.ne]: null },
+      status: HOLDING_STATUSES,
+      event_id: { [Op.notIn]: literal("(SELECT event_id FROM room_bookings)") },
+    },
+    order: [["created_at", "ASC"]],
+  });
+  for (const event of events) {
+    if (event.recurrence_rule && !event.recurrence_end) {
+      console.warn(`[Rooms] Open-ended series ${event.event_id} left unbooked.`);
+      continue;
+    }
+    try {
+      await sequelize.transaction((transaction) => syncRoomBookings(event, transaction));
+    } catch (error) {
+      if (!(error instanceof Sequelize.ExclusionConstraintError)) {
+        throw error;
+      }
+      console.warn(`[Rooms] Event ${event.event_id} clashes with another booking; left unbooked.`);
+    }
+  }
+}
+
+module.exports = {
+  installBookingConstraint,
+  eventSlots,
+  checkRoomBooking,
+  checkRoomHours,
+  syncRoomBookings,
+  findRoomConflicts,
+  roomTaken,
+  backfillRoomBookings,
+};
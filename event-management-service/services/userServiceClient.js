@@ -0,0 +1,77 @@
+const axios = require("axios");
+
+// User & Social Service (USS), owner of user profiles and the follower graph.
+// In a K8s deployment: http://user-social-service.campus-connect.svc.cluster.local:3000
+const USS_URL = process.env.USS_BASE_URL || "http://localhost:3000";
+const REQUEST_TIMEOUT_MS = 2000;
+// USS caps POST /users/batch at this many IDs
+const BATCH_LOOKUP_SIZE = 100;
+
+// Visibility checks run on every list request, so each user's follow list is
+// reused briefly. A new follow takes at most this long to reveal events.
+const FOLLOWING_CACHE_TTL_MS = 30 * 1000;
+const followingCache = new Map();
+
+/**
+ * IDs of the users/organizations `user_id` follows.
+ * Fails closed: if USS is unreachable the user is treated as following nobody,
+ * so followers-only events stay hidden rather than leaking.
+ * @param {string} user_id
+ * @returns {Promise<Set<string>>}
+ */
+async function getFollowingIds(user_id) {
+  const cached = followingCache.get(user_id);
+  if (cached && cached.expires > Date.now()) {
+    return cached.ids;
+  }
+
+  try {
+    // USS only serves follow lists to authenticated callers; EMS asks on the user's behalf
+    const response = await axios.get(`${USS_URL}/users/${encodeURIComponent(user_id)}/following`, {
+      headers: { "x-user-id": user_id },
+      timeout: REQUEST_TIMEOUT_MS,
+    });
+    const ids = new Set(response.data.following.map((f) => f.user_id));
+    followingCache.set(user_id, { ids, expires: Date.now() + FOLLOWING_CACHE_TTL_MS });
+    return ids;
+  } catch (error) {
+    console.error(`[USS Client] Could not fetch following for ${user_id}:`, error.message);
+    return new Set();
+  }
+}
+
+/**
+ * Resolves user IDs to usernames, one USS request per 100 IDs.
+ * Best effort: IDs USS does not know, or cannot be asked about right now,
+ * are missing from the map and callers show them without a name.
+ * @param {string[]} user_ids
+ * @returns {Promise<Map<string, string>>} user_id -> username
+ */
+async function getUsernames(user_ids) {
+  const ids = [...new Set(user_ids)];
+  const batches = [];
+  for (let i = 0; i < ids.length; i += BATCH_LOOKUP_SIZE) {
+    batches.push(ids.slice(i, i + BATCH_LOOKUP_SIZE));
+  }
+
+  const usernames = new Map();
+  await Promise.all(
+    batches.map(async (batch) => {
+      try {
+        const response = await axios.post(
+          `${USS_URL}/users/batch`,
+          { user_ids: batch },
+          { timeout: REQUEST_TIMEOUT_MS }
+        );
+        for (const user of response.data.users) {
+          usernames.set(user.user_id, user.username);
+        }
+      } catch (error) {
+        console.error(`[USS Client] Could not resolve ${batch.length} usernames:`, error.message);
+      }
+    })
+  );
+  return usernames;
+}
+
+module.exports = { getFollowingIds, getUsernames };
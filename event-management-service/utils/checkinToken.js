@@ -0,0 +1,67 @@
+const jwt = require("jsonwebtoken");
+
+// Signs check-in codes. Read once at startup: without it anyone could forge
+// codes, so a missing secret stops the service from booting.
+const CHECKIN_TOKEN_SECRET = process.env.CHECKIN_TOKEN_SECRET;
+if (!CHECKIN_TOKEN_SECRET) {
+  throw new Error("CHECKIN_TOKEN_SECRET must be set to sign check-in codes.");
+}
+// Doors open an hour before the start; earlier scans are rejected
+const VALIDITY_BEFORE_START_SECONDS = 60 * 60;
+// Tokens stay valid for a day after the event starts (late arrivals, multi-hour events)
+const VALIDITY_AFTER_START_SECONDS = 24 * 60 * 60;
+const QR_SCHEME = "campusconnect://checkin";
+
+/**
+ * Signs a check-in token binding an attendee to an event, or to one
+ * occurrence of a series.
+ * @param {string} event_id
+ * @param {string} attendee_id
+ * @param {Date} startsAt - Start of the event or occurrence; used to derive the validity window.
+ * @param {Date|null} [occurrence_start] - Rule-generated start of the occurrence, for series.
+ * @returns {{ token: string, qr_payload: string, valid_from: string, expires_at: string }}
+ */
+function issueCheckInToken(event_id, attendee_id, startsAt, occurrence_start = null) {
+  const start = Math.floor(new Date(startsAt).getTime() / 1000);
+  const nbf = start - VALIDITY_BEFORE_START_SECONDS;
+  const exp = start + VALIDITY_AFTER_START_SECONDS;
+  const claims = { eid: event_id, sub: attendee_id, nbf, exp };
+  if (occurrence_start) {
+    claims.occ = new Date(occurrence_start).toISOString();
+  }
+  const token = jwt.sign(claims, CHECKIN_TOKEN_SECRET);
+
+  return {
+    token,
+    // The client renders this string as a QR code; scanners post the token back
+    qr_payload: `${QR_SCHEME}?event_id=${encodeURIComponent(event_id)}&token=${encodeURIComponent(token)}`,
+    valid_from: new Date(nbf * 1000).toISOString(),
+    expires_at: new Date(exp * 1000).toISOString(),
+  };
+}
+
+/**
+ * Verifies a check-in token (signature, validity window and event binding).
+ * @returns {{ attendee_id: string, occurrence_start: Date|null }}
+ * @throws {Error} With a client-safe message when the token cannot be used now.
+ */
+function verifyCheckInToken(token, event_id) {
+  let payload;
+  try {
+    payload = jwt.verify(token, CHECKIN_TOKEN_SECRET);
+  } catch (error) {
+    if (error instanceof jwt.NotBeforeError) {
+      throw new Error(`Check-in opens at ${error.date.toISOString()}.`);
+    }
+    throw new Error("Invalid or expired check-in code for this event.");
+  }
+  if (payload.eid !== event_id) {
+    throw new Error("Invalid or expired check-in code for this event.");
+  }
+  return {
+    attendee_id: payload.sub,
+    occurrence_start: payload.occ ? new Date(payload.occ) : null,
+  };
+}
+
+module.exports = { issueCheckInToken, verifyCheckInToken };
@@ -0,0 +1,79 @@
+// Minimal RFC 4180 CSV writer for host downloads and reader for uploads.
+
+// Spreadsheet apps execute cells starting with these characters as formulas.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  let text = value === undefined || value === null ? "" : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {string[]} header
+ * @param {Array<Array<*>>} rows
+ * @returns {string} CSV text with CRLF line endings.
+ */
+const toCsv = (header, rows) =>
+  [header, ...rows].map((row) => row.map(escapeCell).join(",")).join("\r\n") + "\r\n";
+
+/**
+ * Parses CSV text into rows of cells. Quoted cells may contain commas, quotes
+ * ("") and line breaks; CRLF and LF line endings are accepted and blank lines skipped.
+ * @param {string} text
+ * @returns {string[][]}
+ * @throws {Error} With a client-safe message for an unterminated quoted cell.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, ""); // Spreadsheet apps often write a BOM
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== "") {
+      rows.push(row);
+    }
+    row = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++;
+      }
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new Error("CSV has an unterminated quoted cell.");
+  }
+  if (cell !== "" || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+module.exports = { toCsv, parseCsv };
@@ -0,0 +1,28 @@
+// Optimistic concurrency for event edits.
+//
+// An event's ETag is its iCalendar SEQUENCE, which is bumped by every edit
+// (event updates, occurrence changes, cancellation). RSVP counters do not
+// bump it, so attendance churn never invalidates a host's edit form.
+
+/**
+ * @param {object} event - Event instance or plain object with `sequence`.
+ * @returns {string} Quoted entity tag, e.g. "7".
+ */
+const eventETag = (event) => `"${event.sequence || 0}"`;
+
+/**
+ * Checks an If-Match header value against the event's current ETag.
+ * Accepts `*` and comma-separated lists; weak tags (W/"7") compare by value.
+ * @param {string} header
+ * @param {object} event
+ * @returns {boolean}
+ */
+function matchesIfMatch(header, event) {
+  const current = eventETag(event);
+  return header
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .some((tag) => tag === "*" || tag === current);
+}
+
+module.exports = { eventETag, matchesIfMatch };
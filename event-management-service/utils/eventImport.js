@@ -0,0 +1,213 @@
+// Bulk import: turns uploaded CSV or iCalendar files into POST /events bodies.
+//
+// Each row (CSV line or VEVENT) becomes `{ row, fields }`, where fields are
+// validated later exactly like a POST /events body, or `{ row, error }` when
+// it cannot even be read. Rows are numbered from 1: the first line after the
+// CSV header, or the first VEVENT.
+//
+// Times without a UTC offset (CSV "2026-11-10T18:00", iCalendar floating or
+// TZID times) are local to the row's time zone.
+
+const { parseCsv } = require("./csv");
+const { parseCalendar, unescapeText } = require("./ics");
+const { DEFAULT_TIME_ZONE, parseTimeZone, fromWallClock } = require("./eventTime");
+
+const MAX_IMPORT_ROWS = 200;
+
+// CSV columns map one-to-one to POST /events fields.
+const CSV_COLUMNS = [
+  "title",
+  "description",
+  "date_time",
+  "end_time",
+  "time_zone",
+  "location",
+  "capacity",
+  "recurrence_rule",
+  "category",
+  "tags",
+  "building_id",
+  "room_id",
+  "visibility",
+  "status",
+  "publish_at",
+];
+
+const OFFSET_PATTERN = /(?:Z|[+-]\d{2}:?\d{2})$/i;
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+const ICS_DATE_TIME = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/;
+const ICS_DURATION = /^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+
+// Wall-clock fields -> instant in timeZone.
+const fromParts = ([year, month, day, hour = 0, minute = 0, second = 0], timeZone) =>
+  fromWallClock(
+    new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second))),
+    timeZone
+  );
+
+/**
+ * A CSV date-time: ISO 8601 with an offset, or a local date and time.
+ * @returns {Date|string} The instant, or the value unchanged so validation reports it.
+ */
+function parseCsvDateTime(value, timeZone) {
+  if (OFFSET_PATTERN.test(value)) {
+    return value;
+  }
+  const match = LOCAL_DATE_TIME.exec(value);
+  return match ? fromParts(match.slice(1), timeZone) : value;
+}
+
+/**
+ * Reads a CSV file whose header names CSV_COLUMNS (title and date_time required).
+ * @param {string} text
+ * @param {object} defaults - Fields applied to rows that leave them empty (time_zone, status).
+ * @returns {object[]} `{ row, fields }` or `{ row, error }`.
+ * @throws {Error} With a client-safe message when the file as a whole is unusable.
+ */
+function readCsvRows(text, defaults) {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) {
+    return [];
+  }
+  const columns = header.map((name) => name.trim().toLowerCase());
+  const unknown = columns.filter((name) => !CSV_COLUMNS.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown CSV columns: ${unknown.join(", ")}. Supported columns: ${CSV_COLUMNS.join(", ")}.`
+    );
+  }
+  if (!columns.includes("title") || !columns.includes("date_time")) {
+    throw new Error("The CSV header must include title and date_time.");
+  }
+  if (new Set(columns).size !== columns.length) {
+    throw new Error("The CSV header repeats a column.");
+  }
+
+  return lines.map((cells, i) => {
+    const row = i + 1;
+    if (cells.length > columns.length) {
+      return { row, error: `Row has ${cells.length} cells but the header has ${columns.length}.` };
+    }
+    // Empty cells are treated as absent, so defaults apply
+    const raw = {};
+    columns.forEach((name, j) => {
+      const cell = (cells[j] || "").trim();
+      if (cell !== "") {
+        raw[name] = cell;
+      }
+    });
+
+    const fields = { ...defaults, ...raw };
+    let timeZone;
+    try {
+      timeZone = parseTimeZone(fields.time_zone || DEFAULT_TIME_ZONE);
+    } catch (error) {
+      return { row, error: error.message };
+    }
+    for (const name of ["date_time", "end_time", "publish_at"]) {
+      if (fields[name] !== undefined) {
+        fields[name] = parseCsvDateTime(fields[name], timeZone);
+      }
+    }
+    if (fields.capacity !== undefined) {
+      fields.capacity = /^\d+$/.test(fields.capacity) ? Number(fields.capacity) : fields.capacity;
+    }
+    if (fields.tags !== undefined) {
+      fields.tags = fields.tags.split(/[;,]/).filter((tag) => tag.trim() !== "");
+    }
+    return { row, fields };
+  });
+}
+
+// DTSTART/DTEND value: UTC ("...Z"), local to TZID or the default zone, or a date (all-day).
+function parseIcsDate(property, timeZone) {
+  const match = ICS_DATE_TIME.exec(property.value);
+  if (!match) {
+    throw new Error(`${property.name} is not an iCalendar date-time.`);
+  }
+  const [, year, month, day, hour, minute, second, utc] = match;
+  return utc
+    ? new Date(Date.UTC(year, month - 1, day, hour, minute, second))
+    : fromParts([year, month, day, hour, minute, second], timeZone);
+}
+
+function parseIcsDuration(value) {
+  const match = ICS_DURATION.exec(value);
+  if (!match || match.slice(1).every((part) => part === undefined)) {
+    throw new Error("DURATION is not an iCalendar duration.");
+  }
+  const [weeks, days, hours, minutes, seconds] = match.slice(1).map((part) => Number(part || 0));
+  return ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+}
+
+// One VEVENT -> POST /events fields.
+function veventFields(properties, defaults) {
+  const first = (name) => properties.find((property) => property.name === name);
+  const text = (name) => (first(name) ? unescapeText(first(name).value) : undefined);
+
+  // Exceptions to a series cannot be represented by one imported event
+  if (first("RECURRENCE-ID")) {
+    throw new Error("Modified occurrences (RECURRENCE-ID) are not supported; edit them after importing.");
+  }
+  if (first("EXDATE") || first("RDATE")) {
+    throw new Error("EXDATE and RDATE are not supported; cancel occurrences after importing.");
+  }
+  if ((text("STATUS") || "").toUpperCase() === "CANCELLED") {
+    throw new Error("Cancelled events are not imported.");
+  }
+
+  const start = first("DTSTART");
+  if (!start) {
+    throw new Error("DTSTART is missing.");
+  }
+  const allDay = (start.params.VALUE || "").toUpperCase() === "DATE" || !start.value.includes("T");
+  const timeZone = parseTimeZone(start.params.TZID || defaults.time_zone || DEFAULT_TIME_ZONE);
+  const date_time = parseIcsDate(start, timeZone);
+
+  let end_time;
+  const end = first("DTEND");
+  if (end) {
+    end_time = parseIcsDate(end, parseTimeZone(end.params.TZID || timeZone));
+  } else if (first("DURATION")) {
+    end_time = new Date(date_time.getTime() + parseIcsDuration(first("DURATION").value));
+  } else if (allDay) {
+    // An all-day event without an end lasts the day (RFC 5545 3.6.1)
+    end_time = new Date(date_time.getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  const categories = properties
+    .filter((property) => property.name === "CATEGORIES")
+    .flatMap((property) => property.value.split(/(?<!\\),/).map(unescapeText))
+    .filter((tag) => tag.trim() !== "");
+
+  return {
+    ...defaults,
+    title: text("SUMMARY"),
+    description: text("DESCRIPTION"),
+    location: text("LOCATION"),
+    date_time,
+    end_time,
+    time_zone: timeZone,
+    recurrence_rule: first("RRULE") ? first("RRULE").value : undefined,
+    ...(categories.length > 0 ? { tags: categories } : {}),
+  };
+}
+
+/**
+ * Reads the VEVENTs of an iCalendar file.
+ * @param {string} text
+ * @param {object} defaults - Fields applied to every event (status; time_zone for floating times).
+ * @returns {object[]} `{ row, fields }` or `{ row, error }`.
+ * @throws {Error} With a client-safe message when the file is not iCalendar.
+ */
+function readIcsRows(text, defaults) {
+  return parseCalendar(text).map((properties, i) => {
+    try {
+      return { row: i + 1, fields: veventFields(properties, defaults) };
+    } catch (error) {
+      return { row: i + 1, error: error.message };
+    }
+  });
+}
+
+module.exports = { MAX_IMPORT_ROWS, CSV_COLUMNS, readCsvRows, readIcsRows };
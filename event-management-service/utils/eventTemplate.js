@@ -0,0 +1,233 @@
+// Event templates and clones: reusable event details without the schedule.
+//
+// A template (or the event being cloned) supplies everything except when the
+// new event happens. Callers pass the schedule as overrides and the result is
+// validated like any POST /events body, so a template that no longer fits
+// (e.g. a retired category or a closed room) fails when it is used.
+
+const { UUID_PATTERN, UPDATE_SCHEMA } = require("./eventUpdate");
+const { normalizeTags } = require("./taxonomy");
+const { MAX_DURATION_MS } = require("./eventTime");
+
+const MAX_TEMPLATE_STAFF = 50;
+const TEMPLATE_STAFF_ROLES = ["co_host", "checkin_staff"];
+
+// Event details carried over by both templates and clones. Recurrence rules are
+// only kept by templates: a cloned series would start from the override date
+// with a COUNT or UNTIL meant for the original one.
+const COPIED_FIELDS = [
+  "title",
+  "description",
+  "location",
+  "building_id",
+  "room_id",
+  "capacity",
+  "max_guests_per_rsvp",
+  "time_zone",
+  "category",
+  "tags",
+  "visibility",
+  "registration_form",
+];
+
+// What the caller may set on an event created from a template or clone.
+const OVERRIDE_FIELDS = ["date_time", "end_time", "title", "status", "publish_at", "recurrence_rule"];
+
+const MAX_DURATION_MINUTES = MAX_DURATION_MS / 60000;
+
+const parseStaff = (value) => {
+  if (!Array.isArray(value) || value.length > MAX_TEMPLATE_STAFF) {
+    return { error: `must be an array of at most ${MAX_TEMPLATE_STAFF} { user_id, role } entries` };
+  }
+  const seen = new Set();
+  for (const member of value) {
+    if (
+      !member ||
+      typeof member.user_id !== "string" ||
+      !UUID_PATTERN.test(member.user_id) ||
+      !TEMPLATE_STAFF_ROLES.includes(member.role)
+    ) {
+      return { error: `entries need a user_id and a role of ${TEMPLATE_STAFF_ROLES.join(" or ")}` };
+    }
+    if (seen.has(member.user_id)) {
+      return { error: "lists a user more than once" };
+    }
+    seen.add(member.user_id);
+  }
+  return value.map(({ user_id, role }) => ({ user_id, role }));
+};
+
+// Field -> parser, as in UPDATE_SCHEMA. Times are not part of a template, only
+// the length of the events created from it.
+const TEMPLATE_SCHEMA = {
+  name: (value) =>
+    typeof value === "string" && value.trim() !== "" && value.length <= 100
+      ? value.trim()
+      : { error: "must be a non-empty string of at most 100 characters" },
+  ...Object.fromEntries(
+    COPIED_FIELDS.map((field) => [field, UPDATE_SCHEMA[field]])
+  ),
+  tags: normalizeTags,
+  recurrence_rule: UPDATE_SCHEMA.recurrence_rule,
+  duration_minutes: (value) =>
+    value === null || (Number.isInteger(value) && value > 0 && value <= MAX_DURATION_MINUTES)
+      ? value
+      : { error: `must be between 1 and ${MAX_DURATION_MINUTES}, or null` },
+  staff: parseStaff,
+};
+
+const TEMPLATE_FIELDS = Object.keys(TEMPLATE_SCHEMA);
+
+/**
+ * Validates a template body against TEMPLATE_SCHEMA.
+ * @param {object} body - Raw request body.
+ * @param {object} [options]
+ * @param {boolean} [options.partial] - PUT: only the given fields; otherwise name is required.
+ * @returns {{ values: object } | { error: string }} Parsed values, or a client-safe message.
+ */
+function parseTemplate(body, { partial = false } = {}) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { error: "Request body must be a JSON object." };
+  }
+  const fields = Object.keys(body);
+  const unknown = fields.filter((field) => !TEMPLATE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return {
+      error: `Unknown template fields: ${unknown.join(", ")}. Template fields: ${TEMPLATE_FIELDS.join(", ")}.`,
+    };
+  }
+  if (!partial && body.name === undefined) {
+    return { error: "name is required." };
+  }
+  if (partial && fields.length === 0) {
+    return { error: "No fields to update." };
+  }
+
+  const values = {};
+  for (const field of fields) {
+    let parsed;
+    try {
+      parsed = TEMPLATE_SCHEMA[field](body[field]);
+    } catch (error) {
+      return { error: error.message };
+    }
+    if (parsed && parsed.error) {
+      return { error: `${field} ${parsed.error}.` };
+    }
+    values[field] = parsed;
+  }
+  return { values };
+}
+
+/**
+ * Validates the overrides for an event created from a template or clone.
+ * @param {object} body - Raw request body; date_time is required.
+ * @returns {{ overrides: object } | { error: string }}
+ */
+function parseOverrides(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { error: "Request body must be a JSON object." };
+  }
+  const unknown = Object.keys(body).filter((field) => !OVERRIDE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return {
+      error: `Fields cannot be overridden: ${unknown.join(", ")}. Allowed: ${OVERRIDE_FIELDS.join(", ")}.`,
+    };
+  }
+  if (!body.date_time) {
+    return { error: "date_time is required." };
+  }
+  return { overrides: body };
+}
+
+const pick = (source, fields) =>
+  Object.fromEntries(
+    fields.filter((field) => source[field] !== undefined).map((field) => [field, source[field]])
+  );
+
+// Without an explicit end_time the new event keeps the source's length.
+function withSchedule(fields, durationMs, overrides) {
+  const start = new Date(overrides.date_time);
+  const end_time =
+    overrides.end_time === undefined && durationMs && !Number.isNaN(start.getTime())
+      ? new Date(start.getTime() + durationMs)
+      : overrides.end_time;
+  return { ...fields, ...overrides, end_time };
+}
+
+/**
+ * POST /events fields for an event created from a template.
+ * @param {object} template - EventTemplate instance.
+ * @param {object} overrides - parseOverrides().overrides.
+ * @returns {object}
+ */
+function eventFieldsFromTemplate(template, overrides) {
+  const fields = pick(template.get({ plain: true }), [...COPIED_FIELDS, "recurrence_rule"]);
+  // Null columns mean "not set" in a template; prepareEvent applies its defaults
+  for (const field of Object.keys(fields)) {
+    if (fields[field] === null) {
+      delete fields[field];
+    }
+  }
+  const durationMs = template.duration_minutes ? template.duration_minutes * 60000 : null;
+  return withSchedule(fields, durationMs, overrides);
+}
+
+/**
+ * POST /events fields for a copy of an event.
+ * @param {object} event - Event instance being cloned.
+ * @param {object} overrides - parseOverrides().overrides.
+ * @returns {object}
+ */
+function eventFieldsFromEvent(event, overrides) {
+  const fields = pick(event.get({ plain: true }), COPIED_FIELDS);
+  const durationMs = event.end_time ? new Date(event.end_time) - new Date(event.date_time) : null;
+  return withSchedule(fields, durationMs, overrides);
+}
+
+/**
+ * Staff roles to recreate on a copy of an event. The copy belongs to whoever
+ * makes it, so their own role is dropped and the original owner, if someone
+ * else, stays on as a co-host.
+ * @param {object} event - The source event (host_id).
+ * @param {{ user_id: string, role: string }[]} roles - Its event_roles rows.
+ * @param {string} owner_id - Owner of the copy.
+ * @returns {{ user_id: string, role: string }[]}
+ */
+function copyStaff(event, roles, owner_id) {
+  const staff = roles
+    .filter((role) => TEMPLATE_STAFF_ROLES.includes(role.role) && role.user_id !== owner_id)
+    .map(({ user_id, role }) => ({ user_id, role }));
+  if (event.host_id !== owner_id) {
+    staff.unshift({ user_id: event.host_id, role: "co_host" });
+  }
+  return staff;
+}
+
+/**
+ * Template values saved from an existing event.
+ * @param {object} event - Event instance.
+ * @param {{ user_id: string, role: string }[]} roles - Its event_roles rows.
+ * @param {string} owner_id - Owner of the template.
+ * @returns {object} EventTemplate attributes other than name and owner_id.
+ */
+function templateFromEvent(event, roles, owner_id) {
+  const durationMs = event.end_time ? new Date(event.end_time) - new Date(event.date_time) : null;
+  return {
+    ...pick(event.get({ plain: true }), COPIED_FIELDS),
+    recurrence_rule: event.recurrence_rule,
+    duration_minutes: durationMs ? Math.round(durationMs / 60000) : null,
+    staff: copyStaff(event, roles, owner_id),
+  };
+}
+
+module.exports = {
+  TEMPLATE_FIELDS,
+  OVERRIDE_FIELDS,
+  parseTemplate,
+  parseOverrides,
+  eventFieldsFromTemplate,
+  eventFieldsFromEvent,
+  copyStaff,
+  templateFromEvent,
+};
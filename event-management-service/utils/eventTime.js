@@ -0,0 +1,146 @@
+// Event end times and time zones.
+//
+// date_time and end_time are instants (stored in UTC). time_zone is the IANA
+// zone the event is held in: clients use it to display local times, and
+// recurring series repeat at the same local wall-clock time in that zone, so a
+// weekly 18:00 session stays at 18:00 across daylight-saving changes.
+//
+// A recurring event's end_time is the end of its first occurrence; every
+// occurrence lasts as long as the first one.
+
+const sequelize = require("./db");
+
+// Events created before end times existed are assumed to last this long.
+const DEFAULT_DURATION_MS = 60 * 60 * 1000;
+const MAX_DURATION_MS = 14 * 24 * 60 * 60 * 1000;
+const DEFAULT_TIME_ZONE = "UTC";
+
+const formatters = new Map();
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Validates an IANA time zone name, e.g. "America/New_York".
+ * @param {*} value
+ * @returns {string} The runtime's canonical spelling ("utc" -> "UTC").
+ * @throws {Error} With a client-safe message for unknown zones.
+ */
+function parseTimeZone(value) {
+  try {
+    if (typeof value !== "string") {
+      throw new TypeError();
+    }
+    return formatterFor(value).resolvedOptions().timeZone;
+  } catch (error) {
+    throw new Error("time_zone must be an IANA time zone name, e.g. America/New_York.");
+  }
+}
+
+// Offset of `timeZone` from UTC at `date`, in ms (e.g. +3600000 for CET in winter).
+function zoneOffsetMs(date, timeZone) {
+  const parts = Object.fromEntries(
+    formatterFor(timeZone)
+      .formatToParts(date)
+      .map((part) => [part.type, Number(part.value)])
+  );
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The local wall-clock time of `date` in `timeZone`, encoded as a UTC Date
+ * (18:00 in New York -> 18:00Z). RRULEs are expanded in this representation.
+ */
+function toWallClock(date, timeZone) {
+  return new Date(date.getTime() + zoneOffsetMs(date, timeZone));
+}
+
+/**
+ * Inverse of toWallClock. Wall-clock times skipped by a daylight-saving jump
+ * are read with the offset in effect after the jump (02:30 -> 01:30 standard time).
+ */
+function fromWallClock(wallClock, timeZone) {
+  const guess = new Date(wallClock.getTime() - zoneOffsetMs(wallClock, timeZone));
+  return new Date(wallClock.getTime() - zoneOffsetMs(guess, timeZone));
+}
+
+/**
+ * Length of the event (of each occurrence, for a series) in ms.
+ * @param {object} event - Needs date_time and end_time.
+ */
+function eventDuration(event) {
+  return event.end_time
+    ? new Date(event.end_time) - new Date(event.date_time)
+    : DEFAULT_DURATION_MS;
+}
+
+/**
+ * Validates a start/end pair; end_time defaults to DEFAULT_DURATION_MS after the start.
+ * @param {Date|string} date_time
+ * @param {Date|string|null|undefined} end_time
+ * @returns {Date} The end time.
+ * @throws {Error} With a client-safe message.
+ */
+function resolveEndTime(date_time, end_time) {
+  const start = new Date(date_time);
+  if (end_time === undefined || end_time === null) {
+    return new Date(start.getTime() + DEFAULT_DURATION_MS);
+  }
+  const end = new Date(end_time);
+  if (Number.isNaN(end.getTime())) {
+    throw new Error("end_time must be an ISO 8601 date-time.");
+  }
+  if (end <= start) {
+    throw new Error("end_time must be after date_time.");
+  }
+  if (end - start > MAX_DURATION_MS) {
+    throw new Error(`Events may last at most ${MAX_DURATION_MS / (24 * 60 * 60 * 1000)} days.`);
+  }
+  return end;
+}
+
+/**
+ * Whether two [start, end) intervals overlap. Back-to-back events do not.
+ */
+const overlaps = (a, b) =>
+  new Date(a.date_time) < new Date(b.end_time) && new Date(b.date_time) < new Date(a.end_time);
+
+/**
+ * Gives events created before end times existed the default duration.
+ * Idempotent; run after sequelize.sync().
+ */
+async function backfillEndTimes() {
+  await sequelize.query(
+    `UPDATE events SET end_time = date_time + interval '${DEFAULT_DURATION_MS / 1000} seconds'
+     WHERE end_time IS NULL;`
+  );
+}
+
+module.exports = {
+  DEFAULT_DURATION_MS,
+  MAX_DURATION_MS,
+  DEFAULT_TIME_ZONE,
+  parseTimeZone,
+  toWallClock,
+  fromWallClock,
+  eventDuration,
+  resolveEndTime,
+  overlaps,
+  backfillEndTimes,
+};
@@ -0,0 +1,158 @@
+// Validation and change diffs for PUT /events/:event_id.
+//
+// Only the fields in UPDATE_SCHEMA can be edited. Everything else on an event
+// is either derived (attendees_count, sequence, recurrence_end), owned by
+// another flow (host_id via staff roles, status via the lifecycle actions) or
+// immutable (event_id, timestamps), and is rejected rather than ignored so
+// clients notice the mistake.
+
+const { parseRegistrationForm } = require("./registrationForm");
+const { parseTimeZone } = require("./eventTime");
+const { MAX_GUEST_LIMIT, isValidGuestLimit } = require("./guests");
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const LIFECYCLE_FIELDS = [
+  "status",
+  "publish_at",
+  "published_at",
+  "cancelled_at",
+  "cancellation_reason",
+];
+
+const text = (max, { nullable = false } = {}) => (value) => {
+  if (value === null) {
+    return nullable ? null : { error: "must not be null" };
+  }
+  if (typeof value !== "string" || (!nullable && value.trim() === "")) {
+    return { error: "must be a non-empty string" };
+  }
+  if (max && value.length > max) {
+    return { error: `must be at most ${max} characters` };
+  }
+  return nullable && value.trim() === "" ? null : value;
+};
+
+const dateTime = (value) => {
+  const date = typeof value === "string" ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime())
+    ? date
+    : { error: "must be an ISO 8601 date-time" };
+};
+
+const uuid = (value) =>
+  value === null || (typeof value === "string" && UUID_PATTERN.test(value))
+    ? value
+    : { error: "must be a UUID or null" };
+
+// Field -> parser returning the stored value or { error } (or throwing a
+// client-safe Error with a complete message). Deeper checks (RRULE syntax,
+// taxonomy, venue existence, end after start) happen in the controller.
+const UPDATE_SCHEMA = {
+  title: text(255),
+  // events.description is NOT NULL, so it can be edited but not cleared
+  description: text(null),
+  location: text(255),
+  date_time: dateTime,
+  end_time: dateTime,
+  time_zone: parseTimeZone,
+  capacity: (value) =>
+    value === null || (Number.isInteger(value) && value > 0)
+      ? value
+      : { error: "must be a positive integer or null" },
+  max_guests_per_rsvp: (value) =>
+    isValidGuestLimit(value) ? value : { error: `must be an integer from 0 to ${MAX_GUEST_LIMIT}` },
+  recurrence_rule: text(255, { nullable: true }),
+  category: (value) =>
+    value === null || typeof value === "string"
+      ? value || null
+      : { error: "must be a category slug or null" },
+  tags: (value) =>
+    Array.isArray(value) ? value : { error: "must be an array of strings" },
+  building_id: uuid,
+  room_id: uuid,
+  registration_form: parseRegistrationForm,
+  visibility: (value) =>
+    ["public", "followers", "invite_only"].includes(value)
+      ? value
+      : { error: "must be one of public, followers, invite_only" },
+};
+
+const UPDATABLE_FIELDS = Object.keys(UPDATE_SCHEMA);
+
+/**
+ * Validates a PUT body against UPDATE_SCHEMA.
+ * @param {object} body - Raw request body.
+ * @returns {{ updates: object } | { error: string }} Parsed values, or a client-safe message.
+ */
+function parseEventUpdate(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { error: "Request body must be a JSON object." };
+  }
+  const fields = Object.keys(body);
+
+  if (fields.includes("host_id")) {
+    // Ownership lives in event_roles; co-hosts must not be able to take it over
+    return { error: "host_id cannot be changed." };
+  }
+  if (fields.some((field) => LIFECYCLE_FIELDS.includes(field))) {
+    return {
+      error: "Use the publish, cancel and complete actions to change an event's status.",
+    };
+  }
+  const unknown = fields.filter((field) => !UPDATABLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return {
+      error: `Fields cannot be updated: ${unknown.join(", ")}. Updatable fields: ${UPDATABLE_FIELDS.join(", ")}.`,
+    };
+  }
+  if (fields.length === 0) {
+    return { error: "No fields to update." };
+  }
+
+  const updates = {};
+  for (const field of fields) {
+    let parsed;
+    try {
+      parsed = UPDATE_SCHEMA[field](body[field]);
+    } catch (error) {
+      return { error: error.message };
+    }
+    if (parsed && parsed.error) {
+      return { error: `${field} ${parsed.error}.` };
+    }
+    updates[field] = parsed;
+  }
+  return { updates };
+}
+
+// Comparable/serializable form: dates as ISO strings, everything else as JSON.
+const normalize = (value) =>
+  value instanceof Date ? value.toISOString() : value === undefined ? null : value;
+
+// JSON with sorted object keys; JSONB columns do not preserve key order.
+const canonical = (value) =>
+  JSON.stringify(value, (key, nested) =>
+    nested && typeof nested === "object" && !Array.isArray(nested)
+      ? Object.fromEntries(Object.entries(nested).sort(([a], [b]) => (a < b ? -1 : 1)))
+      : nested
+  );
+
+/**
+ * Lists the whitelisted fields whose value actually changes.
+ * @param {object} event - Event instance (or plain object) before the update.
+ * @param {object} updates - Parsed updates.
+ * @returns {{ field: string, old: *, new: * }[]} In UPDATE_SCHEMA order.
+ */
+function diffEvent(event, updates) {
+  return UPDATABLE_FIELDS.filter((field) => updates[field] !== undefined)
+    .map((field) => ({
+      field,
+      old: normalize(event[field]),
+      new: normalize(updates[field]),
+    }))
+    .filter((change) => canonical(change.old) !== canonical(change.new));
+}
+
+module.exports = { UUID_PATTERN, UPDATE_SCHEMA, UPDATABLE_FIELDS, parseEventUpdate, diffEvent };
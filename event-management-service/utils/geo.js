@@ -0,0 +1,82 @@
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two WGS84 points (haversine formula).
+ * @returns {number} Distance in kilometres.
+ */
+function distanceKm(lat1, lng1, lat2, lng2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Parses the geo query parameters shared by search endpoints.
+ * @param {object} query - Express req.query with optional lat, lng, radius_km and bbox.
+ * @returns {{ point: ?{lat: number, lng: number}, radiusKm: ?number, bbox: ?number[] }}
+ * @throws {Error} With a client-safe message when a parameter is malformed.
+ */
+function parseGeoQuery({ lat, lng, radius_km, bbox }) {
+  let point = null;
+  if (lat !== undefined || lng !== undefined) {
+    const latitude = Number(lat);
+    const longitude = Number(lng);
+    if (
+      !Number.isFinite(latitude) || latitude < -90 || latitude > 90 ||
+      !Number.isFinite(longitude) || longitude < -180 || longitude > 180
+    ) {
+      throw new Error("lat and lng must both be valid coordinates.");
+    }
+    point = { lat: latitude, lng: longitude };
+  }
+
+  let radiusKm = null;
+  if (radius_km !== undefined) {
+    radiusKm = Number(radius_km);
+    if (!point || !Number.isFinite(radiusKm) || radiusKm <= 0) {
+      throw new Error("radius_km must be a positive number and requires lat and lng.");
+    }
+  }
+
+  let box = null;
+  if (bbox !== undefined) {
+    // minLng,minLat,maxLng,maxLat (GeoJSON order)
+    box = String(bbox).split(",").map(Number);
+    if (
+      box.length !== 4 ||
+      box.some((n) => !Number.isFinite(n)) ||
+      box[0] > box[2] ||
+      box[1] > box[3]
+    ) {
+      throw new Error("bbox must be minLng,minLat,maxLng,maxLat.");
+    }
+  }
+
+  return { point, radiusKm, bbox: box };
+}
+
+/**
+ * Whether a building lies inside the requested radius and/or bounding box.
+ */
+function matchesGeoFilter(building, { point, radiusKm, bbox }) {
+  if (bbox) {
+    const [minLng, minLat, maxLng, maxLat] = bbox;
+    if (
+      building.longitude < minLng || building.longitude > maxLng ||
+      building.latitude < minLat || building.latitude > maxLat
+    ) {
+      return false;
+    }
+  }
+  if (radiusKm !== null) {
+    return distanceKm(point.lat, point.lng, building.latitude, building.longitude) <= radiusKm;
+  }
+  return true;
+}
+
+module.exports = { distanceKm, parseGeoQuery, matchesGeoFilter };
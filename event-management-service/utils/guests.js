@@ -0,0 +1,40 @@
+// Guests (+1s) on RSVPs.
+//
+// An RSVP or waitlist entry holds a party of the attendee plus `guests`. Every
+// seat count (attendees_count, capacity checks, waitlist promotion) is in
+// people, so a party of three takes three seats. Hosts allow guests per event
+// with max_guests_per_rsvp; 0, the default, means attendees come alone.
+
+const MAX_GUEST_LIMIT = 20;
+
+const isValidGuestLimit = (limit) =>
+  Number.isInteger(limit) && limit >= 0 && limit <= MAX_GUEST_LIMIT;
+
+/**
+ * Seats taken by an RSVP or waitlist entry.
+ * @param {{ guests?: number }} rsvp
+ * @returns {number}
+ */
+const partySize = (rsvp) => 1 + (rsvp.guests || 0);
+
+/**
+ * Validates the guests an attendee brings against the event's limit.
+ * @param {*} value - Request value; undefined means none.
+ * @param {object} event - Needs max_guests_per_rsvp.
+ * @returns {number}
+ * @throws {Error} With a client-safe message.
+ */
+function parseGuests(value, event) {
+  if (value === undefined || value === 0) {
+    return 0;
+  }
+  if (event.max_guests_per_rsvp === 0) {
+    throw new Error("This event does not allow guests.");
+  }
+  if (!Number.isInteger(value) || value < 0 || value > event.max_guests_per_rsvp) {
+    throw new Error(`guests must be an integer from 0 to ${event.max_guests_per_rsvp}.`);
+  }
+  return value;
+}
+
+module.exports = { MAX_GUEST_LIMIT, isValidGuestLimit, partySize, parseGuests };
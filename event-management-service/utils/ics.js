@@ -0,0 +1,195 @@
+// Minimal iCalendar (RFC 5545) writer for event exports and subscription feeds,
+// and reader for imports.
+
+const { eventDuration } = require("./eventTime");
+
+const PRODID = "-//Campus Connect//Event Management Service//EN";
+const UID_DOMAIN = "campus-connect";
+// Event lifecycle status -> VEVENT STATUS; cancelled events stay in feeds so clients strike them out.
+const STATUS_MAP = {
+  draft: "TENTATIVE",
+  published: "CONFIRMED",
+  completed: "CONFIRMED",
+  cancelled: "CANCELLED",
+};
+
+// 20261110T180000Z
+const formatDate = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// TEXT values escape backslash, semicolon, comma and newlines (RFC 5545 3.3.11).
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Content lines are folded at 75 octets; continuation lines start with a space.
+function foldLine(line) {
+  const chunks = [];
+  let current = "";
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+}
+
+/**
+ * Stable UID so re-imports and feed refreshes update the same calendar entry.
+ * @param {string} event_id
+ * @param {Date|string} [occurrence_start] - Set for standalone single-occurrence entries.
+ */
+function eventUid(event_id, occurrence_start) {
+  return occurrence_start
+    ? `${event_id}-${formatDate(occurrence_start)}@${UID_DOMAIN}`
+    : `${event_id}@${UID_DOMAIN}`;
+}
+
+/**
+ * Renders one event as VEVENT components. Recurring series produce the master
+ * VEVENT (RRULE + EXDATE for cancelled occurrences) followed by one VEVENT per
+ * modified occurrence, linked through RECURRENCE-ID. Every occurrence lasts as
+ * long as the first. Times are written in UTC, which needs no VTIMEZONE; the
+ * RRULE is therefore expanded in UTC by clients, so for series in zones with
+ * daylight saving the API's occurrence list is authoritative.
+ * @param {object} event - Event row (plain object or instance).
+ * @param {object} [options]
+ * @param {object[]} [options.exceptions] - EventOccurrenceException rows.
+ * @param {Date|string} [options.occurrenceStart] - Render only this occurrence as a standalone entry.
+ * @returns {string[]} Unfolded content lines.
+ */
+function renderEvent(event, { exceptions = [], occurrenceStart = null } = {}) {
+  const duration = eventDuration(event);
+  // Opening lines of a VEVENT; callers append any extra properties and END:VEVENT.
+  const vevent = (uid, start, overrides = {}, recurrenceId = null) => [
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    ...(recurrenceId ? [`RECURRENCE-ID:${formatDate(recurrenceId)}`] : []),
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(overrides.date_time || start)}`,
+    `DTEND:${formatDate(new Date(overrides.date_time || start).getTime() + duration)}`,
+    `SUMMARY:${escapeText(overrides.title || event.title)}`,
+    ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+    `LOCATION:${escapeText(overrides.location || event.location)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `LAST-MODIFIED:${formatDate(overrides.updated_at || event.updated_at || new Date())}`,
+    `STATUS:${STATUS_MAP[event.status] || "CONFIRMED"}`,
+  ];
+
+  if (occurrenceStart) {
+    const exception = exceptions.find(
+      (e) => new Date(e.occurrence_start).getTime() === new Date(occurrenceStart).getTime()
+    );
+    return [
+      ...vevent(eventUid(event.event_id, occurrenceStart), occurrenceStart, exception || {}),
+      "END:VEVENT",
+    ];
+  }
+
+  const uid = eventUid(event.event_id);
+  const lines = vevent(uid, event.date_time);
+  if (event.recurrence_rule) {
+    lines.push(`RRULE:${event.recurrence_rule.replace(/^RRULE:/i, "")}`);
+    for (const exception of exceptions.filter((e) => e.is_cancelled)) {
+      lines.push(`EXDATE:${formatDate(exception.occurrence_start)}`);
+    }
+  }
+  lines.push("END:VEVENT");
+
+  for (const exception of exceptions.filter((e) => !e.is_cancelled)) {
+    lines.push(
+      ...vevent(uid, exception.occurrence_start, exception, exception.occurrence_start),
+      "END:VEVENT"
+    );
+  }
+
+  return lines;
+}
+
+/**
+ * Wraps VEVENT lines in a VCALENDAR and returns the CRLF-delimited document.
+ * @param {string[]} eventLines
+ * @param {string} [name] - Calendar display name (X-WR-CALNAME) for feeds.
+ */
+function buildCalendar(eventLines, name) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...eventLines,
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+// Inverse of escapeText.
+const unescapeText = (value) =>
+  value.replace(/\\([\\;,nN])/g, (match, char) => (char === "n" || char === "N" ? "\n" : char));
+
+// NAME;PARAM=VALUE;PARAM="QUOTED:VALUE":value -> { name, params, value }
+function parseContentLine(line) {
+  const params = {};
+  let i = line.search(/[;:]/);
+  if (i < 0) {
+    return null;
+  }
+  const name = line.slice(0, i).toUpperCase();
+  while (line[i] === ";") {
+    const paramMatch = /^;([^=;:]+)=("[^"]*"|[^;:]*)/.exec(line.slice(i));
+    if (!paramMatch) {
+      return null;
+    }
+    params[paramMatch[1].toUpperCase()] = paramMatch[2].replace(/^"|"$/g, "");
+    i += paramMatch[0].length;
+  }
+  return line[i] === ":" ? { name, params, value: line.slice(i + 1) } : null;
+}
+
+/**
+ * Reads the VEVENT components of an iCalendar document. Lines are unfolded;
+ * TEXT values are left escaped (see unescapeText).
+ * @param {string} text
+ * @returns {{ name: string, params: object, value: string }[][]} The properties of each VEVENT, in order.
+ * @throws {Error} With a client-safe message when the document is not iCalendar.
+ */
+function parseCalendar(text) {
+  const lines = text.replace(/^\uFEFF/, "").replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  if (!/^BEGIN:VCALENDAR$/i.test(lines[0].trim())) {
+    throw new Error("The file is not an iCalendar document (BEGIN:VCALENDAR expected).");
+  }
+  const events = [];
+  let current = null;
+  let depth = 0; // Components nested in a VEVENT (VALARM) are skipped
+  for (const line of lines) {
+    const property = parseContentLine(line.trim());
+    if (!property) {
+      continue;
+    }
+    const { name, value } = property;
+    if (name === "BEGIN" && value.toUpperCase() === "VEVENT" && !current) {
+      current = [];
+    } else if (current && name === "BEGIN") {
+      depth++;
+    } else if (current && name === "END" && depth > 0) {
+      depth--;
+    } else if (current && name === "END" && value.toUpperCase() === "VEVENT") {
+      events.push(current);
+      current = null;
+    } else if (current && depth === 0) {
+      current.push(property);
+    }
+  }
+  return events;
+}
+
+module.exports = { eventUid, renderEvent, buildCalendar, parseCalendar, unescapeText };
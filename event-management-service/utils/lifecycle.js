@@ -0,0 +1,35 @@
+// Event lifecycle state machine.
+//
+//   draft ──► published ──► completed
+//     │           │
+//     └──────► cancelled ◄┘
+//
+// Cancelled and completed are terminal. Only published events accept RSVPs and
+// appear in public listings alongside cancelled/completed ones; drafts are
+// visible to their staff only.
+
+const STATUSES = ["draft", "published", "cancelled", "completed"];
+
+const TRANSITIONS = {
+  draft: ["published", "cancelled"],
+  published: ["cancelled", "completed"],
+  cancelled: [],
+  completed: [],
+};
+
+/**
+ * @param {string} from - Current status.
+ * @param {string} to - Requested status.
+ * @returns {string|null} Client-facing error message, or null if allowed.
+ */
+function validateTransition(from, to) {
+  if (!STATUSES.includes(to)) {
+    return `status must be one of: ${STATUSES.join(", ")}.`;
+  }
+  if (!TRANSITIONS[from].includes(to)) {
+    return `Cannot change status from ${from} to ${to}.`;
+  }
+  return null;
+}
+
+module.exports = { STATUSES, TRANSITIONS, validateTransition };
@@ -0,0 +1,183 @@
+// Keyset (cursor) pagination for event lists, ordered by (date_time, event_id),
+// or by (rank DESC, date_time, event_id) for relevance-sorted search. Other
+// lists ordered by a timestamp and a unique id (e.g. the attendee roster by
+// joined_at, attendee_id) pass their own column names as `keys`.
+//
+// Cursors are opaque base64url tokens naming the item a page ended on and the
+// direction to continue in: next_cursor continues after the last item,
+// prev_cursor goes back from the first one. Because pages are anchored on
+// keys rather than offsets, inserts and deletes never shift or repeat items.
+
+const { Op } = require("sequelize");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const EVENT_KEYS = { time: "date_time", id: "event_id" };
+
+const encodeCursor = (item, direction, { byRank, keys }) =>
+  Buffer.from(
+    JSON.stringify({
+      ...(byRank ? { r: item.rank } : {}),
+      d: new Date(item[keys.time]).toISOString(),
+      id: item[keys.id],
+      dir: direction,
+    })
+  ).toString("base64url");
+
+function decodeCursor(token, keys) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(token, "base64url").toString("utf8"));
+  } catch (error) {
+    decoded = null;
+  }
+  const date_time = decoded && new Date(decoded.d);
+  if (
+    !decoded ||
+    Number.isNaN(date_time.getTime()) ||
+    typeof decoded.id !== "string" ||
+    !["next", "prev"].includes(decoded.dir) ||
+    (decoded.r !== undefined && typeof decoded.r !== "number")
+  ) {
+    throw new Error("Invalid cursor.");
+  }
+  return {
+    rank: decoded.r,
+    [keys.time]: date_time,
+    [keys.id]: decoded.id,
+    direction: decoded.dir,
+  };
+}
+
+/**
+ * Reads ?limit= and ?cursor= from a request query.
+ * @param {object} query
+ * @param {object} [options]
+ * @param {boolean} [options.byRank] - Order by item.rank (highest first) before date.
+ * @param {{ time: string, id: string }} [options.keys] - Ordering columns; events by default.
+ * @throws {Error} With a client-safe message when either is invalid.
+ * @returns {{ limit: number, cursor: object|null, direction: string, byRank: boolean, keys: object }}
+ */
+function parsePageQuery({ limit, cursor }, { byRank = false, keys = EVENT_KEYS } = {}) {
+  let size = DEFAULT_PAGE_SIZE;
+  if (limit !== undefined) {
+    size = Number(limit);
+    if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE_SIZE) {
+      throw new Error(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+    }
+  }
+  const decoded = cursor ? decodeCursor(cursor, keys) : null;
+  // A cursor only makes sense with the ordering it was issued for
+  if (decoded && (decoded.rank !== undefined) !== byRank) {
+    throw new Error("Invalid cursor.");
+  }
+  return {
+    limit: size,
+    cursor: decoded,
+    direction: decoded ? decoded.direction : "next",
+    byRank,
+    keys,
+  };
+}
+
+// List-order comparison on ([rank DESC,] time, id).
+function compareKeys(a, b, { byRank, keys }) {
+  if (byRank && a.rank !== b.rank) {
+    return b.rank - a.rank;
+  }
+  const diff = new Date(a[keys.time]) - new Date(b[keys.time]);
+  if (diff !== 0) {
+    return diff;
+  }
+  return a[keys.id] < b[keys.id] ? -1 : a[keys.id] > b[keys.id] ? 1 : 0;
+}
+
+// True when the page walks towards larger keys (forward on an ascending list).
+const walksUp = (page, descending) => (page.direction === "next") !== descending;
+
+/**
+ * WHERE condition selecting rows beyond the cursor in the paging direction.
+ * @param {object} page - From parsePageQuery.
+ * @param {boolean} [descending] - The list is ordered newest first.
+ */
+function keysetWhere(page, descending = false) {
+  if (!page.cursor) {
+    return {};
+  }
+  const op = walksUp(page, descending) ? Op.gt : Op.lt;
+  const { time, id } = page.keys;
+  return {
+    [Op.or]: [
+      { [time]: { [op]: page.cursor[time] } },
+      { [time]: page.cursor[time], [id]: { [op]: page.cursor[id] } },
+    ],
+  };
+}
+
+/**
+ * ORDER BY returning the rows nearest the cursor first; use with limit: page.limit + 1.
+ */
+function keysetOrder(page, descending = false) {
+  const dir = walksUp(page, descending) ? "ASC" : "DESC";
+  return [
+    [page.keys.time, dir],
+    [page.keys.id, dir],
+  ];
+}
+
+/**
+ * Builds the response body from rows fetched nearest-the-cursor first
+ * (keysetOrder + limit page.limit + 1).
+ * @returns {{ events: object[], next_cursor: string|null, prev_cursor: string|null, has_more: boolean }}
+ */
+function buildPage(rows, page) {
+  const has_more = rows.length > page.limit;
+  const events = rows.slice(0, page.limit);
+  if (page.direction === "prev") {
+    events.reverse(); // Back to list order
+  }
+
+  const first = events[0];
+  const last = events[events.length - 1];
+  const forward = page.direction === "next";
+  return {
+    events,
+    next_cursor:
+      last && (forward ? has_more : true) ? encodeCursor(last, "next", page) : null,
+    prev_cursor:
+      first && (forward ? page.cursor !== null : has_more)
+        ? encodeCursor(first, "prev", page)
+        : null,
+    has_more,
+  };
+}
+
+/**
+ * Pages an in-memory list (e.g. one-off events merged with expanded occurrences).
+ * @param {object[]} items - Items carrying the page's key fields, in any order.
+ * @param {object} page - From parsePageQuery.
+ * @param {boolean} [descending]
+ */
+function paginateList(items, page, descending = false) {
+  const up = walksUp(page, descending);
+  const rows = items
+    .filter((item) => {
+      if (!page.cursor) {
+        return true;
+      }
+      const cmp = compareKeys(item, page.cursor, page);
+      return up ? cmp > 0 : cmp < 0;
+    })
+    .sort((a, b) => (up ? compareKeys(a, b, page) : compareKeys(b, a, page)));
+  return buildPage(rows.slice(0, page.limit + 1), page);
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parsePageQuery,
+  keysetWhere,
+  keysetOrder,
+  buildPage,
+  paginateList,
+};
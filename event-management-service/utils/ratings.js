@@ -0,0 +1,48 @@
+// Post-event ratings.
+//
+// Attendees who checked in may rate an event 1-5, with an optional comment,
+// from when it ends until RATING_WINDOW_DAYS later. A series has no single end,
+// so its window runs from the attendee's first check-in to any occurrence instead. Rating again within
+// the window replaces the earlier rating.
+
+const RATING_WINDOW_DAYS = 14;
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * @param {object} body - Request body with rating and an optional comment.
+ * @returns {{ rating: number, comment: string|null }}
+ * @throws {Error} With a client-safe message.
+ */
+function parseRating(body) {
+  const { rating, comment } = body || {};
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw new Error("rating must be an integer from 1 to 5.");
+  }
+  if (comment === undefined || comment === null) {
+    return { rating, comment: null };
+  }
+  if (typeof comment !== "string" || comment.length > MAX_COMMENT_LENGTH) {
+    throw new Error(`comment must be a string of at most ${MAX_COMMENT_LENGTH} characters.`);
+  }
+  return { rating, comment: comment.trim() || null };
+}
+
+/**
+ * When the attendee may rate the event.
+ * @param {object} event - Needs end_time and recurrence_rule.
+ * @param {Date} checked_in_at - The attendee's first check-in.
+ * @returns {{ opens_at: Date, closes_at: Date }}
+ */
+function ratingWindow(event, checked_in_at) {
+  const opens_at = new Date(event.recurrence_rule ? checked_in_at : event.end_time);
+  return {
+    opens_at,
+    closes_at: new Date(opens_at.getTime() + RATING_WINDOW_DAYS * 24 * 60 * 60 * 1000),
+  };
+}
+
+// Averages are reported to two decimals.
+const roundAverage = (value) =>
+  value === null || value === undefined ? null : Math.round(Number(value) * 100) / 100;
+
+module.exports = { RATING_WINDOW_DAYS, parseRating, ratingWindow, roundAverage };
@@ -0,0 +1,149 @@
+const { RRule } = require("rrule");
+const {
+  DEFAULT_TIME_ZONE,
+  toWallClock,
+  fromWallClock,
+  eventDuration,
+} = require("./eventTime");
+
+// Upper bound on how many occurrences a finite series may generate.
+const MAX_OCCURRENCES = 520;
+// How far ahead list endpoints expand open-ended series by default.
+const DEFAULT_EXPANSION_DAYS = 90;
+// Longest window a client may ask list endpoints to expand (?until=, ?to=); a
+// daily series over years would otherwise tie up the server for one request.
+const MAX_EXPANSION_DAYS = 366;
+
+// Rules are expanded on local wall-clock times in the event's time zone (see
+// utils/eventTime.js), so occurrences keep their local time across DST changes.
+// Functions taking an RRule take the same time zone it was built with.
+
+/**
+ * Builds an RRule from an iCalendar RRULE value anchored at the event start.
+ * Only DAILY, WEEKLY, MONTHLY and YEARLY frequencies are supported.
+ * @param {string} ruleText - e.g. "FREQ=WEEKLY;BYDAY=TU;COUNT=10" (an "RRULE:" prefix is allowed).
+ * @param {Date|string} dtstart - The first occurrence (the event's date_time).
+ * @param {string} [timeZone] - The event's IANA time zone.
+ * @returns {RRule}
+ * @throws {Error} With a client-safe message when the rule is invalid.
+ */
+function buildRule(ruleText, dtstart, timeZone = DEFAULT_TIME_ZONE) {
+  if (typeof ruleText !== "string" || !ruleText.trim()) {
+    throw new Error("Recurrence rule must be a non-empty RRULE string.");
+  }
+
+  const value = ruleText.trim().replace(/^RRULE:/i, "");
+  if (/DTSTART/i.test(value) || /[\r\n]/.test(value)) {
+    throw new Error("Recurrence rule must not contain DTSTART; the event date_time is used.");
+  }
+
+  let options;
+  try {
+    options = RRule.parseString(value);
+  } catch (error) {
+    throw new Error(`Invalid recurrence rule: ${error.message}`);
+  }
+
+  if (options.freq === undefined || options.freq > RRule.DAILY) {
+    throw new Error("Recurrence rule needs FREQ=DAILY, WEEKLY, MONTHLY or YEARLY.");
+  }
+  if (options.count && options.count > MAX_OCCURRENCES) {
+    throw new Error(`Recurrence rule may not exceed ${MAX_OCCURRENCES} occurrences.`);
+  }
+
+  return new RRule({
+    ...options,
+    dtstart: toWallClock(new Date(dtstart), timeZone),
+    ...(options.until ? { until: toWallClock(options.until, timeZone) } : {}),
+  });
+}
+
+// Occurrence starts within [from, to] as instants.
+function occurrencesBetween(rule, from, to, timeZone) {
+  return rule
+    .between(toWallClock(from, timeZone), toWallClock(to, timeZone), true)
+    .map((wallClock) => fromWallClock(wallClock, timeZone))
+    .filter((start) => start >= from && start <= to);
+}
+
+/**
+ * Returns the start of the last occurrence, or null for open-ended series.
+ * Stored on the event so list queries can skip series that already ended.
+ * @param {RRule} rule
+ * @param {string} [timeZone]
+ * @returns {Date|null}
+ * @throws {Error} When the series is empty or too long.
+ */
+function getSeriesEnd(rule, timeZone = DEFAULT_TIME_ZONE) {
+  if (!rule.options.count && !rule.options.until) {
+    return null;
+  }
+
+  const occurrences = rule.all((date, i) => i <= MAX_OCCURRENCES);
+  if (occurrences.length === 0) {
+    throw new Error("Recurrence rule does not produce any occurrences.");
+  }
+  if (occurrences.length > MAX_OCCURRENCES) {
+    throw new Error(`Recurrence rule may not exceed ${MAX_OCCURRENCES} occurrences.`);
+  }
+  return fromWallClock(occurrences[occurrences.length - 1], timeZone);
+}
+
+/**
+ * Checks whether `date` is one of the generated occurrence starts.
+ * @param {RRule} rule
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {boolean}
+ */
+function isOccurrence(rule, date, timeZone = DEFAULT_TIME_ZONE) {
+  return occurrencesBetween(rule, date, date, timeZone).length > 0;
+}
+
+/**
+ * Expands a recurring event into concrete occurrences starting within [from, to].
+ * Cancelled occurrences are dropped and per-occurrence overrides
+ * (date_time, location, title) replace the series values. Each occurrence
+ * lasts as long as the first one.
+ * @param {object} event - Plain event object with recurrence_rule, date_time, end_time and time_zone.
+ * @param {object[]} exceptions - EventOccurrenceException rows for this event.
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {object[]} Event-shaped objects carrying an extra `occurrence_start`.
+ */
+function expandSeries(event, exceptions, from, to) {
+  const timeZone = event.time_zone || DEFAULT_TIME_ZONE;
+  const rule = buildRule(event.recurrence_rule, event.date_time, timeZone);
+  const duration = eventDuration(event);
+  const exceptionsByStart = new Map(
+    exceptions.map((e) => [new Date(e.occurrence_start).toISOString(), e])
+  );
+
+  return occurrencesBetween(rule, from, to, timeZone)
+    .map((start) => {
+      const occurrence_start = start.toISOString();
+      const exception = exceptionsByStart.get(occurrence_start);
+      if (exception && exception.is_cancelled) {
+        return null;
+      }
+      const date_time = (exception && exception.date_time) || start;
+      return {
+        ...event,
+        occurrence_start,
+        date_time,
+        end_time: new Date(new Date(date_time).getTime() + duration),
+        location: (exception && exception.location) || event.location,
+        title: (exception && exception.title) || event.title,
+      };
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  DEFAULT_EXPANSION_DAYS,
+  MAX_EXPANSION_DAYS,
+  buildRule,
+  getSeriesEnd,
+  isOccurrence,
+  expandSeries,
+};
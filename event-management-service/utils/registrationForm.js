@@ -0,0 +1,152 @@
+// Per-event registration questions asked on RSVP (dietary needs, T-shirt size, ...).
+//
+// A form is an ordered array of questions stored on events.registration_form:
+//   { id: "diet", label: "Dietary restrictions", type: "single_choice",
+//     required: true, options: ["None", "Vegetarian", "Vegan"] }
+// Answers are stored with the RSVP as an object keyed by question id.
+
+const QUESTION_TYPES = ["text", "single_choice", "multi_choice"];
+const MAX_QUESTIONS = 20;
+const MAX_OPTIONS = 20;
+const MAX_LABEL_LENGTH = 200;
+const MAX_OPTION_LENGTH = 100;
+const DEFAULT_TEXT_LENGTH = 500;
+const MAX_TEXT_LENGTH = 2000;
+const QUESTION_ID_PATTERN = /^[a-z0-9_-]{1,40}$/;
+
+const isNonEmptyString = (value) => typeof value === "string" && value.trim() !== "";
+
+/**
+ * Validates and normalizes a registration form definition.
+ * @param {object[]|null} form
+ * @returns {object[]|null} The normalized questions, or null for "no form".
+ * @throws {Error} With a client-safe message when the form is invalid.
+ */
+function parseRegistrationForm(form) {
+  if (form === null || (Array.isArray(form) && form.length === 0)) {
+    return null;
+  }
+  if (!Array.isArray(form) || form.length > MAX_QUESTIONS) {
+    throw new Error(
+      `registration_form must be an array of at most ${MAX_QUESTIONS} questions, or null.`
+    );
+  }
+
+  const ids = new Set();
+  return form.map((question, index) => {
+    const where = `registration_form question ${index + 1}`;
+    if (!question || typeof question !== "object") {
+      throw new Error(`${where} must be an object.`);
+    }
+    const { id, label, type, required = false, options, max_length } = question;
+
+    if (typeof id !== "string" || !QUESTION_ID_PATTERN.test(id)) {
+      throw new Error(`${where}: id must be 1-40 lowercase letters, digits, - or _.`);
+    }
+    if (ids.has(id)) {
+      throw new Error(`${where}: duplicate id "${id}".`);
+    }
+    ids.add(id);
+    if (!isNonEmptyString(label) || label.length > MAX_LABEL_LENGTH) {
+      throw new Error(`${where}: label must be 1-${MAX_LABEL_LENGTH} characters.`);
+    }
+    if (!QUESTION_TYPES.includes(type)) {
+      throw new Error(`${where}: type must be one of ${QUESTION_TYPES.join(", ")}.`);
+    }
+    if (typeof required !== "boolean") {
+      throw new Error(`${where}: required must be a boolean.`);
+    }
+
+    if (type === "text") {
+      const limit = max_length === undefined ? DEFAULT_TEXT_LENGTH : max_length;
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TEXT_LENGTH) {
+        throw new Error(`${where}: max_length must be an integer between 1 and ${MAX_TEXT_LENGTH}.`);
+      }
+      return { id, label: label.trim(), type, required, max_length: limit };
+    }
+
+    if (
+      !Array.isArray(options) ||
+      options.length < 2 ||
+      options.length > MAX_OPTIONS ||
+      !options.every((option) => isNonEmptyString(option) && option.length <= MAX_OPTION_LENGTH)
+    ) {
+      throw new Error(
+        `${where}: options must list 2-${MAX_OPTIONS} choices of at most ${MAX_OPTION_LENGTH} characters.`
+      );
+    }
+    const trimmed = options.map((option) => option.trim());
+    if (new Set(trimmed).size !== trimmed.length) {
+      throw new Error(`${where}: options must be unique.`);
+    }
+    return { id, label: label.trim(), type, required, options: trimmed };
+  });
+}
+
+/**
+ * Checks RSVP answers against an event's form.
+ * @param {object[]|null} form - events.registration_form.
+ * @param {object} [answers] - Keyed by question id.
+ * @returns {object|null} Normalized answers (unanswered optional questions omitted), or null.
+ * @throws {Error} With a client-safe message naming the offending question.
+ */
+function validateAnswers(form, answers = {}) {
+  if (answers === null || typeof answers !== "object" || Array.isArray(answers)) {
+    throw new Error("answers must be an object keyed by question id.");
+  }
+  const questions = form || [];
+  const unknown = Object.keys(answers).filter(
+    (id) => !questions.some((question) => question.id === id)
+  );
+  if (unknown.length > 0) {
+    throw new Error(`Unknown registration question(s): ${unknown.join(", ")}.`);
+  }
+
+  const normalized = {};
+  for (const question of questions) {
+    let value = answers[question.id];
+    const blank =
+      value === undefined ||
+      value === null ||
+      (typeof value === "string" && value.trim() === "") ||
+      (Array.isArray(value) && value.length === 0);
+    if (blank) {
+      if (question.required) {
+        throw new Error(`"${question.label}" is required.`);
+      }
+      continue;
+    }
+
+    if (question.type === "text") {
+      if (typeof value !== "string") {
+        throw new Error(`"${question.label}" must be text.`);
+      }
+      value = value.trim();
+      if (value.length > question.max_length) {
+        throw new Error(`"${question.label}" must be at most ${question.max_length} characters.`);
+      }
+    } else if (question.type === "single_choice") {
+      if (!question.options.includes(value)) {
+        throw new Error(`"${question.label}" must be one of: ${question.options.join(", ")}.`);
+      }
+    } else if (
+      !Array.isArray(value) ||
+      !value.every((choice) => question.options.includes(choice)) ||
+      new Set(value).size !== value.length
+    ) {
+      throw new Error(
+        `"${question.label}" must be a list of distinct choices from: ${question.options.join(", ")}.`
+      );
+    }
+    normalized[question.id] = value;
+  }
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Flattens an answer for tabular export: multi-choice answers are joined with "; ".
+ */
+const formatAnswer = (value) =>
+  Array.isArray(value) ? value.join("; ") : value === undefined || value === null ? "" : String(value);
+
+module.exports = { parseRegistrationForm, validateAnswers, formatAnswer };
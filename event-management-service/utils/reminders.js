@@ -0,0 +1,62 @@
+// Reminder schedule: when event_reminder is emitted before an event starts.
+//
+// Offsets are minutes before the start, configured per deployment with
+// REMINDER_OFFSETS_MINUTES (comma-separated, default "1440,60" for 24h and 1h).
+// Each offset reminds of one start at a time: the event itself, or the next
+// occurrence of a series whose reminder time is still ahead.
+
+const DEFAULT_REMINDER_OFFSETS = "1440,60";
+// Longest supported offset (30 days), and how far ahead a series is searched
+// for its next occurrence (a yearly series still has one).
+const MAX_REMINDER_OFFSET_MINUTES = 30 * 24 * 60;
+const SERIES_LOOKAHEAD_DAYS = 400;
+
+/**
+ * @param {string} [value] - e.g. "1440,60".
+ * @returns {number[]} Distinct offsets in minutes, longest first.
+ * @throws {Error} When an offset is not a whole number of minutes in range.
+ */
+function parseReminderOffsets(value = DEFAULT_REMINDER_OFFSETS) {
+  const offsets = value
+    .split(",")
+    .map((part) => part.trim())
+    .filter((part) => part !== "")
+    .map(Number);
+  for (const offset of offsets) {
+    if (!Number.isInteger(offset) || offset < 1 || offset > MAX_REMINDER_OFFSET_MINUTES) {
+      throw new Error(
+        `REMINDER_OFFSETS_MINUTES must list whole minutes from 1 to ${MAX_REMINDER_OFFSET_MINUTES}.`
+      );
+    }
+  }
+  return [...new Set(offsets)].sort((a, b) => b - a);
+}
+
+/**
+ * The reminders to schedule: for each offset, the first slot whose reminder
+ * time is after `now`. Starts too close to be reminded in time are skipped.
+ * @param {{ starts_at: Date, occurrence_start: string|null }[]} slots - In start order.
+ * @param {number[]} offsets - Minutes before the start.
+ * @param {Date} now
+ * @returns {{ offset_minutes: number, starts_at: Date, occurrence_start: string|null, remind_at: Date }[]}
+ */
+function planReminders(slots, offsets, now) {
+  const reminders = [];
+  for (const offset_minutes of offsets) {
+    for (const slot of slots) {
+      const remind_at = new Date(slot.starts_at.getTime() - offset_minutes * 60000);
+      if (remind_at > now) {
+        reminders.push({ offset_minutes, ...slot, remind_at });
+        break;
+      }
+    }
+  }
+  return reminders;
+}
+
+module.exports = {
+  MAX_REMINDER_OFFSET_MINUTES,
+  SERIES_LOOKAHEAD_DAYS,
+  parseReminderOffsets,
+  planReminders,
+};
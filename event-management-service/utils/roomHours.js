@@ -0,0 +1,148 @@
+// Weekly opening hours of bookable rooms.
+//
+// A room's availability windows are wall-clock times in its building's time
+// zone, e.g. { weekday: 1, opens_at: "08:00", closes_at: "22:00" } for Mondays
+// (0 = Sunday). A booking must fit inside a single window; rooms without any
+// windows can be booked at any time.
+
+const { toWallClock, fromWallClock } = require("./eventTime");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_WINDOWS = 50;
+const TIME_PATTERN = /^(?:([01]\d|2[0-3]):([0-5]\d)|(24):(00))(?::00)?$/;
+
+// "HH:MM" (or Postgres' "HH:MM:SS") -> minutes after midnight.
+function toMinutes(time) {
+  const match = TIME_PATTERN.exec(time);
+  return match ? Number(match[1] || match[3]) * 60 + Number(match[2] || match[4]) : null;
+}
+
+const formatTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+
+/**
+ * Validates a list of availability windows.
+ * @param {*} value - Raw request value.
+ * @returns {{ weekday: number, opens_at: string, closes_at: string }[]} Sorted by weekday and time.
+ * @throws {Error} With a client-safe message.
+ */
+function parseAvailabilityWindows(value) {
+  if (!Array.isArray(value) || value.length > MAX_WINDOWS) {
+    throw new Error(`windows must be an array of at most ${MAX_WINDOWS} entries.`);
+  }
+  const windows = value.map((window, i) => {
+    if (!window || typeof window !== "object") {
+      throw new Error(`windows[${i}] must be an object.`);
+    }
+    const { weekday, opens_at, closes_at } = window;
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+      throw new Error(`windows[${i}].weekday must be an integer from 0 (Sunday) to 6.`);
+    }
+    const opens = typeof opens_at === "string" ? toMinutes(opens_at) : null;
+    const closes = typeof closes_at === "string" ? toMinutes(closes_at) : null;
+    if (opens === null || closes === null) {
+      throw new Error(`windows[${i}] opens_at and closes_at must be HH:MM times.`);
+    }
+    if (closes <= opens) {
+      throw new Error(`windows[${i}] must close after it opens.`);
+    }
+    return { weekday, opens, closes };
+  });
+
+  windows.sort((a, b) => a.weekday - b.weekday || a.opens - b.opens);
+  windows.forEach((window, i) => {
+    const previous = windows[i - 1];
+    if (previous && previous.weekday === window.weekday && window.opens < previous.closes) {
+      throw new Error("Availability windows on the same weekday must not overlap.");
+    }
+  });
+  return windows.map(({ weekday, opens, closes }) => ({
+    weekday,
+    opens_at: formatTime(opens),
+    closes_at: formatTime(closes),
+  }));
+}
+
+/**
+ * Whether [date_time, end_time) lies inside one of the windows.
+ * @param {object[]} windows - RoomAvailability rows or parsed windows.
+ * @param {string} timeZone - The building's time zone.
+ * @param {{ date_time: Date, end_time: Date }} slot
+ */
+function withinHours(windows, timeZone, slot) {
+  if (windows.length === 0) {
+    return true;
+  }
+  const start = toWallClock(new Date(slot.date_time), timeZone).getTime();
+  const end = toWallClock(new Date(slot.end_time), timeZone).getTime();
+  const day = Math.floor(start / DAY_MS) * DAY_MS;
+  const weekday = new Date(day).getUTCDay();
+  return windows.some(
+    (window) =>
+      window.weekday === weekday &&
+      start >= day + toMinutes(window.opens_at) * 60000 &&
+      end <= day + toMinutes(window.closes_at) * 60000
+  );
+}
+
+/**
+ * The opening hours within [from, to] as instants.
+ * @returns {{ starts_at: Date, ends_at: Date }[]} In time order.
+ */
+function openingIntervals(windows, timeZone, from, to) {
+  if (windows.length === 0) {
+    return [{ starts_at: from, ends_at: to }];
+  }
+  const intervals = [];
+  const firstDay = Math.floor(toWallClock(from, timeZone).getTime() / DAY_MS) * DAY_MS;
+  const lastDay = toWallClock(to, timeZone).getTime();
+  for (let day = firstDay; day <= lastDay; day += DAY_MS) {
+    const weekday = new Date(day).getUTCDay();
+    for (const window of windows.filter((w) => w.weekday === weekday)) {
+      const opens = fromWallClock(new Date(day + toMinutes(window.opens_at) * 60000), timeZone);
+      const closes = fromWallClock(new Date(day + toMinutes(window.closes_at) * 60000), timeZone);
+      const starts_at = opens < from ? from : opens;
+      const ends_at = closes > to ? to : closes;
+      if (starts_at < ends_at) {
+        intervals.push({ starts_at, ends_at });
+      }
+    }
+  }
+  return intervals.sort((a, b) => a.starts_at - b.starts_at);
+}
+
+/**
+ * Removes busy periods from a list of intervals.
+ * @param {{ starts_at: Date, ends_at: Date }[]} intervals - Non-overlapping, in time order.
+ * @param {{ starts_at: Date, ends_at: Date }[]} busy
+ * @returns {{ starts_at: Date, ends_at: Date }[]}
+ */
+function subtractIntervals(intervals, busy) {
+  const sortedBusy = [...busy].sort((a, b) => new Date(a.starts_at) - new Date(b.starts_at));
+  const free = [];
+  for (const interval of intervals) {
+    let cursor = interval.starts_at;
+    for (const period of sortedBusy) {
+      const busyStart = new Date(period.starts_at);
+      const busyEnd = new Date(period.ends_at);
+      if (busyEnd <= cursor || busyStart >= interval.ends_at) {
+        continue;
+      }
+      if (busyStart > cursor) {
+        free.push({ starts_at: cursor, ends_at: busyStart });
+      }
+      cursor = busyEnd > cursor ? busyEnd : cursor;
+    }
+    if (cursor < interval.ends_at) {
+      free.push({ starts_at: cursor, ends_at: interval.ends_at });
+    }
+  }
+  return free;
+}
+
+module.exports = {
+  parseAvailabilityWindows,
+  withinHours,
+  openingIntervals,
+  subtractIntervals,
+};
@@ -0,0 +1,54 @@
+// RSVP states.
+//
+// Only "going" RSVPs hold seats: they are counted in attendees_count by party
+// size, can be waitlisted, checked in and are reported as schedule conflicts.
+// The other states are counted per RSVP on the event so hosts (and, through
+// rsvp_status_changed, DRS and RNS) can see softer interest.
+
+const { partySize } = require("./guests");
+
+const RSVP_STATUSES = ["going", "maybe", "interested", "declined"];
+
+// Event column counting each state
+const STATUS_COUNTERS = {
+  going: "attendees_count",
+  maybe: "maybe_count",
+  interested: "interested_count",
+  declined: "declined_count",
+};
+
+/**
+ * @param {*} value - Request value; undefined means "going".
+ * @returns {string}
+ * @throws {Error} With a client-safe message.
+ */
+function parseRsvpStatus(value) {
+  if (value === undefined) {
+    return "going";
+  }
+  if (!RSVP_STATUSES.includes(value)) {
+    throw new Error(`status must be one of: ${RSVP_STATUSES.join(", ")}.`);
+  }
+  return value;
+}
+
+const weight = (rsvp) => (rsvp.rsvp_status === "going" ? partySize(rsvp) : 1);
+
+/**
+ * Event counter changes for an RSVP moving between states (or party sizes).
+ * @param {{ rsvp_status: string, guests?: number }|null} before - null for a new RSVP.
+ * @param {{ rsvp_status: string, guests?: number }|null} after - null for a removed RSVP.
+ * @returns {object} Column -> amount, for event.increment(); empty when nothing changes.
+ */
+function counterChanges(before, after) {
+  const changes = {};
+  for (const [rsvp, sign] of [[before, -1], [after, 1]]) {
+    if (rsvp) {
+      const column = STATUS_COUNTERS[rsvp.rsvp_status];
+      changes[column] = (changes[column] || 0) + sign * weight(rsvp);
+    }
+  }
+  return Object.fromEntries(Object.entries(changes).filter(([, amount]) => amount !== 0));
+}
+
+module.exports = { RSVP_STATUSES, STATUS_COUNTERS, parseRsvpStatus, counterChanges };
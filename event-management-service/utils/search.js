@@ -0,0 +1,152 @@
+// Postgres full-text search over events.
+//
+// events.search_vector is maintained by a trigger (installed at startup) as
+//   title (weight A) || description (B) || location (C)
+// with the 'english' configuration, so "running" also matches "run", and is
+// indexed with GIN. Queries AND all terms and prefix-match the last one.
+
+const sequelize = require("./db");
+const { fn, col, where, literal } = require("sequelize");
+
+const SEARCH_CONFIG = "english";
+const MAX_QUERY_TERMS = 10;
+
+// Highlighted fragments; the client renders <mark> as highlight. The source
+// text is HTML-escaped first (see escapeHtml), so <mark> is the only markup.
+const TITLE_HEADLINE_OPTIONS = "StartSel=<mark>, StopSel=</mark>, HighlightAll=true";
+const SNIPPET_HEADLINE_OPTIONS =
+  "StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=25, MinWords=8, FragmentDelimiter=\" … \"";
+
+// Date facet buckets, measured from the time of the request.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_BUCKETS = [
+  ["next_24_hours", DAY_MS],
+  ["next_7_days", 7 * DAY_MS],
+  ["next_30_days", 30 * DAY_MS],
+];
+
+const VECTOR_SQL = (row) => `
+  setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(${row}title, '')), 'A') ||
+  setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(${row}description, '')), 'B') ||
+  setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(${row}location, '')), 'C')`;
+
+/**
+ * Creates (or refreshes) the trigger that keeps events.search_vector current and
+ * backfills rows written before it existed. Idempotent; run after sequelize.sync().
+ */
+async function installSearchTrigger() {
+  await sequelize.query(`
+    CREATE OR REPLACE FUNCTION events_search_vector_refresh() RETURNS trigger AS $$
+    BEGIN
+      NEW.search_vector := ${VECTOR_SQL("NEW.")};
+      RETURN NEW;
+    END
+    $$ LANGUAGE plpgsql;
+  `);
+  await sequelize.query(
+    "DROP TRIGGER IF EXISTS events_search_vector_refresh ON events;"
+  );
+  await sequelize.query(`
+    CREATE TRIGGER events_search_vector_refresh
+    BEFORE INSERT OR UPDATE OF title, description, location ON events
+    FOR EACH ROW EXECUTE FUNCTION events_search_vector_refresh();
+  `);
+  await sequelize.query(
+    `UPDATE events SET search_vector = ${VECTOR_SQL("")} WHERE search_vector IS NULL;`
+  );
+}
+
+/**
+ * Turns free text into a to_tsquery() expression, or null if nothing searchable remains.
+ * Punctuation is dropped, so user input can never produce tsquery syntax errors.
+ * @param {string} text
+ * @returns {object|null} Sequelize fn('to_tsquery', ...).
+ */
+function buildTsQuery(text) {
+  const terms = (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).slice(
+    0,
+    MAX_QUERY_TERMS
+  );
+  if (terms.length === 0) {
+    return null;
+  }
+  // The last term is still being typed, so it matches as a prefix
+  const expression = terms
+    .map((term, i) => (i === terms.length - 1 ? `${term}:*` : term))
+    .join(" & ");
+  return fn("to_tsquery", SEARCH_CONFIG, expression);
+}
+
+// Characters escaped before highlighting, & first so entities are not escaped twice.
+const HTML_ESCAPES = [
+  ["&", "&amp;"],
+  ["<", "&lt;"],
+  [">", "&gt;"],
+  ['"', "&quot;"],
+  ["'", "&#39;"],
+];
+
+// SQL expression for `text` with HTML special characters escaped. The parser
+// reads each entity as one token, so escaping neither splits nor matches words.
+const escapeHtml = (text) =>
+  HTML_ESCAPES.reduce((escaped, [char, entity]) => fn("replace", escaped, char, entity), text);
+
+/**
+ * Query pieces for a tsquery: the WHERE match, the rank and the highlight attributes.
+ * Columns are qualified because series queries join occurrence exceptions.
+ */
+function searchExpressions(tsquery) {
+  const rank = fn("ts_rank_cd", col("Event.search_vector"), tsquery);
+  return {
+    match: where(col("Event.search_vector"), "@@", tsquery),
+    rank,
+    attributes: [
+      [
+        fn("ts_headline", SEARCH_CONFIG, escapeHtml(col("Event.title")), tsquery, TITLE_HEADLINE_OPTIONS),
+        "title_highlight",
+      ],
+      [
+        fn(
+          "ts_headline",
+          SEARCH_CONFIG,
+          escapeHtml(fn("coalesce", col("Event.description"), "")),
+          tsquery,
+          SNIPPET_HEADLINE_OPTIONS
+        ),
+        "description_snippet",
+      ],
+    ],
+  };
+}
+
+/**
+ * Date facet bucket for a start time.
+ * @returns {string} 'past', one of DATE_BUCKETS, or 'later'.
+ */
+function dateBucket(date, now) {
+  const offset = new Date(date) - now;
+  if (offset < 0) {
+    return "past";
+  }
+  const bucket = DATE_BUCKETS.find(([, span]) => offset < span);
+  return bucket ? bucket[0] : "later";
+}
+
+// SQL twin of dateBucket() for GROUP BY on one-off events.
+function dateBucketSql(now) {
+  const bound = (ms) => `'${new Date(now.getTime() + ms).toISOString()}'::timestamptz`;
+  const cases = DATE_BUCKETS.map(
+    ([name, span]) => `WHEN "Event"."date_time" < ${bound(span)} THEN '${name}'`
+  ).join(" ");
+  return literal(
+    `CASE WHEN "Event"."date_time" < ${bound(0)} THEN 'past' ${cases} ELSE 'later' END`
+  );
+}
+
+module.exports = {
+  installSearchTrigger,
+  buildTsQuery,
+  searchExpressions,
+  dateBucket,
+  dateBucketSql,
+};
@@ -0,0 +1,84 @@
+const Category = require("../models/Category");
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+// Seeded on startup so a fresh database has a usable taxonomy.
+const DEFAULT_CATEGORIES = [
+  { slug: "academic", name: "Academic" },
+  { slug: "arts-culture", name: "Arts & Culture" },
+  { slug: "career", name: "Career" },
+  { slug: "social", name: "Social" },
+  { slug: "sports", name: "Sports" },
+  { slug: "technology", name: "Technology" },
+  { slug: "volunteering", name: "Volunteering" },
+  { slug: "wellness", name: "Wellness" },
+];
+
+async function seedCategories() {
+  for (const category of DEFAULT_CATEGORIES) {
+    await Category.findOrCreate({ where: { slug: category.slug }, defaults: category });
+  }
+  console.log(`[Taxonomy] ${DEFAULT_CATEGORIES.length} default categories ensured.`);
+}
+
+/**
+ * Normalizes free-form tags: trimmed, lowercase, spaces to dashes, de-duplicated.
+ * @param {string[]} tags
+ * @returns {string[]}
+ * @throws {Error} With a client-safe message when the tag list is invalid.
+ */
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) {
+    throw new Error("Tags must be an array of strings.");
+  }
+
+  const normalized = [];
+  for (const tag of tags) {
+    if (typeof tag !== "string") {
+      throw new Error("Tags must be an array of strings.");
+    }
+    const value = tag.trim().toLowerCase().replace(/\s+/g, "-");
+    if (!value) {
+      continue;
+    }
+    if (value.length > MAX_TAG_LENGTH || !/^[a-z0-9][a-z0-9-]*$/.test(value)) {
+      throw new Error(
+        `Invalid tag "${tag}": use letters, numbers and dashes (max ${MAX_TAG_LENGTH} characters).`
+      );
+    }
+    if (!normalized.includes(value)) {
+      normalized.push(value);
+    }
+  }
+
+  if (normalized.length > MAX_TAGS) {
+    throw new Error(`An event may have at most ${MAX_TAGS} tags.`);
+  }
+  return normalized;
+}
+
+/**
+ * Ensures `slug` names an active category. null clears the category.
+ * @returns {Promise<string|null>} Error message, or null when valid.
+ */
+async function validateCategory(slug) {
+  if (slug === null) {
+    return null;
+  }
+  if (typeof slug !== "string") {
+    return "Category must be a category slug.";
+  }
+  const category = await Category.findByPk(slug);
+  if (!category || !category.is_active) {
+    return `Unknown category "${slug}". See GET /categories for valid values.`;
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  seedCategories,
+  normalizeTags,
+  validateCategory,
+};
@@ -0,0 +1,85 @@
+// Time-driven lifecycle transitions: scheduled publishing and completion.
+// Each transition is a single conditional UPDATE ... RETURNING whose announcements
+// go to the outbox in the same transaction, so when several replicas run this
+// worker only the one whose update claims a row announces it.
+
+const Event = require("../models/Event");
+const { Op, literal } = require("sequelize");
+const sequelize = require("../utils/db");
+const { publishEvent } = require("../services/outbox");
+const { announceEvent } = require("../services/lifecycle");
+const { syncRoomBookings } = require("../services/roomBookings");
+const { syncReminders } = require("../services/reminders");
+
+async function publishScheduledDrafts() {
+  const now = new Date();
+  const published = await sequelize.transaction(async (transaction) => {
+    const [, rows] = await Event.update(
+      { status: "published", published_at: now },
+      {
+        where: { status: "draft", publish_at: { [Op.lte]: now } },
+        returning: true,
+        transaction,
+      }
+    );
+    for (const event of rows) {
+      await syncReminders(event, transaction);
+      await announceEvent(event, transaction);
+    }
+    return rows;
+  });
+  if (published.length > 0) {
+    console.log(`[Lifecycle] Published ${published.length} scheduled event(s).`);
+  }
+}
+
+async function completePastEvents() {
+  const now = new Date();
+  // Events complete once they end; a series once its last occurrence (which
+  // starts at recurrence_end and lasts as long as the first) ends.
+  // Open-ended series (no recurrence_end) stay published until cancelled.
+  await sequelize.transaction(async (transaction) => {
+    const [, completed] = await Event.update(
+      { status: "completed" },
+      {
+        where: {
+          status: "published",
+          [Op.or]: [
+            { recurrence_rule: null, end_time: { [Op.lt]: now } },
+            {
+              recurrence_rule: { [Op.ne]: null },
+              recurrence_end: { [Op.ne]: null },
+              [Op.and]: literal(
+                `recurrence_end + (end_time - date_time) < ${sequelize.escape(now.toISOString())}::timestamptz`
+              ),
+            },
+          ],
+        },
+        returning: true,
+        transaction,
+      }
+    );
+
+    for (const event of completed) {
+      // Only trims bookings when an occurrence was moved past the series end
+      await syncRoomBookings(event, transaction);
+      await syncReminders(event, transaction);
+      await publishEvent(
+        "event_completed",
+        { event_id: event.event_id, host_id: event.host_id, title: event.title },
+        { transaction }
+      );
+    }
+  });
+}
+
+async function runLifecycleTransitions() {
+  try {
+    await publishScheduledDrafts();
+    await completePastEvents();
+  } catch (error) {
+    console.error("[Lifecycle] Transition run failed:", error);
+  }
+}
+
+module.exports = { runLifecycleTransitions, publishScheduledDrafts, completePastEvents };
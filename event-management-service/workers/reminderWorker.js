@@ -0,0 +1,92 @@
+// Emits due event reminders.
+// Claiming is a single conditional UPDATE ... RETURNING (sent_at IS NULL, event
+// published), and the event_reminder messages go to the outbox in the same transaction, so when
+// several replicas run this worker each reminder is emitted by exactly one.
+// Rows survive restarts: reminders that fell due while the service was down
+// are sent on the next run unless their start has already passed.
+
+const Event = require("../models/Event");
+const EventReminder = require("../models/EventReminder");
+const { Op, literal } = require("sequelize");
+const sequelize = require("../utils/db");
+const { publishEvent } = require("../services/outbox");
+const { syncReminders, findReminderAudience } = require("../services/reminders");
+
+async function sendDueReminders() {
+  const now = new Date();
+  const sent = await sequelize.transaction(async (transaction) => {
+    const [, claimed] = await EventReminder.update(
+      { sent_at: now },
+      {
+        where: {
+          sent_at: null,
+          remind_at: { [Op.lte]: now },
+          // Reminders of events that are not published stay pending, never claimed and dropped
+          event_id: {
+            [Op.in]: literal("(SELECT event_id FROM events WHERE status = 'published')"),
+          },
+        },
+        returning: true,
+        transaction,
+      }
+    );
+    if (claimed.length === 0) {
+      return 0;
+    }
+
+    const events = await Event.findAll({
+      where: { event_id: [...new Set(claimed.map((reminder) => reminder.event_id))] },
+      transaction,
+    });
+    const eventsById = new Map(events.map((event) => [event.event_id, event]));
+
+    let emitted = 0;
+    for (const reminder of claimed) {
+      const event = eventsById.get(reminder.event_id);
+      // Late reminders would arrive after the start
+      if (!event || reminder.starts_at <= now) {
+        continue;
+      }
+      await publishEvent(
+        "event_reminder",
+        {
+          event_id: event.event_id,
+          host_id: event.host_id,
+          title: event.title,
+          location: event.location,
+          starts_at: reminder.starts_at.toISOString(),
+          occurrence_start: reminder.occurrence_start && reminder.occurrence_start.toISOString(),
+          offset_minutes: reminder.offset_minutes,
+          attendee_ids: await findReminderAudience(
+            event.event_id,
+            reminder.occurrence_start,
+            transaction
+          ),
+        },
+        { transaction }
+      );
+      emitted++;
+    }
+
+    // A series moves on to its next occurrence once an offset has fired
+    for (const event of events) {
+      if (event.recurrence_rule) {
+        await syncReminders(event, transaction);
+      }
+    }
+    return emitted;
+  });
+  if (sent > 0) {
+    console.log(`[Reminders] Emitted ${sent} event reminder(s).`);
+  }
+}
+
+async function runReminders() {
+  try {
+    await sendDueReminders();
+  } catch (error) {
+    console.error("[Reminders] Run failed:", error);
+  }
+}
+
+module.exports = { runReminders, sendDueReminders };
@@ -106,7 +106,7 @@ const resolvers = {
         try {
             const response = await axios.get(`${EMS_URL}/events/search?query=${query}`);
             // console.log(response,"data returned..from search")
-            return response.data;
+            return response.data.events; // EMS returns one page: { events, next_cursor, ... }
         } catch (e) {
             console.error("EMS Search Failed:", e.message);
             return [];
@@ -182,7 +182,7 @@ const resolvers = {
         if (!userId) return [];
         try {
             const response = await axios.get(`${EMS_URL}/events/attending?userId=${userId}`);
-            return response.data; // EMS should return an array of Event objects
+            return response.data.events; // First page of Event objects
         } catch (e) {
             console.error(`Error fetching attending events for ${userId}:`, e.message);
             return [];
@@ -196,7 +196,7 @@ const resolvers = {
         try {
             // Assumes EMS has a REST endpoint: GET /events/created?hostId=...
             const response = await axios.get(`${EMS_URL}/events/created?hostId=${userId}`);
-            return response.data; // EMS should return an array of Event objects
+            return response.data.events; // First page of Event objects
         } catch (e) {
             console.error(`Error fetching created events for ${userId}:`, e.message);
             return [];
@@ -10,6 +10,21 @@ const TOPIC_INTERACTIONS = 'event_interactions';
 const kafka = new Kafka({ clientId: 'rns-consumer-group', brokers: [KAFKA_BROKERS] });
 const consumer = kafka.consumer({ groupId: 'rns-main-consumer' });
 
+// Human-readable summary of an event_updated diff, e.g. "time, location".
+const CHANGE_LABELS = { date_time: 'time', building_id: 'venue', room_id: 'venue' };
+function describeChanges(changes = []) {
+    const labels = changes.map(({ field }) => CHANGE_LABELS[field] || field.replace(/_/g, ' '));
+    return [...new Set(labels)].join(', ') || 'details';
+}
+
+// Lead time of an event_reminder, e.g. "in 24 hours" or "in 30 minutes".
+function describeLeadTime(minutes) {
+    if (minutes % 60 === 0) {
+        return `in ${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+    }
+    return `in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
 /**
  * Processes messages consumed from Kafka topics and triggers fan-out.
  */
@@ -23,13 +38,17 @@ async function processEvent(event) {
             case 'event_created':
             case 'event_updated':
                 // 1. Identify Target Audience (Followers of the host)
+                // Invite-only events are private to their invitees, so followers are not told
+                if (data.visibility === 'invite_only') {
+                    break;
+                }
                 // SYNCHRONOUS REST CALL TO USS: gets the list of user IDs who follow the host
                 audienceIds = await getFollowers(data.host_id); 
                 
                 notification = {
                     message: (type === 'event_created' ? 
                               `NEW EVENT: ${data.title} by ${data.host_id}` : 
-                              `UPDATE: Event ${data.title} changed.`),
+                              `UPDATE: Event ${data.title} changed (${describeChanges(data.changes)}).`),
                     event_id: data.event_id,
                     type: type,
                     timestamp: event.timestamp
@@ -47,6 +66,117 @@ async function processEvent(event) {
                 };
                 break;
 
+            case 'rsvp_status_changed':
+                // Only a change to "going" is confirmed; maybe/interested/declined stay silent
+                if (data.status !== 'going') {
+                    break;
+                }
+                audienceIds = [data.user_id];
+                notification = {
+                    message: `RSVP Confirmed for event ${data.event_id}.`,
+                    event_id: data.event_id,
+                    type: 'confirmation',
+                    timestamp: event.timestamp
+                };
+                break;
+
+            case 'rsvp_waitlisted':
+                audienceIds = [data.user_id];
+                notification = {
+                    message: `Event ${data.event_id} is full. You are #${data.position} on the waitlist.`,
+                    event_id: data.event_id,
+                    type: 'waitlist',
+                    timestamp: event.timestamp
+                };
+                break;
+
+            case 'rsvp_promoted':
+                // 1. Audience is the waitlisted user who just received a seat
+                audienceIds = [data.user_id];
+                notification = {
+                    message: `A spot opened up! Your RSVP for event ${data.event_id} is confirmed.`,
+                    event_id: data.event_id,
+                    type: 'confirmation',
+                    timestamp: event.timestamp
+                };
+                break;
+
+            case 'occurrence_updated':
+            case 'occurrence_cancelled':
+                // 1. Audience is everyone attending that occurrence (series + single-occurrence RSVPs)
+                audienceIds = data.attendee_ids || [];
+                notification = {
+                    message: (type === 'occurrence_cancelled' ?
+                              `CANCELLED: ${data.title} on ${data.occurrence_start} will not take place.` :
+                              `UPDATE: ${data.title} on ${data.occurrence_start} changed.`),
+                    event_id: data.event_id,
+                    type: type,
+                    timestamp: event.timestamp
+                };
+                break;
+
+            case 'event_reminder':
+                // 1. Audience is everyone going to that event or occurrence (EMS resolves it)
+                audienceIds = data.attendee_ids || [];
+                notification = {
+                    message: `REMINDER: ${data.title} starts ${describeLeadTime(data.offset_minutes)}` +
+                             (data.location ? ` at ${data.location}.` : '.'),
+                    event_id: data.event_id,
+                    type: type,
+                    timestamp: event.timestamp
+                };
+                break;
+
+            case 'event_cancelled':
+                // 1. Audience is everyone holding or waiting for a seat
+                audienceIds = data.attendee_ids || [];
+                notification = {
+                    message: `CANCELLED: ${data.title} will not take place.` +
+                             (data.reason ? ` Reason: ${data.reason}` : ''),
+                    event_id: data.event_id,
+                    type: type,
+                    timestamp: event.timestamp
+                };
+                break;
+
+            case 'staff_invited':
+                // 1. Audience is the user who was given a role on the event
+                audienceIds = [data.user_id];
+                notification = {
+                    message: `You were added as ${data.role === 'co_host' ? 'a co-host' : 'check-in staff'} for ${data.title}.`,
+                    event_id: data.event_id,
+                    type: 'staff',
+                    timestamp: event.timestamp
+                };
+                break;
+
+            case 'comment_created':
+                // 1. Audience is the event's hosts plus, for replies, everyone earlier in the thread
+                audienceIds = [...new Set([...(data.host_ids || []), ...(data.thread_participant_ids || [])])]
+                    .filter(id => id !== data.author_id);
+                notification = {
+                    message: (data.parent_id ?
+                              `New reply on ${data.title}: "${data.excerpt}"` :
+                              `New comment on ${data.title}: "${data.excerpt}"`),
+                    event_id: data.event_id,
+                    comment_id: data.comment_id,
+                    type: 'comment',
+                    timestamp: event.timestamp
+                };
+                break;
+
+            case 'comment_answer_pinned':
+                // 1. Audience is whoever asked the question
+                audienceIds = data.question_author_id !== data.pinned_by ? [data.question_author_id] : [];
+                notification = {
+                    message: `Your question on ${data.title} has an answer from the host.`,
+                    event_id: data.event_id,
+                    comment_id: data.comment_id,
+                    type: 'comment',
+                    timestamp: event.timestamp
+                };
+                break;
+
             case 'user_followed':
                 // 1. Audience is the user who was followed (for notification)
                 audienceIds = [data.followingId]; 
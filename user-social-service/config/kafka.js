@@ -12,35 +12,22 @@ const kafka = new Kafka({
 const producer = kafka.producer();
 producer.connect();
 
-const TOPIC_USER_EVENTS = 'user_events';
-
 /**
- * Publishes an event to the 'user_events' Kafka topic.
- * @param {string} type - The event type (e.g., 'user_followed', 'user_unfollowed').
- * @param {object} payload - The event data.
+ * Sends one event to Kafka. Controllers publish through services/outbox.js;
+ * only the outbox relay calls this, and it owns retries and per-key ordering.
+ * @param {string} topic - Destination topic ('user_events').
+ * @param {string} key - Partition key (the followerId, so one user's events stay ordered).
+ * @param {object} event - `{ type, timestamp, data }`.
  */
-async function publishUserEvent(type, payload) {
-    
-    // 1. Determine the key based on the follower ID (the entity that changed the state)
-    // We assume payload.followerId is a string or UUID.
-    const partitionKey = payload.followerId; 
-
-    // 2. Structure the full event object
-    const event = {
-        type,
-        timestamp: new Date().toISOString(),
-        data: payload // Contains followerId and followingId
-    };
-
+async function sendEvent(topic, key, event) {
     await producer.send({
-        topic: TOPIC_USER_EVENTS,
+        topic,
         messages: [{
-            // FIX: Use the followerId as the key for partitioning
-            key: partitionKey, 
+            key,
             value: JSON.stringify(event)
         }],
     });
-    console.log(`Published event: ${type}`);
+    console.log(`Published event: ${event.type}`);
 }
 
-module.exports = { publishUserEvent };
\ No newline at end of file
+module.exports = { sendEvent };
@@ -5,7 +5,8 @@ const {
   verifyPassword,
   generateToken,
 } = require("../utils/auth");
-const { publishUserEvent } = require("../config/kafka");
+const { publishUserEvent } = require("../services/outbox");
+const sequelize = require("../utils/db");
 const { Sequelize, fn, col, Op } = require("sequelize");
 // --- 1. User Authentication and Management ---
 
@@ -158,9 +159,26 @@ exports.followUser = async (req, res) => {
         .send({ message: "Target user/organization not found." });
     }
 
-    const [follow, created] = await Follower.findOrCreate({
-      where: { follower_id, following_id: target_user_id },
-      defaults: { follower_id, following_id: target_user_id },
+    // The follow and its Kafka event (via the outbox) commit together
+    const created = await sequelize.transaction(async (transaction) => {
+      const [follow, wasCreated] = await Follower.findOrCreate({
+        where: { follower_id, following_id: target_user_id },
+        defaults: { follower_id, following_id: target_user_id },
+        transaction,
+      });
+
+      if (wasCreated) {
+        await publishUserEvent(
+          "user_followed",
+          {
+            followerId: follower_id,
+            followingId: target_user_id,
+            timestamp: new Date().toISOString(),
+          },
+          { transaction }
+        );
+      }
+      return wasCreated;
     });
 
     if (!created) {
@@ -169,13 +187,6 @@ exports.followUser = async (req, res) => {
         .send({ message: "Already following this user/organization." });
     }
 
-    // Publish Event to Kafka
-    await publishUserEvent("user_followed", {
-      followerId: follower_id,
-      followingId: target_user_id,
-      timestamp: new Date().toISOString(),
-    });
-
     res
       .status(200)
       .send({ status: `Successfully followed user ${target_user_id}` });
@@ -191,11 +202,28 @@ exports.unfollowUser = async (req, res) => {
   const target_user_id = req.params.target_user_id;
 
   try {
-    const deletedCount = await Follower.destroy({
-      where: {
-        follower_id: follower_id,
-        following_id: target_user_id,
-      },
+    const deletedCount = await sequelize.transaction(async (transaction) => {
+      const count = await Follower.destroy({
+        where: {
+          follower_id: follower_id,
+          following_id: target_user_id,
+        },
+        transaction,
+      });
+
+      // Publish Event to Kafka via the outbox
+      if (count > 0) {
+        await publishUserEvent(
+          "user_unfollowed",
+          {
+            followerId: follower_id,
+            followingId: target_user_id,
+            timestamp: new Date().toISOString(),
+          },
+          { transaction }
+        );
+      }
+      return count;
     });
 
     if (deletedCount === 0) {
@@ -204,13 +232,6 @@ exports.unfollowUser = async (req, res) => {
         .send({ message: "Follow relationship not found." });
     }
 
-    // Publish Event to Kafka
-    await publishUserEvent("user_unfollowed", {
-      followerId: follower_id,
-      followingId: target_user_id,
-      timestamp: new Date().toISOString(),
-    });
-
     res
       .status(200)
       .send({ status: `Successfully unfollowed user ${target_user_id}` });
@@ -277,6 +298,40 @@ exports.getFollowers = async (req, res) => {
   }
 };
 
+const MAX_BATCH_LOOKUP = 100;
+
+exports.getUsersBatch = async (req, res) => {
+  const { user_ids } = req.body || {};
+
+  if (
+    !Array.isArray(user_ids) ||
+    user_ids.length === 0 ||
+    user_ids.length > MAX_BATCH_LOOKUP ||
+    !user_ids.every((id) => typeof id === "string")
+  ) {
+    return res.status(400).send({
+      message: `user_ids must be an array of 1 to ${MAX_BATCH_LOOKUP} user IDs.`,
+    });
+  }
+
+  try {
+    // Unknown IDs (deleted accounts, typos) are simply left out of the result
+    const users = await User.findAll({
+      where: { user_id: [...new Set(user_ids)] },
+      attributes: ["user_id", "username", "is_organization"],
+    });
+
+    res.status(200).send({ users });
+  } catch (error) {
+    // Malformed UUIDs are rejected by Postgres
+    if (error instanceof Sequelize.DatabaseError) {
+      return res.status(400).send({ message: "user_ids must contain valid UUIDs." });
+    }
+    console.error("Batch user lookup error:", error);
+    res.status(500).send({ message: "An internal server error occurred." });
+  }
+};
+
 exports.searchUsers = async (req, res) => {
   const { query, type } = req.query;
 
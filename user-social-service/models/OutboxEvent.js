@@ -0,0 +1,51 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../utils/db');
+
+// Transactional outbox: rows are written in the same transaction as the business
+// change and relayed to Kafka by workers/outboxRelay.js, then deleted.
+const OutboxEvent = sequelize.define('OutboxEvent', {
+    id: { // Monotonic; relay order within a key follows insertion order
+        type: DataTypes.BIGINT,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    topic: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    key: { // Kafka message key (followerId), which is also the ordering key
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    type: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    payload: {
+        type: DataTypes.JSONB,
+        allowNull: false
+    },
+    attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    next_attempt_at: { // Set after a failed send; the key is held back until then
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    last_error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    tableName: 'outbox_events',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+        { fields: ['key', 'id'] }
+    ]
+});
+
+module.exports = OutboxEvent;
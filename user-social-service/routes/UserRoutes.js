@@ -195,6 +195,33 @@ const { authenticate, authorizeUserAccess } = require("../middleware/auth"); //
  *                 type: string
  *               is_organization:
  *                 type: boolean
+ *     BatchLookupRequest:
+ *       type: object
+ *       properties:
+ *         user_ids:
+ *           type: array
+ *           minItems: 1
+ *           maxItems: 100
+ *           items:
+ *             type: string
+ *             format: uuid
+ *       required:
+ *         - user_ids
+ *     BatchLookupResponse:
+ *       type: object
+ *       properties:
+ *         users:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               user_id:
+ *                 type: string
+ *                 format: uuid
+ *               username:
+ *                 type: string
+ *               is_organization:
+ *                 type: boolean
  *     ErrorResponse:
  *       type: object
  *       properties:
@@ -419,6 +446,69 @@ router.post("/login", userController.loginUser);
  */
 router.get("/search", userController.searchUsers);
 
+/**
+ * @openapi
+ * /users/batch:
+ *   post:
+ *     tags: [Users]
+ *     summary: Look up several users at once
+ *     description: |
+ *       Resolve up to 100 user IDs to their public identity in one request.
+ *       Used by other services to show usernames (e.g. EMS attendee rosters)
+ *       without one profile request per user.
+ *       
+ *       **STAKEHOLDERS:**
+ *       - ✅ Event Management Service (attendee rosters)
+ *       - ✅ Event Organizers (indirectly, through rosters)
+ *       
+ *       **ACCESS RESTRICTIONS:**
+ *       - ❌ No restrictions - Returns the same public data as GET /users/{user_id}
+ *       - ❌ Does NOT require authentication
+ *       
+ *       **BUSINESS RULES:**
+ *       - At most 100 IDs per request; duplicates are ignored
+ *       - Unknown IDs are omitted from the result rather than failing the request
+ *       - Results are in no particular order
+ *       - Does NOT return sensitive data (email, password)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BatchLookupRequest'
+ *           example:
+ *             user_ids:
+ *               - "123e4567-e89b-12d3-a456-426614174000"
+ *               - "456e7890-e89b-12d3-a456-426614174001"
+ *     responses:
+ *       200:
+ *         description: The users that exist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchLookupResponse'
+ *             example:
+ *               users:
+ *                 - user_id: "123e4567-e89b-12d3-a456-426614174000"
+ *                   username: "johndoe"
+ *                   is_organization: false
+ *       400:
+ *         description: Missing, empty, oversized or malformed user_ids
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               message: "user_ids must be an array of 1 to 100 user IDs."
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/batch", userController.getUsersBatch);
+
 // Profile viewing is public and should not require authentication
 /**
  * @openapi
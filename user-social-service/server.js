@@ -1,11 +1,14 @@
 const express = require('express');
 const userRoutes = require('./routes/UserRoutes');
+const healthRoutes = require('./routes/HealthRoutes');
+const { relayOutbox } = require('./workers/outboxRelay');
 const sequelize = require('./utils/db'); // Database connection and setup
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
 
 const app = express();
 const PORT = 3000; // Microservice port
+const OUTBOX_POLL_INTERVAL_MS = Number(process.env.OUTBOX_POLL_INTERVAL_MS) || 1000;
 
 app.use(express.json());
 
@@ -53,11 +56,14 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 // 1. Setup Routes
 app.use('/users', userRoutes);
+app.use('/health', healthRoutes);
 
 // 2. Start DB connection and Server
 sequelize.sync({ alter: true }) // Sync models with database
     .then(() => {
         console.log('Database connected and models synced.');
+        // Follow/unfollow events are stored in the outbox and relayed to Kafka from here
+        setInterval(relayOutbox, OUTBOX_POLL_INTERVAL_MS);
         app.listen(PORT, () => {
             console.log(`User & Social Service running on port ${PORT}`);
             console.log(`Swagger UI available at http://localhost:${PORT}/api-docs`);
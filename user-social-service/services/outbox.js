@@ -0,0 +1,42 @@
+const OutboxEvent = require("../models/OutboxEvent");
+const { fn, col, Op } = require("sequelize");
+
+const TOPIC_USER_EVENTS = "user_events";
+
+/**
+ * Records a social-graph event for delivery to the 'user_events' topic. Pass the
+ * transaction of the follow/unfollow so the event exists if and only if it commits;
+ * workers/outboxRelay.js publishes it afterwards (at least once, in order per follower).
+ * @param {string} type - The event type (e.g., 'user_followed', 'user_unfollowed').
+ * @param {object} payload - The event data; payload.followerId is the message key.
+ * @param {object} [options]
+ * @param {object} [options.transaction] - Active Sequelize transaction.
+ */
+async function publishUserEvent(type, payload, { transaction } = {}) {
+  await OutboxEvent.create(
+    { topic: TOPIC_USER_EVENTS, key: payload.followerId, type, payload },
+    { transaction }
+  );
+}
+
+/**
+ * Size of the undelivered backlog, for health checks and alerting.
+ * @returns {Promise<object>} `{ pending, failing, oldest_created_at }`
+ */
+async function getBacklog() {
+  const [stats] = await OutboxEvent.findAll({
+    attributes: [
+      [fn("COUNT", col("id")), "pending"],
+      [fn("MIN", col("created_at")), "oldest_created_at"],
+    ],
+    raw: true,
+  });
+  const failing = await OutboxEvent.count({ where: { attempts: { [Op.gt]: 0 } } });
+  return {
+    pending: Number(stats.pending),
+    failing,
+    oldest_created_at: stats.oldest_created_at,
+  };
+}
+
+module.exports = { publishUserEvent, getBacklog };
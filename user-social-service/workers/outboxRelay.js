@@ -0,0 +1,96 @@
+// Relays outbox_events to Kafka.
+//
+// Ordering: rows are sent one at a time in id order. When a send fails, the row
+// is rescheduled with exponential backoff and every later row with the same key
+// is held back, so consumers never see event N+1 before event N for one follower.
+// A transaction-scoped advisory lock lets only one replica relay at a time.
+// Delivery is at least once: a crash between send and commit re-sends the batch.
+
+const OutboxEvent = require("../models/OutboxEvent");
+const sequelize = require("../utils/db");
+const { sendEvent } = require("../config/kafka");
+const { Op } = require("sequelize");
+
+const RELAY_LOCK_ID = 4202; // Arbitrary, unique per service database
+const BATCH_SIZE = 100;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+let running = false;
+
+const backoff = (attempts) =>
+  Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+
+async function relayBatch() {
+  return sequelize.transaction(async (transaction) => {
+    const [[{ locked }]] = await sequelize.query(
+      "SELECT pg_try_advisory_xact_lock(:lockId) AS locked",
+      { replacements: { lockId: RELAY_LOCK_ID }, transaction }
+    );
+    if (!locked) {
+      return 0; // Another replica is relaying
+    }
+
+    // Keys waiting out a backoff are skipped in SQL so they cannot starve the batch
+    const rows = await OutboxEvent.findAll({
+      where: {
+        key: {
+          [Op.notIn]: sequelize.literal(
+            "(SELECT key FROM outbox_events WHERE next_attempt_at > NOW())"
+          ),
+        },
+      },
+      order: [["id", "ASC"]],
+      limit: BATCH_SIZE,
+      transaction,
+    });
+
+    const heldKeys = new Set();
+    let sent = 0;
+    for (const row of rows) {
+      if (heldKeys.has(row.key)) {
+        continue; // An earlier row for this key failed in this batch
+      }
+
+      try {
+        await sendEvent(row.topic, row.key, {
+          type: row.type,
+          timestamp: row.created_at.toISOString(),
+          data: row.payload,
+        });
+        await row.destroy({ transaction });
+        sent++;
+      } catch (error) {
+        const attempts = row.attempts + 1;
+        await row.update(
+          {
+            attempts,
+            next_attempt_at: new Date(Date.now() + backoff(attempts)),
+            last_error: String(error.message || error).slice(0, 1000),
+          },
+          { transaction }
+        );
+        heldKeys.add(row.key);
+        console.error(`[Outbox] Failed to relay ${row.type} #${row.id} (attempt ${attempts}):`, error.message);
+      }
+    }
+    // A full batch with progress means more rows may be waiting
+    return rows.length === BATCH_SIZE ? sent : 0;
+  });
+}
+
+async function relayOutbox() {
+  if (running) {
+    return; // Previous tick still draining
+  }
+  running = true;
+  try {
+    while ((await relayBatch()) > 0);
+  } catch (error) {
+    console.error("[Outbox] Relay run failed:", error);
+  } finally {
+    running = false;
+  }
+}
+
+module.exports = { relayOutbox };